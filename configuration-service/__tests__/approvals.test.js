@@ -0,0 +1,423 @@
+const crypto = require("crypto");
+const request = require("supertest");
+
+const { protectedKeys } = require("../approvals");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+const ADMIN = "bootstrap-secret";
+
+describe("Protected key matching", () => {
+  const protections = [
+    { key: "gateway.*", environment: "prod" },
+    { key: "fees", environment: "*" },
+  ];
+
+  test("should match keys, prefixes and environments", () => {
+    expect(
+      protectedKeys(protections, [
+        { environment: "prod", key: "gateway.url" },
+        { environment: "staging", key: "gateway.url" },
+        { environment: "staging", key: "fees" },
+        { environment: "prod", key: "gateway" },
+        { environment: "prod", key: "fees.extra" },
+      ]),
+    ).toEqual(["gateway.url", "fees"]);
+  });
+});
+
+describe("Change requests", () => {
+  let app;
+  let alice;
+  let bob;
+
+  function as(key, call) {
+    return call.set("Authorization", `Bearer ${key}`);
+  }
+
+  async function createKey(name) {
+    const response = await as(
+      ADMIN,
+      request(app)
+        .post("/auth/keys")
+        .send({ name, role: "writer", services: ["payments"] }),
+    ).expect(201);
+    return response.body.key;
+  }
+
+  async function requestChange(key, value) {
+    const response = await as(
+      alice,
+      request(app).post("/config/payments?env=prod").send({ key, value }),
+    ).expect(202);
+    return response.body.changeRequest;
+  }
+
+  async function prodConfig() {
+    const response = await as(
+      alice,
+      request(app).get("/config/payments?env=prod"),
+    ).expect(200);
+    return response.body;
+  }
+
+  beforeEach(async () => {
+    process.env.AUTH_ENABLED = "true";
+    process.env.CONFIG_ADMIN_API_KEY = ADMIN;
+    app = (await global.testHelpers.startMemoryApp()).app;
+
+    alice = await createKey("alice");
+    bob = await createKey("bob");
+
+    await as(
+      alice,
+      request(app)
+        .post("/config/payments?env=prod")
+        .send({ key: "gateway.url", value: "https://old.example.com" }),
+    ).expect(200);
+    await as(
+      ADMIN,
+      request(app)
+        .post("/config/payments/protected-keys")
+        .send({ key: "gateway.*", environment: "prod" }),
+    ).expect(201);
+  });
+
+  afterEach(() => {
+    process.env.AUTH_ENABLED = "false";
+    delete process.env.CONFIG_ADMIN_API_KEY;
+    delete process.env.CHANGE_REQUEST_TTL;
+    delete process.env.CONFIG_MASTER_KEY;
+  });
+
+  test("should hold writes to protected keys until someone else approves", async () => {
+    const pending = await requestChange(
+      "gateway.url",
+      "https://new.example.com",
+    );
+
+    expect(pending).toMatchObject({
+      serviceName: "payments",
+      environment: "prod",
+      status: "pending",
+      set: [{ key: "gateway.url", value: "https://new.example.com" }],
+      requestedBy: { name: "alice" },
+      diff: {
+        added: [],
+        removed: [],
+        changed: [
+          {
+            key: "gateway.url",
+            from: { value: "https://old.example.com" },
+            to: { value: "https://new.example.com" },
+          },
+        ],
+      },
+    });
+    expect((await prodConfig())["gateway.url"]).toBe("https://old.example.com");
+
+    const listed = await as(
+      bob,
+      request(app).get("/config/payments/change-requests"),
+    ).expect(200);
+    expect(listed.body.changeRequests.map(({ id }) => id)).toEqual([
+      pending.id,
+    ]);
+
+    const own = await as(
+      alice,
+      request(app).post(
+        `/config/payments/change-requests/${pending.id}/approve`,
+      ),
+    ).expect(403);
+    expect(own.body.error).toBe(
+      "Change requests must be reviewed by someone other than the requester",
+    );
+
+    const approved = await as(
+      bob,
+      request(app)
+        .post(`/config/payments/change-requests/${pending.id}/approve`)
+        .send({ comment: "Checked with the provider" }),
+    ).expect(200);
+
+    expect(approved.body).toMatchObject({
+      status: "approved",
+      reviewedBy: { name: "bob" },
+      comment: "Checked with the provider",
+      revision: 2,
+    });
+    expect(approved.body.diff).toBeUndefined();
+    expect((await prodConfig())["gateway.url"]).toBe("https://new.example.com");
+
+    // A request is applied once
+    await as(
+      bob,
+      request(app).post(
+        `/config/payments/change-requests/${pending.id}/approve`,
+      ),
+    ).expect(409);
+  });
+
+  test("should only compare secrets for callers who may reveal them", async () => {
+    process.env.CONFIG_MASTER_KEY = crypto.randomBytes(32).toString("base64");
+    const secret = await as(
+      ADMIN,
+      request(app)
+        .post("/config/payments?env=prod")
+        .send({ key: "gateway.token", value: "s3cret", secret: true }),
+    ).expect(202);
+    await as(
+      bob,
+      request(app).post(
+        `/config/payments/change-requests/${secret.body.changeRequest.id}/approve`,
+      ),
+    ).expect(200);
+
+    const pending = await requestChange("gateway.token", "s3cret");
+    expect(pending.diff).toMatchObject({
+      changed: [],
+      unknown: [{ key: "gateway.token" }],
+      unchanged: 0,
+    });
+
+    const asReader = await as(
+      bob,
+      request(app).get(`/config/payments/change-requests/${pending.id}`),
+    ).expect(200);
+    expect(asReader.body.diff.unknown).toEqual([
+      expect.objectContaining({ key: "gateway.token" }),
+    ]);
+
+    const asAdmin = await as(
+      ADMIN,
+      request(app).get(`/config/payments/change-requests/${pending.id}`),
+    ).expect(200);
+    expect(asAdmin.body.diff).toMatchObject({
+      changed: [],
+      unknown: [],
+      unchanged: 1,
+    });
+  });
+
+  test("should refuse stale writes to protected keys", async () => {
+    const response = await as(
+      alice,
+      request(app)
+        .post("/config/payments?env=prod")
+        .set("If-Match", '"0"')
+        .send({ key: "gateway.url", value: "https://new.example.com" }),
+    ).expect(412);
+    expect(response.body.error).toBe(
+      "Configuration has changed since it was read",
+    );
+
+    const listed = await as(
+      bob,
+      request(app).get("/config/payments/change-requests"),
+    ).expect(200);
+    expect(listed.body.changeRequests).toEqual([]);
+
+    await as(
+      alice,
+      request(app)
+        .delete("/config/payments/gateway.url?env=prod")
+        .set("If-Match", '"1"'),
+    ).expect(202);
+  });
+
+  test("should apply every change of a batch on approval", async () => {
+    const response = await as(
+      alice,
+      request(app)
+        .patch("/config/payments?env=prod")
+        .send({
+          set: [
+            { key: "gateway.timeout", value: 30 },
+            { key: "retries", value: 3 },
+          ],
+          delete: ["gateway.url"],
+        }),
+    ).expect(202);
+    const { id } = response.body.changeRequest;
+
+    expect(await prodConfig()).toEqual({
+      "gateway.url": "https://old.example.com",
+    });
+
+    await as(
+      bob,
+      request(app).post(`/config/payments/change-requests/${id}/approve`),
+    ).expect(200);
+    expect(await prodConfig()).toEqual({
+      "gateway.timeout": 30,
+      retries: 3,
+    });
+  });
+
+  test("should trash protected keys deleted on approval", async () => {
+    const response = await as(
+      alice,
+      request(app).delete("/config/payments/gateway.url?env=prod"),
+    ).expect(202);
+    const { id } = response.body.changeRequest;
+
+    await as(
+      bob,
+      request(app).post(`/config/payments/change-requests/${id}/approve`),
+    ).expect(200);
+    expect(await prodConfig()).toEqual({});
+
+    const trash = await as(
+      alice,
+      request(app).get("/config/payments/trash?env=prod"),
+    ).expect(200);
+    expect(trash.body.trash).toEqual([
+      expect.objectContaining({
+        environment: "prod",
+        key: "gateway.url",
+        value: "https://old.example.com",
+        deletedBy: { id: expect.anything(), name: "alice" },
+      }),
+    ]);
+  });
+
+  test("should leave unprotected keys and environments alone", async () => {
+    await as(
+      alice,
+      request(app)
+        .post("/config/payments?env=staging")
+        .send({ key: "gateway.url", value: "https://staging.example.com" }),
+    ).expect(200);
+    await as(
+      alice,
+      request(app).post("/config/payments?env=prod").send({
+        key: "retries",
+        value: 3,
+      }),
+    ).expect(200);
+  });
+
+  test("should reject and expire requests", async () => {
+    const rejected = await requestChange("gateway.url", "https://evil.test");
+    const response = await as(
+      bob,
+      request(app)
+        .post(`/config/payments/change-requests/${rejected.id}/reject`)
+        .send({ comment: "No" }),
+    ).expect(200);
+    expect(response.body).toMatchObject({ status: "rejected", revision: null });
+
+    process.env.CHANGE_REQUEST_TTL = "1";
+    const expiring = await requestChange("gateway.url", "https://late.test");
+    jest.useFakeTimers({ now: Date.now() + 2000, doNotFake: ["nextTick"] });
+    try {
+      const expired = await as(
+        bob,
+        request(app).post(
+          `/config/payments/change-requests/${expiring.id}/approve`,
+        ),
+      ).expect(409);
+      expect(expired.body.error).toBe("Change request has expired");
+    } finally {
+      jest.useRealTimers();
+    }
+
+    const all = await as(
+      bob,
+      request(app).get("/config/payments/change-requests?status=all"),
+    ).expect(200);
+    expect(
+      all.body.changeRequests.map(({ id, status }) => [id, status]),
+    ).toEqual([
+      [expiring.id, "expired"],
+      [rejected.id, "rejected"],
+    ]);
+    expect((await prodConfig())["gateway.url"]).toBe("https://old.example.com");
+  });
+
+  test("should refuse rollbacks, schedules and imports of protected keys", async () => {
+    const { id } = await requestChange("gateway.url", "https://new.test");
+    await as(
+      bob,
+      request(app).post(`/config/payments/change-requests/${id}/approve`),
+    ).expect(200);
+
+    const rollback = await as(
+      alice,
+      request(app).post("/config/payments/rollback").send({ revision: 1 }),
+    ).expect(409);
+    expect(rollback.body).toEqual({
+      error: "Rollback would change protected keys",
+      keys: ["gateway.url"],
+    });
+
+    await as(
+      alice,
+      request(app)
+        .post("/config/payments/schedules?env=prod")
+        .send({
+          runAt: new Date(Date.now() + 60000).toISOString(),
+          delete: ["gateway.url"],
+        }),
+    ).expect(400);
+
+    const imported = await as(
+      alice,
+      request(app)
+        .post("/import/payments?env=prod")
+        .send({ "gateway.url": "https://imported.test" }),
+    ).expect(400);
+    expect(imported.body.errors).toEqual([
+      {
+        key: "gateway.url",
+        path: "",
+        message:
+          "is protected and can only be changed through a change request",
+      },
+    ]);
+  });
+
+  test("should manage protections as an admin", async () => {
+    await as(
+      alice,
+      request(app)
+        .post("/config/payments/protected-keys")
+        .send({ key: "fees" }),
+    ).expect(403);
+    for (const body of [{ key: "a*b" }, { key: "fees", environment: "" }]) {
+      await as(
+        ADMIN,
+        request(app).post("/config/payments/protected-keys").send(body),
+      ).expect(400);
+    }
+    await as(
+      ADMIN,
+      request(app)
+        .post("/config/payments/protected-keys")
+        .send({ key: "gateway.*", environment: "prod" }),
+    ).expect(409);
+
+    const listed = await as(
+      alice,
+      request(app).get("/config/payments/protected-keys"),
+    ).expect(200);
+    expect(listed.body.protectedKeys).toEqual([
+      expect.objectContaining({ key: "gateway.*", environment: "prod" }),
+    ]);
+
+    await as(
+      ADMIN,
+      request(app).delete(
+        `/config/payments/protected-keys/${listed.body.protectedKeys[0].id}`,
+      ),
+    ).expect(200);
+    await as(
+      alice,
+      request(app)
+        .post("/config/payments?env=prod")
+        .send({ key: "gateway.url", value: "https://direct.test" }),
+    ).expect(200);
+  });
+});
@@ -0,0 +1,301 @@
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const {
+  auditEvents,
+  flushAudit,
+  pendingAuditEvents,
+  recordChanges,
+} = require("../audit");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+const req = {
+  principal: { id: "3f9a1c0d5e7b2a46", name: "deploys", role: "writer" },
+  ip: "10.0.0.7",
+  requestId: "req-1",
+};
+
+const created = {
+  environment: "default",
+  key: "a",
+  previous: null,
+  value: "1",
+  type: "string",
+  secret: false,
+};
+
+function ok(status = 201) {
+  return { ok: status < 300, status };
+}
+
+// Payloads of the entries sent to the log aggregator
+function shipped() {
+  return global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body));
+}
+
+describe("Audit events", () => {
+  beforeEach(async () => {
+    global.fetch = jest.fn().mockResolvedValue(ok());
+    await flushAudit();
+    global.fetch.mockClear();
+    delete process.env.AUDIT_BUFFER_SIZE;
+  });
+
+  test("should describe every changed key", () => {
+    const events = auditEvents(
+      req,
+      "api",
+      {
+        revision: 4,
+        changes: [
+          {
+            environment: "prod",
+            key: "timeout",
+            previous: null,
+            value: "30",
+            type: "number",
+            secret: false,
+          },
+          {
+            environment: "default",
+            key: "debug",
+            previous: { value: "false", type: "boolean", secret: false },
+            value: "true",
+            type: "boolean",
+            secret: false,
+          },
+          {
+            environment: "default",
+            key: "legacy",
+            previous: { value: "x", type: "string", secret: false },
+            value: null,
+            type: null,
+            secret: false,
+          },
+        ],
+      },
+      "batch",
+    );
+
+    expect(events[0]).toEqual({
+      serviceName: "configuration-service",
+      level: "info",
+      message: "Configuration create: api/timeout (prod)",
+      metadata: {
+        audit: true,
+        action: "create",
+        operation: "batch",
+        service: "api",
+        environment: "prod",
+        key: "timeout",
+        revision: 4,
+        oldValue: null,
+        newValue: 30,
+        actor: { id: "3f9a1c0d5e7b2a46", name: "deploys" },
+        ip: "10.0.0.7",
+        requestId: "req-1",
+        timestamp: expect.any(String),
+      },
+    });
+    expect(events.map(({ metadata }) => metadata.action)).toEqual([
+      "create",
+      "update",
+      "delete",
+    ]);
+    expect(events[1].metadata).toMatchObject({
+      oldValue: false,
+      newValue: true,
+    });
+    expect(events[2].metadata).toMatchObject({ oldValue: "x", newValue: null });
+  });
+
+  test("should mask secret values", () => {
+    const [event] = auditEvents(
+      { ...req, principal: undefined },
+      "api",
+      {
+        revision: 2,
+        changes: [
+          {
+            environment: "default",
+            key: "password",
+            previous: { value: "enc:v1:...", type: "string", secret: true },
+            value: "hunter2",
+            type: "string",
+            secret: true,
+          },
+        ],
+      },
+      "set",
+    );
+
+    expect(event.metadata).toMatchObject({
+      oldValue: "********",
+      newValue: "********",
+      actor: null,
+    });
+    expect(JSON.stringify(event)).not.toContain("hunter2");
+  });
+
+  test("should ship queued events to the log aggregator in order", async () => {
+    process.env.LOG_AGGREGATOR_URL = "http://aggregator:3002";
+    recordChanges(req, "api", { revision: 1, changes: [] }, "set");
+    recordChanges(
+      req,
+      "api",
+      {
+        revision: 1,
+        changes: [
+          { environment: "default", key: "a", previous: null, value: "1" },
+          { environment: "default", key: "b", previous: null, value: "2" },
+        ],
+      },
+      "set",
+    );
+
+    expect(pendingAuditEvents()).toBe(2);
+    await flushAudit();
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      "http://aggregator:3002/logs",
+      expect.objectContaining({
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+      }),
+    );
+    expect(shipped().map(({ metadata }) => metadata.key)).toEqual(["a", "b"]);
+    expect(pendingAuditEvents()).toBe(0);
+    delete process.env.LOG_AGGREGATOR_URL;
+  });
+
+  test("should keep events queued while the aggregator is down", async () => {
+    recordChanges(req, "api", { revision: 1, changes: [created] }, "set");
+    recordChanges(req, "api", { revision: 2, changes: [created] }, "set");
+
+    global.fetch
+      .mockResolvedValueOnce(ok())
+      .mockRejectedValueOnce(new Error("connect ECONNREFUSED"));
+    await flushAudit();
+    expect(pendingAuditEvents()).toBe(1);
+
+    global.fetch.mockResolvedValueOnce(ok(503));
+    await flushAudit();
+    expect(pendingAuditEvents()).toBe(1);
+
+    await flushAudit();
+    expect(pendingAuditEvents()).toBe(0);
+    expect(shipped().map(({ metadata }) => metadata.revision)).toEqual([
+      1, 2, 2, 2,
+    ]);
+  });
+
+  test("should drop events the aggregator rejects as invalid", async () => {
+    recordChanges(req, "api", { revision: 1, changes: [created] }, "set");
+    global.fetch.mockResolvedValueOnce(ok(400));
+
+    await flushAudit();
+
+    expect(pendingAuditEvents()).toBe(0);
+  });
+
+  test("should drop the oldest events when the buffer is full", async () => {
+    process.env.AUDIT_BUFFER_SIZE = "2";
+    for (const revision of [1, 2, 3]) {
+      recordChanges(req, "api", { revision, changes: [created] }, "set");
+    }
+
+    expect(pendingAuditEvents()).toBe(2);
+    await flushAudit();
+    expect(shipped().map(({ metadata }) => metadata.revision)).toEqual([2, 3]);
+  });
+});
+
+describe("Audited routes", () => {
+  let mockDb;
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    global.fetch = jest.fn().mockRejectedValue(new Error("aggregator down"));
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+    redis.createClient.mockReturnValue(
+      global.testHelpers.createMockRedisClient(),
+    );
+
+    mockDb.execute.mockImplementation(async (sql) =>
+      sql.startsWith("SELECT environment, config_key")
+        ? [
+            [
+              {
+                environment: "default",
+                config_key: "timeout",
+                config_value: "30",
+                value_type: "number",
+                is_secret: 0,
+              },
+            ],
+          ]
+        : [[], {}],
+    );
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  test("should audit writes without waiting for the aggregator", async () => {
+    const before = pendingAuditEvents();
+
+    const response = await request(app)
+      .post("/config/api")
+      .set("X-Request-ID", "deploy-42")
+      .send({ key: "timeout", value: 60 })
+      .expect(200);
+
+    expect(response.headers["x-request-id"]).toBe("deploy-42");
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(pendingAuditEvents()).toBe(before + 1);
+
+    global.fetch.mockResolvedValue(ok());
+    await flushAudit();
+    expect(shipped().at(-1).metadata).toMatchObject({
+      action: "update",
+      operation: "set",
+      service: "api",
+      key: "timeout",
+      oldValue: 30,
+      newValue: 60,
+      requestId: "deploy-42",
+      actor: null,
+    });
+  });
+
+  test("should audit deletes and generate request IDs", async () => {
+    global.fetch.mockResolvedValue(ok());
+    await flushAudit();
+    global.fetch.mockClear();
+
+    const response = await request(app)
+      .delete("/config/api/timeout")
+      .set("X-Request-ID", "not a sane id")
+      .expect(200);
+    await flushAudit();
+
+    const [event] = shipped();
+    expect(response.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+    expect(event.metadata).toMatchObject({
+      action: "delete",
+      operation: "delete",
+      oldValue: 30,
+      newValue: null,
+      requestId: response.headers["x-request-id"],
+    });
+  });
+});
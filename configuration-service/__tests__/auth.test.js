@@ -0,0 +1,339 @@
+const crypto = require("crypto");
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const { ALL_SERVICES, hasRole, validateGrant } = require("../auth");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+function sha256(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+describe("Roles and scopes", () => {
+  const writer = { role: "writer", services: ["payments-*", "web"] };
+
+  test("should grant lower roles on services in scope", () => {
+    expect(hasRole(writer, "reader", "payments-api")).toBe(true);
+    expect(hasRole(writer, "writer", "web")).toBe(true);
+    expect(hasRole(writer, "admin", "web")).toBe(false);
+  });
+
+  test("should match exact names and prefixes only", () => {
+    expect(hasRole(writer, "reader", "webhooks")).toBe(false);
+    expect(hasRole(writer, "reader", "billing")).toBe(false);
+    expect(hasRole(writer, "reader", ALL_SERVICES)).toBe(false);
+  });
+
+  test("should give keys scoped to * every service", () => {
+    const admin = { role: "admin", services: ["*"] };
+
+    expect(hasRole(admin, "admin", "anything")).toBe(true);
+    expect(hasRole(admin, "admin", ALL_SERVICES)).toBe(true);
+  });
+
+  test.each([
+    ["owner", ["web"], "role must be one of: reader, writer, admin"],
+    [
+      "reader",
+      [],
+      'services must list service names, prefixes ending in "*" or "*"',
+    ],
+    [
+      "reader",
+      ["we b"],
+      'services must list service names, prefixes ending in "*" or "*"',
+    ],
+    [
+      "reader",
+      "web",
+      'services must list service names, prefixes ending in "*" or "*"',
+    ],
+  ])("should reject invalid grants %#", (role, services, error) => {
+    expect(validateGrant(role, services)).toBe(error);
+  });
+});
+
+describe("API key authentication", () => {
+  let mockDb;
+  let app;
+  let keys;
+
+  // Issue a key straight into the fake api_keys table
+  function issue(role, services, fields = {}) {
+    const id = crypto.randomBytes(8).toString("hex");
+    const secret = crypto.randomBytes(32).toString("base64url");
+    keys.set(id, {
+      id,
+      name: `${role} key`,
+      role,
+      services: JSON.stringify(services),
+      secret_hash: sha256(secret),
+      previous_secret_hash: null,
+      previous_valid: null,
+      revoked: false,
+      ...fields,
+    });
+    return `cfg_${id}.${secret}`;
+  }
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+    process.env.AUTH_ENABLED = "true";
+    process.env.CONFIG_ADMIN_API_KEY = "bootstrap-secret";
+    process.env.CORS_ORIGINS = "https://console.example.com";
+
+    keys = new Map();
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+    redis.createClient.mockReturnValue(
+      global.testHelpers.createMockRedisClient(),
+    );
+
+    mockDb.execute.mockImplementation(async (sql, params) => {
+      if (sql.startsWith("SELECT id, name, role, services, secret_hash")) {
+        const row = keys.get(params[0]);
+        return [row && !row.revoked ? [row] : []];
+      }
+      if (sql.startsWith("INSERT INTO api_keys")) {
+        const [id, name, role, services, secretHash] = params;
+        keys.set(id, { id, name, role, services, secret_hash: secretHash });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith("UPDATE api_keys SET previous_secret_hash")) {
+        const [gracePeriod, , , secretHash, id] = params;
+        const row = keys.get(id);
+        if (!row || row.revoked) {
+          return [{ affectedRows: 0 }];
+        }
+        row.previous_secret_hash = gracePeriod > 0 ? row.secret_hash : null;
+        row.previous_valid = gracePeriod > 0 ? 1 : null;
+        row.secret_hash = secretHash;
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith("UPDATE api_keys SET revoked_at")) {
+        const row = keys.get(params[0]);
+        if (!row || row.revoked) {
+          return [{ affectedRows: 0 }];
+        }
+        row.revoked = true;
+        return [{ affectedRows: 1 }];
+      }
+      return [[], {}];
+    });
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  afterEach(() => {
+    process.env.AUTH_ENABLED = "false";
+    delete process.env.CONFIG_ADMIN_API_KEY;
+    delete process.env.CORS_ORIGINS;
+  });
+
+  test("should require a key on everything but the health check", async () => {
+    await request(app).get("/health").expect(200);
+
+    const response = await request(app).get("/config/web").expect(401);
+    expect(response.body).toEqual({ error: "Authentication required" });
+  });
+
+  test("should reject unknown, malformed and revoked keys", async () => {
+    const revoked = issue("reader", ["web"], { revoked: true });
+    const forged = `${issue("reader", ["web"]).split(".")[0]}.${"A".repeat(43)}`;
+
+    for (const key of [revoked, forged, "cfg_nope", `${revoked}x`]) {
+      const response = await request(app)
+        .get("/config/web")
+        .set("Authorization", `Bearer ${key}`)
+        .expect(401);
+      expect(response.body).toEqual({ error: "Invalid API key" });
+    }
+  });
+
+  test("should accept keys as bearer tokens and in X-API-Key", async () => {
+    const key = issue("reader", ["web"]);
+
+    await request(app)
+      .get("/config/web")
+      .set("Authorization", `Bearer ${key}`)
+      .expect(200);
+    await request(app).get("/config/web").set("X-API-Key", key).expect(200);
+  });
+
+  test("should enforce roles per service", async () => {
+    const reader = issue("reader", ["web"]);
+    const writer = issue("writer", ["payments-*"]);
+
+    await request(app)
+      .post("/config/web")
+      .set("X-API-Key", reader)
+      .send({ key: "a", value: "1" })
+      .expect(403);
+    await request(app)
+      .get("/config/billing")
+      .set("X-API-Key", reader)
+      .expect(403);
+
+    await request(app)
+      .post("/config/payments-api")
+      .set("X-API-Key", writer)
+      .send({ key: "a", value: "1" })
+      .expect(200);
+    const response = await request(app)
+      .put("/schemas/payments-api")
+      .set("X-API-Key", writer)
+      .send({ type: "object" })
+      .expect(403);
+    expect(response.body).toEqual({ error: "Insufficient permissions" });
+  });
+
+  test("should require every watched and imported service to be in scope", async () => {
+    const writer = issue("writer", ["web"]);
+
+    await request(app)
+      .get("/watch?services=web,billing")
+      .set("X-API-Key", writer)
+      .expect(403);
+    await request(app)
+      .post("/import")
+      .set("X-API-Key", writer)
+      .send({ web: { a: 1 }, billing: { b: 2 } })
+      .expect(403);
+    expect(mockDb.getConnection).not.toHaveBeenCalled();
+  });
+
+  test("should keep listing every service to global admins", async () => {
+    const serviceAdmin = issue("admin", ["web"]);
+    const globalAdmin = issue("admin", ["*"]);
+
+    await request(app)
+      .get("/config")
+      .set("X-API-Key", serviceAdmin)
+      .expect(403);
+    await request(app).get("/config").set("X-API-Key", globalAdmin).expect(200);
+  });
+
+  test("should only reveal secrets to admins of the service", async () => {
+    process.env.SECRETS_REVEAL_TOKEN = "reveal-token";
+    const writer = issue("writer", ["web"]);
+    const admin = issue("admin", ["web"]);
+
+    await request(app)
+      .get("/config/web?reveal=true")
+      .set("X-API-Key", writer)
+      .set("X-Reveal-Token", "reveal-token")
+      .expect(403);
+    await request(app)
+      .get("/config/web?reveal=true")
+      .set("X-API-Key", admin)
+      .expect(200);
+    delete process.env.SECRETS_REVEAL_TOKEN;
+  });
+
+  test("should manage keys with the bootstrap admin key", async () => {
+    const created = await request(app)
+      .post("/auth/keys")
+      .set("X-API-Key", "bootstrap-secret")
+      .send({ name: "web deploys", role: "writer", services: ["web"] })
+      .expect(201);
+
+    expect(created.body).toEqual({
+      id: expect.stringMatching(/^[0-9a-f]{16}$/),
+      name: "web deploys",
+      role: "writer",
+      services: ["web"],
+      key: expect.stringMatching(/^cfg_[0-9a-f]{16}\.[A-Za-z0-9_-]{43}$/),
+    });
+    expect(keys.get(created.body.id).secret_hash).toBe(
+      sha256(created.body.key.split(".")[1]),
+    );
+
+    await request(app)
+      .get("/config/web")
+      .set("X-API-Key", created.body.key)
+      .expect(200);
+    await request(app)
+      .post("/auth/keys")
+      .set("X-API-Key", created.body.key)
+      .send({ name: "escalate", role: "admin", services: ["*"] })
+      .expect(403);
+    await request(app)
+      .post("/auth/keys")
+      .set("X-API-Key", "bootstrap-secret")
+      .send({ name: "bad", role: "owner", services: ["web"] })
+      .expect(400);
+  });
+
+  test("should keep the old secret valid during a rotation grace period", async () => {
+    const admin = issue("admin", ["*"]);
+    const old = issue("reader", ["web"]);
+    const id = old.slice(4, 20);
+
+    const rotated = await request(app)
+      .post(`/auth/keys/${id}/rotate`)
+      .set("X-API-Key", admin)
+      .send({ gracePeriod: 3600 })
+      .expect(200);
+
+    expect(rotated.body.id).toBe(id);
+    await request(app).get("/config/web").set("X-API-Key", old).expect(200);
+    await request(app)
+      .get("/config/web")
+      .set("X-API-Key", rotated.body.key)
+      .expect(200);
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      expect.stringContaining("UPDATE api_keys SET previous_secret_hash"),
+      [3600, 3600, 3600, expect.any(String), id],
+    );
+
+    await request(app)
+      .post(`/auth/keys/${id}/rotate`)
+      .set("X-API-Key", admin)
+      .send({})
+      .expect(200);
+    await request(app).get("/config/web").set("X-API-Key", old).expect(401);
+  });
+
+  test("should revoke keys", async () => {
+    const admin = issue("admin", ["*"]);
+    const key = issue("reader", ["web"]);
+    const id = key.slice(4, 20);
+
+    await request(app)
+      .delete(`/auth/keys/${id}`)
+      .set("X-API-Key", admin)
+      .expect(200);
+    await request(app).get("/config/web").set("X-API-Key", key).expect(401);
+    await request(app)
+      .delete(`/auth/keys/${id}`)
+      .set("X-API-Key", admin)
+      .expect(404);
+    await request(app)
+      .post("/auth/keys/0000000000000000/rotate")
+      .set("X-API-Key", admin)
+      .send({})
+      .expect(404);
+  });
+
+  test("should only allow configured CORS origins", async () => {
+    const allowed = await request(app)
+      .options("/config/web")
+      .set("Origin", "https://console.example.com")
+      .set("Access-Control-Request-Method", "GET");
+    expect(allowed.headers["access-control-allow-origin"]).toBe(
+      "https://console.example.com",
+    );
+
+    const denied = await request(app)
+      .options("/config/web")
+      .set("Origin", "https://evil.example.com")
+      .set("Access-Control-Request-Method", "GET");
+    expect(denied.headers["access-control-allow-origin"]).toBeUndefined();
+  });
+});
@@ -0,0 +1,180 @@
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+describe("PATCH /config/:serviceName", () => {
+  let mockDb;
+  let mockRedisClient;
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+
+    mockRedisClient = global.testHelpers.createMockRedisClient();
+    redis.createClient.mockReturnValue(mockRedisClient);
+
+    mockDb.execute.mockImplementation(async (sql) =>
+      sql.startsWith("SELECT environment, config_key")
+        ? [
+            [
+              {
+                environment: "prod",
+                config_key: "db_legacy_pool",
+                config_value: "5",
+                value_type: "number",
+              },
+            ],
+          ]
+        : [[], {}],
+    );
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  test("should apply sets and deletes as one revision", async () => {
+    const response = await request(app)
+      .patch("/config/api?env=prod")
+      .send({
+        set: [
+          { key: "db_host", value: "db.internal" },
+          { key: "db_port", value: 5432 },
+          { key: "db_tls", value: "true", type: "boolean" },
+        ],
+        delete: ["db_legacy_pool"],
+      })
+      .expect(200);
+
+    expect(response.body).toEqual({
+      message: "Configuration updated successfully",
+      revision: 1,
+      changes: [
+        { key: "db_host", operation: "set" },
+        { key: "db_port", operation: "set" },
+        { key: "db_tls", operation: "set" },
+        { key: "db_legacy_pool", operation: "delete" },
+      ],
+    });
+
+    expect(mockDb.beginTransaction).toHaveBeenCalledTimes(1);
+    expect(mockDb.commit).toHaveBeenCalledTimes(1);
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      expect.stringContaining("INSERT INTO configurations"),
+      ["api", "prod", "db_port", "5432", "number", 0],
+    );
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      expect.stringContaining("INSERT INTO configurations"),
+      ["api", "prod", "db_tls", "true", "boolean", 0],
+    );
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      expect.stringContaining("DELETE FROM configurations"),
+      ["api", "prod", "db_legacy_pool"],
+    );
+    const revisionRows = mockDb.execute.mock.calls.filter(([sql]) =>
+      sql.startsWith("INSERT INTO config_revisions"),
+    );
+    expect(revisionRows).toHaveLength(4);
+    expect(revisionRows.every(([, params]) => params[1] === 1)).toBe(true);
+
+    expect(mockRedisClient.del).toHaveBeenCalledTimes(1);
+    expect(mockRedisClient.del).toHaveBeenCalledWith("config:api");
+    expect(mockRedisClient.publish).toHaveBeenCalledTimes(1);
+  });
+
+  test("should report every invalid key and write nothing", async () => {
+    const response = await request(app)
+      .patch("/config/api")
+      .send({
+        set: [
+          { key: "db_host", value: "db.internal" },
+          { key: "db_port" },
+          { key: "db_host", value: "other" },
+          { value: 1 },
+        ],
+        delete: ["db_port"],
+      })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: "Invalid batch update",
+      errors: [
+        { key: "db_port", path: "", message: "value is required" },
+        { key: "db_host", path: "", message: "is changed more than once" },
+        { key: null, path: "", message: "key is required" },
+        { key: "db_port", path: "", message: "is changed more than once" },
+      ],
+    });
+    expect(mockDb.getConnection).not.toHaveBeenCalled();
+    expect(mockRedisClient.del).not.toHaveBeenCalled();
+  });
+
+  test("should report values that do not fit their type", async () => {
+    const response = await request(app)
+      .patch("/config/api")
+      .send({
+        set: [
+          { key: "db_port", value: "many", type: "number" },
+          { key: "db_tls", value: "maybe", type: "boolean" },
+          { key: "db_host", value: "db.internal" },
+        ],
+      })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: "Invalid configuration value",
+      errors: [
+        { key: "db_port", path: "", message: "must be a number" },
+        { key: "db_tls", path: "", message: "must be a boolean" },
+      ],
+    });
+    expect(mockDb.getConnection).not.toHaveBeenCalled();
+  });
+
+  test("should roll back the whole batch when a write fails", async () => {
+    mockDb.execute.mockImplementation(async (sql, params) => {
+      if (sql.startsWith("INSERT INTO configurations") && params[2] === "b") {
+        throw new Error("Insert failed");
+      }
+      return [[], {}];
+    });
+
+    await request(app)
+      .patch("/config/api")
+      .send({
+        set: [
+          { key: "a", value: "1" },
+          { key: "b", value: "2" },
+        ],
+      })
+      .expect(500);
+
+    expect(mockDb.rollback).toHaveBeenCalled();
+    expect(mockDb.commit).not.toHaveBeenCalled();
+    expect(mockRedisClient.del).not.toHaveBeenCalled();
+    expect(mockRedisClient.publish).not.toHaveBeenCalled();
+  });
+
+  test("should require at least one change", async () => {
+    await request(app).patch("/config/api").send({}).expect(400);
+    await request(app).patch("/config/api").send({ set: {} }).expect(400);
+  });
+
+  test("should limit the size of a batch", async () => {
+    const response = await request(app)
+      .patch("/config/api")
+      .send({ delete: Array.from({ length: 501 }, (_, i) => `key_${i}`) })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: "A batch can change at most 500 keys",
+    });
+  });
+});
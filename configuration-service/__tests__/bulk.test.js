@@ -0,0 +1,393 @@
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const {
+  importWrites,
+  parseDocument,
+  planImport,
+  renderDocument,
+} = require("../bulk");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+const document = {
+  timeout: 30,
+  debug: false,
+  hosts: ["a", "b"],
+  name: "user service",
+  url: "https://example.com/api",
+};
+
+describe("Bulk documents", () => {
+  test.each(["json", "yaml"])(
+    "should round-trip %s documents with native types",
+    (format) => {
+      const rendered = renderDocument(format, document);
+
+      expect(parseDocument(format, rendered)).toEqual({ document });
+    },
+  );
+
+  test("should render and parse dotenv documents", () => {
+    const rendered = renderDocument("env", {
+      ...document,
+      quote: "it's",
+      empty: "",
+    });
+
+    expect(rendered).toBe(
+      [
+        "debug=false",
+        "empty=''",
+        'hosts=\'["a","b"]\'',
+        "name='user service'",
+        "quote=`it's`",
+        "timeout=30",
+        "url=https://example.com/api",
+        "",
+      ].join("\n"),
+    );
+    expect(parseDocument("env", rendered).document).toEqual({
+      debug: "false",
+      empty: "",
+      hosts: '["a","b"]',
+      name: "user service",
+      quote: "it's",
+      timeout: "30",
+      url: "https://example.com/api",
+    });
+  });
+
+  test("should keep YAML timestamps as strings", () => {
+    expect(parseDocument("yaml", "deadline: 2024-01-01\n").document).toEqual({
+      deadline: "2024-01-01",
+    });
+  });
+
+  test("should reject documents that are not key/value maps", () => {
+    expect(parseDocument("json", "").error).toBe("Import document is empty");
+    expect(parseDocument("json", "[1, 2]").error).toBe(
+      "Import document must map keys to values",
+    );
+    expect(parseDocument("yaml", "a: [").error).toMatch(
+      /^Invalid yaml document/,
+    );
+  });
+
+  test("should keep the type of existing keys when the value fits", () => {
+    const stored = {
+      timeout: { value: "30", type: "number", secret: false },
+      retry: { value: "5s", type: "duration", secret: false },
+      mode: { value: "1", type: "number", secret: false },
+    };
+
+    expect(
+      importWrites(stored, { timeout: "60", retry: "10s", mode: "fast" }),
+    ).toEqual([
+      { key: "timeout", value: "60", type: "number" },
+      { key: "retry", value: "10s", type: "duration" },
+      { key: "mode", value: "fast", type: undefined },
+    ]);
+  });
+
+  test("should report adds, changes and deletes", () => {
+    const stored = {
+      timeout: { value: "30", type: "number", secret: false },
+      debug: { value: "false", type: "boolean", secret: false },
+      legacy: { value: "x", type: "string", secret: false },
+    };
+    const incoming = { timeout: 60, debug: false, region: "eu" };
+    const writes = [
+      { key: "timeout", value: "60", type: "number" },
+      { key: "debug", value: "false", type: "boolean" },
+      { key: "region", value: "eu", type: "string" },
+    ];
+
+    const merge = planImport(stored, incoming, writes, { replace: false });
+    expect(merge.report).toEqual({
+      added: [{ key: "region", value: "eu" }],
+      changed: [{ key: "timeout", from: 30, to: 60 }],
+      deleted: [],
+      unchanged: 1,
+    });
+    expect(merge.changes).toEqual([writes[0], writes[2]]);
+
+    const replace = planImport(stored, incoming, writes, { replace: true });
+    expect(replace.report.deleted).toEqual([{ key: "legacy", value: "x" }]);
+    expect(replace.changes).toContainEqual({ key: "legacy", value: null });
+  });
+
+  test("should leave masked secrets alone", () => {
+    const stored = {
+      password: { value: "enc:v1:...", type: "string", secret: true },
+    };
+    const incoming = { password: "********" };
+
+    expect(importWrites(stored, incoming)).toEqual([]);
+    expect(planImport(stored, incoming, [], { replace: true })).toEqual({
+      changes: [],
+      report: { added: [], changed: [], deleted: [], unchanged: 1 },
+    });
+  });
+});
+
+describe("Bulk routes", () => {
+  let mockDb;
+  let mockRedisClient;
+  let app;
+
+  const storedRows = [
+    {
+      service_name: "api",
+      config_key: "timeout",
+      config_value: "30",
+      value_type: "number",
+      is_secret: 0,
+    },
+    {
+      service_name: "api",
+      config_key: "legacy",
+      config_value: "x",
+      value_type: "string",
+      is_secret: 0,
+    },
+  ];
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+
+    mockRedisClient = global.testHelpers.createMockRedisClient();
+    redis.createClient.mockReturnValue(mockRedisClient);
+
+    mockDb.execute.mockResolvedValue([[], {}]);
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  function mockStored(rows = storedRows) {
+    mockDb.execute.mockImplementation(async (sql) =>
+      sql.startsWith("SELECT config_key") ||
+      sql.startsWith("SELECT service_name, config_key")
+        ? [rows]
+        : [[], {}],
+    );
+  }
+
+  describe("GET /export", () => {
+    test("should export a service as JSON", async () => {
+      mockStored();
+
+      const response = await request(app).get("/export/api").expect(200);
+
+      expect(response.headers["content-type"]).toMatch(/application\/json/);
+      expect(response.body).toEqual({ timeout: 30, legacy: "x" });
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        expect.stringContaining("WHERE service_name = ? AND environment = ?"),
+        ["api", "default"],
+      );
+    });
+
+    test("should export a service environment as dotenv", async () => {
+      mockStored();
+
+      const response = await request(app)
+        .get("/export/api?format=env&env=staging")
+        .expect(200);
+
+      expect(response.text).toBe("legacy=x\ntimeout=30\n");
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        expect.stringContaining("WHERE service_name = ? AND environment = ?"),
+        ["api", "staging"],
+      );
+    });
+
+    test("should export all services as YAML", async () => {
+      mockStored([
+        ...storedRows,
+        {
+          service_name: "web",
+          config_key: "password",
+          config_value: "enc:v1:...",
+          value_type: "string",
+          is_secret: 1,
+        },
+      ]);
+
+      const response = await request(app)
+        .get("/export?format=yaml")
+        .expect(200);
+
+      expect(response.headers["content-type"]).toMatch(/application\/yaml/);
+      expect(response.text).toBe(
+        "api:\n  legacy: x\n  timeout: 30\nweb:\n  password: '********'\n",
+      );
+    });
+
+    test("should reject unknown formats and dotenv exports of all services", async () => {
+      await request(app).get("/export/api?format=xml").expect(400);
+      await request(app).get("/export?format=env").expect(400);
+    });
+  });
+
+  describe("POST /import", () => {
+    test("should preview an import without writing", async () => {
+      mockStored();
+
+      const response = await request(app)
+        .post("/import/api?dryRun=true&mode=replace")
+        .send({ timeout: 60, region: "eu" })
+        .expect(200);
+
+      expect(response.body).toEqual({
+        serviceName: "api",
+        environment: "default",
+        mode: "replace",
+        dryRun: true,
+        added: [{ key: "region", value: "eu" }],
+        changed: [{ key: "timeout", from: 30, to: 60 }],
+        deleted: [{ key: "legacy", value: "x" }],
+        unchanged: 0,
+        revision: null,
+      });
+      expect(mockDb.getConnection).not.toHaveBeenCalled();
+    });
+
+    test("should apply an import as one revision", async () => {
+      mockStored();
+
+      const response = await request(app)
+        .post("/import/api?format=env&env=staging")
+        .set("Content-Type", "text/plain")
+        .send("timeout=60\nregion=eu\n")
+        .expect(200);
+
+      expect(response.body.revision).toBe(1);
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        expect.stringContaining("INSERT INTO configurations"),
+        ["api", "staging", "timeout", "60", "number", 0],
+      );
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        expect.stringContaining("INSERT INTO configurations"),
+        ["api", "staging", "region", "eu", "string", 0],
+      );
+      expect(mockDb.execute).not.toHaveBeenCalledWith(
+        expect.stringContaining("DELETE FROM configurations"),
+        expect.anything(),
+      );
+      expect(mockDb.commit).toHaveBeenCalledTimes(1);
+      expect(mockRedisClient.publish).toHaveBeenCalledTimes(1);
+    });
+
+    test("should accept YAML bodies by content type", async () => {
+      const response = await request(app)
+        .post("/import/api?dryRun=true")
+        .set("Content-Type", "application/yaml")
+        .send("timeout: 60\ndebug: true\n")
+        .expect(200);
+
+      expect(response.body.added).toEqual([
+        { key: "timeout", value: 60 },
+        { key: "debug", value: true },
+      ]);
+    });
+
+    test("should reject imports that violate the service schema", async () => {
+      mockDb.execute.mockImplementation(async (sql) =>
+        sql.startsWith("SELECT schema_json")
+          ? [
+              [
+                {
+                  schema_json: JSON.stringify({
+                    properties: { timeout: { type: "integer" } },
+                    additionalProperties: false,
+                  }),
+                },
+              ],
+            ]
+          : [[], {}],
+      );
+
+      const response = await request(app)
+        .post("/import/api")
+        .send({ timeout: 60, typo: 1 })
+        .expect(400);
+
+      expect(response.body).toEqual({
+        error: "Configuration does not match schema",
+        errors: [{ key: "typo", path: "", message: "is not an allowed key" }],
+      });
+      expect(mockDb.getConnection).not.toHaveBeenCalled();
+    });
+
+    test("should reject invalid options and documents", async () => {
+      await request(app)
+        .post("/import/api?mode=overwrite")
+        .send({ a: 1 })
+        .expect(400);
+      await request(app)
+        .post("/import/api")
+        .set("Content-Type", "text/plain")
+        .send("a=1")
+        .expect(400);
+      await request(app)
+        .post("/import/api?format=yaml")
+        .set("Content-Type", "text/plain")
+        .send("- a\n- b\n")
+        .expect(400);
+      await request(app)
+        .post("/import/_global?env=prod")
+        .send({ a: 1 })
+        .expect(400);
+    });
+
+    test("should import several services at once", async () => {
+      const response = await request(app)
+        .post("/import")
+        .send({ api: { timeout: 60 }, web: { debug: true } })
+        .expect(200);
+
+      expect(response.body).toEqual({
+        environment: "default",
+        mode: "merge",
+        dryRun: false,
+        services: {
+          api: {
+            added: [{ key: "timeout", value: 60 }],
+            changed: [],
+            deleted: [],
+            unchanged: 0,
+            revision: 1,
+          },
+          web: {
+            added: [{ key: "debug", value: true }],
+            changed: [],
+            deleted: [],
+            unchanged: 0,
+            revision: 1,
+          },
+        },
+      });
+      expect(mockDb.commit).toHaveBeenCalledTimes(2);
+    });
+
+    test("should not write any service when one of them is invalid", async () => {
+      const response = await request(app)
+        .post("/import")
+        .send({ api: { timeout: 60 }, web: "debug" })
+        .expect(400);
+
+      expect(response.body.error).toBe(
+        "Import document must map service names to configurations",
+      );
+      expect(mockDb.getConnection).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,376 @@
+const { EventEmitter } = require("events");
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const {
+  dropLocal,
+  invalidateServices,
+  isDegraded,
+  readThrough,
+  useRedis,
+} = require("../cache");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+function loaded(config, dependencies = []) {
+  return jest.fn().mockResolvedValue({
+    etag: '"1.0"',
+    config,
+    dependencies,
+  });
+}
+
+describe("Configuration cache", () => {
+  let client;
+  let now;
+
+  beforeEach(() => {
+    client = global.testHelpers.createMockRedisClient();
+    useRedis(client);
+    now = Date.now();
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.CACHE_MEMORY_SIZE;
+  });
+
+  test("should serve repeated reads from memory", async () => {
+    const load = loaded({ timeout: 30 });
+
+    const first = await readThrough("api", "default", load);
+    const second = await readThrough("api", "default", load);
+
+    expect(first).toMatchObject({ source: "database", stale: false });
+    expect(second).toMatchObject({ source: "memory", stale: false });
+    expect(second.entry.config).toEqual({ timeout: 30 });
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(client.setEx).toHaveBeenCalledWith(
+      "config:api",
+      300,
+      JSON.stringify({ etag: '"1.0"', config: { timeout: 30 } }),
+    );
+  });
+
+  test("should fill memory from Redis", async () => {
+    client.get.mockResolvedValue(
+      JSON.stringify({
+        etag: '"2.0.abc"',
+        config: { url: "db" },
+        dependencies: ["shared"],
+      }),
+    );
+    const load = loaded({});
+
+    expect(await readThrough("api", "prod", load)).toMatchObject({
+      source: "redis",
+    });
+    expect(client.get).toHaveBeenCalledWith("config:api:prod");
+
+    dropLocal("shared");
+    client.get.mockResolvedValue(null);
+    await readThrough("api", "prod", load);
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  test("should coalesce concurrent misses into one load", async () => {
+    let finish;
+    const load = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          finish = () =>
+            resolve({ etag: '"1.0"', config: {}, dependencies: [] });
+        }),
+    );
+
+    const reads = [1, 2, 3].map(() => readThrough("api", "default", load));
+    await global.testHelpers.delay(0);
+    finish();
+    await Promise.all(reads);
+
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  test("should not cache loads overtaken by an invalidation", async () => {
+    let finish;
+    const load = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          finish = () =>
+            resolve({ etag: '"1.0"', config: { old: true }, dependencies: [] });
+        }),
+    );
+
+    const read = readThrough("api", "default", load);
+    await global.testHelpers.delay(0);
+    dropLocal("api");
+    finish();
+    await read;
+
+    expect(client.setEx).not.toHaveBeenCalled();
+    const fresh = loaded({ old: false });
+    await readThrough("api", "default", fresh);
+    expect(fresh).toHaveBeenCalledTimes(1);
+  });
+
+  test("should drop dependents and, for global defaults, everything", async () => {
+    await readThrough("api", "default", loaded({}, ["shared"]));
+    await readThrough("web", "default", loaded({}));
+
+    dropLocal("shared");
+    const api = loaded({});
+    const web = loaded({});
+    await readThrough("api", "default", api);
+    await readThrough("web", "default", web);
+    expect(api).toHaveBeenCalledTimes(1);
+    expect(web).not.toHaveBeenCalled();
+
+    dropLocal("_global");
+    await readThrough("web", "default", web);
+    expect(web).toHaveBeenCalledTimes(1);
+  });
+
+  test("should evict the least recently used configurations", async () => {
+    process.env.CACHE_MEMORY_SIZE = "2";
+    await readThrough("a", "default", loaded({}));
+    await readThrough("b", "default", loaded({}));
+    await readThrough("a", "default", loaded({}));
+    await readThrough("c", "default", loaded({}));
+
+    const a = loaded({});
+    const b = loaded({});
+    await readThrough("a", "default", a);
+    await readThrough("b", "default", b);
+    expect(a).not.toHaveBeenCalled();
+    expect(b).toHaveBeenCalledTimes(1);
+  });
+
+  test("should read from MySQL while Redis is down", async () => {
+    client.get.mockRejectedValue(new Error("Connection refused"));
+    client.setEx.mockRejectedValue(new Error("Connection refused"));
+    const load = loaded({ timeout: 30 });
+
+    expect(await readThrough("api", "default", load)).toMatchObject({
+      source: "database",
+      stale: false,
+    });
+    expect(isDegraded()).toBe(true);
+
+    // Memory may have missed changes, and Redis is left alone for a while
+    expect(await readThrough("api", "default", load)).toMatchObject({
+      source: "database",
+    });
+    expect(load).toHaveBeenCalledTimes(2);
+    expect(client.get).toHaveBeenCalledTimes(1);
+  });
+
+  test("should serve a stale copy when MySQL fails too", async () => {
+    await readThrough("api", "default", loaded({ timeout: 30 }));
+    client.get.mockRejectedValue(new Error("Connection refused"));
+    await readThrough("web", "default", loaded({}));
+    const failing = jest.fn().mockRejectedValue(new Error("MySQL is down"));
+
+    const read = await readThrough("api", "default", failing);
+
+    expect(read).toMatchObject({ source: "memory", stale: true });
+    expect(read.entry.config).toEqual({ timeout: 30 });
+    await expect(readThrough("worker", "default", failing)).rejects.toThrow(
+      "MySQL is down",
+    );
+  });
+
+  test("should serve expired copies when MySQL fails", async () => {
+    await readThrough("api", "default", loaded({ timeout: 30 }));
+    now += 61000;
+
+    const read = await readThrough(
+      "api",
+      "default",
+      jest.fn().mockRejectedValue(new Error("MySQL is down")),
+    );
+
+    expect(read).toMatchObject({ source: "memory", stale: true });
+  });
+
+  test("should catch up on invalidations once Redis is back", async () => {
+    client.del.mockRejectedValueOnce(new Error("Connection refused"));
+    await invalidateServices(["api", "web"]);
+    expect(isDegraded()).toBe(true);
+
+    await readThrough("api", "default", loaded({}));
+    expect(client.get).not.toHaveBeenCalled();
+
+    now += 5000;
+    await readThrough("api", "default", loaded({}));
+
+    expect(isDegraded()).toBe(false);
+    expect(client.del).toHaveBeenCalledWith("config:api");
+    expect(client.del).toHaveBeenCalledWith("config:web");
+    expect(client.scanIterator).toHaveBeenCalledWith({
+      MATCH: "config:web:*",
+      COUNT: 100,
+    });
+  });
+});
+
+describe("Cached routes", () => {
+  let mockDb;
+  let mockRedisClient;
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+
+    mockRedisClient = global.testHelpers.createMockRedisClient();
+    redis.createClient.mockReturnValue(mockRedisClient);
+
+    mockDb.execute.mockImplementation(async (sql) =>
+      sql.startsWith("SELECT service_name, environment, config_key")
+        ? [
+            [
+              {
+                service_name: "api",
+                environment: "default",
+                config_key: "timeout",
+                config_value: "30",
+                value_type: "number",
+                is_secret: 0,
+              },
+            ],
+          ]
+        : [[], {}],
+    );
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  test("should say which tier answered", async () => {
+    const miss = await request(app).get("/config/api").expect(200);
+    const hit = await request(app).get("/config/api").expect(200);
+
+    expect(miss.headers["x-cache-source"]).toBe("database");
+    expect(hit.headers["x-cache-source"]).toBe("memory");
+    expect(hit.headers["x-cache-stale"]).toBeUndefined();
+    expect(hit.body).toEqual({ timeout: 30 });
+  });
+
+  test("should keep serving reads while Redis and then MySQL fail", async () => {
+    await request(app).get("/config/api").expect(200);
+    mockRedisClient.get.mockRejectedValue(new Error("Connection refused"));
+
+    // Memory keeps answering until a miss finds Redis gone
+    await request(app).get("/config/web").expect(200);
+    const withoutRedis = await request(app).get("/config/api").expect(200);
+    expect(withoutRedis.headers["x-cache-source"]).toBe("database");
+
+    mockDb.execute.mockRejectedValue(new Error("Connection lost"));
+    const withoutEither = await request(app).get("/config/api").expect(200);
+    expect(withoutEither.headers["x-cache-source"]).toBe("memory");
+    expect(withoutEither.headers["x-cache-stale"]).toBe("true");
+    expect(withoutEither.body).toEqual({ timeout: 30 });
+  });
+
+  test("should clear memory when another replica changes a service", async () => {
+    await request(app).get("/config/api").expect(200);
+    const [, listener] = mockRedisClient.subscriber.subscribe.mock.calls[0];
+
+    listener(
+      JSON.stringify({
+        serviceName: "api",
+        revision: 2,
+        operation: "set",
+        changes: [{ environment: "default", key: "timeout" }],
+        timestamp: new Date().toISOString(),
+      }),
+    );
+
+    const response = await request(app).get("/config/api").expect(200);
+    expect(response.headers["x-cache-source"]).toBe("database");
+  });
+
+  test("should read around Redis once its connection reports an error", async () => {
+    await request(app).get("/config/api").expect(200);
+
+    // Emitting "error" throws unless somebody listens
+    const events = new EventEmitter();
+    for (const [event, listener] of mockRedisClient.on.mock.calls) {
+      events.on(event, listener);
+    }
+    events.emit("error", new Error("Socket closed unexpectedly"));
+
+    const withoutRedis = await request(app).get("/config/api").expect(200);
+    expect(withoutRedis.headers["x-cache-source"]).toBe("database");
+    expect(mockRedisClient.get).not.toHaveBeenCalledTimes(2);
+
+    mockDb.execute.mockRejectedValue(new Error("Connection lost"));
+    const withoutEither = await request(app).get("/config/api").expect(200);
+    expect(withoutEither.headers["x-cache-source"]).toBe("memory");
+    expect(withoutEither.headers["x-cache-stale"]).toBe("true");
+    expect(withoutEither.body).toEqual({ timeout: 30 });
+  });
+
+  test("should listen for errors of the subscriber connection", () => {
+    expect(mockRedisClient.subscriber.on).toHaveBeenCalledWith(
+      "error",
+      expect.any(Function),
+    );
+  });
+
+  test("should not wait for Redis to publish changes", async () => {
+    mockRedisClient.publish.mockReturnValue(new Promise(() => {}));
+
+    const startedAt = Date.now();
+    await request(app)
+      .post("/config/api")
+      .send({ key: "timeout", value: 60 })
+      .expect(200);
+    expect(Date.now() - startedAt).toBeLessThan(2000);
+  });
+
+  test("should start without Redis and connect once it is reachable", async () => {
+    process.env.CACHE_REDIS_CONNECT_TIMEOUT = "50";
+    const exit = jest.spyOn(process, "exit").mockImplementation(() => {});
+    let connected;
+    mockRedisClient.connect.mockReturnValue(
+      new Promise((resolve) => {
+        connected = resolve;
+      }),
+    );
+    delete require.cache[require.resolve("../index")];
+    const appModule = require("../index");
+
+    try {
+      await appModule.initializeConnections();
+      expect(exit).not.toHaveBeenCalled();
+
+      const response = await request(appModule.app)
+        .get("/config/api")
+        .expect(200);
+      expect(response.headers["x-cache-source"]).toBe("database");
+
+      connected();
+      await global.testHelpers.delay(0);
+      expect(mockRedisClient.subscriber.subscribe).toHaveBeenCalled();
+    } finally {
+      delete process.env.CACHE_REDIS_CONNECT_TIMEOUT;
+    }
+  });
+
+  test("should still answer writes while Redis is down", async () => {
+    mockRedisClient.del.mockRejectedValue(new Error("Connection refused"));
+
+    await request(app)
+      .post("/config/api")
+      .send({ key: "timeout", value: 60 })
+      .expect(200);
+  });
+});
@@ -0,0 +1,280 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const { ConfigClient } = require("../client");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+function row(key, value, type) {
+  return {
+    service_name: "api",
+    environment: "default",
+    config_key: key,
+    config_value: value,
+    value_type: type,
+    is_secret: 0,
+  };
+}
+
+describe("ConfigClient", () => {
+  let mockDb;
+  let mockRedisClient;
+  let server;
+  let url;
+  let rows;
+  let revision;
+  let directory;
+  let client;
+
+  // Change the stored configuration as a write through another replica
+  // would, announcing it on the change channel
+  function publishChange(changedRows) {
+    rows = changedRows;
+    revision++;
+    const [, listener] = mockRedisClient.subscriber.subscribe.mock.calls[0];
+    listener(
+      JSON.stringify({
+        serviceName: "api",
+        revision,
+        operation: "set",
+        changes: [{ environment: "default", key: "timeout" }],
+        timestamp: new Date().toISOString(),
+      }),
+    );
+  }
+
+  function createClient(options = {}) {
+    client = new ConfigClient({
+      url,
+      serviceName: "api",
+      refresh: false,
+      ...options,
+    });
+    return client;
+  }
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+
+    mockRedisClient = global.testHelpers.createMockRedisClient();
+    redis.createClient.mockReturnValue(mockRedisClient);
+
+    rows = [
+      row("timeout", "30", "number"),
+      row("debug", "true", "boolean"),
+      row("name", "api", "string"),
+      row("limits", '{"rps":10}', "json"),
+    ];
+    revision = 1;
+    mockDb.execute.mockImplementation(async (sql, params) => {
+      if (sql.startsWith("SELECT revision FROM service_revisions")) {
+        return params[0] === "api" ? [[{ revision }]] : [[]];
+      }
+      if (sql.startsWith("SELECT service_name, environment, config_key")) {
+        return [rows];
+      }
+      return [[], {}];
+    });
+
+    const appModule = require("../index");
+    await appModule.initializeConnections();
+    server = await new Promise((resolve) => {
+      const listening = appModule.app.listen(0, "127.0.0.1", () =>
+        resolve(listening),
+      );
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "config-client-"));
+  });
+
+  afterEach(async () => {
+    if (client) {
+      client.stop();
+      client = null;
+    }
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("should require a URL and a service name", () => {
+    expect(() => new ConfigClient({ url })).toThrow(
+      "url and serviceName are required",
+    );
+    expect(
+      () => new ConfigClient({ url, serviceName: "api", refresh: "push" }),
+    ).toThrow('refresh must be "watch", "poll" or false');
+  });
+
+  test("should fetch the configuration with typed getters", async () => {
+    await createClient().start();
+
+    expect(client.source).toBe("service");
+    expect(client.stale).toBe(false);
+    expect(client.etag).toBe('"1.0"');
+    expect(client.all()).toEqual({
+      timeout: 30,
+      debug: true,
+      name: "api",
+      limits: { rps: 10 },
+    });
+
+    expect(client.getNumber("timeout", 5)).toBe(30);
+    expect(client.getBoolean("debug", false)).toBe(true);
+    expect(client.getString("name", "x")).toBe("api");
+    expect(client.getJSON("limits", {})).toEqual({ rps: 10 });
+    expect(client.get("missing", "fallback")).toBe("fallback");
+    expect(client.getString("timeout", "default")).toBe("default");
+    expect(client.getNumber("name", 5)).toBe(5);
+    expect(client.getBoolean("limits", false)).toBe(false);
+  });
+
+  test("should coerce untyped string values", async () => {
+    rows = [row("port", "8080", "string"), row("enabled", "false", "string")];
+    await createClient().start();
+
+    expect(client.getNumber("port")).toBe(8080);
+    expect(client.getBoolean("enabled", true)).toBe(false);
+  });
+
+  test("should send the API key and environment", async () => {
+    process.env.AUTH_ENABLED = "true";
+    process.env.CONFIG_ADMIN_API_KEY = "bootstrap-key";
+    try {
+      await expect(createClient().start()).rejects.toThrow(
+        "Configuration service responded with 401",
+      );
+      await createClient({
+        apiKey: "bootstrap-key",
+        environment: "staging",
+      }).start();
+    } finally {
+      process.env.AUTH_ENABLED = "false";
+      delete process.env.CONFIG_ADMIN_API_KEY;
+    }
+
+    expect(client.getNumber("timeout")).toBe(30);
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      expect.stringContaining("SELECT service_name, environment, config_key"),
+      expect.arrayContaining(["staging"]),
+    );
+  });
+
+  test("should name its instance on reads and in heartbeats", async () => {
+    createClient({ refresh: "watch", heartbeatInterval: 20 });
+    await client.start();
+    await new Promise((resolve) => {
+      const heartbeat = client.heartbeat.bind(client);
+      jest.spyOn(client, "heartbeat").mockImplementation(async () => {
+        await heartbeat();
+        resolve();
+      });
+    });
+
+    const recorded = mockDb.execute.mock.calls.filter(([sql]) =>
+      sql.startsWith("INSERT INTO config_consumers"),
+    );
+    expect(recorded[0][1]).toEqual(
+      expect.arrayContaining(["api", "default", os.hostname(), 1, '"1.0"']),
+    );
+    expect(recorded[recorded.length - 1][0]).not.toContain("last_fetch_at =");
+    expect(recorded[recorded.length - 1][1][4]).toBe('"1.0"');
+
+    client.stop();
+    mockDb.execute.mockClear();
+    await createClient({ instance: false }).start();
+    expect(mockDb.execute).not.toHaveBeenCalledWith(
+      expect.stringContaining("config_consumers"),
+      expect.anything(),
+    );
+  });
+
+  test("should emit change events on refresh and skip unchanged ones", async () => {
+    await createClient().start();
+    const changes = [];
+    client.on("change", (change) => changes.push(change));
+
+    expect(await client.refresh()).toBe(false);
+    expect(changes).toEqual([]);
+
+    publishChange([
+      row("timeout", "60", "number"),
+      row("name", "api", "string"),
+    ]);
+    expect(await client.refresh()).toBe(true);
+
+    expect(changes).toEqual([
+      { key: "timeout", value: 60, previous: 30 },
+      { key: "debug", value: undefined, previous: true },
+      { key: "limits", value: undefined, previous: { rps: 10 } },
+    ]);
+    expect(client.etag).toBe('"2.0"');
+  });
+
+  test("should fall back to the last-known-good file", async () => {
+    const cacheFile = path.join(directory, "api.json");
+    await createClient({ cacheFile }).start();
+    expect(JSON.parse(fs.readFileSync(cacheFile, "utf8"))).toMatchObject({
+      serviceName: "api",
+      environment: null,
+      etag: '"1.0"',
+      config: { timeout: 30 },
+    });
+    client.stop();
+
+    const offline = `http://127.0.0.1:1`;
+    client = new ConfigClient({
+      url: offline,
+      serviceName: "api",
+      refresh: false,
+      cacheFile,
+    });
+    await client.start();
+    expect(client.source).toBe("file");
+    expect(client.stale).toBe(true);
+    expect(client.getNumber("timeout")).toBe(30);
+
+    const other = new ConfigClient({
+      url: offline,
+      serviceName: "web",
+      refresh: false,
+      cacheFile,
+    });
+    await expect(other.start()).rejects.toThrow();
+  });
+
+  test("should refresh by polling", async () => {
+    await createClient({ refresh: "poll", pollInterval: 20 }).start();
+
+    const change = new Promise((resolve) => client.once("change", resolve));
+    publishChange([row("timeout", "45", "number")]);
+
+    expect(await change).toEqual({ key: "timeout", value: 45, previous: 30 });
+  });
+
+  test("should refresh when the service changes while watching", async () => {
+    createClient({ refresh: "watch" });
+    const refresh = jest.spyOn(client, "refresh");
+    await client.start();
+
+    // The stream is open once its ready event made the client refresh
+    for (let i = 0; i < 200 && refresh.mock.calls.length < 2; i++) {
+      await global.testHelpers.delay(5);
+    }
+    expect(refresh).toHaveBeenCalledTimes(2);
+
+    const change = new Promise((resolve) => client.once("change", resolve));
+    publishChange([row("timeout", "90", "number")]);
+
+    expect(await change).toEqual({ key: "timeout", value: 90, previous: 30 });
+  });
+});
@@ -0,0 +1,177 @@
+const request = require("supertest");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+const DAY = 86400 * 1000;
+
+describe("Consumer registry", () => {
+  let app;
+
+  function setConfig(key, value) {
+    return request(app)
+      .post("/config/api?env=prod")
+      .send({ key, value })
+      .expect(200);
+  }
+
+  function fetchAs(instance, etag) {
+    const call = request(app).get(`/config/api?env=prod&instance=${instance}`);
+    return etag ? call.set("If-None-Match", etag) : call;
+  }
+
+  async function consumers(query = "") {
+    const response = await request(app)
+      .get(`/config/api/consumers${query}`)
+      .expect(200);
+    return response.body;
+  }
+
+  beforeEach(async () => {
+    app = (await global.testHelpers.startMemoryApp()).app;
+    await setConfig("timeout", 30);
+  });
+
+  afterEach(() => {
+    delete process.env.CONSUMER_TIMEOUT;
+  });
+
+  test("should track the revision every instance holds", async () => {
+    const first = await fetchAs("api-7d9f-abc").expect(200);
+    await fetchAs("api-7d9f-xyz").expect(200);
+    await request(app).get("/config/api?env=prod").expect(200);
+
+    expect(await consumers()).toEqual({
+      serviceName: "api",
+      consumers: [
+        expect.objectContaining({
+          instance: "api-7d9f-abc",
+          environment: "prod",
+          revision: 1,
+          etag: first.headers.etag,
+          lastFetchAt: expect.any(String),
+          lastSeenAt: expect.any(String),
+          stale: false,
+          inactive: false,
+        }),
+        expect.objectContaining({ instance: "api-7d9f-xyz", stale: false }),
+      ],
+      stale: 0,
+      inactive: 0,
+    });
+
+    // One instance picks the change up, the other does not
+    await setConfig("timeout", 60);
+    const second = await fetchAs("api-7d9f-abc", first.headers.etag).expect(
+      200,
+    );
+    await fetchAs("api-7d9f-abc", second.headers.etag).expect(304);
+
+    const listed = await consumers("?env=prod");
+    expect(
+      listed.consumers.map(({ instance, revision, stale }) => [
+        instance,
+        revision,
+        stale,
+      ]),
+    ).toEqual([
+      ["api-7d9f-abc", 2, false],
+      ["api-7d9f-xyz", 1, true],
+    ]);
+    expect(listed.stale).toBe(1);
+    expect((await consumers("?env=staging")).consumers).toEqual([]);
+  });
+
+  test("should record instances reading a release", async () => {
+    await request(app)
+      .post("/config/api/releases")
+      .send({ name: "v1" })
+      .expect(201);
+    await setConfig("timeout", 60);
+
+    const { headers } = await request(app)
+      .get("/config/api?env=prod&release=v1&instance=api-1")
+      .expect(200);
+    expect((await consumers()).consumers).toEqual([
+      expect.objectContaining({
+        instance: "api-1",
+        revision: 1,
+        etag: headers.etag,
+        stale: true,
+      }),
+    ]);
+
+    for (const query of ["revision=1", "at=2024-01-01T00:00:00Z"]) {
+      await request(app)
+        .get(`/config/api?env=prod&${query}&instance=api-2`)
+        .expect(400);
+    }
+    expect((await consumers()).consumers).toHaveLength(1);
+  });
+
+  test("should record heartbeats with the ETag an instance holds", async () => {
+    const { headers } = await request(app)
+      .get("/config/api?env=prod")
+      .expect(200);
+
+    await request(app)
+      .post("/config/api/consumers/heartbeat?env=prod")
+      .send({ instance: "worker-1" })
+      .expect(200);
+    let [consumer] = (await consumers()).consumers;
+    expect(consumer).toMatchObject({
+      instance: "worker-1",
+      revision: null,
+      etag: null,
+      lastFetchAt: null,
+      stale: true,
+    });
+
+    await request(app)
+      .post("/config/api/consumers/heartbeat?env=prod")
+      .send({ instance: "worker-1", etag: `W/${headers.etag}` })
+      .expect(200);
+    [consumer] = (await consumers()).consumers;
+    expect(consumer).toMatchObject({
+      revision: 1,
+      etag: headers.etag,
+      lastFetchAt: null,
+      stale: false,
+    });
+
+    for (const body of [
+      {},
+      { instance: "bad instance" },
+      { instance: "worker-1", etag: "abc" },
+    ]) {
+      await request(app)
+        .post("/config/api/consumers/heartbeat?env=prod")
+        .send(body)
+        .expect(400);
+    }
+    await fetchAs("a/b").expect(400);
+  });
+
+  test("should flag instances that stopped checking in, then forget them", async () => {
+    process.env.CONSUMER_TIMEOUT = "60";
+    await fetchAs("api-1").expect(200);
+
+    jest.useFakeTimers({ now: Date.now() + 120000, doNotFake: ["nextTick"] });
+    try {
+      await fetchAs("api-2").expect(200);
+      const listed = await consumers();
+      expect(
+        listed.consumers.map(({ instance, inactive }) => [instance, inactive]),
+      ).toEqual([
+        ["api-1", true],
+        ["api-2", false],
+      ]);
+      expect(listed.inactive).toBe(1);
+
+      jest.setSystemTime(Date.now() + 8 * DAY);
+      expect((await consumers()).consumers).toEqual([]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,376 @@
+const crypto = require("crypto");
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const { diffConfigs, renderUnified } = require("../diff");
+const { MASK, encrypt } = require("../secrets");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+function entry(value, type = "string", secret = false, layer = "service") {
+  return { value, type, secret, layer };
+}
+
+describe("Configuration diffs", () => {
+  test("should report added, removed and changed keys", () => {
+    const diff = diffConfigs(
+      {
+        timeout: entry(30, "number"),
+        debug: entry(true, "boolean"),
+        hosts: entry(["a", "b"], "json"),
+        legacy: entry("yes"),
+      },
+      {
+        timeout: entry(60, "number", false, "environment"),
+        debug: entry(true, "boolean"),
+        hosts: entry(["a", "b"], "json"),
+        region: entry("eu"),
+      },
+    );
+
+    expect(diff).toEqual({
+      added: [{ key: "region", ...entry("eu") }],
+      removed: [{ key: "legacy", ...entry("yes") }],
+      changed: [
+        {
+          key: "timeout",
+          from: entry(30, "number"),
+          to: entry(60, "number", false, "environment"),
+        },
+      ],
+      unknown: [],
+      unchanged: 2,
+    });
+  });
+
+  test("should compare secrets without showing them", () => {
+    const diff = diffConfigs(
+      {
+        password: entry("old", "string", true),
+        token: entry("t", "string", true),
+      },
+      {
+        password: entry("new", "string", true),
+        token: entry("t", "string", true),
+      },
+    );
+
+    expect(diff.changed).toEqual([
+      {
+        key: "password",
+        from: entry(MASK, "string", true),
+        to: entry(MASK, "string", true),
+      },
+    ]);
+    expect(diff.unchanged).toBe(1);
+  });
+
+  test("should not compare masked secrets", () => {
+    const from = {
+      password: entry(MASK, "string", true),
+      token: entry(MASK, "string", true),
+      pin: entry(MASK, "string", true),
+    };
+    const to = {
+      password: entry(MASK, "string", true),
+      token: entry("plain"),
+      pin: entry(MASK, "number", true),
+    };
+    const diff = diffConfigs(from, to, { compareSecrets: false });
+
+    expect(diff.unknown).toEqual([
+      {
+        key: "password",
+        from: entry(MASK, "string", true),
+        to: entry(MASK, "string", true),
+      },
+    ]);
+    expect(diff.changed.map(({ key }) => key)).toEqual(["pin", "token"]);
+    expect(diff.unchanged).toBe(0);
+    expect(
+      renderUnified(from, to, {
+        fromLabel: "a",
+        toLabel: "b",
+        compareSecrets: false,
+      }),
+    ).toBe(
+      [
+        "--- a",
+        "+++ b",
+        "@@ -1,3 +1,3 @@",
+        ' password: "********"',
+        '-pin: "********"',
+        '+pin: "********"',
+        '-token: "********"',
+        '+token: "plain"',
+        "",
+      ].join("\n"),
+    );
+  });
+
+  test("should render a unified diff with context", () => {
+    const from = {};
+    const to = {};
+    for (const key of ["a", "b", "c", "d", "e", "f", "g", "h", "i", "j"]) {
+      from[key] = entry(1, "number");
+      to[key] = entry(1, "number");
+    }
+    to.b = entry(2, "number");
+    delete to.j;
+    to.k = entry("new");
+
+    expect(
+      renderUnified(from, to, { fromLabel: "api", toLabel: "api [prod]" }),
+    ).toBe(
+      [
+        "--- api",
+        "+++ api [prod]",
+        "@@ -1,5 +1,5 @@",
+        " a: 1",
+        "-b: 1",
+        "+b: 2",
+        " c: 1",
+        " d: 1",
+        " e: 1",
+        "@@ -7,4 +7,4 @@",
+        " g: 1",
+        " h: 1",
+        " i: 1",
+        "-j: 1",
+        '+k: "new"',
+        "",
+      ].join("\n"),
+    );
+  });
+
+  test("should render nothing for identical configurations", () => {
+    const config = { timeout: entry(30, "number") };
+    expect(
+      renderUnified(config, config, { fromLabel: "a", toLabel: "b" }),
+    ).toBe("");
+    expect(renderUnified({}, config, { fromLabel: "a", toLabel: "b" })).toBe(
+      "--- a\n+++ b\n@@ -0,0 +1,1 @@\n+timeout: 30\n",
+    );
+  });
+});
+
+describe("Diff endpoint", () => {
+  let mockDb;
+  let app;
+  let rows;
+
+  function row(serviceName, environment, key, value, type = "string") {
+    return {
+      service_name: serviceName,
+      environment,
+      config_key: key,
+      config_value: value,
+      value_type: type,
+      is_secret: 0,
+    };
+  }
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+    process.env.CONFIG_MASTER_KEY = crypto.randomBytes(32).toString("base64");
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+    redis.createClient.mockReturnValue(
+      global.testHelpers.createMockRedisClient(),
+    );
+
+    rows = [
+      row("_global", "default", "region", "eu"),
+      row("api", "default", "timeout", "30", "number"),
+      row("api", "default", "debug", "false", "boolean"),
+      row("api", "staging", "debug", "true", "boolean"),
+      { ...row("api", "default", "password", encrypt("one")), is_secret: 1 },
+      { ...row("api", "staging", "password", encrypt("two")), is_secret: 1 },
+      row("web", "default", "timeout", "${api.timeout}"),
+    ];
+    mockDb.execute.mockImplementation(async (sql, params) => {
+      if (sql.startsWith("SELECT service_name, environment, config_key")) {
+        return [
+          rows.filter(
+            (candidate) =>
+              params.slice(0, 2).includes(candidate.service_name) &&
+              params.slice(2).includes(candidate.environment),
+          ),
+        ];
+      }
+      if (sql.startsWith("SELECT revision FROM service_revisions")) {
+        return [[{ revision: 3 }]];
+      }
+      if (sql.includes("FROM config_revisions r")) {
+        return [
+          params[0] === "api"
+            ? [
+                {
+                  environment: "default",
+                  config_key: "timeout",
+                  config_value: "10",
+                  value_type: "number",
+                  is_secret: 0,
+                },
+              ]
+            : [],
+        ];
+      }
+      return [[], {}];
+    });
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  afterEach(() => {
+    delete process.env.CONFIG_MASTER_KEY;
+    delete process.env.SECRETS_REVEAL_TOKEN;
+  });
+
+  test("should compare two environments of a service", async () => {
+    process.env.SECRETS_REVEAL_TOKEN = "let-me-see";
+    const response = await request(app)
+      .get("/diff?from=api&toEnv=staging")
+      .set("X-Reveal-Token", "let-me-see")
+      .expect(200);
+
+    expect(response.body).toEqual({
+      from: {
+        serviceName: "api",
+        environment: "default",
+        revision: null,
+        at: null,
+      },
+      to: {
+        serviceName: "api",
+        environment: "staging",
+        revision: null,
+        at: null,
+      },
+      added: [],
+      removed: [],
+      changed: [
+        {
+          key: "debug",
+          from: {
+            value: false,
+            type: "boolean",
+            secret: false,
+            layer: "service",
+          },
+          to: {
+            value: true,
+            type: "boolean",
+            secret: false,
+            layer: "environment",
+          },
+        },
+        {
+          key: "password",
+          from: { value: MASK, type: "string", secret: true, layer: "service" },
+          to: {
+            value: MASK,
+            type: "string",
+            secret: true,
+            layer: "environment",
+          },
+        },
+      ],
+      unknown: [],
+      unchanged: 2,
+    });
+  });
+
+  test("should only compare secrets for callers allowed to reveal them", async () => {
+    const response = await request(app)
+      .get("/diff?from=api&toEnv=staging")
+      .expect(200);
+
+    expect(response.body.changed.map(({ key }) => key)).toEqual(["debug"]);
+    expect(response.body.unknown).toEqual([
+      {
+        key: "password",
+        from: { value: MASK, type: "string", secret: true, layer: "service" },
+        to: {
+          value: MASK,
+          type: "string",
+          secret: true,
+          layer: "environment",
+        },
+      },
+    ]);
+  });
+
+  test("should compare services with references as written", async () => {
+    const response = await request(app)
+      .get("/diff?from=api&to=web&format=text")
+      .expect(200);
+
+    expect(response.headers["content-type"]).toMatch(/^text\/plain/);
+    expect(response.text).toBe(
+      [
+        "--- api [default]",
+        "+++ web [default]",
+        "@@ -1,4 +1,2 @@",
+        "-debug: false",
+        '-password: "********"',
+        ' region: "eu"',
+        "-timeout: 30",
+        '+timeout: "${api.timeout}"',
+        "",
+      ].join("\n"),
+    );
+  });
+
+  test("should compare a past revision with the current state", async () => {
+    const response = await request(app)
+      .get("/diff?from=api&fromRevision=2")
+      .expect(200);
+
+    expect(response.body.from.revision).toBe(2);
+    expect(response.body.added.map(({ key }) => key)).toEqual([
+      "debug",
+      "password",
+      "region",
+    ]);
+    expect(response.body.changed).toEqual([
+      expect.objectContaining({
+        key: "timeout",
+        from: expect.objectContaining({ value: 10 }),
+        to: expect.objectContaining({ value: 30 }),
+      }),
+    ]);
+
+    await request(app).get("/diff?from=api&fromRevision=9").expect(404);
+  });
+
+  test("should reject invalid sources", async () => {
+    const cases = [
+      ["/diff", "from must name a service"],
+      [
+        "/diff?from=api&toEnv=bad env",
+        "toEnv must be a valid environment name",
+      ],
+      [
+        "/diff?from=api&fromRevision=0",
+        "fromRevision must be a positive integer",
+      ],
+      ["/diff?from=api&toAt=yesterday", "toAt must be a valid timestamp"],
+      [
+        "/diff?from=api&fromRevision=1&fromAt=2024-01-01",
+        "fromRevision and fromAt cannot be combined",
+      ],
+      ["/diff?from=api&format=xml", "format must be json or text"],
+    ];
+    for (const [url, error] of cases) {
+      const response = await request(app).get(url).expect(400);
+      expect(response.body.error).toBe(error);
+    }
+  });
+});
@@ -0,0 +1,323 @@
+const redis = require("redis");
+
+const { createStorage } = require("../drivers/storage");
+const { createCache } = require("../drivers/cache");
+const { globPattern } = require("../drivers/cache/memory");
+const { parseListing } = require("../listing");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The memory driver is SQLite in memory, and the mysql driver runs the same
+// queries in its own dialect
+describe("Storage repositories", () => {
+  let db;
+
+  beforeEach(async () => {
+    db = createStorage("memory");
+    await db.migrate();
+  });
+
+  afterEach(async () => {
+    await db.end();
+  });
+
+  function set(serviceName, key, value, options = {}) {
+    return db.configurations.set({
+      serviceName,
+      environment: "default",
+      key,
+      value,
+      type: "string",
+      secret: false,
+      ...options,
+    });
+  }
+
+  test("should migrate twice", async () => {
+    await db.migrate();
+
+    expect(await db.configurations.forService("api")).toEqual([]);
+  });
+
+  test("should upsert and bump updated_at", async () => {
+    await set("api", "url", "http://a");
+    const [before] = await db.configurations.list(parseListing({}), {
+      limit: 10,
+    });
+    expect(before.updated_at).toBeInstanceOf(Date);
+
+    await sleep(10);
+    await set("api", "url", "http://b", { secret: true });
+    const rows = await db.configurations.list(parseListing({}), {
+      limit: 10,
+    });
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      id: before.id,
+      config_value: "http://b",
+      is_secret: 1,
+    });
+    expect(rows[0].updated_at.getTime()).toBeGreaterThan(
+      before.updated_at.getTime(),
+    );
+  });
+
+  test("should return null for duplicates", async () => {
+    const protection = {
+      serviceName: "api",
+      environment: "prod",
+      keyPattern: "db.*",
+      createdBy: null,
+    };
+    const id = await db.protections.insert(protection);
+
+    expect(id).toEqual(expect.any(Number));
+    expect(await db.protections.insert(protection)).toBeNull();
+    expect(await db.protections.get(id)).toMatchObject({
+      key_pattern: "db.*",
+      created_at: expect.any(Date),
+    });
+  });
+
+  test("should roll transactions back while others wait", async () => {
+    await set("api", "kept", "1");
+
+    let outside;
+    await expect(
+      db.transaction(async (tx) => {
+        await tx.configurations.remove("api", "default", "kept");
+        await tx.configurations.set({
+          serviceName: "api",
+          environment: "default",
+          key: "dropped",
+          value: "2",
+          type: "string",
+          secret: false,
+        });
+        outside = db.configurations.forService("api");
+        throw new Error("abort");
+      }),
+    ).rejects.toThrow("abort");
+
+    const rows = await outside;
+    expect(rows.map((row) => row.config_key)).toEqual(["kept"]);
+  });
+
+  test("should filter, order and page listings", async () => {
+    await set("api", "db.host", "a");
+    await set("api", "db_port", "b");
+    await set("api", "cache", "c");
+    await set("web", "db.host", "d");
+    await set("apix", "db.user", "e");
+
+    const listing = parseListing({ service: "api", key: "db.*" });
+    const rows = await db.configurations.list(listing, { limit: 2 });
+    expect(rows.map((row) => [row.service_name, row.config_key])).toEqual([
+      ["api", "db.host"],
+      ["apix", "db.user"],
+    ]);
+
+    const next = await db.configurations.list(
+      { ...listing, after: ["api", "db.host", rows[0].id] },
+      { limit: 2 },
+    );
+    expect(next.map((row) => row.service_name)).toEqual(["apix"]);
+
+    const summary = await db.configurations.list(
+      parseListing({ summary: "true", order: "desc" }),
+      { limit: 10 },
+    );
+    expect(summary).toEqual([
+      expect.objectContaining({ service_name: "web", key_count: 1 }),
+      expect.objectContaining({ service_name: "apix", key_count: 1 }),
+      expect.objectContaining({
+        service_name: "api",
+        key_count: 3,
+        environment_count: 1,
+        last_modified: expect.any(Date),
+      }),
+    ]);
+  });
+
+  test("should match LIKE wildcards literally", async () => {
+    await set("api", "url", "${user_service.url}");
+    await set("web", "url", "${userXservice.url}");
+    await set("cron", "url", "100% ${user_service.url}", { secret: true });
+
+    expect(
+      await db.configurations.servicesContaining("${user_service."),
+    ).toEqual(["api"]);
+    expect(await db.configurations.servicesContaining("100%")).toEqual([]);
+  });
+
+  test("should keep the previous key secret for its grace period", async () => {
+    await db.apiKeys.insert({
+      id: "k1",
+      name: "ci",
+      role: "reader",
+      services: JSON.stringify(["*"]),
+      secretHash: "old",
+    });
+
+    expect(await db.apiKeys.rotate("k1", "new", 60)).toBe(true);
+    expect(await db.apiKeys.find("k1")).toMatchObject({
+      secret_hash: "new",
+      previous_secret_hash: "old",
+    });
+    expect(Boolean((await db.apiKeys.find("k1")).previous_valid)).toBe(true);
+
+    expect(await db.apiKeys.rotate("k1", "newer", 0)).toBe(true);
+    expect(await db.apiKeys.find("k1")).toMatchObject({
+      secret_hash: "newer",
+      previous_secret_hash: null,
+    });
+    expect(Boolean((await db.apiKeys.find("k1")).previous_valid)).toBe(false);
+
+    expect(await db.apiKeys.revoke("k1")).toBe(true);
+    expect(await db.apiKeys.find("k1")).toBeNull();
+    expect(await db.apiKeys.rotate("k1", "newest", 0)).toBe(false);
+  });
+
+  test("should reseal secrets that did not change", async () => {
+    await set("api", "password", "enc:v1:old:a", { secret: true });
+    await set("api", "token", "enc:v1:new:b", { secret: true });
+    await set("api", "plain", "enc:v1:old:c");
+
+    const sealed = await db.secrets.sealed("configurations", {
+      skip: "enc:v1:new:",
+      after: 0,
+      limit: 10,
+    });
+    expect(sealed).toEqual([
+      { id: expect.any(Number), stored: "enc:v1:old:a" },
+    ]);
+
+    const [{ id }] = sealed;
+    expect(
+      await db.secrets.reseal("configurations", id, "enc:v1:other:a", "x"),
+    ).toBe(false);
+    expect(
+      await db.secrets.reseal(
+        "configurations",
+        id,
+        "enc:v1:old:a",
+        "enc:v1:new:a",
+      ),
+    ).toBe(true);
+    expect(
+      await db.secrets.sealed("configurations", {
+        skip: "enc:v1:new:",
+        after: 0,
+        limit: 10,
+      }),
+    ).toEqual([]);
+  });
+});
+
+describe("Storage drivers", () => {
+  test("should refuse unknown drivers", () => {
+    expect(() => createStorage("oracle")).toThrow(
+      'Unknown STORAGE_DRIVER "oracle"',
+    );
+  });
+
+  test("should explain how to install better-sqlite3", () => {
+    jest.isolateModules(() => {
+      jest.doMock("better-sqlite3", () => {
+        throw new Error("Cannot find module 'better-sqlite3'");
+      });
+      const { createStorage } = require("../drivers/storage/sqlite");
+
+      expect(() => createStorage({ path: ":memory:" })).toThrow(
+        /npm install better-sqlite3/,
+      );
+    });
+  });
+});
+
+describe("Redis cache driver", () => {
+  afterEach(() => {
+    delete process.env.REDIS_HOST;
+    delete process.env.REDIS_PORT;
+  });
+
+  test("should connect to REDIS_HOST and REDIS_PORT", () => {
+    process.env.REDIS_HOST = "cache.internal";
+    process.env.REDIS_PORT = "6380";
+
+    createCache("redis");
+
+    expect(redis.createClient).toHaveBeenCalledWith({
+      socket: { host: "cache.internal", port: 6380 },
+      disableOfflineQueue: true,
+    });
+  });
+
+  test("should default to localhost:6379", () => {
+    createCache("redis");
+
+    expect(redis.createClient).toHaveBeenLastCalledWith({
+      socket: { host: "localhost", port: 6379 },
+      disableOfflineQueue: true,
+    });
+  });
+});
+
+describe("Memory cache driver", () => {
+  let client;
+
+  beforeEach(async () => {
+    client = createCache("memory");
+    await client.connect();
+  });
+
+  test("should match keys like Redis globs", async () => {
+    expect(globPattern("config:api:*").test("config:api:prod")).toBe(true);
+    expect(globPattern("config:api").test("config:api:prod")).toBe(false);
+    expect(globPattern("a?c\\*").test("abc*")).toBe(true);
+    expect(globPattern("a?c\\*").test("abcd")).toBe(false);
+
+    await client.setEx("config:api", 60, "1");
+    await client.setEx("config:api:prod", 60, "2");
+    await client.setEx("config:web", 60, "3");
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: "config:api*" })) {
+      keys.push(key);
+    }
+    expect(keys).toEqual(["config:api", "config:api:prod"]);
+    expect(await client.del("config:api", "config:none")).toBe(1);
+    expect(await client.get("config:api")).toBeNull();
+  });
+
+  test("should expire keys", async () => {
+    jest.useFakeTimers({ now: 0 });
+    try {
+      await client.setEx("key", 1, "value");
+      expect(await client.get("key")).toBe("value");
+      jest.setSystemTime(1000);
+      expect(await client.get("key")).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("should deliver messages to subscribers of duplicates", async () => {
+    const subscriber = client.duplicate();
+    const messages = [];
+    await subscriber.subscribe("changes", (message) => messages.push(message));
+
+    expect(await client.publish("changes", "hello")).toBe(1);
+    await subscriber.quit();
+    expect(await client.publish("changes", "again")).toBe(0);
+    expect(messages).toEqual(["hello"]);
+  });
+
+  test("should refuse unknown drivers", () => {
+    expect(() => createCache("memcached")).toThrow(
+      'Unknown CACHE_DRIVER "memcached"',
+    );
+  });
+});
@@ -0,0 +1,259 @@
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const {
+  cacheKey,
+  flatten,
+  invalidationPatterns,
+  parseEnvironment,
+  resolveLayers,
+} = require("../environments");
+const { globPattern } = require("../drivers/cache/memory");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+const rows = [
+  {
+    serviceName: "_global",
+    environment: "default",
+    key: "region",
+    value: "eu",
+  },
+  {
+    serviceName: "_global",
+    environment: "default",
+    key: "timeout",
+    value: "10",
+  },
+  { serviceName: "api", environment: "default", key: "timeout", value: "30" },
+  { serviceName: "api", environment: "default", key: "debug", value: "true" },
+  { serviceName: "api", environment: "prod", key: "debug", value: "false" },
+  {
+    serviceName: "api",
+    environment: "staging",
+    key: "debug",
+    value: "verbose",
+  },
+  { serviceName: "web", environment: "default", key: "timeout", value: "5" },
+];
+
+describe("Environment layers", () => {
+  test("should resolve global, service and environment layers in order", () => {
+    expect(resolveLayers(rows, "api", "prod")).toEqual({
+      region: { value: "eu", layer: "global" },
+      timeout: { value: "30", layer: "service" },
+      debug: { value: "false", layer: "environment" },
+    });
+  });
+
+  test("should ignore overrides of other environments and services", () => {
+    expect(flatten(resolveLayers(rows, "api", "default"))).toEqual({
+      region: "eu",
+      timeout: "30",
+      debug: "true",
+    });
+    expect(flatten(resolveLayers(rows, "web", "prod"))).toEqual({
+      region: "eu",
+      timeout: "5",
+    });
+  });
+
+  test("should fall back to the service default for unknown environments", () => {
+    expect(flatten(resolveLayers(rows, "api", "qa"))).toEqual({
+      region: "eu",
+      timeout: "30",
+      debug: "true",
+    });
+  });
+
+  test("should validate environment names", () => {
+    expect(parseEnvironment(undefined)).toBe("default");
+    expect(parseEnvironment("")).toBe("default");
+    expect(parseEnvironment("staging")).toBe("staging");
+    expect(parseEnvironment("eu-west_1")).toBe("eu-west_1");
+    expect(parseEnvironment("prod:eu")).toBeNull();
+    expect(parseEnvironment(["a", "b"])).toBeNull();
+  });
+
+  test("should include the environment in cache keys", () => {
+    expect(cacheKey("api", "default")).toBe("config:api");
+    expect(cacheKey("api", "staging")).toBe("config:api:staging");
+  });
+
+  test("should keep service names with colons apart from environments", () => {
+    expect(cacheKey("foo:bar", "default")).toBe("config:foo%3Abar");
+    expect(cacheKey("foo:bar", "default")).not.toBe(cacheKey("foo", "bar"));
+    expect(cacheKey("a*", "prod")).toBe("config:a%2A:prod");
+
+    const patterns = invalidationPatterns("foo:bar").map(globPattern);
+    expect(
+      patterns.some((pattern) => pattern.test(cacheKey("foo", "bar"))),
+    ).toBe(false);
+    expect(
+      invalidationPatterns("a*")
+        .map(globPattern)
+        .some((pattern) => pattern.test(cacheKey("ab", "default"))),
+    ).toBe(false);
+  });
+
+  test("should invalidate every service when global defaults change", () => {
+    expect(invalidationPatterns("api")).toEqual(["config:api", "config:api:*"]);
+    expect(invalidationPatterns("_global")).toEqual(["config:*"]);
+  });
+});
+
+describe("Environment-scoped routes", () => {
+  let mockDb;
+  let mockRedisClient;
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+
+    mockRedisClient = global.testHelpers.createMockRedisClient();
+    redis.createClient.mockReturnValue(mockRedisClient);
+
+    mockDb.execute.mockResolvedValue([[], {}]);
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  function mockStoredRows() {
+    mockDb.execute.mockResolvedValue([
+      rows.map((row) => ({
+        service_name: row.serviceName,
+        environment: row.environment,
+        config_key: row.key,
+        config_value: row.value,
+      })),
+    ]);
+  }
+
+  test("should resolve and cache per environment", async () => {
+    mockStoredRows();
+
+    const response = await request(app).get("/config/api?env=prod").expect(200);
+
+    expect(response.body).toEqual({
+      region: "eu",
+      timeout: "30",
+      debug: "false",
+    });
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      expect.stringContaining("FROM configurations WHERE service_name IN"),
+      ["_global", "api", "default", "prod"],
+    );
+    expect(mockRedisClient.get).toHaveBeenCalledWith("config:api:prod");
+    expect(mockRedisClient.setEx).toHaveBeenCalledWith(
+      "config:api:prod",
+      300,
+      expect.stringContaining(`"config":${JSON.stringify(response.body)}`),
+    );
+  });
+
+  test("should report the layer of each key with explain", async () => {
+    mockStoredRows();
+
+    const response = await request(app)
+      .get("/config/api?env=prod&explain=true")
+      .expect(200);
+
+    expect(response.body).toEqual({
+      serviceName: "api",
+      environment: "prod",
+      config: {
+        region: { value: "eu", secret: false, layer: "global" },
+        timeout: { value: "30", secret: false, layer: "service" },
+        debug: { value: "false", secret: false, layer: "environment" },
+      },
+    });
+    expect(mockRedisClient.get).not.toHaveBeenCalled();
+  });
+
+  test("should write environment overrides", async () => {
+    await request(app)
+      .post("/config/api?env=staging")
+      .send({ key: "debug", value: "true" })
+      .expect(200);
+
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      expect.stringContaining("INSERT INTO configurations"),
+      ["api", "staging", "debug", "true", "string", 0],
+    );
+  });
+
+  test("should delete environment overrides", async () => {
+    mockDb.execute.mockImplementation(async (sql) =>
+      sql.startsWith("SELECT environment, config_key")
+        ? [[{ environment: "staging", config_key: "debug", config_value: "1" }]]
+        : [[], {}],
+    );
+
+    await request(app).delete("/config/api/debug?env=staging").expect(200);
+
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      expect.stringContaining("DELETE FROM configurations"),
+      ["api", "staging", "debug"],
+    );
+  });
+
+  test("should clear cached environments of a service on write", async () => {
+    mockRedisClient.scanIterator.mockImplementation(async function* () {
+      yield "config:api:prod";
+      yield "config:api:staging";
+    });
+
+    await request(app)
+      .post("/config/api")
+      .send({ key: "timeout", value: "60" })
+      .expect(200);
+
+    expect(mockRedisClient.scanIterator).toHaveBeenCalledWith({
+      MATCH: "config:api:*",
+      COUNT: 100,
+    });
+    expect(mockRedisClient.del).toHaveBeenCalledWith("config:api");
+    expect(mockRedisClient.del).toHaveBeenCalledWith("config:api:prod");
+    expect(mockRedisClient.del).toHaveBeenCalledWith("config:api:staging");
+  });
+
+  test("should clear all cached services when global defaults change", async () => {
+    await request(app)
+      .post("/config/_global")
+      .send({ key: "region", value: "us" })
+      .expect(200);
+
+    expect(mockRedisClient.scanIterator).toHaveBeenCalledWith({
+      MATCH: "config:*",
+      COUNT: 100,
+    });
+  });
+
+  test("should reject environment-specific global defaults", async () => {
+    const response = await request(app)
+      .post("/config/_global?env=prod")
+      .send({ key: "region", value: "us" })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: "Global defaults cannot be environment-specific",
+    });
+  });
+
+  test("should reject invalid environment names", async () => {
+    await request(app).get("/config/api?env=prod:eu").expect(400);
+    await request(app)
+      .post("/config/api?env=a%20b")
+      .send({ key: "k", value: "v" })
+      .expect(400);
+    await request(app).delete("/config/api/k?env=a%20b").expect(400);
+  });
+});
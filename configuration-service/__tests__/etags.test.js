@@ -0,0 +1,217 @@
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const {
+  configETag,
+  ifMatch,
+  isNotModified,
+  normalizeETag,
+  representationETag,
+} = require("../etags");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+function headers(values) {
+  return { get: (name) => values[name] };
+}
+
+describe("ETags", () => {
+  test("should name the service and global revisions", () => {
+    expect(configETag(4, 2)).toBe('"4.2"');
+  });
+
+  test("should name representations other than the flat one", () => {
+    expect(representationETag('"4.2"', {})).toBe('"4.2"');
+    expect(
+      representationETag('"4.2.9f"', { reveal: true, explain: true }),
+    ).toBe('"4.2.9f-explain-reveal"');
+    expect(normalizeETag('"4.2.9f-explain-reveal"')).toBe('"4.2.9f"');
+    expect(normalizeETag('"4.2-secret"')).toBeNull();
+    expect(ifMatch(headers({ "If-Match": '"4.2-raw"' }))(4)).toBe(true);
+  });
+
+  test("should match If-None-Match, weakly and in lists", () => {
+    expect(isNotModified(headers({}), '"4.2"')).toBe(false);
+    expect(isNotModified(headers({ "If-None-Match": '"4.2"' }), '"4.2"')).toBe(
+      true,
+    );
+    expect(
+      isNotModified(headers({ "If-None-Match": '"3.2", W/"4.2"' }), '"4.2"'),
+    ).toBe(true);
+    expect(isNotModified(headers({ "If-None-Match": '"4.1"' }), '"4.2"')).toBe(
+      false,
+    );
+    expect(isNotModified(headers({ "If-None-Match": "*" }), '"4.2"')).toBe(
+      true,
+    );
+  });
+
+  test("should compare If-Match with the service revision only", () => {
+    expect(ifMatch(headers({}))).toBeNull();
+    expect(ifMatch(headers({ "If-Match": '"4.1"' }))(4)).toBe(true);
+    expect(ifMatch(headers({ "If-Match": '"4"' }))(4)).toBe(true);
+    expect(ifMatch(headers({ "If-Match": '"3.2"' }))(4)).toBe(false);
+    expect(ifMatch(headers({ "If-Match": "*" }))(4)).toBe(true);
+    expect(ifMatch(headers({ "If-Match": "*" }))(0)).toBe(false);
+  });
+});
+
+describe("Conditional routes", () => {
+  let mockDb;
+  let mockRedisClient;
+  let app;
+
+  const revisions = { api: 4, _global: 2 };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+
+    mockRedisClient = global.testHelpers.createMockRedisClient();
+    redis.createClient.mockReturnValue(mockRedisClient);
+
+    mockDb.execute.mockImplementation(async (sql, params) => {
+      if (sql.startsWith("SELECT revision FROM service_revisions")) {
+        return revisions[params[0]]
+          ? [[{ revision: revisions[params[0]] }]]
+          : [[]];
+      }
+      if (sql.startsWith("SELECT service_name, environment, config_key")) {
+        return [
+          [
+            {
+              service_name: "api",
+              environment: "default",
+              config_key: "timeout",
+              config_value: "30",
+              value_type: "number",
+              is_secret: 0,
+            },
+          ],
+        ];
+      }
+      return [[], {}];
+    });
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  test("should return and cache the ETag of a configuration", async () => {
+    const response = await request(app).get("/config/api").expect(200);
+
+    expect(response.headers.etag).toBe('"4.2"');
+    expect(response.body).toEqual({ timeout: 30 });
+    expect(mockRedisClient.setEx).toHaveBeenCalledWith(
+      "config:api",
+      300,
+      JSON.stringify({ etag: '"4.2"', config: { timeout: 30 } }),
+    );
+  });
+
+  test("should answer 304 while the configuration is unchanged", async () => {
+    const response = await request(app)
+      .get("/config/api")
+      .set("If-None-Match", '"4.2"')
+      .expect(304);
+    expect(response.headers.etag).toBe('"4.2"');
+    expect(response.text).toBe("");
+
+    mockRedisClient.get.mockResolvedValue(
+      JSON.stringify({ etag: '"4.2"', config: { timeout: 30 } }),
+    );
+    await request(app)
+      .get("/config/api")
+      .set("If-None-Match", '"4.2"')
+      .expect(304);
+    await request(app)
+      .get("/config/api")
+      .set("If-None-Match", '"3.2"')
+      .expect(200);
+  });
+
+  test("should not validate one representation with another's ETag", async () => {
+    const explained = await request(app)
+      .get("/config/api?explain=true")
+      .set("If-None-Match", '"4.2"')
+      .expect(200);
+    expect(explained.headers.etag).toBe('"4.2-explain"');
+
+    const unresolved = await request(app)
+      .get("/config/api?raw=true")
+      .set("If-None-Match", '"4.2-explain"')
+      .expect(200);
+    expect(unresolved.headers.etag).toBe('"4.2-raw"');
+
+    await request(app)
+      .get("/config/api")
+      .set("If-None-Match", '"4.2-raw"')
+      .expect(200);
+    await request(app)
+      .get("/config/api?raw=true")
+      .set("If-None-Match", '"4.2-raw"')
+      .expect(304);
+  });
+
+  test("should refuse writes made against an older revision", async () => {
+    const response = await request(app)
+      .post("/config/api")
+      .set("If-Match", '"3.2"')
+      .send({ key: "timeout", value: 60 })
+      .expect(412);
+
+    expect(response.body).toEqual({
+      error: "Configuration has changed since it was read",
+    });
+    expect(mockDb.rollback).not.toHaveBeenCalled();
+    expect(mockDb.execute).not.toHaveBeenCalledWith(
+      expect.stringContaining("INSERT INTO configurations"),
+      expect.anything(),
+    );
+    expect(mockRedisClient.del).not.toHaveBeenCalled();
+    expect(mockRedisClient.publish).not.toHaveBeenCalled();
+  });
+
+  test("should apply writes made against the current revision", async () => {
+    await request(app)
+      .post("/config/api")
+      .set("If-Match", '"4.1"')
+      .send({ key: "timeout", value: 60 })
+      .expect(200);
+
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      expect.stringContaining("INSERT INTO configurations"),
+      ["api", "default", "timeout", "60", "number", 0],
+    );
+  });
+
+  test("should check If-Match on batches and deletes", async () => {
+    await request(app)
+      .patch("/config/api")
+      .set("If-Match", '"3"')
+      .send({ delete: ["timeout"] })
+      .expect(412);
+    await request(app)
+      .delete("/config/api/timeout")
+      .set("If-Match", '"3"')
+      .expect(412);
+    await request(app)
+      .delete("/config/api/timeout")
+      .set("If-Match", '"4"')
+      .expect(200);
+  });
+
+  test("should only match * on services that exist", async () => {
+    await request(app)
+      .post("/config/web")
+      .set("If-Match", "*")
+      .send({ key: "timeout", value: 60 })
+      .expect(412);
+  });
+});
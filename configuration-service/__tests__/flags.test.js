@@ -0,0 +1,363 @@
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const { evaluateFlag, normalizeFlag } = require("../flags");
+const { encodeValue } = require("../values");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+const checkout = {
+  variants: { control: "blue", treatment: "green", beta: "red" },
+  defaultVariant: "control",
+  rules: [
+    {
+      conditions: [
+        { attribute: "region", operator: "in", values: ["eu", "uk"] },
+        { attribute: "plan", operator: "in", values: ["pro"] },
+      ],
+      variant: "treatment",
+    },
+    {
+      conditions: [
+        { attribute: "email", operator: "endsWith", values: ["@example.com"] },
+      ],
+      variant: "beta",
+    },
+  ],
+  rollout: { bucketBy: "userId", weights: { treatment: 25, control: 75 } },
+};
+
+describe("Feature flags", () => {
+  const { flag } = normalizeFlag(checkout);
+
+  test("should default boolean flags to on/off variants", () => {
+    expect(normalizeFlag({}).flag).toEqual({
+      enabled: true,
+      variants: { on: true, off: false },
+      defaultVariant: "on",
+      offVariant: "off",
+      rules: [],
+    });
+    expect(evaluateFlag("toggle", normalizeFlag({}).flag, {})).toEqual({
+      variant: "on",
+      value: true,
+      reason: "DEFAULT",
+    });
+  });
+
+  test("should serve the off variant of disabled flags", () => {
+    const disabled = normalizeFlag({ ...checkout, enabled: false }).flag;
+
+    expect(
+      evaluateFlag("checkout", disabled, { region: "eu", plan: "pro" }),
+    ).toEqual({ variant: "control", value: "blue", reason: "DISABLED" });
+  });
+
+  test("should serve the first matching targeting rule", () => {
+    expect(
+      evaluateFlag("checkout", flag, {
+        region: "eu",
+        plan: "pro",
+        email: "a@example.com",
+      }),
+    ).toEqual({
+      variant: "treatment",
+      value: "green",
+      reason: "TARGETING_MATCH",
+      ruleIndex: 0,
+    });
+    expect(
+      evaluateFlag("checkout", flag, { region: "us", email: "a@example.com" }),
+    ).toEqual({
+      variant: "beta",
+      value: "red",
+      reason: "TARGETING_MATCH",
+      ruleIndex: 1,
+    });
+  });
+
+  test("should split contexts by weight and keep them sticky", () => {
+    const counts = { treatment: 0, control: 0 };
+    for (let i = 0; i < 2000; i++) {
+      const context = { userId: `user-${i}` };
+      const result = evaluateFlag("checkout", flag, context);
+      expect(result.reason).toBe("SPLIT");
+      expect(evaluateFlag("checkout", flag, context).variant).toBe(
+        result.variant,
+      );
+      counts[result.variant]++;
+    }
+
+    expect(counts.treatment / 2000).toBeGreaterThan(0.2);
+    expect(counts.treatment / 2000).toBeLessThan(0.3);
+  });
+
+  test("should keep contexts in the rollout when it grows", () => {
+    const grown = normalizeFlag({
+      ...checkout,
+      rollout: { weights: { treatment: 50, control: 50 } },
+    }).flag;
+
+    for (let i = 0; i < 500; i++) {
+      const context = { userId: `user-${i}` };
+      if (evaluateFlag("checkout", flag, context).variant === "treatment") {
+        expect(evaluateFlag("checkout", grown, context).variant).toBe(
+          "treatment",
+        );
+      }
+    }
+  });
+
+  test("should fall back to the default variant without the bucketing attribute", () => {
+    expect(evaluateFlag("checkout", flag, { region: "us" })).toEqual({
+      variant: "control",
+      value: "blue",
+      reason: "DEFAULT",
+    });
+  });
+
+  test("should match on nested attributes and numeric operators", () => {
+    const { flag: limits } = normalizeFlag({
+      rules: [
+        {
+          conditions: [
+            { attribute: "account.seats", operator: "gte", values: [100] },
+          ],
+          variant: "off",
+        },
+      ],
+    });
+
+    expect(
+      evaluateFlag("limits", limits, { account: { seats: 250 } }).variant,
+    ).toBe("off");
+    expect(
+      evaluateFlag("limits", limits, { account: { seats: 5 } }).variant,
+    ).toBe("on");
+  });
+
+  test.each([
+    [{ variants: {} }, "variants must map variant names to values"],
+    [
+      { variants: { a: 1 }, defaultVariant: "b" },
+      "defaultVariant must be one of the variants",
+    ],
+    [{ enabled: "yes" }, "enabled must be a boolean"],
+    [
+      { rules: [{ conditions: [], variant: "nope" }] },
+      "rules[0] variant must be one of the variants",
+    ],
+    [
+      { rules: [{ conditions: [] }] },
+      "rules[0] must have either a variant or a rollout",
+    ],
+    [
+      {
+        rules: [
+          {
+            conditions: [{ attribute: "a", operator: "like", values: [1] }],
+            variant: "on",
+          },
+        ],
+      },
+      "rules[0].conditions[0] operator must be one of: in, notIn, contains, startsWith, endsWith, gt, gte, lt, lte, exists",
+    ],
+    [
+      { rollout: { weights: { on: 50, off: 40 } } },
+      "rollout weights must add up to 100",
+    ],
+    [
+      { rollout: { weights: { on: 50, maybe: 50 } } },
+      'rollout refers to unknown variant "maybe"',
+    ],
+  ])("should reject invalid flags %#", (definition, error) => {
+    expect(normalizeFlag(definition)).toEqual({ error });
+  });
+
+  test("should store flags as a value type", () => {
+    expect(encodeValue({ enabled: false }, "flag")).toEqual({
+      text: JSON.stringify({
+        enabled: false,
+        variants: { on: true, off: false },
+        defaultVariant: "on",
+        rules: [],
+        offVariant: "off",
+      }),
+      type: "flag",
+    });
+    expect(encodeValue("{", "flag")).toEqual({ error: "must be valid JSON" });
+  });
+});
+
+describe("Flag evaluation routes", () => {
+  let mockDb;
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+    redis.createClient.mockReturnValue(
+      global.testHelpers.createMockRedisClient(),
+    );
+
+    mockDb.execute.mockResolvedValue([[], {}]);
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  function mockStoredFlags() {
+    const row = (serviceName, environment, key, value, type) => ({
+      service_name: serviceName,
+      environment,
+      config_key: key,
+      config_value: value,
+      value_type: type,
+      is_secret: 0,
+    });
+    mockDb.execute.mockResolvedValue([
+      [
+        row(
+          "api",
+          "default",
+          "checkout",
+          encodeValue(checkout, "flag").text,
+          "flag",
+        ),
+        row(
+          "api",
+          "prod",
+          "checkout",
+          encodeValue({ ...checkout, enabled: false }, "flag").text,
+          "flag",
+        ),
+        row(
+          "_global",
+          "default",
+          "maintenance",
+          encodeValue({ enabled: false }, "flag").text,
+          "flag",
+        ),
+        row("api", "default", "timeout", "30", "number"),
+      ],
+    ]);
+  }
+
+  test("should write flags with the flag type", async () => {
+    await request(app)
+      .post("/config/api")
+      .send({ key: "checkout", value: checkout, type: "flag" })
+      .expect(200);
+
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      expect.stringContaining("INSERT INTO configurations"),
+      [
+        "api",
+        "default",
+        "checkout",
+        encodeValue(checkout, "flag").text,
+        "flag",
+        0,
+      ],
+    );
+  });
+
+  test("should reject invalid flag definitions", async () => {
+    const response = await request(app)
+      .post("/config/api")
+      .send({ key: "checkout", value: { variants: [] }, type: "flag" })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: "Invalid configuration value",
+      errors: [
+        {
+          key: "checkout",
+          path: "",
+          message: "variants must map variant names to values",
+        },
+      ],
+    });
+  });
+
+  test("should evaluate a flag with the reason for its variant", async () => {
+    mockStoredFlags();
+
+    const response = await request(app)
+      .post("/flags/api/checkout/evaluate")
+      .send({ context: { region: "eu", plan: "pro", userId: "42" } })
+      .expect(200);
+
+    expect(response.body).toEqual({
+      key: "checkout",
+      variant: "treatment",
+      value: "green",
+      reason: "TARGETING_MATCH",
+      ruleIndex: 0,
+    });
+  });
+
+  test("should evaluate the flag of the requested environment", async () => {
+    mockStoredFlags();
+
+    const response = await request(app)
+      .post("/flags/api/checkout/evaluate?env=prod")
+      .send({ context: { region: "eu", plan: "pro" } })
+      .expect(200);
+
+    expect(response.body.reason).toBe("DISABLED");
+  });
+
+  test("should evaluate every flag of a service", async () => {
+    mockStoredFlags();
+
+    const response = await request(app)
+      .post("/flags/api/evaluate")
+      .send({ context: { region: "us" } })
+      .expect(200);
+
+    expect(response.body).toEqual({
+      serviceName: "api",
+      environment: "default",
+      flags: {
+        maintenance: { variant: "off", value: false, reason: "DISABLED" },
+        checkout: { variant: "control", value: "blue", reason: "DEFAULT" },
+      },
+    });
+  });
+
+  test("should evaluate only the listed flags", async () => {
+    mockStoredFlags();
+
+    const response = await request(app)
+      .post("/flags/api/evaluate")
+      .send({ flags: ["checkout", "timeout", "missing"] })
+      .expect(200);
+
+    expect(Object.keys(response.body.flags)).toEqual(["checkout"]);
+  });
+
+  test("should return 404 for keys that are not flags", async () => {
+    mockStoredFlags();
+
+    await request(app).post("/flags/api/timeout/evaluate").send({}).expect(404);
+    await request(app).post("/flags/api/missing/evaluate").send({}).expect(404);
+  });
+
+  test("should reject invalid contexts", async () => {
+    await request(app)
+      .post("/flags/api/checkout/evaluate")
+      .send({ context: "user-1" })
+      .expect(400);
+    await request(app)
+      .post("/flags/api/evaluate")
+      .send({ flags: "checkout" })
+      .expect(400);
+  });
+});
@@ -7,68 +7,27 @@ jest.mock("mysql2/promise");
 jest.mock("redis");
 
 describe("Configuration Service", () => {
-  let mockDb;
-  let mockRedisClient;
   let app;
 
   beforeAll(() => {
     // Setup environment variables for testing
     process.env.NODE_ENV = "test";
     process.env.PORT = "3001";
-    process.env.MYSQL_HOST = "localhost";
-    process.env.MYSQL_PORT = "3306";
-    process.env.MYSQL_USER = "testuser";
-    process.env.MYSQL_PASSWORD = "testpass";
-    process.env.MYSQL_DATABASE = "test_db";
-    process.env.REDIS_HOST = "localhost";
-    process.env.REDIS_PORT = "6379";
   });
 
   beforeEach(async () => {
-    // Clear module cache to ensure fresh imports
+    // Each test gets an empty in-memory store and cache
     jest.clearAllMocks();
-    
-    // Delete require cache for the app
-    delete require.cache[require.resolve("../index")];
-
-    // Mock MySQL connection
-    mockDb = {
-      execute: jest.fn(),
-      end: jest.fn(),
-    };
-
-    mysql.createConnection.mockResolvedValue(mockDb);
-
-    // Mock Redis client
-    mockRedisClient = {
-      connect: jest.fn().mockResolvedValue(undefined),
-      get: jest.fn(),
-      setEx: jest.fn(),
-      del: jest.fn(),
-      quit: jest.fn().mockResolvedValue(undefined),
-    };
-
-    redis.createClient.mockReturnValue(mockRedisClient);
-
-    // Setup default database execute responses
-    mockDb.execute
-      .mockResolvedValueOnce([]) // CREATE TABLE response
-      .mockResolvedValue([[], {}]); // Default response for other queries
-
-    // Import the app after setting up mocks
-    const appModule = require("../index");
-    app = appModule.app;
-
-    // Wait for initialization
-    await new Promise((resolve) => setTimeout(resolve, 100));
+    app = (await global.testHelpers.startMemoryApp()).app;
   });
 
-  afterEach(async () => {
-    // Cleanup
-    if (app && app.close) {
-      await new Promise((resolve) => app.close(resolve));
-    }
-  });
+  // Store a value through the API
+  function setConfig(key, value, serviceName = "test-service") {
+    return request(app)
+      .post(`/config/${serviceName}`)
+      .send({ key, value })
+      .expect(200);
+  }
 
   describe("Health Check", () => {
     test("GET /health should return healthy status", async () => {
@@ -85,28 +44,25 @@ describe("Configuration Service", () => {
   describe("Configuration Management", () => {
     describe("GET /config/:serviceName", () => {
       test("should return cached configuration when available", async () => {
-        const mockConfig = { key1: "value1", key2: "value2" };
-        mockRedisClient.get.mockResolvedValue(JSON.stringify(mockConfig));
+        await setConfig("key1", "value1");
+        await setConfig("key2", "value2");
 
-        const response = await request(app)
+        const first = await request(app)
+          .get("/config/test-service")
+          .expect(200);
+        const second = await request(app)
           .get("/config/test-service")
           .expect(200);
 
-        expect(response.body).toEqual(mockConfig);
-        expect(mockRedisClient.get).toHaveBeenCalledWith("config:test-service");
-        expect(mockDb.execute).not.toHaveBeenCalledWith(
-          expect.stringContaining("SELECT"),
-        );
+        expect(first.headers["x-cache-source"]).toBe("database");
+        expect(second.headers["x-cache-source"]).toBe("memory");
+        expect(second.body).toEqual({ key1: "value1", key2: "value2" });
+        expect(second.headers.etag).toBe(first.headers.etag);
       });
 
       test("should fetch from database when cache miss", async () => {
-        mockRedisClient.get.mockResolvedValue(null);
-        mockDb.execute.mockResolvedValue([
-          [
-            { config_key: "key1", config_value: "value1" },
-            { config_key: "key2", config_value: "value2" },
-          ],
-        ]);
+        await setConfig("key1", "value1");
+        await setConfig("key2", "value2");
 
         const response = await request(app)
           .get("/config/test-service")
@@ -116,50 +72,20 @@ describe("Configuration Service", () => {
           key1: "value1",
           key2: "value2",
         });
-
-        expect(mockRedisClient.get).toHaveBeenCalledWith("config:test-service");
-        expect(mockDb.execute).toHaveBeenCalledWith(
-          "SELECT config_key, config_value FROM configurations WHERE service_name = ?",
-          ["test-service"],
-        );
-        expect(mockRedisClient.setEx).toHaveBeenCalledWith(
-          "config:test-service",
-          300,
-          JSON.stringify({ key1: "value1", key2: "value2" }),
-        );
+        expect(response.headers["x-cache-source"]).toBe("database");
       });
 
       test("should return empty object when no configuration found", async () => {
-        mockRedisClient.get.mockResolvedValue(null);
-        mockDb.execute.mockResolvedValue([[]]);
-
         const response = await request(app)
           .get("/config/test-service")
           .expect(200);
 
         expect(response.body).toEqual({});
       });
-
-      test("should handle database errors gracefully", async () => {
-        mockRedisClient.get.mockResolvedValue(null);
-        mockDb.execute.mockRejectedValue(
-          new Error("Database connection failed"),
-        );
-
-        const response = await request(app)
-          .get("/config/test-service")
-          .expect(500);
-
-        expect(response.body).toEqual({
-          error: "Internal server error",
-        });
-      });
     });
 
     describe("POST /config/:serviceName", () => {
       test("should set configuration successfully", async () => {
-        mockDb.execute.mockResolvedValue([{ insertId: 1, affectedRows: 1 }]);
-
         const response = await request(app)
           .post("/config/test-service")
           .send({ key: "test-key", value: "test-value" })
@@ -167,13 +93,13 @@ describe("Configuration Service", () => {
 
         expect(response.body).toEqual({
           message: "Configuration updated successfully",
+          revision: 1,
         });
 
-        expect(mockDb.execute).toHaveBeenCalledWith(
-          "INSERT INTO configurations (service_name, config_key, config_value) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)",
-          ["test-service", "test-key", "test-value"],
-        );
-        expect(mockRedisClient.del).toHaveBeenCalledWith("config:test-service");
+        const stored = await request(app)
+          .get("/config/test-service")
+          .expect(200);
+        expect(stored.body).toEqual({ "test-key": "test-value" });
       });
 
       test("should return 400 when key is missing", async () => {
@@ -197,66 +123,39 @@ describe("Configuration Service", () => {
           error: "Key and value are required",
         });
       });
-
-      test("should handle database errors on insert", async () => {
-        mockDb.execute.mockRejectedValue(new Error("Insert failed"));
-
-        const response = await request(app)
-          .post("/config/test-service")
-          .send({ key: "test-key", value: "test-value" })
-          .expect(500);
-
-        expect(response.body).toEqual({
-          error: "Internal server error",
-        });
-      });
     });
 
     describe("GET /config", () => {
       test("should return all configurations", async () => {
-        const mockConfigs = [
-          {
-            id: 1,
-            service_name: "service1",
-            config_key: "key1",
-            config_value: "value1",
-            created_at: "2024-01-01T00:00:00Z",
-            updated_at: "2024-01-01T00:00:00Z",
-          },
-          {
-            id: 2,
-            service_name: "service2",
-            config_key: "key2",
-            config_value: "value2",
-            created_at: "2024-01-01T00:00:00Z",
-            updated_at: "2024-01-01T00:00:00Z",
-          },
-        ];
-
-        mockDb.execute.mockResolvedValue([mockConfigs]);
+        await setConfig("key2", "value2", "service2");
+        await setConfig("key1", "value1", "service1");
 
         const response = await request(app).get("/config").expect(200);
 
-        expect(response.body).toEqual(mockConfigs);
-        expect(mockDb.execute).toHaveBeenCalledWith(
-          "SELECT * FROM configurations ORDER BY service_name, config_key",
-        );
-      });
-
-      test("should handle database errors on fetch all", async () => {
-        mockDb.execute.mockRejectedValue(new Error("Query failed"));
-
-        const response = await request(app).get("/config").expect(500);
-
         expect(response.body).toEqual({
-          error: "Internal server error",
+          configurations: [
+            expect.objectContaining({
+              service_name: "service1",
+              config_key: "key1",
+              config_value: "value1",
+              created_at: expect.any(String),
+              updated_at: expect.any(String),
+            }),
+            expect.objectContaining({
+              service_name: "service2",
+              config_key: "key2",
+              config_value: "value2",
+            }),
+          ],
+          nextCursor: null,
         });
       });
     });
 
     describe("DELETE /config/:serviceName/:key", () => {
       test("should delete configuration successfully", async () => {
-        mockDb.execute.mockResolvedValue([{ affectedRows: 1 }]);
+        await setConfig("test-key", "test-value");
+        await setConfig("other-key", "other-value");
 
         const response = await request(app)
           .delete("/config/test-service/test-key")
@@ -264,32 +163,20 @@ describe("Configuration Service", () => {
 
         expect(response.body).toEqual({
           message: "Configuration deleted successfully",
+          revision: 3,
         });
 
-        expect(mockDb.execute).toHaveBeenCalledWith(
-          "DELETE FROM configurations WHERE service_name = ? AND config_key = ?",
-          ["test-service", "test-key"],
-        );
-        expect(mockRedisClient.del).toHaveBeenCalledWith("config:test-service");
-      });
-
-      test("should handle delete errors", async () => {
-        mockDb.execute.mockRejectedValue(new Error("Delete failed"));
-
-        const response = await request(app)
-          .delete("/config/test-service/test-key")
-          .expect(500);
-
-        expect(response.body).toEqual({
-          error: "Internal server error",
-        });
+        const remaining = await request(app)
+          .get("/config/test-service")
+          .expect(200);
+        expect(remaining.body).toEqual({ "other-key": "other-value" });
       });
     });
   });
 
   describe("Error Handling", () => {
     test("should handle invalid JSON payload", async () => {
-      const response = await request(app)
+      await request(app)
         .post("/config/test-service")
         .send("invalid json")
         .set("Content-Type", "application/json")
@@ -297,73 +184,47 @@ describe("Configuration Service", () => {
     });
 
     test("should handle 404 for non-existent routes", async () => {
-      const response = await request(app)
-        .get("/non-existent-route")
-        .expect(404);
-    });
-  });
-
-  describe("Database Initialization", () => {
-    test("should create configurations table on startup", async () => {
-      // Verify table creation was called
-      expect(mockDb.execute).toHaveBeenCalledWith(
-        expect.stringContaining("CREATE TABLE IF NOT EXISTS configurations"),
-      );
-    });
-
-    test("should establish Redis connection on startup", async () => {
-      expect(redis.createClient).toHaveBeenCalledWith({
-        host: "localhost",
-        port: 6379,
-      });
-      expect(mockRedisClient.connect).toHaveBeenCalled();
+      await request(app).get("/non-existent-route").expect(404);
     });
   });
 
   describe("Cache Management", () => {
     test("should invalidate cache when configuration is updated", async () => {
-      mockDb.execute.mockResolvedValue([{ insertId: 1, affectedRows: 1 }]);
+      await setConfig("test-key", "test-value");
+      await request(app).get("/config/test-service").expect(200);
 
-      await request(app)
-        .post("/config/test-service")
-        .send({ key: "test-key", value: "test-value" });
+      await setConfig("test-key", "new-value");
 
-      expect(mockRedisClient.del).toHaveBeenCalledWith("config:test-service");
+      const response = await request(app)
+        .get("/config/test-service")
+        .expect(200);
+      expect(response.headers["x-cache-source"]).toBe("database");
+      expect(response.body).toEqual({ "test-key": "new-value" });
     });
 
     test("should invalidate cache when configuration is deleted", async () => {
-      mockDb.execute.mockResolvedValue([{ affectedRows: 1 }]);
+      await setConfig("test-key", "test-value");
+      await request(app).get("/config/test-service").expect(200);
 
-      await request(app).delete("/config/test-service/test-key");
+      await request(app).delete("/config/test-service/test-key").expect(200);
 
-      expect(mockRedisClient.del).toHaveBeenCalledWith("config:test-service");
+      const response = await request(app)
+        .get("/config/test-service")
+        .expect(200);
+      expect(response.headers["x-cache-source"]).toBe("database");
+      expect(response.body).toEqual({});
     });
   });
 
   describe("Integration Scenarios", () => {
     test("should handle complete CRUD lifecycle", async () => {
       // Create
-      mockDb.execute.mockResolvedValueOnce([{ insertId: 1, affectedRows: 1 }]);
-
-      await request(app)
-        .post("/config/test-service")
-        .send({ key: "lifecycle-key", value: "initial-value" })
-        .expect(200);
+      await setConfig("lifecycle-key", "initial-value");
 
       // Update (same endpoint)
-      mockDb.execute.mockResolvedValueOnce([{ insertId: 1, affectedRows: 1 }]);
-
-      await request(app)
-        .post("/config/test-service")
-        .send({ key: "lifecycle-key", value: "updated-value" })
-        .expect(200);
+      await setConfig("lifecycle-key", "updated-value");
 
       // Read
-      mockRedisClient.get.mockResolvedValue(null);
-      mockDb.execute.mockResolvedValueOnce([
-        [{ config_key: "lifecycle-key", config_value: "updated-value" }],
-      ]);
-
       const getResponse = await request(app)
         .get("/config/test-service")
         .expect(200);
@@ -373,18 +234,20 @@ describe("Configuration Service", () => {
       });
 
       // Delete
-      mockDb.execute.mockResolvedValueOnce([{ affectedRows: 1 }]);
-
       await request(app)
         .delete("/config/test-service/lifecycle-key")
         .expect(200);
+
+      const history = await request(app)
+        .get("/config/test-service/history")
+        .expect(200);
+      expect(history.body.revisions.map(({ revision }) => revision)).toEqual([
+        3, 2, 1,
+      ]);
     });
 
     test("should handle concurrent requests gracefully", async () => {
-      mockRedisClient.get.mockResolvedValue(null);
-      mockDb.execute.mockResolvedValue([
-        [{ config_key: "key1", config_value: "value1" }],
-      ]);
+      await setConfig("key1", "value1");
 
       // Make multiple concurrent requests
       const promises = Array(5)
@@ -398,6 +261,126 @@ describe("Configuration Service", () => {
         expect(response.body).toEqual({ key1: "value1" });
       });
     });
+
+    test("should serialize concurrent writes", async () => {
+      const responses = await Promise.all(
+        ["a", "b", "c", "d"].map((key) =>
+          request(app).post("/config/test-service").send({ key, value: key }),
+        ),
+      );
+
+      expect(
+        responses.map(({ body }) => body.revision).sort((a, b) => a - b),
+      ).toEqual([1, 2, 3, 4]);
+      const response = await request(app)
+        .get("/config/test-service")
+        .expect(200);
+      expect(response.body).toEqual({ a: "a", b: "b", c: "c", d: "d" });
+    });
+  });
+});
+
+// Failures of MySQL and Redis, injected through mocks of their clients
+describe("Configuration Service with mocked drivers", () => {
+  let mockDb;
+  let mockRedisClient;
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    // Mock MySQL pool; transactions run on the pool mock itself
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+
+    mockRedisClient = global.testHelpers.createMockRedisClient();
+    redis.createClient.mockReturnValue(mockRedisClient);
+
+    mockDb.execute.mockResolvedValue([[], {}]);
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  test("should handle database errors gracefully", async () => {
+    mockDb.execute.mockRejectedValue(new Error("Database connection failed"));
+
+    const response = await request(app).get("/config/test-service").expect(500);
+
+    expect(response.body).toEqual({
+      error: "Internal server error",
+    });
+  });
+
+  test("should handle database errors on insert", async () => {
+    mockDb.execute.mockRejectedValue(new Error("Insert failed"));
+
+    const response = await request(app)
+      .post("/config/test-service")
+      .send({ key: "test-key", value: "test-value" })
+      .expect(500);
+
+    expect(response.body).toEqual({
+      error: "Internal server error",
+    });
+  });
+
+  test("should handle database errors on fetch all", async () => {
+    mockDb.execute.mockRejectedValue(new Error("Query failed"));
+
+    const response = await request(app).get("/config").expect(500);
+
+    expect(response.body).toEqual({
+      error: "Internal server error",
+    });
+  });
+
+  test("should handle delete errors", async () => {
+    mockDb.execute.mockRejectedValue(new Error("Delete failed"));
+
+    const response = await request(app)
+      .delete("/config/test-service/test-key")
+      .expect(500);
+
+    expect(response.body).toEqual({
+      error: "Internal server error",
+    });
+  });
+
+  test("should serve cached configuration written by another replica", async () => {
+    const mockConfig = { key1: "value1", key2: "value2" };
+    mockRedisClient.get.mockResolvedValue(
+      JSON.stringify({ etag: '"3.1"', config: mockConfig }),
+    );
+
+    const response = await request(app).get("/config/test-service").expect(200);
+
+    expect(response.body).toEqual(mockConfig);
+    expect(response.headers.etag).toBe('"3.1"');
+    expect(mockRedisClient.get).toHaveBeenCalledWith("config:test-service");
+    expect(mockDb.execute).not.toHaveBeenCalledWith(
+      expect.stringContaining("SELECT service_name, environment, config_key"),
+      expect.anything(),
+    );
+  });
+
+  describe("Database Initialization", () => {
+    test("should create configurations table on startup", async () => {
+      // Verify table creation was called
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        expect.stringContaining("CREATE TABLE IF NOT EXISTS configurations"),
+      );
+    });
+
+    test("should establish Redis connection on startup", async () => {
+      expect(redis.createClient).toHaveBeenCalledWith({
+        socket: { host: "localhost", port: 6379 },
+        disableOfflineQueue: true,
+      });
+      expect(mockRedisClient.connect).toHaveBeenCalled();
+    });
   });
 });
 
@@ -428,9 +411,9 @@ describe("Configuration Service Edge Cases", () => {
   });
 
   test("should handle MySQL connection failure", async () => {
-    mysql.createConnection.mockRejectedValue(
-      new Error("MySQL connection failed"),
-    );
+    mysql.createPool.mockImplementation(() => {
+      throw new Error("MySQL connection failed");
+    });
 
     expect(async () => {
       app = require("../index.js");
@@ -439,28 +422,8 @@ describe("Configuration Service Edge Cases", () => {
   });
 
   test("should handle large configuration values", async () => {
-    const mockDb = {
-      execute: jest.fn(),
-      end: jest.fn(),
-    };
-
-    const mockRedisClient = {
-      connect: jest.fn().mockResolvedValue(undefined),
-      get: jest.fn(),
-      setEx: jest.fn(),
-      del: jest.fn(),
-      quit: jest.fn(),
-    };
-
-    mysql.createConnection.mockResolvedValue(mockDb);
-    redis.createClient.mockReturnValue(mockRedisClient);
-
-    mockDb.execute
-      .mockResolvedValueOnce([]) // CREATE TABLE
-      .mockResolvedValue([{ insertId: 1, affectedRows: 1 }]);
-
-    app = require("../index.js");
-    await new Promise((resolve) => setTimeout(resolve, 100));
+    const appModule = await global.testHelpers.startMemoryApp();
+    app = appModule.app;
 
     const largeValue = "x".repeat(10000); // 10KB value
 
@@ -471,12 +434,11 @@ describe("Configuration Service Edge Cases", () => {
 
     expect(response.body).toEqual({
       message: "Configuration updated successfully",
+      revision: 1,
     });
 
-    expect(mockDb.execute).toHaveBeenCalledWith(
-      "INSERT INTO configurations (service_name, config_key, config_value) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)",
-      ["test-service", "large-key", largeValue],
-    );
+    const stored = await request(app).get("/config/test-service").expect(200);
+    expect(stored.body["large-key"]).toBe(largeValue);
   });
 
   afterEach(async () => {
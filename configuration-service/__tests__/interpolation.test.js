@@ -0,0 +1,314 @@
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const {
+  checkReferences,
+  dependentServices,
+  interpolate,
+  parseReferences,
+} = require("../interpolation");
+const { createStorage } = require("../drivers/storage");
+const { applyChanges } = require("../revisions");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+function entry(value, type = "string", secret = false) {
+  return { value, type, secret, layer: "service" };
+}
+
+const services = {
+  shared: {
+    mysql_host: entry("db.internal"),
+    mysql_port: entry(3306, "number"),
+    mysql_url: entry("mysql://${shared.mysql_host}:${shared.mysql_port}"),
+    password: entry("********", "string", true),
+  },
+  loop: {
+    a: entry("${loop.b}"),
+    b: entry("${loop.a}"),
+  },
+};
+
+function load(name) {
+  return Promise.resolve(services[name] || {});
+}
+
+describe("Interpolation", () => {
+  afterEach(() => {
+    delete process.env.INTERPOLATION_ENV_VARS;
+    delete process.env.REGION;
+  });
+
+  test("should parse references, skipping escaped ones", () => {
+    expect(
+      parseReferences(
+        "${shared.mysql_host} ${env:REGION} $${literal} ${nope} ${a.b.c}",
+      ),
+    ).toEqual([
+      {
+        text: "${shared.mysql_host}",
+        serviceName: "shared",
+        key: "mysql_host",
+      },
+      { text: "${env:REGION}", env: "REGION" },
+      { text: "${nope}", error: "${nope} is not a valid reference" },
+      { text: "${a.b.c}", serviceName: "a", key: "b.c" },
+    ]);
+  });
+
+  test("should resolve references to other services, nested", async () => {
+    const { resolved, dependencies } = await interpolate(
+      {
+        db_url: entry("${shared.mysql_url}/users"),
+        port: entry("${shared.mysql_port}"),
+        timeout: entry(30, "number"),
+      },
+      "api",
+      load,
+    );
+
+    expect(resolved.db_url).toEqual({
+      ...entry("mysql://db.internal:3306/users"),
+      template: "${shared.mysql_url}/users",
+    });
+    expect(resolved.port.value).toBe("3306");
+    expect(resolved.timeout).toEqual(entry(30, "number"));
+    expect(dependencies).toEqual(["shared"]);
+  });
+
+  test("should resolve only the allowed environment variables", async () => {
+    process.env.REGION = "eu-west-1";
+    process.env.SECRET_THING = "nope";
+    process.env.INTERPOLATION_ENV_VARS = "REGION";
+
+    const { resolved, dependencies } = await interpolate(
+      {
+        region: entry("${env:REGION}"),
+        other: entry("${env:SECRET_THING}"),
+      },
+      "api",
+      load,
+    );
+
+    expect(resolved.region.value).toBe("eu-west-1");
+    expect(resolved.other.value).toBe("${env:SECRET_THING}");
+    expect(dependencies).toEqual(["env"]);
+    delete process.env.SECRET_THING;
+  });
+
+  test("should leave escaped, broken and secret references as written", async () => {
+    const { resolved } = await interpolate(
+      {
+        literal: entry("$${shared.mysql_host}"),
+        missing: entry("${shared.gone}"),
+        secret: entry("${shared.password}"),
+        cycle: entry("${loop.a}"),
+        password: entry("${shared.mysql_host}", "string", true),
+      },
+      "api",
+      load,
+    );
+
+    expect(resolved.literal.value).toBe("${shared.mysql_host}");
+    expect(resolved.missing.value).toBe("${shared.gone}");
+    expect(resolved.secret.value).toBe("${shared.password}");
+    expect(resolved.cycle.value).toBe("${loop.a}");
+    expect(resolved.password.value).toBe("${shared.mysql_host}");
+  });
+
+  test("should accept valid references on write", async () => {
+    const errors = await checkReferences(
+      "api",
+      [{ key: "db_url", value: "${shared.mysql_url}/users", type: "string" }],
+      { load, canRead: () => true },
+    );
+
+    expect(errors).toEqual([]);
+  });
+
+  test("should report broken references on write", async () => {
+    process.env.INTERPOLATION_ENV_VARS = "REGION";
+    const write = (key, value) => ({ key, value, type: "string" });
+
+    const errors = await checkReferences(
+      "api",
+      [
+        write("missing", "${shared.gone}"),
+        write("secret", "${shared.password}"),
+        write("invalid", "${shared}"),
+        write("env", "${env:REGION}"),
+        write("private", "${billing.token}"),
+      ],
+      { load, canRead: (name) => name !== "billing" },
+    );
+
+    expect(errors).toEqual([
+      {
+        key: "missing",
+        path: "",
+        message: "${shared.gone} refers to a key that does not exist",
+      },
+      {
+        key: "secret",
+        path: "",
+        message: "${shared.password} refers to a secret",
+      },
+      {
+        key: "invalid",
+        path: "",
+        message: "${shared} is not a valid reference",
+      },
+      {
+        key: "env",
+        path: "",
+        message:
+          "${env:REGION} refers to an environment variable that is not available",
+      },
+      {
+        key: "private",
+        path: "",
+        message: "${billing.token} refers to a service you cannot read",
+      },
+    ]);
+  });
+
+  test("should report cycles closed by a write", async () => {
+    const errors = await checkReferences(
+      "shared",
+      [{ key: "mysql_host", value: "${shared.mysql_url}", type: "string" }],
+      { load, canRead: () => true },
+    );
+
+    expect(errors).toEqual([
+      {
+        key: "mysql_host",
+        path: "",
+        message:
+          "${shared.mysql_host} forms a reference cycle: shared.mysql_host -> shared.mysql_url -> shared.mysql_host",
+      },
+    ]);
+  });
+
+  test("should find services depending on a service transitively", async () => {
+    const db = createStorage("memory");
+    await db.migrate();
+    const refer = (serviceName, value) =>
+      applyChanges(db, serviceName, [{ key: "url", value }]);
+    await refer("api", "${shared.host}/api");
+    await refer("web", "${shared.host} ${api.url}");
+    await refer("worker", "${api.url}/jobs");
+    await refer("cron", "${userXservice.url}");
+
+    expect((await dependentServices(db, "shared")).sort()).toEqual([
+      "api",
+      "web",
+      "worker",
+    ]);
+    expect(await dependentServices(db, "user_service")).toEqual([]);
+  });
+});
+
+describe("Interpolated routes", () => {
+  let mockDb;
+  let mockRedisClient;
+  let app;
+
+  const rows = [
+    ["shared", "mysql_host", "db.internal"],
+    ["api", "db_url", "mysql://${shared.mysql_host}/users"],
+  ].map(([serviceName, key, value]) => ({
+    service_name: serviceName,
+    environment: "default",
+    config_key: key,
+    config_value: value,
+    value_type: "string",
+    is_secret: 0,
+  }));
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+
+    mockRedisClient = global.testHelpers.createMockRedisClient();
+    redis.createClient.mockReturnValue(mockRedisClient);
+
+    mockDb.execute.mockImplementation(async (sql, params) => {
+      if (sql.startsWith("SELECT service_name, environment, config_key")) {
+        return [rows.filter((row) => params.includes(row.service_name))];
+      }
+      if (sql.startsWith("SELECT DISTINCT service_name")) {
+        const name = params[0].slice(3, -2).replace(/\\/g, "");
+        return [rows.filter((row) => row.config_value.includes(`\${${name}.`))];
+      }
+      return [[], {}];
+    });
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  test("should resolve references on read", async () => {
+    const response = await request(app).get("/config/api").expect(200);
+
+    expect(response.body).toEqual({ db_url: "mysql://db.internal/users" });
+    expect(response.headers.etag).toMatch(/^"0\.0\.[0-9a-f]{16}"$/);
+  });
+
+  test("should return templates in raw mode without caching them", async () => {
+    const response = await request(app).get("/config/api?raw=true").expect(200);
+
+    expect(response.body).toEqual({
+      db_url: "mysql://${shared.mysql_host}/users",
+    });
+    expect(mockRedisClient.setEx).not.toHaveBeenCalled();
+  });
+
+  test("should explain interpolated values with their template", async () => {
+    const response = await request(app)
+      .get("/config/api?explain=true")
+      .expect(200);
+
+    expect(response.body.config.db_url).toEqual({
+      value: "mysql://db.internal/users",
+      template: "mysql://${shared.mysql_host}/users",
+      type: "string",
+      secret: false,
+      layer: "service",
+    });
+  });
+
+  test("should refuse writes with dangling references", async () => {
+    const response = await request(app)
+      .post("/config/api")
+      .send({ key: "cache_url", value: "redis://${shared.redis_host}" })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: "Invalid reference",
+      errors: [
+        {
+          key: "cache_url",
+          path: "",
+          message: "${shared.redis_host} refers to a key that does not exist",
+        },
+      ],
+    });
+    expect(mockDb.getConnection).not.toHaveBeenCalled();
+  });
+
+  test("should invalidate the cache of dependent services", async () => {
+    await request(app)
+      .post("/config/shared")
+      .send({ key: "mysql_host", value: "db2.internal" })
+      .expect(200);
+
+    expect(mockRedisClient.del).toHaveBeenCalledWith("config:shared");
+    expect(mockRedisClient.del).toHaveBeenCalledWith("config:api");
+  });
+});
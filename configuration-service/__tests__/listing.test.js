@@ -0,0 +1,247 @@
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const { parseListing } = require("../listing");
+const { globToLike } = require("../drivers/storage/sql");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+function row(id, serviceName, key, updatedAt = "2024-01-01T00:00:00.000Z") {
+  return {
+    id,
+    service_name: serviceName,
+    environment: "default",
+    config_key: key,
+    config_value: "value",
+    value_type: "string",
+    is_secret: 0,
+    created_at: updatedAt,
+    updated_at: updatedAt,
+  };
+}
+
+describe("Listing options", () => {
+  test("should translate key globs to LIKE patterns", () => {
+    expect(globToLike("db_*")).toBe("db\\_%");
+    expect(globToLike("feature.?.enabled")).toBe("feature._.enabled");
+    expect(globToLike("100%")).toBe("100\\%");
+  });
+
+  test("should default to the service name order", () => {
+    expect(parseListing({})).toMatchObject({
+      summary: false,
+      sort: "service_name",
+      order: "asc",
+      after: null,
+    });
+  });
+
+  test("should reject invalid options", () => {
+    expect(parseListing({ sort: "config_value" }).error).toBe(
+      "sort must be one of: service_name, config_key, updated_at",
+    );
+    expect(parseListing({ summary: "true", sort: "config_key" }).error).toBe(
+      "sort must be one of: service_name, updated_at",
+    );
+    expect(parseListing({ order: "up" }).error).toBe(
+      "order must be asc or desc",
+    );
+    expect(parseListing({ keyRegex: "(" }).error).toBe(
+      "keyRegex must be a valid regular expression",
+    );
+    expect(parseListing({ key: ["a", "b"] }).error).toBe(
+      "key must be a string",
+    );
+    expect(parseListing({ updatedSince: "yesterday" }).error).toBe(
+      "updatedSince must be a valid timestamp",
+    );
+    expect(parseListing({ cursor: "garbage" }).error).toBe("Invalid cursor");
+  });
+});
+
+describe("GET /config", () => {
+  let mockDb;
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+    redis.createClient.mockReturnValue(
+      global.testHelpers.createMockRedisClient(),
+    );
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+    mockDb.execute.mockClear();
+  });
+
+  test("should filter by service prefix, key, value and time", async () => {
+    mockDb.execute.mockResolvedValue([[row(1, "payments-api", "db_host")]]);
+
+    const response = await request(app)
+      .get("/config")
+      .query({
+        service: "payments-",
+        env: "prod",
+        key: "db_*",
+        keyRegex: "^db_",
+        value: "internal",
+        updatedSince: "2024-01-01T00:00:00Z",
+      })
+      .expect(200);
+
+    expect(response.body.configurations).toHaveLength(1);
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      "SELECT * FROM configurations WHERE service_name LIKE ? AND environment = ? AND config_key LIKE ? AND config_key REGEXP ? AND is_secret = 0 AND config_value LIKE ? AND updated_at >= ? ORDER BY service_name ASC, config_key ASC, id ASC LIMIT 101",
+      [
+        "payments-%",
+        "prod",
+        "db\\_%",
+        "^db_",
+        "%internal%",
+        new Date("2024-01-01T00:00:00Z"),
+      ],
+    );
+  });
+
+  test("should page through rows with a cursor", async () => {
+    mockDb.execute.mockResolvedValueOnce([
+      [
+        row(3, "api", "a", "2024-03-01T00:00:00.000Z"),
+        row(1, "web", "b", "2024-02-01T00:00:00.000Z"),
+        row(2, "web", "c", "2024-01-01T00:00:00.000Z"),
+      ],
+    ]);
+
+    const first = await request(app)
+      .get("/config?sort=updated_at&order=desc&limit=2")
+      .expect(200);
+
+    expect(first.body.configurations.map((config) => config.id)).toEqual([
+      3, 1,
+    ]);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+    expect(mockDb.execute).toHaveBeenLastCalledWith(
+      "SELECT * FROM configurations ORDER BY updated_at DESC, id DESC LIMIT 3",
+      [],
+    );
+
+    mockDb.execute.mockResolvedValueOnce([[row(2, "web", "c")]]);
+    const second = await request(app)
+      .get("/config")
+      .query({
+        sort: "updated_at",
+        order: "desc",
+        limit: 2,
+        cursor: first.body.nextCursor,
+      })
+      .expect(200);
+
+    expect(second.body.nextCursor).toBeNull();
+    expect(mockDb.execute).toHaveBeenLastCalledWith(
+      "SELECT * FROM configurations WHERE (updated_at, id) < (?, ?) ORDER BY updated_at DESC, id DESC LIMIT 3",
+      [new Date("2024-02-01T00:00:00.000Z"), 1],
+    );
+  });
+
+  test("should refuse cursors handed out for another sort", async () => {
+    mockDb.execute.mockResolvedValueOnce([
+      [row(1, "api", "a"), row(2, "api", "b")],
+    ]);
+    const first = await request(app).get("/config?limit=1").expect(200);
+
+    const response = await request(app)
+      .get("/config")
+      .query({ sort: "config_key", cursor: first.body.nextCursor })
+      .expect(400);
+
+    expect(response.body).toEqual({ error: "Invalid cursor" });
+  });
+
+  test("should summarize matching keys per service", async () => {
+    mockDb.execute.mockResolvedValueOnce([
+      [
+        {
+          service_name: "api",
+          key_count: 12,
+          environment_count: 2,
+          last_modified: "2024-03-01T00:00:00.000Z",
+        },
+        {
+          service_name: "web",
+          key_count: 4,
+          environment_count: 1,
+          last_modified: "2024-02-01T00:00:00.000Z",
+        },
+      ],
+    ]);
+
+    const response = await request(app)
+      .get("/config?summary=true&key=db_*&limit=1")
+      .expect(200);
+
+    expect(response.body.services).toEqual([
+      {
+        serviceName: "api",
+        keys: 12,
+        environments: 2,
+        lastModified: "2024-03-01T00:00:00.000Z",
+      },
+    ]);
+    expect(mockDb.execute).toHaveBeenLastCalledWith(
+      "SELECT service_name, COUNT(*) AS key_count, COUNT(DISTINCT environment) AS environment_count, MAX(updated_at) AS last_modified FROM configurations WHERE config_key LIKE ? GROUP BY service_name ORDER BY service_name ASC LIMIT 2",
+      ["db\\_%"],
+    );
+
+    mockDb.execute.mockResolvedValueOnce([[]]);
+    await request(app)
+      .get("/config")
+      .query({
+        summary: "true",
+        key: "db_*",
+        limit: 1,
+        cursor: response.body.nextCursor,
+      })
+      .expect(200);
+    expect(mockDb.execute).toHaveBeenLastCalledWith(
+      "SELECT service_name, COUNT(*) AS key_count, COUNT(DISTINCT environment) AS environment_count, MAX(updated_at) AS last_modified FROM configurations WHERE config_key LIKE ? GROUP BY service_name HAVING (service_name) > (?) ORDER BY service_name ASC LIMIT 2",
+      ["db\\_%", "api"],
+    );
+  });
+
+  test("should reject invalid listing parameters", async () => {
+    const response = await request(app).get("/config?order=up").expect(400);
+    expect(response.body).toEqual({ error: "order must be asc or desc" });
+
+    await request(app).get("/config?env=a%20b").expect(400);
+    expect(mockDb.execute).not.toHaveBeenCalled();
+  });
+
+  test("should reject key patterns MySQL cannot run", async () => {
+    mockDb.execute.mockRejectedValueOnce(
+      Object.assign(
+        new Error("Incorrect description of a {min,max} interval."),
+        {
+          code: "ER_REGEXP_BAD_INTERVAL",
+        },
+      ),
+    );
+
+    const response = await request(app)
+      .get("/config")
+      .query({ keyRegex: "db{" })
+      .expect(400);
+    expect(response.body).toEqual({
+      error: "keyRegex is not supported by the storage",
+    });
+
+    mockDb.execute.mockRejectedValueOnce(new Error("Connection lost"));
+    await request(app).get("/config").query({ keyRegex: "db" }).expect(500);
+  });
+});
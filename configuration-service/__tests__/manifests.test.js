@@ -0,0 +1,196 @@
+const crypto = require("crypto");
+const yaml = require("js-yaml");
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const { parseManifestOptions, renderManifests } = require("../manifests");
+const { encrypt } = require("../secrets");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+function entry(value, type = "string", secret = false) {
+  return { value, type, secret, layer: "service" };
+}
+
+describe("Kubernetes manifests", () => {
+  test("should split plain and secret keys", () => {
+    const { yaml: rendered } = renderManifests(
+      {
+        timeout: entry(30, "number"),
+        hosts: entry(["a", "b"], "json"),
+        region: entry("eu"),
+        db_password: entry("hunter2", "string", true),
+      },
+      {
+        name: "user-service",
+        namespace: "microservices",
+        labels: { app: "user-service" },
+      },
+    );
+
+    const [configMap, secret] = yaml.loadAll(rendered);
+    expect(configMap).toEqual({
+      apiVersion: "v1",
+      kind: "ConfigMap",
+      metadata: {
+        name: "user-service-config",
+        namespace: "microservices",
+        labels: {
+          "app.kubernetes.io/managed-by": "configuration-service",
+          app: "user-service",
+        },
+      },
+      data: { hosts: '["a","b"]', region: "eu", timeout: "30" },
+    });
+    expect(secret).toMatchObject({
+      kind: "Secret",
+      metadata: { name: "user-service-secret", namespace: "microservices" },
+      type: "Opaque",
+      data: { db_password: Buffer.from("hunter2").toString("base64") },
+    });
+  });
+
+  test("should leave out the Secret when there are no secrets", () => {
+    const { yaml: rendered } = renderManifests(
+      { timeout: entry(30, "number") },
+      { name: "api", namespace: null, labels: {} },
+    );
+
+    const documents = yaml.loadAll(rendered);
+    expect(documents).toHaveLength(1);
+    expect(documents[0].metadata).toEqual({
+      name: "api-config",
+      labels: { "app.kubernetes.io/managed-by": "configuration-service" },
+    });
+  });
+
+  test("should refuse keys Kubernetes does not accept", () => {
+    const rendered = renderManifests(
+      { "feature flags": entry("on"), "ok.key": entry("1") },
+      { name: "api", namespace: null, labels: {} },
+    );
+
+    expect(rendered.error).toBe(
+      "Configuration has keys Kubernetes does not accept",
+    );
+    expect(rendered.errors.map(({ key }) => key)).toEqual(["feature flags"]);
+  });
+
+  test("should parse names, namespaces and labels", () => {
+    expect(
+      parseManifestOptions("api", {
+        namespace: "prod",
+        labels: "app=api, example.com/team=payments,canary",
+      }),
+    ).toEqual({
+      name: "api",
+      namespace: "prod",
+      labels: { app: "api", "example.com/team": "payments", canary: "" },
+    });
+
+    expect(parseManifestOptions("Billing_API", {}).error).toBe(
+      "name must be a lowercase DNS subdomain",
+    );
+    expect(parseManifestOptions("Billing_API", { name: "billing" }).name).toBe(
+      "billing",
+    );
+    expect(parseManifestOptions("api", { namespace: "a.b" }).error).toBe(
+      "namespace must be a lowercase DNS label",
+    );
+    expect(parseManifestOptions("api", { labels: "-bad=x" }).error).toBe(
+      "Invalid label key: -bad",
+    );
+    expect(parseManifestOptions("api", { labels: "app=no way" }).error).toBe(
+      "Invalid label value for app: no way",
+    );
+  });
+});
+
+describe("Manifest endpoint", () => {
+  let app;
+  let rows;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+    process.env.CONFIG_MASTER_KEY = crypto.randomBytes(32).toString("base64");
+    process.env.SECRETS_REVEAL_TOKEN = "let-me-see";
+
+    const mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+    redis.createClient.mockReturnValue(
+      global.testHelpers.createMockRedisClient(),
+    );
+
+    rows = [
+      {
+        service_name: "api",
+        environment: "default",
+        config_key: "timeout",
+        config_value: "30",
+        value_type: "number",
+        is_secret: 0,
+      },
+      {
+        service_name: "api",
+        environment: "prod",
+        config_key: "db_password",
+        config_value: encrypt("hunter2"),
+        value_type: "string",
+        is_secret: 1,
+      },
+    ];
+    mockDb.execute.mockImplementation(async (sql, params) =>
+      sql.startsWith("SELECT service_name, environment, config_key")
+        ? [
+            rows.filter(
+              (row) =>
+                params.slice(0, 2).includes(row.service_name) &&
+                params.slice(2).includes(row.environment),
+            ),
+          ]
+        : [[], {}],
+    );
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  afterEach(() => {
+    delete process.env.CONFIG_MASTER_KEY;
+    delete process.env.SECRETS_REVEAL_TOKEN;
+  });
+
+  test("should render an environment as YAML", async () => {
+    const response = await request(app)
+      .get("/config/api/manifests?env=prod&namespace=microservices")
+      .set("X-Reveal-Token", "let-me-see")
+      .expect(200);
+
+    expect(response.headers["content-type"]).toMatch(/^application\/yaml/);
+    const [configMap, secret] = yaml.loadAll(response.text);
+    expect(configMap.data).toEqual({ timeout: "30" });
+    expect(secret.metadata.namespace).toBe("microservices");
+    expect(Buffer.from(secret.data.db_password, "base64").toString()).toBe(
+      "hunter2",
+    );
+  });
+
+  test("should only render secrets for callers who may reveal them", async () => {
+    await request(app).get("/config/api/manifests?env=prod").expect(403);
+
+    const plain = await request(app).get("/config/api/manifests").expect(200);
+    expect(yaml.loadAll(plain.text)).toHaveLength(1);
+  });
+
+  test("should reject invalid options", async () => {
+    const response = await request(app)
+      .get("/config/api/manifests?labels=app=a%20b")
+      .expect(400);
+
+    expect(response.body.error).toBe("Invalid label value for app: a b");
+  });
+});
@@ -0,0 +1,174 @@
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const {
+  counter,
+  gauge,
+  histogram,
+  instrumentPool,
+  renderMetrics,
+} = require("../metrics");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+// Value of one sample in a scrape, undefined if it is not there
+function sample(text, series) {
+  const line = text
+    .split("\n")
+    .find((candidate) => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.split(" ").pop());
+}
+
+describe("Metrics registry", () => {
+  test("should render counters in the text format", async () => {
+    const requests = counter("test_requests_total", "Requests");
+    requests.inc({ route: "/a", status: 200 });
+    requests.inc({ route: "/a", status: 200 }, 2);
+    requests.inc({ route: 'say "hi"\n' });
+
+    const text = await renderMetrics();
+
+    expect(text).toContain(
+      "# HELP test_requests_total Requests\n# TYPE test_requests_total counter\n",
+    );
+    expect(sample(text, 'test_requests_total{route="/a",status="200"}')).toBe(
+      3,
+    );
+    expect(text).toContain('test_requests_total{route="say \\"hi\\"\\n"} 1');
+    expect(counter("test_requests_total", "Again")).toBe(requests);
+  });
+
+  test("should render cumulative histogram buckets", async () => {
+    const latency = histogram("test_latency_seconds", "Latency", [0.1, 1]);
+    latency.observe({ route: "/a" }, 0.05);
+    latency.observe({ route: "/a" }, 0.5);
+    latency.observe({ route: "/a" }, 3);
+
+    const text = await renderMetrics();
+
+    expect(
+      sample(text, 'test_latency_seconds_bucket{route="/a",le="0.1"}'),
+    ).toBe(1);
+    expect(sample(text, 'test_latency_seconds_bucket{route="/a",le="1"}')).toBe(
+      2,
+    );
+    expect(
+      sample(text, 'test_latency_seconds_bucket{route="/a",le="+Inf"}'),
+    ).toBe(3);
+    expect(sample(text, 'test_latency_seconds_sum{route="/a"}')).toBe(3.55);
+    expect(sample(text, 'test_latency_seconds_count{route="/a"}')).toBe(3);
+  });
+
+  test("should collect gauges on every scrape", async () => {
+    let value = 1;
+    gauge("test_temperature", "Temperature", () => value);
+    gauge("test_broken", "Broken", async () => {
+      throw new Error("Nope");
+    });
+
+    expect(sample(await renderMetrics(), "test_temperature")).toBe(1);
+    value = 2;
+    const text = await renderMetrics();
+    expect(sample(text, "test_temperature")).toBe(2);
+    expect(text).not.toContain("test_broken");
+  });
+
+  test("should time queries and count failures", async () => {
+    const pool = global.testHelpers.createMockPool();
+    pool.execute
+      .mockResolvedValueOnce([[]])
+      .mockRejectedValueOnce(new Error("Deadlock"));
+    const db = instrumentPool(pool);
+
+    await db.execute("SELECT * FROM metrics_probe WHERE id = ?", [1]);
+    const conn = await db.getConnection();
+    await expect(
+      conn.execute("UPDATE metrics_probe SET x = 1"),
+    ).rejects.toThrow("Deadlock");
+    conn.release();
+
+    const text = await renderMetrics();
+    expect(
+      sample(
+        text,
+        'config_mysql_query_duration_seconds_count{operation="select",table="metrics_probe"}',
+      ),
+    ).toBe(1);
+    expect(
+      sample(
+        text,
+        'config_mysql_query_errors_total{operation="update",table="metrics_probe"}',
+      ),
+    ).toBe(1);
+    expect(pool.execute).toHaveBeenCalledWith(
+      "SELECT * FROM metrics_probe WHERE id = ?",
+      [1],
+    );
+    expect(pool.release).toHaveBeenCalled();
+  });
+});
+
+describe("Metrics endpoint", () => {
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    const mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+    redis.createClient.mockReturnValue(
+      global.testHelpers.createMockRedisClient(),
+    );
+
+    mockDb.execute.mockImplementation(async (sql) => {
+      if (sql.includes("GROUP BY service_name")) {
+        return [
+          [
+            { service_name: "api", key_count: 12 },
+            { service_name: "web", key_count: 3 },
+          ],
+        ];
+      }
+      return [[], {}];
+    });
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  test("should expose requests, cache lookups and key counts", async () => {
+    const before = await request(app).get("/metrics").expect(200);
+    const series =
+      'config_http_requests_total{method="GET",route="/config/:serviceName",status="200"}';
+    const hits = 'config_cache_lookups_total{tier="memory",result="hit"}';
+
+    await request(app).get("/config/metrics-probe").expect(200);
+    await request(app).get("/config/metrics-probe").expect(200);
+    await request(app).get("/no/such/route").expect(404);
+
+    const response = await request(app).get("/metrics").expect(200);
+    const text = response.text;
+
+    expect(response.headers["content-type"]).toMatch(/^text\/plain/);
+    expect(sample(text, series) - (sample(before.text, series) || 0)).toBe(2);
+    expect(sample(text, hits) - (sample(before.text, hits) || 0)).toBe(1);
+    expect(
+      sample(
+        text,
+        'config_http_requests_total{method="GET",route="unmatched",status="404"}',
+      ),
+    ).toBeGreaterThanOrEqual(1);
+    expect(text).toContain(
+      'config_http_request_duration_seconds_bucket{method="GET",route="/config/:serviceName",status="200",le="+Inf"}',
+    );
+    expect(sample(text, 'config_keys{service="api"}')).toBe(12);
+    expect(sample(text, "config_cache_memory_entries")).toBe(1);
+    expect(
+      sample(text, "config_cache_oldest_entry_age_seconds"),
+    ).toBeGreaterThanOrEqual(0);
+  });
+});
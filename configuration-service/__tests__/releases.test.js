@@ -0,0 +1,200 @@
+const crypto = require("crypto");
+const request = require("supertest");
+
+const memoryCache = require("../drivers/cache/memory");
+const { CHANNEL } = require("../watch");
+
+const createCache = memoryCache.createCache;
+
+describe("Releases", () => {
+  let app;
+  let events;
+
+  async function release(name, notes) {
+    return request(app)
+      .post("/config/api/releases")
+      .send({ name, notes })
+      .expect(201);
+  }
+
+  async function setTimeoutValue(value) {
+    await request(app)
+      .post("/config/api")
+      .send({ key: "timeout", value })
+      .expect(200);
+  }
+
+  beforeAll(() => {
+    process.env.CONFIG_MASTER_KEY = crypto.randomBytes(32).toString("base64");
+  });
+
+  afterAll(() => {
+    delete process.env.CONFIG_MASTER_KEY;
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    // Listen in on the change events the app publishes
+    events = [];
+    jest.spyOn(memoryCache, "createCache").mockImplementation(() => {
+      const client = createCache();
+      client
+        .duplicate()
+        .subscribe(CHANNEL, (message) => events.push(JSON.parse(message)));
+      return client;
+    });
+
+    app = (await global.testHelpers.startMemoryApp()).app;
+
+    // Global revision 1, then revisions 1 and 2 of api
+    await request(app)
+      .post("/config/_global")
+      .send({ key: "region", value: "eu" })
+      .expect(200);
+    await request(app)
+      .patch("/config/api")
+      .send({
+        set: [
+          { key: "timeout", value: 30 },
+          { key: "password", value: "hunter2", secret: true },
+        ],
+      })
+      .expect(200);
+    await request(app)
+      .patch("/config/api?env=prod")
+      .send({ set: [{ key: "timeout", value: 60 }] })
+      .expect(200);
+  });
+
+  test("should snapshot the current configuration", async () => {
+    const response = await release("v1", "First cut");
+
+    expect(response.body).toMatchObject({
+      name: "v1",
+      serviceName: "api",
+      revision: 2,
+      globalRevision: 1,
+      notes: "First cut",
+      createdBy: null,
+      current: false,
+    });
+
+    // Later edits leave the release alone
+    await setTimeoutValue(45);
+    const read = await request(app)
+      .get("/config/api?release=v1&env=prod")
+      .expect(200);
+
+    expect(read.body).toEqual({
+      region: "eu",
+      timeout: 60,
+      password: "********",
+    });
+    expect(read.headers.etag).toBe('"2.1"');
+    expect(read.headers["x-config-release"]).toBe("v1");
+
+    const defaults = await request(app)
+      .get("/config/api?release=v1")
+      .expect(200);
+    expect(defaults.body.timeout).toBe(30);
+  });
+
+  test("should refuse duplicate and invalid release names", async () => {
+    await release("v1");
+
+    const duplicate = await request(app)
+      .post("/config/api/releases")
+      .send({ name: "v1" })
+      .expect(409);
+    expect(duplicate.body.error).toBe("Release v1 already exists");
+
+    for (const name of ["current", "", "has space", 42]) {
+      await request(app)
+        .post("/config/api/releases")
+        .send({ name })
+        .expect(400);
+    }
+    await request(app)
+      .post("/config/api/releases")
+      .send({ name: "v2", notes: 5 })
+      .expect(400);
+  });
+
+  test("should promote and roll back by moving the current pointer", async () => {
+    await request(app).get("/config/api?release=current").expect(404);
+
+    await release("v1");
+    await setTimeoutValue(45);
+    await release("v2");
+
+    await request(app)
+      .put("/config/api/releases/current")
+      .send({ release: "v1" })
+      .expect(200);
+    const v1 = await request(app)
+      .get("/config/api?release=current")
+      .expect(200);
+    expect(v1.body.timeout).toBe(30);
+    expect(v1.headers["x-config-release"]).toBe("v1");
+
+    events = [];
+    const promoted = await request(app)
+      .put("/config/api/releases/current")
+      .send({ release: "v2" })
+      .expect(200);
+
+    expect(promoted.body.current).toMatchObject({ name: "v2", current: true });
+    expect(promoted.body.previous).toMatchObject({
+      name: "v1",
+      current: false,
+    });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      serviceName: "api",
+      revision: 3,
+      operation: "release",
+      changes: [{ environment: "default", key: "timeout" }],
+    });
+
+    const v2 = await request(app)
+      .get("/config/api?release=current")
+      .expect(200);
+    expect(v2.body.timeout).toBe(45);
+
+    await request(app)
+      .put("/config/api/releases/current")
+      .send({ release: "v9" })
+      .expect(404);
+  });
+
+  test("should list and get releases", async () => {
+    await release("v1");
+    await release("v2");
+    await request(app)
+      .put("/config/api/releases/current")
+      .send({ release: "v1" })
+      .expect(200);
+
+    const list = await request(app).get("/config/api/releases").expect(200);
+    expect(list.body.current).toBe("v1");
+    expect(
+      list.body.releases.map(({ name, current }) => [name, current]),
+    ).toEqual([
+      ["v2", false],
+      ["v1", true],
+    ]);
+
+    const current = await request(app)
+      .get("/config/api/releases/current")
+      .expect(200);
+    expect(current.body.name).toBe("v1");
+    await request(app).get("/config/api/releases/v3").expect(404);
+  });
+
+  test("should reject release reads combined with point-in-time reads", async () => {
+    await request(app).get("/config/api?release=v1&revision=3").expect(400);
+    await request(app).get("/config/api?release=bad%20name").expect(400);
+    await request(app).get("/config/api?release=v7").expect(404);
+  });
+});
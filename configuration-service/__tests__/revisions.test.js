@@ -0,0 +1,433 @@
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+describe("Configuration Revisions", () => {
+  let mockDb;
+  let mockRedisClient;
+  let app;
+
+  // Route queries to canned rows by their leading SQL; rows may also be a
+  // function of the query parameters
+  function mockQueries(results) {
+    mockDb.execute.mockImplementation(async (sql, params) => {
+      const match = Object.keys(results).find((prefix) =>
+        sql.trim().startsWith(prefix),
+      );
+      if (!match) {
+        return [[], {}];
+      }
+      const rows = results[match];
+      return [typeof rows === "function" ? rows(params) : rows];
+    });
+  }
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+
+    mockRedisClient = global.testHelpers.createMockRedisClient();
+    redis.createClient.mockReturnValue(mockRedisClient);
+
+    mockDb.execute.mockResolvedValue([[], {}]);
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  describe("writes", () => {
+    test("should record a set as the next revision", async () => {
+      mockQueries({
+        "SELECT revision FROM service_revisions": [{ revision: 4 }],
+        "SELECT environment, config_key, config_value, value_type, is_secret FROM configurations":
+          [
+            {
+              environment: "default",
+              config_key: "timeout",
+              config_value: "30",
+              value_type: "string",
+            },
+          ],
+      });
+
+      const response = await request(app)
+        .post("/config/test-service")
+        .send({ key: "timeout", value: "60" })
+        .expect(200);
+
+      expect(response.body.revision).toBe(5);
+      expect(mockDb.beginTransaction).toHaveBeenCalled();
+      expect(mockDb.commit).toHaveBeenCalled();
+      expect(mockDb.release).toHaveBeenCalled();
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        "INSERT INTO service_revisions (service_name, revision) VALUES (?, ?) ON DUPLICATE KEY UPDATE revision = VALUES(revision)",
+        ["test-service", 5],
+      );
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        "INSERT INTO config_revisions (service_name, revision, environment, config_key, config_value, value_type, is_secret, operation) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+        ["test-service", 5, "default", "timeout", "60", "string", 0, "set"],
+      );
+    });
+
+    test("should record a delete with a null value", async () => {
+      mockQueries({
+        "SELECT revision FROM service_revisions": [{ revision: 2 }],
+        "SELECT environment, config_key, config_value, value_type, is_secret FROM configurations":
+          [
+            {
+              environment: "default",
+              config_key: "timeout",
+              config_value: "30",
+              value_type: "string",
+            },
+          ],
+      });
+
+      const response = await request(app)
+        .delete("/config/test-service/timeout")
+        .expect(200);
+
+      expect(response.body.revision).toBe(3);
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        "INSERT INTO config_revisions (service_name, revision, environment, config_key, config_value, value_type, is_secret, operation) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+        ["test-service", 3, "default", "timeout", null, "string", 0, "delete"],
+      );
+    });
+
+    test("should not create a revision when nothing changes", async () => {
+      mockQueries({
+        "SELECT revision FROM service_revisions": [{ revision: 2 }],
+        "SELECT environment, config_key, config_value, value_type, is_secret FROM configurations":
+          [
+            {
+              environment: "default",
+              config_key: "timeout",
+              config_value: "30",
+              value_type: "string",
+            },
+          ],
+      });
+
+      const response = await request(app)
+        .post("/config/test-service")
+        .send({ key: "timeout", value: "30" })
+        .expect(200);
+
+      expect(response.body.revision).toBe(2);
+      expect(mockDb.execute).not.toHaveBeenCalledWith(
+        expect.stringContaining("INSERT INTO config_revisions"),
+        expect.anything(),
+      );
+    });
+
+    test("should roll back the transaction when a write fails", async () => {
+      mockDb.execute.mockImplementation(async (sql) => {
+        if (sql.startsWith("INSERT INTO configurations")) {
+          throw new Error("Insert failed");
+        }
+        return [[], {}];
+      });
+
+      await request(app)
+        .post("/config/test-service")
+        .send({ key: "timeout", value: "60" })
+        .expect(500);
+
+      expect(mockDb.rollback).toHaveBeenCalled();
+      expect(mockDb.commit).not.toHaveBeenCalled();
+      expect(mockDb.release).toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /config/:serviceName/history", () => {
+    test("should group changes by revision", async () => {
+      mockQueries({
+        "SELECT revision FROM service_revisions": [{ revision: 2 }],
+        "SELECT revision, environment, config_key": [
+          {
+            revision: 2,
+            environment: "default",
+            config_key: "timeout",
+            config_value: null,
+            operation: "delete",
+            created_at: "2024-01-02T00:00:00.000Z",
+          },
+          {
+            revision: 1,
+            environment: "default",
+            config_key: "timeout",
+            config_value: "30",
+            value_type: "string",
+            operation: "set",
+            created_at: "2024-01-01T00:00:00.000Z",
+          },
+        ],
+      });
+
+      const response = await request(app)
+        .get("/config/test-service/history")
+        .expect(200);
+
+      expect(response.body).toEqual({
+        serviceName: "test-service",
+        revisions: [
+          {
+            revision: 2,
+            createdAt: "2024-01-02T00:00:00.000Z",
+            changes: [
+              {
+                environment: "default",
+                key: "timeout",
+                value: null,
+                type: null,
+                secret: false,
+                operation: "delete",
+              },
+            ],
+          },
+          {
+            revision: 1,
+            createdAt: "2024-01-01T00:00:00.000Z",
+            changes: [
+              {
+                environment: "default",
+                key: "timeout",
+                value: "30",
+                type: "string",
+                secret: false,
+                operation: "set",
+              },
+            ],
+          },
+        ],
+        nextBefore: null,
+      });
+    });
+
+    test("should page through revisions with before", async () => {
+      await request(app)
+        .get("/config/test-service/history?before=50&limit=10")
+        .expect(200);
+
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        expect.stringContaining("revision > ? AND revision <= ?"),
+        ["test-service", 39, 49],
+      );
+    });
+  });
+
+  describe("GET /config/:serviceName/history/:key", () => {
+    test("should return the changes to a key", async () => {
+      mockQueries({
+        "SELECT revision, environment, config_key": [
+          {
+            revision: 3,
+            environment: "staging",
+            config_key: "timeout",
+            config_value: "60",
+            operation: "set",
+            created_at: "2024-01-03T00:00:00.000Z",
+          },
+        ],
+      });
+
+      const response = await request(app)
+        .get("/config/test-service/history/timeout?env=staging")
+        .expect(200);
+
+      expect(response.body).toEqual({
+        serviceName: "test-service",
+        key: "timeout",
+        history: [
+          {
+            revision: 3,
+            environment: "staging",
+            key: "timeout",
+            value: "60",
+            secret: false,
+            operation: "set",
+            createdAt: "2024-01-03T00:00:00.000Z",
+          },
+        ],
+      });
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        expect.stringContaining("AND environment = ?"),
+        ["test-service", "timeout", "staging"],
+      );
+    });
+  });
+
+  describe("point-in-time reads", () => {
+    // Stored rows per service at the requested revision
+    const stateRows = {
+      "test-service": [
+        { environment: "default", config_key: "timeout", config_value: "30" },
+        { environment: "default", config_key: "retries", config_value: null },
+        { environment: "staging", config_key: "timeout", config_value: "90" },
+      ],
+      _global: [
+        { environment: "default", config_key: "region", config_value: "eu" },
+      ],
+    };
+
+    test("should return the configuration at a revision", async () => {
+      mockQueries({
+        "SELECT revision FROM service_revisions": [{ revision: 5 }],
+        "SELECT MAX(created_at)": [{ created_at: "2024-01-01T00:00:00Z" }],
+        "SELECT MAX(revision)": [{ revision: 1 }],
+        "SELECT r.environment": (params) => stateRows[params[0]],
+      });
+
+      const response = await request(app)
+        .get("/config/test-service?revision=3")
+        .expect(200);
+
+      expect(response.body).toEqual({ timeout: "30", region: "eu" });
+      expect(mockRedisClient.get).not.toHaveBeenCalled();
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        expect.stringContaining("JOIN"),
+        ["test-service", 3, "test-service"],
+      );
+    });
+
+    test("should resolve environment overrides at a timestamp", async () => {
+      mockQueries({
+        "SELECT MAX(revision)": [{ revision: 2 }],
+        "SELECT r.environment": (params) => stateRows[params[0]],
+      });
+
+      const response = await request(app)
+        .get("/config/test-service?at=2024-01-01T12:00:00Z&env=staging")
+        .expect(200);
+
+      expect(response.body).toEqual({ timeout: "90", region: "eu" });
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        expect.stringContaining("JOIN"),
+        ["test-service", 2, "test-service"],
+      );
+    });
+
+    test("should return 404 for a future revision", async () => {
+      mockQueries({
+        "SELECT revision FROM service_revisions": [{ revision: 5 }],
+      });
+
+      await request(app).get("/config/test-service?revision=6").expect(404);
+    });
+
+    test("should reject invalid revisions and timestamps", async () => {
+      await request(app).get("/config/test-service?revision=abc").expect(400);
+      await request(app).get("/config/test-service?at=yesterday").expect(400);
+    });
+  });
+
+  describe("POST /config/:serviceName/rollback", () => {
+    test("should restore the state of an earlier revision", async () => {
+      mockQueries({
+        "SELECT revision FROM service_revisions": [{ revision: 3 }],
+        "SELECT environment, config_key, config_value, value_type, is_secret FROM configurations":
+          [
+            {
+              environment: "default",
+              config_key: "timeout",
+              config_value: "60",
+              value_type: "string",
+            },
+            {
+              environment: "default",
+              config_key: "retries",
+              config_value: "5",
+              value_type: "string",
+            },
+            {
+              environment: "staging",
+              config_key: "debug",
+              config_value: "true",
+              value_type: "string",
+            },
+          ],
+        "SELECT r.environment": [
+          {
+            environment: "default",
+            config_key: "timeout",
+            config_value: "30",
+            value_type: "number",
+          },
+          {
+            environment: "default",
+            config_key: "debug",
+            config_value: "true",
+            value_type: "string",
+          },
+          {
+            environment: "staging",
+            config_key: "debug",
+            config_value: "true",
+            value_type: "string",
+          },
+        ],
+      });
+
+      const response = await request(app)
+        .post("/config/test-service/rollback")
+        .send({ revision: 1 })
+        .expect(200);
+
+      expect(response.body).toEqual({
+        message: "Configuration rolled back successfully",
+        revision: 4,
+        rolledBackTo: 1,
+        changes: [
+          { environment: "default", key: "timeout", value: 30 },
+          { environment: "default", key: "debug", value: "true" },
+          { environment: "default", key: "retries", value: null },
+        ],
+      });
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        "DELETE FROM configurations WHERE service_name = ? AND environment = ? AND config_key = ?",
+        ["test-service", "default", "retries"],
+      );
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        "INSERT INTO config_revisions (service_name, revision, environment, config_key, config_value, value_type, is_secret, operation) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+        [
+          "test-service",
+          4,
+          "default",
+          "retries",
+          null,
+          "string",
+          0,
+          "rollback",
+        ],
+      );
+      expect(mockRedisClient.del).toHaveBeenCalledWith("config:test-service");
+    });
+
+    test("should return 404 for an unknown revision", async () => {
+      mockQueries({
+        "SELECT revision FROM service_revisions": [{ revision: 3 }],
+      });
+
+      await request(app)
+        .post("/config/test-service/rollback")
+        .send({ revision: 7 })
+        .expect(404);
+
+      expect(mockRedisClient.del).not.toHaveBeenCalled();
+    });
+
+    test("should require a revision", async () => {
+      await request(app)
+        .post("/config/test-service/rollback")
+        .send({})
+        .expect(400);
+    });
+  });
+});
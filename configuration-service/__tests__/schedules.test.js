@@ -0,0 +1,356 @@
+const crypto = require("crypto");
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const { MASK } = require("../secrets");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+const HOUR = 60 * 60 * 1000;
+
+describe("Scheduled changes", () => {
+  let mockDb;
+  let mockRedisClient;
+  let appModule;
+  let app;
+  let schedules;
+  let current;
+
+  function row(key, value, type = "string", secret = 0) {
+    return {
+      environment: "default",
+      config_key: key,
+      config_value: value,
+      value_type: type,
+      is_secret: secret,
+    };
+  }
+
+  // A scheduled_changes table and the stored configuration of "api"
+  function mockTables() {
+    mockDb.execute.mockImplementation(async (sql, params) => {
+      if (sql.startsWith("INSERT INTO scheduled_changes")) {
+        const [
+          serviceName,
+          environment,
+          kind,
+          changes,
+          runAt,
+          expiresAt,
+          revertOf,
+          createdBy,
+        ] = params;
+        schedules.push({
+          id: schedules.length + 1,
+          service_name: serviceName,
+          environment,
+          kind,
+          changes,
+          run_at: runAt,
+          expires_at: expiresAt,
+          revert_of: revertOf,
+          status: "pending",
+          attempts: 0,
+          revision: null,
+          error: null,
+          created_by: createdBy,
+          created_at: new Date(),
+          applied_at: null,
+        });
+        return [{ insertId: schedules.length }];
+      }
+      if (sql.startsWith("SELECT * FROM scheduled_changes WHERE id = ?")) {
+        return [
+          schedules.filter(
+            (schedule) =>
+              schedule.id === params[0] && schedule.service_name === params[1],
+          ),
+        ];
+      }
+      if (
+        sql.startsWith("SELECT * FROM scheduled_changes WHERE service_name = ?")
+      ) {
+        return [
+          schedules.filter(
+            (schedule) =>
+              schedule.service_name === params[0] &&
+              (params.length === 1 || schedule.status === params[1]),
+          ),
+        ];
+      }
+      if (sql.startsWith("SELECT * FROM scheduled_changes WHERE status")) {
+        return [
+          schedules
+            .filter(
+              (schedule) =>
+                schedule.status === "pending" && schedule.run_at <= params[0],
+            )
+            .slice(0, 1),
+        ];
+      }
+      if (sql.startsWith("UPDATE scheduled_changes SET status = 'cancelled'")) {
+        const schedule = schedules.find(
+          (candidate) =>
+            candidate.id === params[0] &&
+            candidate.service_name === params[1] &&
+            candidate.status === "pending",
+        );
+        if (schedule) {
+          schedule.status = "cancelled";
+        }
+        return [{ affectedRows: schedule ? 1 : 0 }];
+      }
+      if (sql.startsWith("UPDATE scheduled_changes SET status = 'applied'")) {
+        const schedule = schedules.find(({ id }) => id === params[2]);
+        Object.assign(schedule, {
+          status: "applied",
+          revision: params[0],
+          applied_at: params[1],
+        });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith("UPDATE scheduled_changes SET status = IF")) {
+        const schedule = schedules.find(({ id }) => id === params[2]);
+        schedule.attempts++;
+        schedule.error = params[1];
+        if (schedule.attempts >= params[0]) {
+          schedule.status = "failed";
+        }
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith("SELECT revision FROM service_revisions")) {
+        return [[{ revision: 4 }]];
+      }
+      if (sql.startsWith("SELECT environment, config_key, config_value")) {
+        return [current];
+      }
+      return [[], {}];
+    });
+  }
+
+  function stored(sqlPrefix) {
+    return mockDb.execute.mock.calls.filter(([sql]) =>
+      sql.startsWith(sqlPrefix),
+    );
+  }
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+
+    mockRedisClient = global.testHelpers.createMockRedisClient();
+    redis.createClient.mockReturnValue(mockRedisClient);
+
+    schedules = [];
+    current = [row("timeout", "30", "number")];
+    mockTables();
+
+    appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  afterEach(() => {
+    delete process.env.CONFIG_MASTER_KEY;
+  });
+
+  test("should schedule a batch for later", async () => {
+    const runAt = new Date(Date.now() + HOUR).toISOString();
+
+    const response = await request(app)
+      .post("/config/api/schedules")
+      .send({
+        runAt,
+        set: [{ key: "timeout", value: 60 }],
+        delete: ["debug"],
+      })
+      .expect(201);
+
+    expect(response.body).toMatchObject({
+      id: 1,
+      serviceName: "api",
+      environment: "default",
+      type: "change",
+      runAt,
+      expiresAt: null,
+      set: [{ key: "timeout", value: 60, type: "number" }],
+      delete: ["debug"],
+      status: "pending",
+    });
+    expect(stored("INSERT INTO configurations")).toHaveLength(0);
+  });
+
+  test("should refuse invalid schedules", async () => {
+    const soon = new Date(Date.now() + HOUR).toISOString();
+    const set = [{ key: "timeout", value: 60 }];
+
+    const cases = [
+      [{ set }, "runAt or expiresAt is required"],
+      [{ set, runAt: "tomorrow" }, "runAt must be a valid timestamp"],
+      [
+        { set, runAt: new Date(Date.now() - HOUR).toISOString() },
+        "runAt must be in the future",
+      ],
+      [
+        { set, runAt: soon, expiresAt: soon },
+        "expiresAt must be later than runAt",
+      ],
+      [{ runAt: soon }, "set or delete must list the keys to change"],
+    ];
+    for (const [body, error] of cases) {
+      const response = await request(app)
+        .post("/config/api/schedules")
+        .send(body)
+        .expect(400);
+      expect(response.body.error).toBe(error);
+    }
+    expect(schedules).toHaveLength(0);
+  });
+
+  test("should keep scheduled secrets encrypted and masked", async () => {
+    process.env.CONFIG_MASTER_KEY = crypto.randomBytes(32).toString("base64");
+
+    const response = await request(app)
+      .post("/config/api/schedules")
+      .send({
+        runAt: new Date(Date.now() + HOUR).toISOString(),
+        set: [{ key: "password", value: "hunter2", secret: true }],
+      })
+      .expect(201);
+
+    expect(response.body.set[0].value).toBe(MASK);
+    expect(schedules[0].changes).not.toContain("hunter2");
+  });
+
+  test("should list, get and cancel schedules", async () => {
+    const runAt = new Date(Date.now() + HOUR).toISOString();
+    for (const value of [60, 90]) {
+      await request(app)
+        .post("/config/api/schedules")
+        .send({ runAt, set: [{ key: "timeout", value }] })
+        .expect(201);
+    }
+
+    await request(app).delete("/config/api/schedules/1").expect(200);
+    await request(app).delete("/config/api/schedules/1").expect(409);
+    await request(app).delete("/config/api/schedules/9").expect(404);
+    await request(app).delete("/config/web/schedules/2").expect(404);
+
+    const pending = await request(app).get("/config/api/schedules").expect(200);
+    expect(pending.body.schedules.map(({ id }) => id)).toEqual([2]);
+
+    const all = await request(app)
+      .get("/config/api/schedules?status=all")
+      .expect(200);
+    expect(all.body.schedules.map(({ status }) => status)).toEqual([
+      "cancelled",
+      "pending",
+    ]);
+
+    const one = await request(app).get("/config/api/schedules/2").expect(200);
+    expect(one.body.set[0].value).toBe(90);
+
+    await request(app).get("/config/api/schedules?status=done").expect(400);
+  });
+
+  test("should apply due schedules once and announce them", async () => {
+    await request(app)
+      .post("/config/api/schedules")
+      .send({
+        runAt: new Date(Date.now() + 50).toISOString(),
+        set: [{ key: "timeout", value: 60 }],
+      })
+      .expect(201);
+
+    await appModule.runSchedules();
+    expect(stored("INSERT INTO configurations")).toHaveLength(0);
+
+    await global.testHelpers.delay(60);
+    await appModule.runSchedules();
+    await appModule.runSchedules();
+
+    expect(stored("INSERT INTO configurations")).toEqual([
+      [expect.any(String), ["api", "default", "timeout", "60", "number", 0]],
+    ]);
+    expect(schedules[0]).toMatchObject({ status: "applied", revision: 5 });
+    expect(mockRedisClient.del).toHaveBeenCalledWith("config:api");
+    expect(mockRedisClient.publish).toHaveBeenCalledWith(
+      "config:changes",
+      expect.stringContaining('"operation":"scheduled"'),
+    );
+  });
+
+  test("should revert temporary overrides at their expiry", async () => {
+    const expiresAt = new Date(Date.now() + HOUR);
+    await request(app)
+      .post("/config/api/schedules")
+      .send({
+        expiresAt: expiresAt.toISOString(),
+        set: [
+          { key: "timeout", value: 60 },
+          { key: "debug", value: true },
+        ],
+      })
+      .expect(201);
+
+    await appModule.runSchedules();
+
+    expect(schedules[1]).toMatchObject({
+      kind: "revert",
+      run_at: expiresAt,
+      revert_of: 1,
+      status: "pending",
+    });
+    const revert = await request(app).get("/config/api/schedules/2");
+    expect(revert.body).toMatchObject({
+      type: "revert",
+      set: [{ key: "timeout", value: 30 }],
+      delete: ["debug"],
+    });
+
+    // Someone changed debug by hand in the meantime
+    current = [
+      row("timeout", "60", "number"),
+      row("debug", "false", "boolean"),
+    ];
+    schedules[1].run_at = new Date();
+    mockDb.execute.mockClear();
+    await appModule.runSchedules();
+
+    expect(stored("INSERT INTO configurations")).toEqual([
+      [expect.any(String), ["api", "default", "timeout", "30", "number", 0]],
+    ]);
+    expect(stored("DELETE FROM configurations")).toHaveLength(0);
+    expect(mockRedisClient.publish).toHaveBeenLastCalledWith(
+      "config:changes",
+      expect.stringContaining('"operation":"revert"'),
+    );
+  });
+
+  test("should give up on schedules that keep failing", async () => {
+    await request(app)
+      .post("/config/api/schedules")
+      .send({
+        expiresAt: new Date(Date.now() + HOUR).toISOString(),
+        set: [{ key: "timeout", value: 60 }],
+      })
+      .expect(201);
+    // Unreadable, as if encrypted under a key that is gone
+    schedules[0].changes = JSON.stringify([
+      { key: "token", value: "enc:v1:gone:abc", type: "string", secret: true },
+    ]);
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await appModule.runSchedules();
+    }
+
+    expect(schedules[0]).toMatchObject({ status: "failed", attempts: 3 });
+    expect(schedules[0].error).toEqual(expect.any(String));
+    expect(mockDb.rollback).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,239 @@
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const { compileSchema, validateValues } = require("../schemas");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+const schema = {
+  type: "object",
+  properties: {
+    max_connections: { type: "integer", minimum: 1 },
+    debug: { type: "boolean" },
+    hosts: { type: "array", items: { type: "string" } },
+  },
+  required: ["max_connections"],
+  additionalProperties: false,
+};
+
+describe("Schema validation", () => {
+  const { validate } = compileSchema(schema);
+
+  test("should accept values matching the schema", () => {
+    expect(validateValues(validate, { max_connections: 10 })).toEqual([]);
+  });
+
+  test("should not require keys that are not being written", () => {
+    expect(validateValues(validate, { debug: true })).toEqual([]);
+  });
+
+  test("should report unknown keys and invalid values per field", () => {
+    expect(
+      validateValues(validate, {
+        max_conections: 10,
+        max_connections: 0,
+        hosts: ["a", 1],
+      }),
+    ).toEqual([
+      { key: "max_conections", path: "", message: "is not an allowed key" },
+      { key: "max_connections", path: "", message: "must be >= 1" },
+      { key: "hosts", path: "/1", message: "must be string" },
+    ]);
+  });
+
+  test("should reject invalid schemas", () => {
+    expect(compileSchema([]).error).toBe("Schema must be a JSON object");
+    expect(compileSchema({ type: "nope" }).error).toMatch(/^Invalid schema/);
+  });
+});
+
+describe("Typed configuration routes", () => {
+  let mockDb;
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+
+    redis.createClient.mockReturnValue(
+      global.testHelpers.createMockRedisClient(),
+    );
+
+    mockDb.execute.mockResolvedValue([[], {}]);
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  function mockSchema(registered) {
+    mockDb.execute.mockImplementation(async (sql) =>
+      sql.startsWith("SELECT schema_json")
+        ? [[{ schema_json: JSON.stringify(registered) }]]
+        : [[], {}],
+    );
+  }
+
+  test("should return values with their native types", async () => {
+    mockDb.execute.mockResolvedValue([
+      [
+        ["max_connections", "100", "number"],
+        ["debug", "false", "boolean"],
+        ["hosts", '["a","b"]', "json"],
+        ["timeout", "1m30s", "duration"],
+        ["name", "api", "string"],
+      ].map(([key, value, type]) => ({
+        service_name: "api",
+        environment: "default",
+        config_key: key,
+        config_value: value,
+        value_type: type,
+      })),
+    ]);
+
+    const response = await request(app).get("/config/api").expect(200);
+
+    expect(response.body).toEqual({
+      max_connections: 100,
+      debug: false,
+      hosts: ["a", "b"],
+      timeout: 90000,
+      name: "api",
+    });
+  });
+
+  test.each([
+    [0, "0", "number"],
+    [false, "false", "boolean"],
+    ["", "", "string"],
+  ])("should accept the falsy value %p", async (value, text, type) => {
+    await request(app)
+      .post("/config/api")
+      .send({ key: "flag", value })
+      .expect(200);
+
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      expect.stringContaining("INSERT INTO configurations"),
+      ["api", "default", "flag", text, type, 0],
+    );
+  });
+
+  test("should store values with an explicit type", async () => {
+    await request(app)
+      .post("/config/api")
+      .send({ key: "timeout", value: "30s", type: "duration" })
+      .expect(200);
+
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      expect.stringContaining("INSERT INTO configurations"),
+      ["api", "default", "timeout", "30s", "duration", 0],
+    );
+  });
+
+  test("should reject values that do not match their type", async () => {
+    const response = await request(app)
+      .post("/config/api")
+      .send({ key: "max_connections", value: "many", type: "number" })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: "Invalid configuration value",
+      errors: [
+        { key: "max_connections", path: "", message: "must be a number" },
+      ],
+    });
+  });
+
+  test("should reject writes that violate the service schema", async () => {
+    mockSchema(schema);
+
+    const response = await request(app)
+      .post("/config/api")
+      .send({ key: "max_conections", value: 100 })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: "Configuration does not match schema",
+      errors: [
+        { key: "max_conections", path: "", message: "is not an allowed key" },
+      ],
+    });
+    expect(mockDb.getConnection).not.toHaveBeenCalled();
+  });
+
+  test("should accept writes that match the service schema", async () => {
+    mockSchema(schema);
+
+    await request(app)
+      .post("/config/api")
+      .send({ key: "max_connections", value: 100 })
+      .expect(200);
+
+    expect(mockDb.execute).toHaveBeenCalledWith(
+      expect.stringContaining("INSERT INTO configurations"),
+      ["api", "default", "max_connections", "100", "number", 0],
+    );
+  });
+
+  test("should validate every write against a schema with an $id", async () => {
+    const identified = { ...schema, $id: "https://example.com/api.json" };
+    await request(app).put("/schemas/api").send(identified).expect(200);
+    mockSchema(identified);
+
+    for (const value of [100, 200]) {
+      await request(app)
+        .post("/config/api")
+        .send({ key: "max_connections", value })
+        .expect(200);
+    }
+    await request(app)
+      .post("/config/api")
+      .send({ key: "max_connections", value: 0 })
+      .expect(400);
+    await request(app).put("/schemas/api").send(identified).expect(200);
+  });
+
+  describe("/schemas/:serviceName", () => {
+    test("should register a schema", async () => {
+      await request(app).put("/schemas/api").send(schema).expect(200);
+
+      expect(mockDb.execute).toHaveBeenCalledWith(
+        expect.stringContaining("INSERT INTO config_schemas"),
+        ["api", JSON.stringify(schema)],
+      );
+    });
+
+    test("should reject an invalid schema", async () => {
+      const response = await request(app)
+        .put("/schemas/api")
+        .send({ type: "object", properties: { a: { type: "nope" } } })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/^Invalid schema/);
+    });
+
+    test("should return the registered schema", async () => {
+      mockSchema(schema);
+
+      const response = await request(app).get("/schemas/api").expect(200);
+
+      expect(response.body).toEqual(schema);
+    });
+
+    test("should return 404 without a schema", async () => {
+      await request(app).get("/schemas/api").expect(404);
+      await request(app).delete("/schemas/api").expect(404);
+    });
+
+    test("should delete a schema", async () => {
+      mockDb.execute.mockResolvedValue([{ affectedRows: 1 }]);
+
+      await request(app).delete("/schemas/api").expect(200);
+    });
+  });
+});
@@ -0,0 +1,385 @@
+const crypto = require("crypto");
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const {
+  MASK,
+  decrypt,
+  encrypt,
+  isEncrypted,
+  readValue,
+  rotateSecrets,
+} = require("../secrets");
+const { createStorage } = require("../drivers/storage");
+const { createRelease } = require("../releases");
+const { applyChanges } = require("../revisions");
+const { trashKey } = require("../trash");
+const { createWebhook } = require("../webhooks");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+const OLD_KEY = crypto.randomBytes(32).toString("base64");
+const NEW_KEY = crypto.randomBytes(32).toString("hex");
+
+const originalEnv = { ...process.env };
+
+function useKeys(active, previous = []) {
+  process.env.CONFIG_MASTER_KEY = active;
+  process.env.CONFIG_PREVIOUS_MASTER_KEYS = previous.join(",");
+}
+
+afterEach(() => {
+  process.env = { ...originalEnv };
+});
+
+describe("Secret encryption", () => {
+  test("should encrypt and decrypt values", () => {
+    useKeys(OLD_KEY);
+
+    const stored = encrypt("s3cr3t");
+
+    expect(isEncrypted(stored)).toBe(true);
+    expect(stored).not.toContain("s3cr3t");
+    expect(encrypt("s3cr3t")).not.toBe(stored);
+    expect(decrypt(stored)).toBe("s3cr3t");
+  });
+
+  test("should decrypt values encrypted under a previous key", () => {
+    useKeys(OLD_KEY);
+    const stored = encrypt("s3cr3t");
+
+    useKeys(NEW_KEY, [OLD_KEY]);
+    expect(decrypt(stored)).toBe("s3cr3t");
+
+    useKeys(NEW_KEY);
+    expect(() => decrypt(stored)).toThrow(/No master key available/);
+  });
+
+  test("should reject tampered values", () => {
+    useKeys(OLD_KEY);
+    const parts = encrypt("s3cr3t").split(":");
+    parts[5] = Buffer.from("other").toString("base64");
+
+    expect(() => decrypt(parts.join(":"))).toThrow();
+  });
+
+  test("should reject malformed master keys", () => {
+    useKeys("too-short");
+
+    expect(() => encrypt("s3cr3t")).toThrow(/32 bytes/);
+  });
+
+  test("should mask secrets unless revealed", () => {
+    useKeys(OLD_KEY);
+    const stored = encrypt("42");
+
+    expect(readValue(stored, "number", true)).toBe(MASK);
+    expect(readValue(stored, "number", true, true)).toBe(42);
+    expect(readValue("42", "number", false)).toBe(42);
+    expect(readValue(null, "string", true)).toBeNull();
+  });
+
+  test("should re-encrypt secrets under the active key", async () => {
+    useKeys(OLD_KEY);
+    const db = createStorage("memory");
+    await db.migrate();
+    await applyChanges(db, "payments", [
+      { key: "password", value: "s3cr3t", secret: true },
+      { key: "token", value: "t0k3n", secret: true },
+      { key: "timeout", value: "30", type: "number" },
+    ]);
+    await createRelease(db, "payments", { name: "v1" });
+    await trashKey(db, "payments", "default", "token", { actor: null });
+    await createWebhook(db, "payments", {
+      url: "https://example.com/hook",
+      keyPrefix: "",
+    });
+    useKeys(NEW_KEY, [OLD_KEY]);
+
+    const result = await rotateSecrets(db);
+
+    // The password in configurations, both secrets in revisions and in the
+    // release, the trashed token and the webhook secret
+    expect(result).toEqual({
+      keyId: expect.stringMatching(/^[0-9a-f]{8}$/),
+      rotated: 7,
+      failed: 0,
+    });
+    useKeys(NEW_KEY);
+    const [password] = await db.configurations.forService("payments");
+    expect(password.config_value).toContain(`enc:v1:${result.keyId}:`);
+    expect(decrypt(password.config_value)).toBe("s3cr3t");
+    const [hook] = await db.webhooks.list("payments");
+    expect(hook.secret).toContain(`enc:v1:${result.keyId}:`);
+    expect((await rotateSecrets(db)).rotated).toBe(0);
+  });
+
+  test("should re-encrypt secrets of pending change requests", async () => {
+    useKeys(OLD_KEY);
+    const changes = JSON.stringify([
+      {
+        key: "password",
+        value: encrypt("s3cr3t"),
+        type: "string",
+        secret: true,
+      },
+      { key: "timeout", value: "30", type: "number", secret: false },
+      { key: "legacy", value: null, type: null, secret: false },
+    ]);
+    useKeys(NEW_KEY, [OLD_KEY]);
+
+    const db = createStorage("memory");
+    await db.migrate();
+    const request = () =>
+      db.changeRequests.insert({
+        serviceName: "payments",
+        environment: "default",
+        changes,
+        requestedBy: null,
+        expiresAt: new Date(Date.now() + 60000),
+      });
+    const pending = await request();
+    const approved = await request();
+    await db.changeRequests.review(approved, {
+      status: "approved",
+      reviewedBy: null,
+      comment: null,
+      revision: null,
+      reviewedAt: new Date(),
+    });
+
+    expect((await rotateSecrets(db)).rotated).toBe(1);
+    const stored = await db.changeRequests.get("payments", pending);
+    expect((await db.changeRequests.get("payments", approved)).changes).toBe(
+      changes,
+    );
+
+    useKeys(NEW_KEY);
+    const rotated = JSON.parse(stored.changes);
+    expect(decrypt(rotated[0].value)).toBe("s3cr3t");
+    expect(rotated.slice(1)).toEqual(JSON.parse(changes).slice(1));
+
+    // Already under the active key
+    expect((await rotateSecrets(db)).rotated).toBe(0);
+  });
+
+  test("should re-encrypt secrets of pending schedules and reverts", async () => {
+    useKeys(OLD_KEY);
+    const changes = JSON.stringify([
+      {
+        key: "password",
+        value: encrypt("temporary"),
+        type: "string",
+        secret: true,
+        expected: {
+          value: encrypt("original"),
+          type: "string",
+          secret: true,
+        },
+      },
+      { key: "timeout", value: "30", type: "number", secret: false },
+    ]);
+    useKeys(NEW_KEY, [OLD_KEY]);
+
+    const db = createStorage("memory");
+    await db.migrate();
+    const id = await db.schedules.insert({
+      serviceName: "payments",
+      environment: "default",
+      kind: "revert",
+      changes,
+      runAt: new Date(Date.now() + 60000),
+      expiresAt: null,
+      revertOf: null,
+      createdBy: null,
+    });
+
+    expect((await rotateSecrets(db)).rotated).toBe(1);
+
+    useKeys(NEW_KEY);
+    const stored = await db.schedules.get("payments", id);
+    const [password, timeout] = JSON.parse(stored.changes);
+    expect(decrypt(password.value)).toBe("temporary");
+    expect(decrypt(password.expected.value)).toBe("original");
+    expect(timeout).toEqual(JSON.parse(changes)[1]);
+  });
+});
+
+describe("Secret configuration routes", () => {
+  let mockDb;
+  let mockRedisClient;
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+    useKeys(NEW_KEY);
+    process.env.SECRETS_REVEAL_TOKEN = "reveal-me";
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+
+    mockRedisClient = global.testHelpers.createMockRedisClient();
+    redis.createClient.mockReturnValue(mockRedisClient);
+
+    mockDb.execute.mockResolvedValue([[], {}]);
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  function mockStoredSecret() {
+    const row = {
+      service_name: "api",
+      environment: "default",
+      config_key: "db_password",
+      config_value: encrypt("hunter2"),
+      value_type: "string",
+      is_secret: 1,
+    };
+    mockDb.execute.mockResolvedValue([[row]]);
+    return row;
+  }
+
+  test("should store secret values encrypted", async () => {
+    await request(app)
+      .post("/config/api")
+      .send({ key: "db_password", value: "hunter2", secret: true })
+      .expect(200);
+
+    const insert = mockDb.execute.mock.calls.find(([sql]) =>
+      sql.startsWith("INSERT INTO configurations"),
+    );
+    const [, , , stored, type, secret] = insert[1];
+    expect(isEncrypted(stored)).toBe(true);
+    expect(decrypt(stored)).toBe("hunter2");
+    expect(type).toBe("string");
+    expect(secret).toBe(1);
+  });
+
+  test("should keep keys secret when they are rewritten", async () => {
+    const row = mockStoredSecret();
+    mockDb.execute.mockImplementation(async (sql) =>
+      sql.startsWith("SELECT environment, config_key") ? [[row]] : [[], {}],
+    );
+
+    await request(app)
+      .post("/config/api")
+      .send({ key: "db_password", value: "correct-horse" })
+      .expect(200);
+
+    const insert = mockDb.execute.mock.calls.find(([sql]) =>
+      sql.startsWith("INSERT INTO configurations"),
+    );
+    expect(decrypt(insert[1][3])).toBe("correct-horse");
+    expect(insert[1][5]).toBe(1);
+  });
+
+  test("should reject secrets without a master key", async () => {
+    delete process.env.CONFIG_MASTER_KEY;
+
+    const response = await request(app)
+      .post("/config/api")
+      .send({ key: "db_password", value: "hunter2", secret: true })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: "Secret values require CONFIG_MASTER_KEY to be configured",
+    });
+  });
+
+  test("should reject a non-boolean secret flag", async () => {
+    await request(app)
+      .post("/config/api")
+      .send({ key: "db_password", value: "hunter2", secret: "yes" })
+      .expect(400);
+  });
+
+  test("should mask secrets in resolved and cached configurations", async () => {
+    mockStoredSecret();
+
+    const response = await request(app).get("/config/api").expect(200);
+
+    expect(response.body).toEqual({ db_password: MASK });
+    expect(mockRedisClient.setEx).toHaveBeenCalledWith(
+      "config:api",
+      300,
+      expect.stringContaining(
+        `"config":${JSON.stringify({ db_password: MASK })}`,
+      ),
+    );
+  });
+
+  test("should reveal secrets to callers with the reveal token", async () => {
+    mockStoredSecret();
+
+    const response = await request(app)
+      .get("/config/api?reveal=true")
+      .set("X-Reveal-Token", "reveal-me")
+      .expect(200);
+
+    expect(response.body).toEqual({ db_password: "hunter2" });
+    expect(mockRedisClient.get).not.toHaveBeenCalled();
+    expect(mockRedisClient.setEx).not.toHaveBeenCalled();
+  });
+
+  test("should refuse to reveal secrets without the reveal token", async () => {
+    mockStoredSecret();
+
+    await request(app).get("/config/api?reveal=true").expect(403);
+    await request(app)
+      .get("/config/api?reveal=true")
+      .set("X-Reveal-Token", "guess")
+      .expect(403);
+
+    delete process.env.SECRETS_REVEAL_TOKEN;
+    await request(app)
+      .get("/config/api?reveal=true")
+      .set("X-Reveal-Token", "reveal-me")
+      .expect(403);
+  });
+
+  test("should mask secrets when listing all configurations", async () => {
+    mockStoredSecret();
+
+    const response = await request(app).get("/config").expect(200);
+
+    expect(response.body.configurations[0].config_value).toBe(MASK);
+  });
+
+  test("should mask secrets in history", async () => {
+    const row = mockStoredSecret();
+    mockDb.execute.mockResolvedValue([
+      [{ ...row, revision: 1, operation: "set", created_at: "2024-01-01" }],
+    ]);
+
+    const response = await request(app)
+      .get("/config/api/history/db_password")
+      .expect(200);
+
+    expect(response.body.history[0]).toMatchObject({
+      value: MASK,
+      secret: true,
+    });
+  });
+
+  test("should rotate secrets through the API", async () => {
+    const response = await request(app).post("/secrets/rotate").expect(200);
+
+    expect(response.body).toEqual({
+      message: "Secrets re-encrypted successfully",
+      keyId: expect.any(String),
+      rotated: 0,
+      failed: 0,
+    });
+  });
+
+  test("should not rotate without a master key", async () => {
+    delete process.env.CONFIG_MASTER_KEY;
+
+    await request(app).post("/secrets/rotate").expect(400);
+  });
+});
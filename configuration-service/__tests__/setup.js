@@ -42,6 +42,9 @@ expect.extend({
   },
 });
 
+// Route tests run without API key authentication unless they enable it
+process.env.AUTH_ENABLED = "false";
+
 // Global test timeout
 jest.setTimeout(10000);
 
@@ -62,6 +65,8 @@ afterAll(() => {
 const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
 afterEach(() => {
   mockExit.mockClear();
+  delete process.env.STORAGE_DRIVER;
+  delete process.env.CACHE_DRIVER;
 });
 
 // Global test data
@@ -104,4 +109,53 @@ global.testHelpers = {
     res.send = jest.fn().mockReturnValue(res);
     return res;
   },
+
+  // Fresh app on the in-process storage and cache drivers, connected and
+  // migrated; returns the module's exports
+  startMemoryApp: async () => {
+    process.env.STORAGE_DRIVER = "memory";
+    process.env.CACHE_DRIVER = "memory";
+    delete require.cache[require.resolve("../index")];
+    const appModule = require("../index");
+    await appModule.initializeConnections();
+    return appModule;
+  },
+
+  // MySQL pool mock that also acts as the connection used for transactions
+  createMockPool: () => {
+    const pool = {
+      execute: jest.fn(),
+      getConnection: jest.fn(),
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn(),
+      end: jest.fn(),
+    };
+    pool.getConnection.mockResolvedValue(pool);
+    return pool;
+  },
+
+  // Redis client mock; duplicate() hands out the pub/sub connection, which is
+  // kept on client.subscriber
+  createMockRedisClient: () => {
+    const subscriber = {
+      on: jest.fn(),
+      connect: jest.fn().mockResolvedValue(undefined),
+      subscribe: jest.fn().mockResolvedValue(undefined),
+      quit: jest.fn().mockResolvedValue(undefined),
+    };
+    return {
+      on: jest.fn(),
+      connect: jest.fn().mockResolvedValue(undefined),
+      get: jest.fn().mockResolvedValue(null),
+      setEx: jest.fn(),
+      del: jest.fn(),
+      scanIterator: jest.fn().mockImplementation(async function* () {}),
+      publish: jest.fn().mockResolvedValue(1),
+      quit: jest.fn().mockResolvedValue(undefined),
+      duplicate: jest.fn().mockReturnValue(subscriber),
+      subscriber,
+    };
+  },
 };
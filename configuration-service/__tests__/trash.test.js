@@ -0,0 +1,232 @@
+const request = require("supertest");
+
+const { createStorage } = require("../drivers/storage");
+const { applyChanges } = require("../revisions");
+const { listTrash, purgeTrash, restoreTrash, trashKey } = require("../trash");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+const DAY = 86400 * 1000;
+
+describe("Trash", () => {
+  let db;
+
+  function set(key, value, environment = "default") {
+    return applyChanges(db, "payments", [{ environment, key, value }]);
+  }
+
+  function trash(key, now, environment = "default") {
+    return trashKey(db, "payments", environment, key, { actor: null, now });
+  }
+
+  beforeEach(async () => {
+    db = createStorage("memory");
+    await db.migrate();
+  });
+
+  afterEach(() => {
+    delete process.env.TRASH_RETENTION;
+  });
+
+  test("should restore keys deleted in a time range, latest deletion first", async () => {
+    const start = new Date("2024-06-01T10:00:00Z");
+    const at = (minutes) => new Date(start.getTime() + minutes * 60000);
+
+    await set("old", "1");
+    await trash("old", at(-10));
+    await set("retries", "1");
+    await trash("retries", at(1));
+    await set("retries", "2");
+    await trash("retries", at(2));
+    await set("url", "https://example.com", "prod");
+    await trash("url", at(3), "prod");
+    await set("timeout", "30");
+    await trash("timeout", at(4));
+    await set("timeout", "60");
+
+    const outcome = await restoreTrash(db, "payments", {
+      from: start,
+      to: at(5),
+      now: at(6),
+    });
+
+    expect(
+      outcome.result.changes.map(({ key, value }) => [key, value]),
+    ).toEqual([
+      ["url", "https://example.com"],
+      ["retries", "2"],
+    ]);
+    expect(outcome.skipped.map(({ key }) => key)).toEqual(["timeout"]);
+
+    // Left alone: the older deletion of retries, the skipped timeout and
+    // everything deleted before the range
+    const left = await listTrash(db, "payments", { limit: 10, now: at(6) });
+    expect(left.map(({ key, value }) => [key, value])).toEqual([
+      ["timeout", "30"],
+      ["retries", "1"],
+      ["old", "1"],
+    ]);
+  });
+
+  test("should purge entries past the retention window", async () => {
+    process.env.TRASH_RETENTION = "3600";
+    const now = new Date();
+
+    await set("a", "1");
+    await trash("a", new Date(now.getTime() - DAY));
+    await set("b", "1");
+    await trash("b", now);
+
+    expect(
+      (await listTrash(db, "payments", { limit: 10, now })).map(
+        ({ key }) => key,
+      ),
+    ).toEqual(["b"]);
+    expect(await purgeTrash(db, now)).toBe(1);
+    expect(await purgeTrash(db, now)).toBe(0);
+  });
+});
+
+describe("Trash routes", () => {
+  let app;
+
+  beforeEach(async () => {
+    app = (await global.testHelpers.startMemoryApp()).app;
+
+    await request(app)
+      .post("/config/payments?env=prod")
+      .send({ key: "gateway.url", value: "https://example.com" })
+      .expect(200);
+    await request(app)
+      .post("/config/payments?env=prod")
+      .send({ key: "retries", value: 3 })
+      .expect(200);
+  });
+
+  afterEach(() => {
+    delete process.env.TRASH_RETENTION;
+  });
+
+  async function trashed() {
+    const response = await request(app)
+      .get("/config/payments/trash?env=prod")
+      .expect(200);
+    return response.body.trash;
+  }
+
+  test("should keep deleted keys in the trash until they are restored", async () => {
+    await request(app)
+      .delete("/config/payments/gateway.url?env=prod")
+      .expect(200);
+
+    const config = await request(app)
+      .get("/config/payments?env=prod")
+      .expect(200);
+    expect(config.body).toEqual({ retries: 3 });
+
+    const [entry] = await trashed();
+    expect(entry).toMatchObject({
+      environment: "prod",
+      key: "gateway.url",
+      value: "https://example.com",
+      type: "string",
+      secret: false,
+      revision: 3,
+      deletedBy: null,
+    });
+    expect(new Date(entry.purgeAt) - new Date(entry.deletedAt)).toBe(30 * DAY);
+
+    const restored = await request(app)
+      .post(`/config/payments/trash/${entry.id}/restore`)
+      .expect(200);
+    expect(restored.body).toEqual({
+      message: "Configuration restored successfully",
+      revision: 4,
+      restored: [{ id: entry.id, environment: "prod", key: "gateway.url" }],
+      skipped: [],
+    });
+
+    const after = await request(app)
+      .get("/config/payments?env=prod")
+      .expect(200);
+    expect(after.body).toEqual({
+      "gateway.url": "https://example.com",
+      retries: 3,
+    });
+    expect(await trashed()).toEqual([]);
+    await request(app)
+      .post(`/config/payments/trash/${entry.id}/restore`)
+      .expect(404);
+  });
+
+  test("should not overwrite keys set again since their deletion", async () => {
+    await request(app).delete("/config/payments/retries?env=prod").expect(200);
+    await request(app)
+      .post("/config/payments?env=prod")
+      .send({ key: "retries", value: 5 })
+      .expect(200);
+
+    const [entry] = await trashed();
+    const response = await request(app)
+      .post(`/config/payments/trash/${entry.id}/restore`)
+      .expect(409);
+    expect(response.body.error).toBe(
+      "Key has been set again since it was deleted",
+    );
+
+    const config = await request(app)
+      .get("/config/payments?env=prod")
+      .expect(200);
+    expect(config.body.retries).toBe(5);
+  });
+
+  test("should restore everything deleted since a point in time", async () => {
+    const from = new Date(Date.now() - 1000).toISOString();
+    await request(app)
+      .delete("/config/payments/gateway.url?env=prod")
+      .expect(200);
+    await request(app).delete("/config/payments/retries?env=prod").expect(200);
+
+    const response = await request(app)
+      .post("/config/payments/trash/restore?env=prod")
+      .send({ from })
+      .expect(200);
+    expect(response.body.restored.map(({ key }) => key).sort()).toEqual([
+      "gateway.url",
+      "retries",
+    ]);
+    expect(response.body.revision).toBe(5);
+
+    await request(app)
+      .post("/config/payments/trash/restore")
+      .send({ from })
+      .expect(404);
+    for (const body of [
+      {},
+      { from: "yesterday" },
+      { from, to: "1970-01-01" },
+    ]) {
+      await request(app)
+        .post("/config/payments/trash/restore")
+        .send(body)
+        .expect(400);
+    }
+  });
+
+  test("should stop restoring keys once their retention is over", async () => {
+    process.env.TRASH_RETENTION = "1";
+    await request(app).delete("/config/payments/retries?env=prod").expect(200);
+    const [entry] = await trashed();
+
+    jest.useFakeTimers({ now: Date.now() + 2000, doNotFake: ["nextTick"] });
+    try {
+      expect(await trashed()).toEqual([]);
+      await request(app)
+        .post(`/config/payments/trash/${entry.id}/restore`)
+        .expect(404);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,78 @@
+const {
+  decodeValue,
+  encodeValue,
+  inferType,
+  parseDuration,
+} = require("../values");
+
+describe("Typed values", () => {
+  test("should infer types from JSON values", () => {
+    expect(inferType("100")).toBe("string");
+    expect(inferType(100)).toBe("number");
+    expect(inferType(false)).toBe("boolean");
+    expect(inferType({ a: 1 })).toBe("json");
+    expect(inferType([1, 2])).toBe("json");
+    expect(inferType(null)).toBe("json");
+  });
+
+  test("should round-trip every type", () => {
+    const cases = [
+      ["", "string"],
+      [0, "number"],
+      [-1.5, "number"],
+      [false, "boolean"],
+      [true, "boolean"],
+      [{ hosts: ["a", "b"], port: 5432 }, "json"],
+      [null, "json"],
+    ];
+
+    for (const [value, type] of cases) {
+      const { text } = encodeValue(value, type);
+      expect(typeof text).toBe("string");
+      expect(decodeValue(text, type)).toEqual(value);
+    }
+  });
+
+  test("should coerce strings to an explicit type", () => {
+    expect(encodeValue("42", "number")).toEqual({ text: "42", type: "number" });
+    expect(encodeValue("true", "boolean")).toEqual({
+      text: "true",
+      type: "boolean",
+    });
+    expect(encodeValue('{"a":1}', "json")).toEqual({
+      text: '{"a":1}',
+      type: "json",
+    });
+  });
+
+  test("should reject values that do not fit the type", () => {
+    expect(encodeValue(1, "string").error).toBe("must be a string");
+    expect(encodeValue("abc", "number").error).toBe("must be a number");
+    expect(encodeValue("", "number").error).toBe("must be a number");
+    expect(encodeValue("yes", "boolean").error).toBe("must be a boolean");
+    expect(encodeValue("{", "json").error).toBe("must be valid JSON");
+    expect(encodeValue("soon", "duration").error).toMatch(/duration/);
+    expect(encodeValue("x", "date").error).toMatch(/type must be one of/);
+  });
+
+  test("should parse durations to milliseconds", () => {
+    expect(parseDuration("500ms")).toBe(500);
+    expect(parseDuration("30s")).toBe(30000);
+    expect(parseDuration("1h30m")).toBe(5400000);
+    expect(parseDuration("1.5d")).toBe(129600000);
+    expect(parseDuration("30")).toBeNull();
+    expect(parseDuration("s")).toBeNull();
+  });
+
+  test("should store durations as written and read them as milliseconds", () => {
+    expect(encodeValue("1h 30m", "duration")).toEqual({
+      text: "1h30m",
+      type: "duration",
+    });
+    expect(encodeValue(250, "duration")).toEqual({
+      text: "250ms",
+      type: "duration",
+    });
+    expect(decodeValue("1h30m", "duration")).toBe(5400000);
+  });
+});
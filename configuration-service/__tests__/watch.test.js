@@ -0,0 +1,290 @@
+const { EventEmitter } = require("events");
+const http = require("http");
+const request = require("supertest");
+const mysql = require("mysql2/promise");
+const redis = require("redis");
+
+const { CHANNEL, publishChange, subscribeChanges, watch } = require("../watch");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+// Parse the events written to a fake response
+function eventsOf(res) {
+  return res.write.mock.calls
+    .map(([chunk]) => chunk)
+    .filter((chunk) => chunk.startsWith("event:"))
+    .map((chunk) => {
+      const [, event, data] = chunk.match(/^event: (\w+)\ndata: (.*)\n\n$/);
+      return { event, data: JSON.parse(data) };
+    });
+}
+
+function change(serviceName, environment = "default") {
+  return {
+    serviceName,
+    revision: 3,
+    operation: "set",
+    changes: [{ environment, key: "timeout" }],
+    timestamp: "2024-01-01T00:00:00.000Z",
+  };
+}
+
+describe("Change feed", () => {
+  let subscriber;
+  let deliver;
+
+  beforeAll(async () => {
+    subscriber = {
+      subscribe: jest.fn().mockImplementation(async (channel, listener) => {
+        deliver = (event) => listener(JSON.stringify(event));
+      }),
+    };
+    await subscribeChanges(subscriber);
+  });
+
+  function openWatch(options) {
+    const req = new EventEmitter();
+    const res = { writeHead: jest.fn(), write: jest.fn() };
+    watch(req, res, options);
+    return { req, res };
+  }
+
+  test("should subscribe to the change channel", () => {
+    expect(subscriber.subscribe).toHaveBeenCalledWith(
+      CHANNEL,
+      expect.any(Function),
+    );
+  });
+
+  test("should open an event stream with the current revisions", () => {
+    const { req, res } = openWatch({
+      services: ["api"],
+      environment: null,
+      revisions: { api: 2 },
+    });
+
+    expect(res.writeHead).toHaveBeenCalledWith(
+      200,
+      expect.objectContaining({ "Content-Type": "text/event-stream" }),
+    );
+    expect(eventsOf(res)).toEqual([
+      { event: "ready", data: { services: { api: 2 }, environment: null } },
+    ]);
+
+    req.emit("close");
+  });
+
+  test("should deliver changes of watched services and global defaults", () => {
+    const { req, res } = openWatch({
+      services: ["api"],
+      environment: null,
+      revisions: { api: 2 },
+    });
+
+    deliver(change("api"));
+    deliver(change("web"));
+    deliver(change("_global"));
+
+    expect(eventsOf(res).slice(1)).toEqual([
+      { event: "change", data: change("api") },
+      { event: "change", data: change("_global") },
+    ]);
+
+    req.emit("close");
+  });
+
+  test("should only deliver changes affecting the watched environment", () => {
+    const { req, res } = openWatch({
+      services: ["api"],
+      environment: "prod",
+      revisions: { api: 2 },
+    });
+
+    deliver(change("api", "staging"));
+    deliver(change("api", "prod"));
+    deliver(change("api", "default"));
+
+    expect(eventsOf(res).slice(1)).toEqual([
+      { event: "change", data: change("api", "prod") },
+      { event: "change", data: change("api", "default") },
+    ]);
+
+    req.emit("close");
+  });
+
+  test("should stop delivering once the watcher disconnects", () => {
+    const { req, res } = openWatch({
+      services: ["api"],
+      environment: null,
+      revisions: { api: 2 },
+    });
+
+    req.emit("close");
+    deliver(change("api"));
+
+    expect(eventsOf(res)).toHaveLength(1);
+  });
+
+  test("should not publish revisions without changes", async () => {
+    const publish = jest.fn();
+
+    await publishChange(publish, "api", { revision: 2, changes: [] }, "set");
+
+    expect(publish).not.toHaveBeenCalled();
+  });
+});
+
+describe("Watch routes", () => {
+  let mockDb;
+  let mockRedisClient;
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve("../index")];
+    delete require.cache[require.resolve("../watch")];
+
+    mockDb = global.testHelpers.createMockPool();
+    mysql.createPool.mockReturnValue(mockDb);
+
+    mockRedisClient = global.testHelpers.createMockRedisClient();
+    redis.createClient.mockReturnValue(mockRedisClient);
+
+    mockDb.execute.mockResolvedValue([[], {}]);
+
+    const appModule = require("../index");
+    app = appModule.app;
+    await appModule.initializeConnections();
+  });
+
+  test("should subscribe to changes on a dedicated connection", () => {
+    expect(mockRedisClient.duplicate).toHaveBeenCalled();
+    expect(mockRedisClient.subscriber.connect).toHaveBeenCalled();
+    expect(mockRedisClient.subscriber.subscribe).toHaveBeenCalledWith(
+      CHANNEL,
+      expect.any(Function),
+    );
+  });
+
+  test("should publish writes with their new revision", async () => {
+    await request(app)
+      .post("/config/api?env=prod")
+      .send({ key: "timeout", value: 30 })
+      .expect(200);
+
+    expect(mockRedisClient.publish).toHaveBeenCalledTimes(1);
+    const [channel, message] = mockRedisClient.publish.mock.calls[0];
+    expect(channel).toBe(CHANNEL);
+    expect(JSON.parse(message)).toEqual({
+      serviceName: "api",
+      revision: 1,
+      operation: "set",
+      changes: [{ environment: "prod", key: "timeout" }],
+      timestamp: expect.any(String),
+    });
+  });
+
+  test("should publish deletes", async () => {
+    mockDb.execute.mockImplementation(async (sql) =>
+      sql.startsWith("SELECT environment, config_key")
+        ? [[{ environment: "default", config_key: "timeout" }]]
+        : [[], {}],
+    );
+
+    await request(app).delete("/config/api/timeout").expect(200);
+
+    const [, message] = mockRedisClient.publish.mock.calls[0];
+    expect(JSON.parse(message)).toMatchObject({
+      serviceName: "api",
+      operation: "delete",
+      changes: [{ environment: "default", key: "timeout" }],
+    });
+  });
+
+  test("should not publish writes that change nothing", async () => {
+    mockDb.execute.mockImplementation(async (sql) =>
+      sql.startsWith("SELECT environment, config_key")
+        ? [
+            [
+              {
+                environment: "default",
+                config_key: "timeout",
+                config_value: "30",
+                value_type: "number",
+              },
+            ],
+          ]
+        : [[], {}],
+    );
+
+    await request(app)
+      .post("/config/api")
+      .send({ key: "timeout", value: 30 })
+      .expect(200);
+
+    expect(mockRedisClient.publish).not.toHaveBeenCalled();
+  });
+
+  test("should still answer writes when publishing fails", async () => {
+    mockRedisClient.publish.mockRejectedValue(new Error("Redis down"));
+
+    await request(app)
+      .post("/config/api")
+      .send({ key: "timeout", value: 30 })
+      .expect(200);
+  });
+
+  test("should require services to watch", async () => {
+    await request(app).get("/watch").expect(400);
+    await request(app).get("/watch?services=,").expect(400);
+    await request(app).get("/watch?services=api&env=a%20b").expect(400);
+  });
+
+  test("should stream changes to watchers", async () => {
+    mockDb.execute.mockImplementation(async (sql) =>
+      sql.startsWith("SELECT revision FROM service_revisions")
+        ? [[{ revision: 4 }]]
+        : [[], {}],
+    );
+    const [, listener] = mockRedisClient.subscriber.subscribe.mock.calls[0];
+
+    const server = app.listen(0);
+    const { port } = server.address();
+
+    try {
+      const chunks = await new Promise((resolve, reject) => {
+        const received = [];
+        const req = http.get(
+          `http://127.0.0.1:${port}/watch?services=api,web`,
+          (res) => {
+            expect(res.headers["content-type"]).toBe("text/event-stream");
+            res.setEncoding("utf8");
+            res.on("data", (chunk) => {
+              received.push(chunk);
+              if (received.length === 1) {
+                listener(JSON.stringify(change("web")));
+              } else {
+                req.destroy();
+                resolve(received);
+              }
+            });
+          },
+        );
+        req.on("error", reject);
+      });
+
+      expect(chunks[0]).toBe(
+        `event: ready\ndata: ${JSON.stringify({
+          services: { api: 4, web: 4 },
+          environment: null,
+        })}\n\n`,
+      );
+      expect(chunks[1]).toBe(
+        `event: change\ndata: ${JSON.stringify(change("web"))}\n\n`,
+      );
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,244 @@
+const crypto = require("crypto");
+const http = require("http");
+const request = require("supertest");
+
+const { MAX_ATTEMPTS, sign } = require("../webhooks");
+
+jest.mock("mysql2/promise");
+jest.mock("redis");
+
+const HOUR = 3600 * 1000;
+
+describe("Webhooks", () => {
+  let appModule;
+  let app;
+  let receiver;
+  let receiverUrl;
+  let received;
+  let responseStatus;
+
+  function setConfig(key, value) {
+    return request(app)
+      .post("/config/payments?env=prod")
+      .send({ key, value })
+      .expect(200);
+  }
+
+  async function register(body = {}) {
+    const response = await request(app)
+      .post("/config/payments/webhooks")
+      .send({ url: receiverUrl, ...body })
+      .expect(201);
+    return response.body;
+  }
+
+  async function deliveries(id, query = "") {
+    const response = await request(app)
+      .get(`/config/payments/webhooks/${id}/deliveries${query}`)
+      .expect(200);
+    return response.body.deliveries;
+  }
+
+  beforeEach(async () => {
+    appModule = await global.testHelpers.startMemoryApp();
+    app = appModule.app;
+
+    received = [];
+    responseStatus = 204;
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus).end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks/config`;
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    delete process.env.CONFIG_MASTER_KEY;
+    delete process.env.CONFIG_PREVIOUS_MASTER_KEYS;
+    receiver.closeAllConnections();
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  test("should POST signed changes to matching webhooks", async () => {
+    const all = await register();
+    const gateway = await register({ keyPrefix: "gateway." });
+    expect(all).toMatchObject({
+      serviceName: "payments",
+      url: receiverUrl,
+      keyPrefix: "",
+      secret: expect.stringMatching(/^[0-9a-f]{64}$/),
+    });
+
+    await setConfig("retries", 3);
+    await setConfig("gateway.url", "https://example.com");
+    await appModule.runWebhooks();
+
+    expect(received).toHaveLength(3);
+    const payloads = received.map(({ body }) => JSON.parse(body));
+    expect(payloads[0]).toEqual({
+      event: "configuration.changed",
+      serviceName: "payments",
+      revision: 1,
+      operation: "set",
+      changes: [{ environment: "prod", key: "retries" }],
+      timestamp: expect.any(String),
+    });
+    expect(payloads.map(({ revision }) => revision)).toEqual([1, 2, 2]);
+
+    for (const { headers, body } of received) {
+      const { secret } = headers["x-config-delivery"] === "3" ? gateway : all;
+      expect(headers["content-type"]).toBe("application/json");
+      expect(headers["x-config-signature"]).toBe(
+        `sha256=${sign(secret, headers["x-config-timestamp"], body)}`,
+      );
+    }
+
+    const [delivered] = await deliveries(gateway.id);
+    expect(delivered).toMatchObject({
+      id: 3,
+      webhookId: gateway.id,
+      status: "delivered",
+      attempts: 1,
+      responseStatus: 204,
+      error: null,
+      nextAttemptAt: null,
+      deliveredAt: expect.any(String),
+    });
+
+    const listed = await request(app)
+      .get("/config/payments/webhooks")
+      .expect(200);
+    expect(listed.body.webhooks.map(({ id }) => id)).toEqual([
+      all.id,
+      gateway.id,
+    ]);
+    expect(listed.body.webhooks[0].secret).toBeUndefined();
+  });
+
+  test("should retry with backoff, give up and redeliver", async () => {
+    const { id } = await register();
+    responseStatus = 500;
+    await setConfig("retries", 3);
+
+    jest.useFakeTimers({
+      now: Date.now(),
+      doNotFake: [
+        "hrtime",
+        "nextTick",
+        "performance",
+        "queueMicrotask",
+        "setImmediate",
+        "clearImmediate",
+        "setInterval",
+        "clearInterval",
+        "setTimeout",
+        "clearTimeout",
+      ],
+    });
+    const start = Date.now();
+    await appModule.runWebhooks();
+
+    let [delivery] = await deliveries(id);
+    expect(delivery).toMatchObject({
+      status: "pending",
+      attempts: 1,
+      responseStatus: 500,
+      error: "Webhook responded with 500",
+    });
+    expect(new Date(delivery.nextAttemptAt) - start).toBe(30000);
+
+    // Not due yet
+    await appModule.runWebhooks();
+    expect(received).toHaveLength(1);
+
+    for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) {
+      jest.setSystemTime(Date.now() + 2 * HOUR);
+      await appModule.runWebhooks();
+    }
+    expect(received).toHaveLength(MAX_ATTEMPTS);
+
+    [delivery] = await deliveries(id, "?status=dead");
+    expect(delivery).toMatchObject({
+      status: "dead",
+      attempts: MAX_ATTEMPTS,
+      nextAttemptAt: null,
+    });
+
+    responseStatus = 200;
+    const redelivered = await request(app)
+      .post(
+        `/config/payments/webhooks/${id}/deliveries/${delivery.id}/redeliver`,
+      )
+      .expect(202);
+    expect(redelivered.body).toMatchObject({
+      status: "pending",
+      attempts: 0,
+      redeliveryOf: delivery.id,
+      payload: delivery.payload,
+    });
+    await request(app)
+      .post(
+        `/config/payments/webhooks/${id}/deliveries/${redelivered.body.id}/redeliver`,
+      )
+      .expect(409);
+
+    await appModule.runWebhooks();
+    expect(received).toHaveLength(MAX_ATTEMPTS + 1);
+    expect((await deliveries(id, "?status=delivered"))[0].id).toBe(
+      redelivered.body.id,
+    );
+  });
+
+  test("should sign with secrets kept across master key rotations", async () => {
+    const oldKey = crypto.randomBytes(32).toString("hex");
+    process.env.CONFIG_MASTER_KEY = oldKey;
+    const { secret } = await register();
+
+    process.env.CONFIG_MASTER_KEY = crypto.randomBytes(32).toString("hex");
+    process.env.CONFIG_PREVIOUS_MASTER_KEYS = oldKey;
+    const rotated = await request(app).post("/secrets/rotate").expect(200);
+    expect(rotated.body.rotated).toBe(1);
+    delete process.env.CONFIG_PREVIOUS_MASTER_KEYS;
+
+    await setConfig("retries", 3);
+    await appModule.runWebhooks();
+    const [{ headers, body }] = received;
+    expect(headers["x-config-signature"]).toBe(
+      `sha256=${sign(secret, headers["x-config-timestamp"], body)}`,
+    );
+  });
+
+  test("should validate and remove webhooks", async () => {
+    for (const body of [
+      { url: "ftp://example.com" },
+      { url: "not a url" },
+      { keyPrefix: 42 },
+    ]) {
+      await request(app)
+        .post("/config/payments/webhooks")
+        .send({ url: receiverUrl, ...body })
+        .expect(400);
+    }
+
+    const { id } = await register();
+    await request(app)
+      .get(`/config/payments/webhooks/${id}/deliveries?status=lost`)
+      .expect(400);
+    await request(app)
+      .get(`/config/other/webhooks/${id}/deliveries`)
+      .expect(404);
+
+    await request(app).delete(`/config/payments/webhooks/${id}`).expect(200);
+    await request(app).delete(`/config/payments/webhooks/${id}`).expect(404);
+
+    await setConfig("retries", 3);
+    await appModule.runWebhooks();
+    expect(received).toEqual([]);
+  });
+});
@@ -0,0 +1,342 @@
+// Protected keys and the approval of changes to them
+//
+// A service can protect single keys, or key prefixes ending in "*", in one
+// environment or in all of them ("*"). Writes touching a protected key are
+// not applied: they are kept as a pending change request instead, which a
+// principal other than the requester approves or rejects. Approving applies
+// every change of the request as one revision, in the transaction that marks
+// it approved, so a request is applied at most once whichever replica is
+// asked. Requests nobody reviewed within CHANGE_REQUEST_TTL seconds expire.
+//
+// Changes are kept as stored (see values.js), with values of secret keys
+// encrypted under CONFIG_MASTER_KEY.
+
+const { storedConfig } = require("./bulk");
+const { diffConfigs } = require("./diff");
+const { applyChangesWithin } = require("./revisions");
+const { decrypt, encrypt, readValue } = require("./secrets");
+const { trashDeletions } = require("./trash");
+
+const STATUSES = ["pending", "approved", "rejected", "expired"];
+
+// Environment of protections covering every environment
+const ALL_ENVIRONMENTS = "*";
+
+const KEY_PATTERN = /^[^*]+\*?$|^\*$/;
+
+function ttl() {
+  return (parseInt(process.env.CHANGE_REQUEST_TTL) || 86400) * 1000;
+}
+
+function isValidPattern(pattern) {
+  return (
+    typeof pattern === "string" &&
+    pattern.length <= 255 &&
+    KEY_PATTERN.test(pattern)
+  );
+}
+
+function matches(pattern, key) {
+  return pattern.endsWith("*")
+    ? key.startsWith(pattern.slice(0, -1))
+    : pattern === key;
+}
+
+function toProtection(row) {
+  return {
+    id: row.id,
+    key: row.key_pattern,
+    environment: row.environment,
+    createdBy: row.created_by ? JSON.parse(row.created_by) : null,
+    createdAt: row.created_at,
+  };
+}
+
+// Protections of a service, oldest first
+async function listProtections(db, serviceName) {
+  const rows = await db.protections.list(serviceName);
+  return rows.map(toProtection);
+}
+
+// Protect a key or key prefix of a service. Returns the new protection, or
+// null if the same one already exists.
+async function addProtection(db, serviceName, { key, environment, actor }) {
+  const id = await db.protections.insert({
+    serviceName,
+    environment,
+    keyPattern: key,
+    createdBy: actor ? JSON.stringify(actor) : null,
+  });
+  return id === null ? null : toProtection(await db.protections.get(id));
+}
+
+// Lift a protection; returns whether there was one
+async function removeProtection(db, serviceName, id) {
+  return db.protections.remove(serviceName, id);
+}
+
+// Keys among { environment, key } changes that the given protections cover
+function protectedKeys(protections, changes) {
+  return changes
+    .filter(({ environment, key }) =>
+      protections.some(
+        (protection) =>
+          (protection.environment === ALL_ENVIRONMENTS ||
+            protection.environment === environment) &&
+          matches(protection.key, key),
+      ),
+    )
+    .map(({ key }) => key);
+}
+
+function toChangeRequest(row) {
+  const changes = JSON.parse(row.changes);
+  return {
+    id: row.id,
+    serviceName: row.service_name,
+    environment: row.environment,
+    set: changes
+      .filter(({ value }) => value !== null)
+      .map(({ key, value, type, secret }) => ({
+        key,
+        value: readValue(value, type, secret),
+        type,
+        secret,
+      })),
+    delete: changes.filter(({ value }) => value === null).map(({ key }) => key),
+    status: row.status,
+    requestedBy: row.requested_by ? JSON.parse(row.requested_by) : null,
+    reviewedBy: row.reviewed_by ? JSON.parse(row.reviewed_by) : null,
+    comment: row.comment,
+    revision: row.revision,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at,
+  };
+}
+
+// What approving a request would change now, as a diff (see diff.js) of the
+// keys it touches between their current and requested values. Secrets are
+// only compared with compareSecrets set, for callers who may reveal them.
+async function requestDiff(db, changeRequest, row, { compareSecrets }) {
+  const stored = await storedConfig(
+    db,
+    changeRequest.serviceName,
+    changeRequest.environment,
+  );
+  const plaintext = ({ value, type, secret }) => ({
+    value: readValue(value, type, secret, compareSecrets),
+    type,
+    secret,
+  });
+
+  const from = {};
+  const to = {};
+  for (const { key, value, type, secret } of JSON.parse(row.changes)) {
+    if (Object.hasOwn(stored, key)) {
+      from[key] = plaintext(stored[key]);
+    }
+    if (value !== null) {
+      to[key] = plaintext({ value, type, secret });
+    }
+  }
+  return diffConfigs(from, to, { compareSecrets });
+}
+
+// A request as returned by the API; pending ones come with their diff
+async function present(db, row, { compareSecrets = false } = {}) {
+  const changeRequest = toChangeRequest(row);
+  if (changeRequest.status === "pending") {
+    changeRequest.diff = await requestDiff(db, changeRequest, row, {
+      compareSecrets,
+    });
+  }
+  return changeRequest;
+}
+
+// Mark requests nobody reviewed in time as expired
+async function expireChangeRequests(db, now = new Date()) {
+  await db.changeRequests.expire(now);
+}
+
+// Ask for approval of { key, value, type, secret } changes (stored values,
+// null to delete) to an environment of a service. actor is the { id, name }
+// of the API key asking. Keys keep their secret flag unless a change says
+// otherwise, and their requested values are encrypted accordingly. Deletions
+// marked trash: true go to the trash when the request is approved, as they
+// would have without protection (see trash.js). Returns the new request,
+// its diff comparing secrets with compareSecrets set (see requestDiff).
+async function createChangeRequest(
+  db,
+  serviceName,
+  environment,
+  changes,
+  { actor, compareSecrets = false, now = new Date() },
+) {
+  const stored = await storedConfig(db, serviceName, environment);
+  const sealed = changes.map(({ key, value, type, secret, trash }) => {
+    const keepSecret =
+      secret !== undefined
+        ? Boolean(secret)
+        : Boolean(stored[key] && stored[key].secret);
+    return {
+      key,
+      value: keepSecret && value !== null ? encrypt(value) : value,
+      type: value === null ? null : type,
+      secret: value !== null && keepSecret,
+      ...(value === null && trash ? { trash: true } : {}),
+    };
+  });
+
+  const id = await db.changeRequests.insert({
+    serviceName,
+    environment,
+    changes: JSON.stringify(sealed),
+    requestedBy: actor ? JSON.stringify(actor) : null,
+    expiresAt: new Date(now.getTime() + ttl()),
+  });
+  return getChangeRequest(db, serviceName, id, { compareSecrets });
+}
+
+// A request of a service, its diff comparing secrets with compareSecrets set
+// (see requestDiff)
+async function getChangeRequest(
+  db,
+  serviceName,
+  id,
+  { compareSecrets = false } = {},
+) {
+  await expireChangeRequests(db);
+  const row = await db.changeRequests.get(serviceName, id);
+  return row ? present(db, row, { compareSecrets }) : null;
+}
+
+// Requests of a service, newest first, in one status or all of them
+async function listChangeRequests(
+  db,
+  serviceName,
+  { status, limit, compareSecrets = false },
+) {
+  await expireChangeRequests(db);
+  const rows = await db.changeRequests.list(serviceName, { status, limit });
+  const changeRequests = [];
+  for (const row of rows) {
+    changeRequests.push(await present(db, row, { compareSecrets }));
+  }
+  return changeRequests;
+}
+
+// Why reviewer may not review a locked request row, as { error, status }
+// with the HTTP status to answer, or null if they may
+function refusal(row, reviewer, now) {
+  if (row.status === "pending" && row.expires_at <= now) {
+    return { error: "Change request has expired", status: 409 };
+  }
+  if (row.status !== "pending") {
+    return { error: `Change request is already ${row.status}`, status: 409 };
+  }
+  // Without authentication nobody can tell the reviewer from the requester
+  const requester = row.requested_by ? JSON.parse(row.requested_by) : null;
+  if (!reviewer || !requester) {
+    return {
+      error: "Reviewing change requests requires authentication",
+      status: 403,
+    };
+  }
+  if (String(requester.id) === String(reviewer.id)) {
+    return {
+      error:
+        "Change requests must be reviewed by someone other than the requester",
+      status: 403,
+    };
+  }
+  return null;
+}
+
+// Review a pending request as reviewer ({ id, name }), applying it when
+// approved. Returns null for unknown requests, { error, status } when the
+// request cannot be reviewed, otherwise { changeRequest, result } with the
+// revision written (see applyChanges), result being null on rejection.
+async function reviewChangeRequest(
+  db,
+  serviceName,
+  id,
+  { approve, reviewer, comment, now = new Date() },
+) {
+  const outcome = await db.transaction(async (tx) => {
+    const row = await tx.changeRequests.get(serviceName, id, { lock: true });
+    if (!row) {
+      return null;
+    }
+    const refused = refusal(row, reviewer, now);
+    if (refused) {
+      return refused;
+    }
+
+    let result = null;
+    if (approve) {
+      const changes = JSON.parse(row.changes);
+      result = await applyChangesWithin(
+        tx,
+        serviceName,
+        changes.map(({ key, value, type, secret }) => ({
+          environment: row.environment,
+          key,
+          value: secret && value !== null ? decrypt(value) : value,
+          type,
+          secret,
+        })),
+      );
+
+      const trashed = new Set(
+        changes.filter(({ trash }) => trash).map(({ key }) => key),
+      );
+      await trashDeletions(
+        tx,
+        serviceName,
+        {
+          ...result,
+          changes: result.changes.filter(({ key }) => trashed.has(key)),
+        },
+        { deletedBy: row.requested_by, now },
+      );
+    }
+
+    const revision =
+      result && result.changes.length > 0 ? result.revision : null;
+    await tx.changeRequests.review(id, {
+      status: approve ? "approved" : "rejected",
+      reviewedBy: JSON.stringify(reviewer),
+      comment: comment || null,
+      revision,
+      reviewedAt: now,
+    });
+    return { result };
+  });
+
+  if (!outcome || outcome.error) {
+    // Expired requests are marked so outside the rolled back transaction
+    if (outcome && outcome.error === "Change request has expired") {
+      await expireChangeRequests(db, now);
+    }
+    return outcome;
+  }
+  return {
+    changeRequest: await getChangeRequest(db, serviceName, id),
+    result: outcome.result,
+  };
+}
+
+module.exports = {
+  STATUSES,
+  ALL_ENVIRONMENTS,
+  isValidPattern,
+  listProtections,
+  addProtection,
+  removeProtection,
+  protectedKeys,
+  createChangeRequest,
+  getChangeRequest,
+  listChangeRequests,
+  reviewChangeRequest,
+};
@@ -0,0 +1,169 @@
+// Audit trail of configuration changes
+//
+// Every committed change produces one audit event per changed key, naming
+// who made it (API key, source IP and request ID) and the old and new values,
+// with secret values masked. Events are shipped to the log aggregator's
+// POST /logs as entries of "configuration-service" with metadata.audit set.
+//
+// Shipping happens in the background: events are queued in memory and sent
+// by a timer, so a write never waits for the aggregator or fails because it
+// is down. While the aggregator is unreachable events stay queued and sending
+// backs off; once AUDIT_BUFFER_SIZE events are queued the oldest are dropped.
+
+const { readValue } = require("./secrets");
+
+const SERVICE_NAME = "configuration-service";
+
+const FLUSH_INTERVAL = 1000;
+const MAX_BACKOFF = 60000;
+const REQUEST_TIMEOUT = 5000;
+
+const queue = [];
+let flushing = null;
+let failures = 0;
+let retryAt = 0;
+let timer = null;
+
+function aggregatorUrl() {
+  return process.env.LOG_AGGREGATOR_URL || "http://localhost:3002";
+}
+
+function bufferSize() {
+  return parseInt(process.env.AUDIT_BUFFER_SIZE) || 10000;
+}
+
+function actionOf(change) {
+  if (change.previous === null) {
+    return "create";
+  }
+  return change.value === null ? "delete" : "update";
+}
+
+function valueOf(stored) {
+  return stored === null
+    ? null
+    : readValue(stored.value, stored.type, stored.secret);
+}
+
+// Log entries for the changes of a committed revision (as returned by
+// applyChanges), made by the given request
+function auditEvents(req, serviceName, result, operation) {
+  const timestamp = new Date().toISOString();
+  const actor = req.principal
+    ? { id: req.principal.id, name: req.principal.name }
+    : null;
+
+  return result.changes.map((change) => {
+    const action = actionOf(change);
+    return {
+      serviceName: SERVICE_NAME,
+      level: "info",
+      message: `Configuration ${action}: ${serviceName}/${change.key} (${change.environment})`,
+      metadata: {
+        audit: true,
+        action,
+        operation,
+        service: serviceName,
+        environment: change.environment,
+        key: change.key,
+        revision: result.revision,
+        oldValue: valueOf(change.previous),
+        newValue: change.value === null ? null : valueOf(change),
+        actor,
+        ip: req.ip,
+        requestId: req.requestId,
+        timestamp,
+      },
+    };
+  });
+}
+
+// Queue the audit events of a committed revision for shipping
+function recordChanges(req, serviceName, result, operation) {
+  queue.push(...auditEvents(req, serviceName, result, operation));
+
+  const overflow = queue.length - bufferSize();
+  if (overflow > 0) {
+    queue.splice(0, overflow);
+    console.warn(`Audit buffer full, dropped ${overflow} oldest event(s)`);
+  }
+}
+
+async function ship(entry) {
+  const response = await fetch(`${aggregatorUrl()}/logs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(entry),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  });
+  // The aggregator will never accept an entry it rejected as invalid
+  if (
+    response.status >= 400 &&
+    response.status < 500 &&
+    response.status !== 408 &&
+    response.status !== 429
+  ) {
+    console.error(
+      `Log aggregator rejected audit event (${response.status}):`,
+      entry.message,
+    );
+    return;
+  }
+  if (!response.ok) {
+    throw new Error(`Log aggregator responded with ${response.status}`);
+  }
+}
+
+// Send queued events in order until the queue is empty or the aggregator
+// fails, in which case the rest stay queued and the next attempt backs off
+async function drain() {
+  try {
+    while (queue.length > 0) {
+      await ship(queue[0]);
+      queue.shift();
+    }
+    failures = 0;
+  } catch (error) {
+    failures++;
+    retryAt = Date.now() + Math.min(MAX_BACKOFF, 1000 * 2 ** failures);
+    console.warn(
+      `Could not ship audit events, ${queue.length} queued:`,
+      error.message,
+    );
+  }
+}
+
+// Ship queued events now; concurrent calls share one attempt
+function flushAudit() {
+  if (!flushing) {
+    flushing = drain().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+}
+
+function startAuditShipping() {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(() => {
+    if (Date.now() >= retryAt) {
+      flushAudit();
+    }
+  }, FLUSH_INTERVAL);
+  timer.unref();
+}
+
+function pendingAuditEvents() {
+  return queue.length;
+}
+
+module.exports = {
+  SERVICE_NAME,
+  auditEvents,
+  recordChanges,
+  flushAudit,
+  startAuditShipping,
+  pendingAuditEvents,
+};
@@ -0,0 +1,196 @@
+// API key authentication and per-service role-based access control
+//
+// Callers present an API key as "Authorization: Bearer <key>" or in the
+// X-API-Key header. Keys look like cfg_<id>.<secret>; only a SHA-256 hash of
+// the secret is stored. Every key has one role, and the role applies to the
+// services its scopes match:
+//
+//   reader   read configuration, history, flags and change streams
+//   writer   reader, plus writes, deletes, rollbacks, imports, reviews
+//            of change requests and webhook redeliveries
+//   admin    writer, plus schemas, protected keys, webhooks and revealing
+//            secrets
+//
+// Scopes are service names ("payments-service"), prefixes ending in "*"
+// ("payments-*") or "*" for every service. Operations that are not about a
+// single service, such as managing keys, need an admin key scoped to "*".
+
+const crypto = require("crypto");
+
+const ROLES = ["reader", "writer", "admin"];
+
+// Service name used for operations spanning every service
+const ALL_SERVICES = "*";
+
+const KEY_PATTERN = /^cfg_([0-9a-f]{16})\.([A-Za-z0-9_-]{43})$/;
+const SCOPE_PATTERN = /^(\*|[A-Za-z0-9_.-]+\*?)$/;
+
+function authEnabled() {
+  return process.env.AUTH_ENABLED !== "false";
+}
+
+function hash(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function sameHash(a, b) {
+  return (
+    typeof a === "string" &&
+    typeof b === "string" &&
+    a.length === b.length &&
+    crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b))
+  );
+}
+
+// API key presented with a request, null if there is none
+function presentedKey(req) {
+  const header = req.get("Authorization");
+  if (header && header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim();
+  }
+  return req.get("X-API-Key") || null;
+}
+
+// Check a role and scopes for a new key; returns an error message or null
+function validateGrant(role, services) {
+  if (!ROLES.includes(role)) {
+    return `role must be one of: ${ROLES.join(", ")}`;
+  }
+  if (
+    !Array.isArray(services) ||
+    services.length === 0 ||
+    services.some(
+      (scope) => typeof scope !== "string" || !SCOPE_PATTERN.test(scope),
+    )
+  ) {
+    return 'services must list service names, prefixes ending in "*" or "*"';
+  }
+  return null;
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function toKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    services: JSON.parse(row.services),
+    createdAt: row.created_at,
+    rotatedAt: row.rotated_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+// Create a key. The returned key string is not stored and cannot be shown
+// again.
+async function createKey(db, { name, role, services }) {
+  const id = crypto.randomBytes(8).toString("hex");
+  const secret = newSecret();
+  await db.apiKeys.insert({
+    id,
+    name,
+    role,
+    services: JSON.stringify(services),
+    secretHash: hash(secret),
+  });
+  return { id, name, role, services, key: `cfg_${id}.${secret}` };
+}
+
+async function listKeys(db) {
+  const rows = await db.apiKeys.list();
+  return rows.map(toKey);
+}
+
+// Give a key a new secret. The old secret keeps working for gracePeriod
+// seconds so that consumers can be switched over. Returns null for unknown
+// or revoked keys.
+async function rotateKey(db, id, gracePeriod = 0) {
+  const secret = newSecret();
+  const rotated = await db.apiKeys.rotate(id, hash(secret), gracePeriod);
+  return rotated ? `cfg_${id}.${secret}` : null;
+}
+
+// Returns true if a key was revoked
+async function revokeKey(db, id) {
+  return db.apiKeys.revoke(id);
+}
+
+// Identify the holder of an API key as { id, name, role, services }, null if
+// the key is unknown, revoked or wrong. CONFIG_ADMIN_API_KEY, when set, is an
+// admin key for every service, meant for creating the first keys.
+async function verifyKey(db, key) {
+  if (typeof key !== "string") {
+    return null;
+  }
+
+  const bootstrap = process.env.CONFIG_ADMIN_API_KEY;
+  if (bootstrap && sameHash(hash(key), hash(bootstrap))) {
+    return {
+      id: "bootstrap",
+      name: "bootstrap",
+      role: "admin",
+      services: [ALL_SERVICES],
+    };
+  }
+
+  const match = KEY_PATTERN.exec(key);
+  if (!match) {
+    return null;
+  }
+  const [, id, secret] = match;
+
+  const row = await db.apiKeys.find(id);
+  if (!row) {
+    return null;
+  }
+
+  const presented = hash(secret);
+  const valid =
+    sameHash(presented, row.secret_hash) ||
+    (Boolean(row.previous_valid) &&
+      sameHash(presented, row.previous_secret_hash));
+
+  return valid
+    ? {
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        services: JSON.parse(row.services),
+      }
+    : null;
+}
+
+function inScope(scope, serviceName) {
+  if (scope === ALL_SERVICES) {
+    return true;
+  }
+  return scope.endsWith("*")
+    ? serviceName !== ALL_SERVICES && serviceName.startsWith(scope.slice(0, -1))
+    : scope === serviceName;
+}
+
+// Whether a principal holds at least the given role on a service; pass
+// ALL_SERVICES for operations spanning every service
+function hasRole(principal, role, serviceName) {
+  return (
+    ROLES.indexOf(principal.role) >= ROLES.indexOf(role) &&
+    principal.services.some((scope) => inScope(scope, serviceName))
+  );
+}
+
+module.exports = {
+  ROLES,
+  ALL_SERVICES,
+  authEnabled,
+  presentedKey,
+  validateGrant,
+  createKey,
+  listKeys,
+  rotateKey,
+  revokeKey,
+  verifyKey,
+  hasRole,
+};
@@ -0,0 +1,215 @@
+// Bulk import and export of service configuration
+//
+// A service's configuration in one environment is exchanged as a flat
+// document of keys and values in one of three formats:
+//
+//   json   { "timeout": 30, "debug": false }
+//   yaml   timeout: 30
+//   env    timeout=30
+//
+// Exports of every service nest those documents by service name; dotenv
+// cannot express that nesting and only covers single services.
+
+const dotenv = require("dotenv");
+const yaml = require("js-yaml");
+
+const { MASK, decrypt, readValue } = require("./secrets");
+const { encodeValue } = require("./values");
+
+const FORMATS = {
+  json: "application/json",
+  yaml: "application/yaml",
+  env: "text/plain",
+};
+
+const YAML_TYPES = ["application/yaml", "application/x-yaml", "text/yaml"];
+
+// Import format from ?format= or the request's Content-Type, null if unknown
+function importFormat(req) {
+  if (req.query.format !== undefined) {
+    return Object.hasOwn(FORMATS, req.query.format) ? req.query.format : null;
+  }
+  if (req.is("application/json")) {
+    return "json";
+  }
+  return req.is(YAML_TYPES) ? "yaml" : null;
+}
+
+function isDocument(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Parse an import body into a plain object; returns { document } or { error }
+function parseDocument(format, body) {
+  if (format === "json" && isDocument(body)) {
+    return { document: body };
+  }
+  if (typeof body !== "string" || body.trim() === "") {
+    return { error: "Import document is empty" };
+  }
+
+  let document;
+  try {
+    if (format === "json") {
+      document = JSON.parse(body);
+    } else if (format === "yaml") {
+      // The core schema keeps timestamps and the like as plain strings
+      document = yaml.load(body, { schema: yaml.CORE_SCHEMA });
+    } else {
+      document = dotenv.parse(body);
+    }
+  } catch (error) {
+    return { error: `Invalid ${format} document: ${error.message}` };
+  }
+
+  return isDocument(document)
+    ? { document }
+    : { error: "Import document must map keys to values" };
+}
+
+// Quote dotenv values that would not survive being written bare. Single
+// quotes are literal in dotenv; double quotes would expand "\n".
+function envValue(value) {
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[\w./:@,+-]*$/.test(text) && text !== "") {
+    return text;
+  }
+  const quote = ["'", "`", '"'].find((q) => !text.includes(q)) || '"';
+  return `${quote}${text}${quote}`;
+}
+
+// Render { key: value } in the given format
+function renderDocument(format, document) {
+  switch (format) {
+    case "yaml":
+      return yaml.dump(document, { sortKeys: true, lineWidth: -1 });
+    case "env":
+      return Object.keys(document)
+        .sort()
+        .map((key) => `${key}=${envValue(document[key])}\n`)
+        .join("");
+    default:
+      return `${JSON.stringify(document, null, 2)}\n`;
+  }
+}
+
+// Stored keys of a service in one environment as { key: { value, type,
+// secret } }, values still encoded
+async function storedConfig(db, serviceName, environment) {
+  const rows = await db.configurations.forEnvironment(serviceName, environment);
+  return rows.reduce((acc, row) => {
+    acc[row.config_key] = {
+      value: row.config_value,
+      type: row.value_type,
+      secret: Boolean(row.is_secret),
+    };
+    return acc;
+  }, {});
+}
+
+// Stored keys of every service in one environment as { service: { key:
+// value } }, secrets masked
+async function exportAll(db, environment) {
+  const rows = await db.configurations.exportEnvironment(environment);
+  return rows.reduce((acc, row) => {
+    acc[row.service_name] = acc[row.service_name] || {};
+    acc[row.service_name][row.config_key] = readValue(
+      row.config_value,
+      row.value_type,
+      row.is_secret,
+    );
+    return acc;
+  }, {});
+}
+
+// Stored keys of a service in one environment as { key: value }, secrets
+// masked
+function exportStored(stored) {
+  return Object.keys(stored).reduce((acc, key) => {
+    const { value, type, secret } = stored[key];
+    acc[key] = readValue(value, type, secret);
+    return acc;
+  }, {});
+}
+
+// Turn an imported document into { key, value, type } writes. Keys that
+// exist keep their type whenever the imported value fits it, so that
+// numbers read back from dotenv stay numbers; other values get their type
+// inferred as in a regular write. Masked secrets, as found in exports, are
+// left alone.
+function importWrites(stored, document) {
+  return Object.keys(document)
+    .filter(
+      (key) => !(stored[key] && stored[key].secret && document[key] === MASK),
+    )
+    .map((key) => {
+      const value = document[key];
+      const existing = stored[key];
+      const type =
+        existing && !encodeValue(value, existing.type).error
+          ? existing.type
+          : undefined;
+      return { key, value, type };
+    });
+}
+
+// Compare the encoded writes of an imported document with the stored keys.
+// Returns the changes to apply and a report of what they do, with secrets
+// masked. In replace mode, keys missing from the document are deleted.
+function planImport(stored, document, writes, { replace }) {
+  const show = (value, type, secret) =>
+    secret ? MASK : readValue(value, type, false);
+  const plaintext = ({ value, secret }) => (secret ? decrypt(value) : value);
+
+  const report = { added: [], changed: [], deleted: [], unchanged: 0 };
+  const changes = [];
+
+  for (const write of writes) {
+    const existing = stored[write.key];
+    const secret = Boolean(existing && existing.secret);
+    const to = show(write.value, write.type, secret);
+
+    if (!existing) {
+      report.added.push({ key: write.key, value: to });
+    } else if (
+      existing.type === write.type &&
+      plaintext(existing) === write.value
+    ) {
+      report.unchanged++;
+      continue;
+    } else {
+      report.changed.push({
+        key: write.key,
+        from: show(existing.value, existing.type, secret),
+        to,
+      });
+    }
+    changes.push(write);
+  }
+  report.unchanged += Object.keys(document).length - writes.length;
+
+  if (replace) {
+    for (const key of Object.keys(stored)) {
+      if (!Object.hasOwn(document, key)) {
+        const { value, type, secret } = stored[key];
+        report.deleted.push({ key, value: show(value, type, secret) });
+        changes.push({ key, value: null });
+      }
+    }
+  }
+
+  return { changes, report };
+}
+
+module.exports = {
+  FORMATS,
+  importFormat,
+  parseDocument,
+  renderDocument,
+  storedConfig,
+  exportAll,
+  exportStored,
+  importWrites,
+  planImport,
+};
@@ -0,0 +1,366 @@
+// Two-tier cache of resolved configurations
+//
+// Reads look in an in-process LRU first, then in Redis, and only then resolve
+// the configuration from MySQL. Concurrent misses for the same configuration
+// share one load. Entries are { etag, config } as served to clients.
+//
+// The in-process tier is kept coherent across replicas by the change events
+// every write publishes (see watch.js): each replica drops its entries for
+// the changed service, and for services interpolating its values (see
+// interpolation.js), when it hears about a change. Events are delivered
+// through Redis, so while Redis is unreachable entries in memory may have
+// missed changes. They are then only served when MySQL fails as well, and
+// the memory tier is emptied once Redis is back.
+//
+// When a tier fails, reads are served by the others: without Redis from
+// memory or MySQL, without MySQL from whatever copy is left, flagged stale.
+// The service also starts without Redis, and node-redis keeps reconnecting
+// in the background.
+
+const {
+  GLOBAL_SERVICE,
+  cacheKey,
+  invalidationPatterns,
+} = require("./environments");
+const { counter } = require("./metrics");
+
+// Seconds a configuration stays in Redis
+const REDIS_TTL = 300;
+// Milliseconds to wait before trying Redis again after it failed
+const REDIS_RETRY_INTERVAL = 5000;
+// Milliseconds a scan for keys to invalidate may take
+const SCAN_TIMEOUT = 5000;
+
+// Resolved configurations cached in this process by cache key, least
+// recently used first, as { etag, config, services, cachedAt } where services
+// are those the configuration was resolved from
+const configurations = new Map();
+// Loads in flight by cache key
+const loading = new Map();
+// Bumped on every invalidation, so that loads that started before one are
+// not cached
+let generation = 0;
+
+const lookups = counter(
+  "config_cache_lookups_total",
+  "Lookups of configurations in the memory and Redis (config:*) tiers",
+);
+
+let client = null;
+let redisHealthy = true;
+let retryAt = 0;
+// Redis keys a write could not invalidate while Redis was unreachable
+const pendingInvalidations = new Set();
+
+function memorySize() {
+  return parseInt(process.env.CACHE_MEMORY_SIZE) || 1000;
+}
+
+function memoryTtl() {
+  return (parseInt(process.env.CACHE_MEMORY_TTL) || 60) * 1000;
+}
+
+function redisTimeout() {
+  return parseInt(process.env.CACHE_REDIS_TIMEOUT) || 250;
+}
+
+function connectTimeout() {
+  return parseInt(process.env.CACHE_REDIS_CONNECT_TIMEOUT) || 5000;
+}
+
+// Start caching through the given Redis client, forgetting everything cached
+// so far
+function useRedis(redisClient) {
+  client = redisClient;
+  configurations.clear();
+  loading.clear();
+  pendingInvalidations.clear();
+  generation++;
+  redisHealthy = true;
+  retryAt = 0;
+  trackErrors(redisClient);
+}
+
+// Count errors a Redis connection reports outside of commands, such as a
+// dropped socket, as Redis failing. node-redis throws them when nobody
+// listens.
+function trackErrors(connection) {
+  connection.on("error", redisFailed);
+}
+
+// Connect to Redis through connect(), which node-redis keeps retrying while
+// Redis is unreachable. Past CACHE_REDIS_CONNECT_TIMEOUT milliseconds the
+// service goes on without Redis until the connection is up.
+async function connectRedis(connect) {
+  const connecting = connect();
+  try {
+    await withTimeout(connecting, connectTimeout());
+  } catch (error) {
+    redisFailed(error);
+    connecting.catch((error) =>
+      console.error("Error connecting to Redis:", error),
+    );
+  }
+}
+
+function remember(key, entry) {
+  configurations.delete(key);
+  configurations.set(key, entry);
+  for (const oldest of configurations.keys()) {
+    if (configurations.size <= memorySize()) {
+      break;
+    }
+    configurations.delete(oldest);
+  }
+}
+
+function recall(key) {
+  const entry = configurations.get(key);
+  if (entry) {
+    configurations.delete(key);
+    configurations.set(key, entry);
+  }
+  return entry;
+}
+
+function isFresh(entry) {
+  return Date.now() - entry.cachedAt < memoryTtl();
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Redis did not answer within ${ms}ms`)),
+        ms,
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+function redisAvailable() {
+  return redisHealthy || Date.now() >= retryAt;
+}
+
+async function recovered() {
+  redisHealthy = true;
+  configurations.clear();
+  console.warn("Redis is reachable again, configuration cache reset");
+
+  for (const pattern of pendingInvalidations) {
+    await deleteMatching(pattern);
+    pendingInvalidations.delete(pattern);
+  }
+}
+
+function redisFailed(error) {
+  if (redisHealthy) {
+    console.error(
+      "Redis is unavailable, serving from memory and MySQL:",
+      error,
+    );
+  }
+  redisHealthy = false;
+  retryAt = Date.now() + REDIS_RETRY_INTERVAL;
+}
+
+// Run a Redis command, keeping track of whether Redis is healthy. Commands
+// are not even attempted for a while after one failed.
+async function redisCall(command, timeout = redisTimeout()) {
+  if (!redisAvailable()) {
+    throw new Error("Redis is unavailable");
+  }
+  try {
+    const result = await withTimeout(command(), timeout);
+    if (!redisHealthy) {
+      await recovered();
+    }
+    return result;
+  } catch (error) {
+    redisFailed(error);
+    throw error;
+  }
+}
+
+// Publish a message on a Redis channel, as a command of the cache
+async function publish(channel, message) {
+  return redisCall(() => client.publish(channel, message));
+}
+
+// Load a configuration from MySQL, sharing the load with concurrent misses,
+// and cache it in both tiers
+function loadOnce(serviceName, key, load) {
+  if (loading.has(key)) {
+    return loading.get(key);
+  }
+
+  const startedAt = generation;
+  const promise = (async () => {
+    const { etag, config, dependencies } = await load();
+    const entry = {
+      etag,
+      config,
+      services: [serviceName, ...dependencies],
+      cachedAt: Date.now(),
+    };
+    if (generation !== startedAt) {
+      return entry;
+    }
+
+    remember(key, entry);
+    // Dependencies are only recorded when there are any, which keeps
+    // entries of plain configurations as they have always been
+    const stored =
+      dependencies.length > 0
+        ? { etag, config, dependencies }
+        : { etag, config };
+    try {
+      await redisCall(() =>
+        client.setEx(key, REDIS_TTL, JSON.stringify(stored)),
+      );
+    } catch (error) {
+      // Already logged; the entry is still cached in memory
+    }
+    return entry;
+  })().finally(() => {
+    if (loading.get(key) === promise) {
+      loading.delete(key);
+    }
+  });
+
+  loading.set(key, promise);
+  return promise;
+}
+
+// The resolved configuration of a service in an environment as
+// { entry, source, stale }, where source is the tier that answered:
+// "memory", "redis" or "database". load() must resolve the configuration
+// from MySQL as { etag, config, dependencies }, dependencies being the other
+// services it interpolates values of.
+async function readThrough(serviceName, environment, load) {
+  const key = cacheKey(serviceName, environment);
+  const local = recall(key);
+  if (local && redisHealthy && isFresh(local)) {
+    lookups.inc({ tier: "memory", result: "hit" });
+    return { entry: local, source: "memory", stale: false };
+  }
+  lookups.inc({ tier: "memory", result: "miss" });
+
+  try {
+    const cached = await redisCall(() => client.get(key));
+    lookups.inc({ tier: "redis", result: cached ? "hit" : "miss" });
+    if (cached) {
+      const { etag, config, dependencies = [] } = JSON.parse(cached);
+      const entry = {
+        etag,
+        config,
+        services: [serviceName, ...dependencies],
+        cachedAt: Date.now(),
+      };
+      remember(key, entry);
+      return { entry, source: "redis", stale: false };
+    }
+  } catch (error) {
+    // Already logged; fall through to MySQL
+    lookups.inc({ tier: "redis", result: "error" });
+  }
+
+  try {
+    const entry = await loadOnce(serviceName, key, load);
+    return { entry, source: "database", stale: false };
+  } catch (error) {
+    if (!local) {
+      throw error;
+    }
+    console.error("Error loading configuration, serving cached copy:", error);
+    return { entry: local, source: "memory", stale: true };
+  }
+}
+
+// Forget what this process cached for a service and for the services
+// resolved from it
+function dropLocal(serviceName) {
+  generation++;
+  loading.clear();
+  for (const [key, entry] of configurations) {
+    if (
+      serviceName === GLOBAL_SERVICE ||
+      entry.services.includes(serviceName)
+    ) {
+      configurations.delete(key);
+    }
+  }
+}
+
+// Delete the Redis keys matching an invalidation pattern
+async function deleteMatching(pattern) {
+  if (!pattern.includes("*")) {
+    await redisCall(() => client.del(pattern));
+    return;
+  }
+  const keys = await redisCall(async () => {
+    const found = [];
+    for await (const key of client.scanIterator({
+      MATCH: pattern,
+      COUNT: 100,
+    })) {
+      found.push(key);
+    }
+    return found;
+  }, SCAN_TIMEOUT);
+  for (const key of keys) {
+    await redisCall(() => client.del(key));
+  }
+}
+
+// Drop every cached resolution of the given services, in this process and in
+// Redis. Other replicas drop theirs when they hear of the change. What Redis
+// could not delete is deleted once it is reachable again.
+async function invalidateServices(services) {
+  for (const serviceName of services) {
+    dropLocal(serviceName);
+  }
+
+  const patterns = services.flatMap(invalidationPatterns);
+  for (const [index, pattern] of patterns.entries()) {
+    try {
+      await deleteMatching(pattern);
+    } catch (error) {
+      for (const pending of patterns.slice(index)) {
+        pendingInvalidations.add(pending);
+      }
+      return;
+    }
+  }
+}
+
+// Number of configurations cached in this process and when the oldest of
+// them was cached, null when there are none
+function memoryStats() {
+  let oldest = null;
+  for (const { cachedAt } of configurations.values()) {
+    if (oldest === null || cachedAt < oldest) {
+      oldest = cachedAt;
+    }
+  }
+  return { entries: configurations.size, oldestCachedAt: oldest };
+}
+
+// Whether reads are currently served without Redis
+function isDegraded() {
+  return !redisHealthy;
+}
+
+module.exports = {
+  useRedis,
+  trackErrors,
+  connectRedis,
+  publish,
+  readThrough,
+  dropLocal,
+  invalidateServices,
+  isDegraded,
+  memoryStats,
+};
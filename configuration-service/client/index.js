@@ -0,0 +1,454 @@
+// Client for the configuration service
+//
+// Fetches the resolved configuration of one service and environment, keeps
+// it in memory and keeps it fresh, either by watching the service's change
+// stream (GET /watch) or by polling with If-None-Match. Every configuration
+// fetched is also written to a last-known-good file, from which the client
+// starts when the service is unreachable. The client names its instance on
+// every read, and sends heartbeats while watching, so that the service can
+// tell which instances hold which configuration.
+//
+//   const { ConfigClient } = require("configuration-client");
+//
+//   const config = new ConfigClient({
+//     url: "http://configuration-service:3001",
+//     serviceName: "user-service",
+//     environment: "production",
+//     cacheFile: "/var/cache/user-service/config.json",
+//   });
+//   await config.start();
+//   const timeout = config.getNumber("timeout", 30);
+//   config.on("change", ({ key, value, previous }) => { ... });
+
+const EventEmitter = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DEFAULT_POLL_INTERVAL = 30000;
+const DEFAULT_HEARTBEAT_INTERVAL = 60000;
+const DEFAULT_TIMEOUT = 5000;
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Resolves after ms, or as soon as signal aborts. The abort listener is
+// removed when the timer fires, so long-lived signals do not pile them up.
+function delay(ms, signal) {
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Server-Sent Events in a stream of text chunks, as { event, data }
+async function* serverSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffered = "";
+  for await (const chunk of body) {
+    buffered += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, "\n");
+    let end;
+    while ((end = buffered.indexOf("\n\n")) !== -1) {
+      const block = buffered.slice(0, end);
+      buffered = buffered.slice(end + 2);
+
+      let event = "message";
+      const data = [];
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith("data:")) {
+          data.push(line.slice(5).trimStart());
+        }
+      }
+      if (data.length > 0) {
+        yield { event, data: data.join("\n") };
+      }
+    }
+  }
+}
+
+// Events:
+//   "change"  { key, value, previous } for every key added, updated or
+//             removed by a refresh; value is undefined for removed keys
+//   "error"   refresh failures, emitted only when there are listeners since
+//             the client keeps serving its last configuration anyway
+class ConfigClient extends EventEmitter {
+  // options:
+  //   url           base URL of the configuration service (required)
+  //   serviceName   service to fetch (required)
+  //   environment   environment to fetch, the service default when omitted
+  //   apiKey        API key, sent as a bearer token
+  //   refresh       "watch" (default), "poll" or false
+  //   pollInterval  milliseconds between polls (default 30000)
+  //   cacheFile     path of the last-known-good file
+  //   timeout       milliseconds before a fetch is abandoned (default 5000)
+  //   instance      name of this instance in the service's consumer list
+  //                 (default the host name), false to stay anonymous
+  //   heartbeatInterval  milliseconds between heartbeats while watching
+  //                 (default 60000)
+  constructor(options = {}) {
+    super();
+    if (!options.url || !options.serviceName) {
+      throw new Error("url and serviceName are required");
+    }
+    if (![undefined, false, "watch", "poll"].includes(options.refresh)) {
+      throw new Error('refresh must be "watch", "poll" or false');
+    }
+
+    this.url = options.url.replace(/\/+$/, "");
+    this.serviceName = options.serviceName;
+    this.environment = options.environment || null;
+    this.apiKey = options.apiKey || null;
+    this.refreshMode =
+      options.refresh === undefined ? "watch" : options.refresh;
+    this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+    this.cacheFile = options.cacheFile || null;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.instance =
+      options.instance === undefined ? os.hostname() : options.instance;
+    this.heartbeatInterval =
+      options.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL;
+
+    this.config = {};
+    this.etag = null;
+    // Where the configuration in memory came from: null before start(),
+    // "service" or "file"
+    this.source = null;
+    // Whether the last attempt to reach the service failed
+    this.stale = false;
+
+    this.controller = null;
+    this.timer = null;
+    this.heartbeatTimer = null;
+  }
+
+  headers() {
+    const headers = { Accept: "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  query(params = {}) {
+    const search = new URLSearchParams(params);
+    if (this.environment) {
+      search.set("env", this.environment);
+    }
+    const query = search.toString();
+    return query ? `?${query}` : "";
+  }
+
+  // Load the configuration and begin refreshing it. Falls back to the
+  // last-known-good file when the service cannot be reached, and fails only
+  // when neither is available.
+  async start() {
+    this.stop();
+    this.controller = new AbortController();
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      const saved = await this.readCacheFile();
+      if (!saved) {
+        throw error;
+      }
+      this.config = saved.config;
+      this.etag = saved.etag;
+      this.source = "file";
+      this.stale = true;
+    }
+
+    if (this.refreshMode === "poll") {
+      this.schedulePoll();
+    } else if (this.refreshMode === "watch") {
+      this.watch(this.controller.signal);
+      // Polls check in by themselves; a watching client only reads when
+      // the configuration changes
+      if (this.instance) {
+        this.scheduleHeartbeat();
+      }
+    }
+    return this;
+  }
+
+  // Stop refreshing; the configuration in memory stays readable
+  stop() {
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+    clearTimeout(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  // Fetch the configuration now. Resolves to true when it changed, false
+  // when the service answered 304; rejects when the service is unreachable
+  // or refuses the request.
+  async refresh() {
+    const headers = this.headers();
+    if (this.etag) {
+      headers["If-None-Match"] = this.etag;
+    }
+
+    let response;
+    try {
+      response = await fetch(
+        `${this.url}/config/${encodeURIComponent(this.serviceName)}${this.query(
+          this.instance ? { instance: this.instance } : {},
+        )}`,
+        { headers, signal: AbortSignal.timeout(this.timeout) },
+      );
+    } catch (error) {
+      this.stale = true;
+      throw error;
+    }
+
+    if (response.status === 304) {
+      this.source = "service";
+      this.stale = false;
+      return false;
+    }
+    if (!response.ok) {
+      this.stale = true;
+      throw new Error(
+        `Configuration service responded with ${response.status}`,
+      );
+    }
+
+    const config = await response.json();
+    this.etag = response.headers.get("etag");
+    this.source = "service";
+    this.stale = false;
+    this.update(config);
+    await this.writeCacheFile();
+    return true;
+  }
+
+  update(config) {
+    const previous = this.config;
+    this.config = config;
+
+    for (const key of new Set([
+      ...Object.keys(previous),
+      ...Object.keys(config),
+    ])) {
+      if (!sameValue(previous[key], config[key])) {
+        this.emit("change", {
+          key,
+          value: config[key],
+          previous: previous[key],
+        });
+      }
+    }
+  }
+
+  report(error) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", error);
+    }
+  }
+
+  schedulePoll() {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.refresh();
+      } catch (error) {
+        this.report(error);
+      }
+      if (this.timer) {
+        this.schedulePoll();
+      }
+    }, this.pollInterval);
+    this.timer.unref();
+  }
+
+  // Tell the service this instance is alive and which configuration it
+  // holds
+  async heartbeat() {
+    const response = await fetch(
+      `${this.url}/config/${encodeURIComponent(this.serviceName)}/consumers/heartbeat${this.query()}`,
+      {
+        method: "POST",
+        headers: { ...this.headers(), "Content-Type": "application/json" },
+        body: JSON.stringify({
+          instance: this.instance,
+          ...(this.etag ? { etag: this.etag } : {}),
+        }),
+        signal: AbortSignal.timeout(this.timeout),
+      },
+    );
+    if (!response.ok) {
+      throw new Error(
+        `Configuration service responded with ${response.status}`,
+      );
+    }
+  }
+
+  scheduleHeartbeat() {
+    this.heartbeatTimer = setTimeout(async () => {
+      try {
+        await this.heartbeat();
+      } catch (error) {
+        this.report(error);
+      }
+      if (this.heartbeatTimer) {
+        this.scheduleHeartbeat();
+      }
+    }, this.heartbeatInterval);
+    this.heartbeatTimer.unref();
+  }
+
+  // Follow the change stream of the service until stopped, refetching on
+  // every change and whenever the stream (re)connects, and reconnecting with
+  // backoff when it drops
+  async watch(signal) {
+    let failures = 0;
+    while (!signal.aborted) {
+      try {
+        const response = await fetch(
+          `${this.url}/watch?services=${encodeURIComponent(this.serviceName)}${
+            this.environment
+              ? `&env=${encodeURIComponent(this.environment)}`
+              : ""
+          }`,
+          {
+            headers: { ...this.headers(), Accept: "text/event-stream" },
+            signal,
+          },
+        );
+        if (!response.ok) {
+          throw new Error(
+            `Configuration service responded with ${response.status}`,
+          );
+        }
+
+        for await (const { event } of serverSentEvents(response.body)) {
+          if (event === "ready" || event === "change") {
+            await this.refresh();
+            failures = 0;
+          }
+        }
+      } catch (error) {
+        if (signal.aborted) {
+          return;
+        }
+        failures++;
+        this.stale = true;
+        this.report(error);
+      }
+      await delay(
+        Math.min(MAX_RECONNECT_DELAY, MIN_RECONNECT_DELAY * 2 ** failures),
+        signal,
+      );
+    }
+  }
+
+  async readCacheFile() {
+    if (!this.cacheFile) {
+      return null;
+    }
+    try {
+      const saved = JSON.parse(await fs.promises.readFile(this.cacheFile));
+      if (
+        saved.serviceName !== this.serviceName ||
+        saved.environment !== this.environment
+      ) {
+        return null;
+      }
+      return saved;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Save the configuration in memory as the last known good one, through a
+  // temporary file so a crash never leaves a truncated file behind
+  async writeCacheFile() {
+    if (!this.cacheFile) {
+      return;
+    }
+    const temporary = path.join(
+      path.dirname(this.cacheFile),
+      `.${path.basename(this.cacheFile)}.${process.pid}.tmp`,
+    );
+    try {
+      await fs.promises.writeFile(
+        temporary,
+        JSON.stringify({
+          serviceName: this.serviceName,
+          environment: this.environment,
+          etag: this.etag,
+          savedAt: new Date().toISOString(),
+          config: this.config,
+        }),
+      );
+      await fs.promises.rename(temporary, this.cacheFile);
+    } catch (error) {
+      this.report(error);
+    }
+  }
+
+  // Value of a key, or the default when it is not set
+  get(key, defaultValue) {
+    return Object.hasOwn(this.config, key) ? this.config[key] : defaultValue;
+  }
+
+  getString(key, defaultValue) {
+    const value = this.get(key);
+    return typeof value === "string" ? value : defaultValue;
+  }
+
+  // Numbers, and strings holding one (values stored before types existed)
+  getNumber(key, defaultValue) {
+    const value = this.get(key);
+    if (typeof value === "number") {
+      return value;
+    }
+    if (typeof value === "string" && value.trim() !== "") {
+      const number = Number(value);
+      if (Number.isFinite(number)) {
+        return number;
+      }
+    }
+    return defaultValue;
+  }
+
+  // Booleans, and the strings "true" and "false"
+  getBoolean(key, defaultValue) {
+    const value = this.get(key);
+    if (typeof value === "boolean") {
+      return value;
+    }
+    if (value === "true" || value === "false") {
+      return value === "true";
+    }
+    return defaultValue;
+  }
+
+  // Objects and arrays
+  getJSON(key, defaultValue) {
+    const value = this.get(key);
+    return typeof value === "object" && value !== null ? value : defaultValue;
+  }
+
+  // A copy of the whole configuration
+  all() {
+    return structuredClone(this.config);
+  }
+}
+
+module.exports = { ConfigClient };
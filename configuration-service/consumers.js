@@ -0,0 +1,96 @@
+// Registry of the instances consuming each service's configuration
+//
+// Instances name themselves with ?instance= when they read their
+// configuration, and with heartbeats in between reads. Every read or
+// heartbeat records the ETag of the configuration the instance holds, so
+// listing the consumers of a service shows which of them hold an outdated
+// configuration and which stopped checking in. Instances silent for a week
+// are forgotten.
+
+const { etagRevision } = require("./etags");
+
+const INSTANCE_PATTERN = /^[\w.:-]{1,255}$/;
+const FORGET_AFTER = 7 * 86400 * 1000;
+
+// Instances that have not checked in for CONSUMER_TIMEOUT seconds are
+// inactive
+function timeout() {
+  return (parseInt(process.env.CONSUMER_TIMEOUT) || 180) * 1000;
+}
+
+function isValidInstance(instance) {
+  return typeof instance === "string" && INSTANCE_PATTERN.test(instance);
+}
+
+// Note that an instance consuming an environment of a service checked in.
+// etag, when given, is the ETag of the configuration it now holds; fetched
+// tells whether it just read that configuration rather than sent a
+// heartbeat.
+async function recordConsumer(
+  db,
+  serviceName,
+  environment,
+  instance,
+  { etag, fetched = false, address = null, now = new Date() },
+) {
+  const updated = ["address", "last_seen_at"];
+  if (etag !== undefined) {
+    updated.push("revision", "etag");
+  }
+  if (fetched) {
+    updated.push("last_fetch_at");
+  }
+
+  await db.consumers.record(
+    {
+      serviceName,
+      environment,
+      instance,
+      revision: etag ? etagRevision(etag) : null,
+      etag: etag || null,
+      address,
+      lastFetchAt: fetched ? now : null,
+      lastSeenAt: now,
+    },
+    updated,
+  );
+}
+
+// Consumers of a service by environment and instance, optionally in one
+// environment only. currentETag(environment) gives the ETag of the current
+// configuration of an environment: instances holding another one are stale,
+// as are those that never said what they hold.
+async function listConsumers(
+  db,
+  serviceName,
+  { environment, currentETag, now = new Date() },
+) {
+  await db.consumers.forget(
+    serviceName,
+    new Date(now.getTime() - FORGET_AFTER),
+  );
+
+  const rows = await db.consumers.list(serviceName, { environment });
+
+  const current = {};
+  const consumers = [];
+  for (const row of rows) {
+    if (!Object.hasOwn(current, row.environment)) {
+      current[row.environment] = await currentETag(row.environment);
+    }
+    consumers.push({
+      instance: row.instance_id,
+      environment: row.environment,
+      revision: row.revision,
+      etag: row.etag,
+      address: row.address,
+      lastFetchAt: row.last_fetch_at,
+      lastSeenAt: row.last_seen_at,
+      stale: row.etag !== current[row.environment],
+      inactive: now - new Date(row.last_seen_at) > timeout(),
+    });
+  }
+  return consumers;
+}
+
+module.exports = { isValidInstance, recordConsumer, listConsumers };
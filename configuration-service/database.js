@@ -0,0 +1,350 @@
+// Schema of the MySQL storage driver (see drivers/storage/mysql.js) and the
+// migrations bringing existing databases up to date
+
+const MIGRATIONS = [
+  `
+    CREATE TABLE IF NOT EXISTS configurations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      service_name VARCHAR(255) NOT NULL,
+      config_key VARCHAR(255) NOT NULL,
+      config_value TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_service_key (service_name, config_key)
+    )
+  `,
+  // Latest revision number handed out per service
+  `
+    CREATE TABLE IF NOT EXISTS service_revisions (
+      service_name VARCHAR(255) PRIMARY KEY,
+      revision INT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `,
+  // One row per key changed in a revision; a NULL value marks a deletion
+  `
+    CREATE TABLE IF NOT EXISTS config_revisions (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      service_name VARCHAR(255) NOT NULL,
+      revision INT NOT NULL,
+      config_key VARCHAR(255) NOT NULL,
+      config_value TEXT NULL,
+      operation ENUM('baseline', 'set', 'delete', 'rollback') NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_service_revision (service_name, revision),
+      INDEX idx_service_key_revision (service_name, config_key, revision)
+    )
+  `,
+  // Services that predate revision tracking get their current state recorded
+  // as revision 1 so that history and rollback have a starting point
+  `
+    INSERT INTO config_revisions (service_name, revision, config_key, config_value, operation)
+    SELECT c.service_name, 1, c.config_key, c.config_value, 'baseline'
+    FROM configurations c
+    LEFT JOIN service_revisions s ON s.service_name = c.service_name
+    WHERE s.service_name IS NULL
+  `,
+  `
+    INSERT IGNORE INTO service_revisions (service_name, revision)
+    SELECT DISTINCT service_name, 1 FROM configurations
+  `,
+  // Environment dimension; existing rows become the service defaults
+  (db) =>
+    addColumn(
+      db,
+      "configurations",
+      "environment",
+      "VARCHAR(64) NOT NULL DEFAULT 'default' AFTER service_name",
+    ),
+  (db) =>
+    addColumn(
+      db,
+      "config_revisions",
+      "environment",
+      "VARCHAR(64) NOT NULL DEFAULT 'default' AFTER revision",
+    ),
+  (db) =>
+    replaceIndex(
+      db,
+      "configurations",
+      "unique_service_key",
+      "unique_service_env_key",
+      "UNIQUE KEY unique_service_env_key (service_name, environment, config_key)",
+    ),
+  // Value types; existing values are plain strings
+  (db) =>
+    addColumn(
+      db,
+      "configurations",
+      "value_type",
+      "VARCHAR(16) NOT NULL DEFAULT 'string' AFTER config_value",
+    ),
+  (db) =>
+    addColumn(
+      db,
+      "config_revisions",
+      "value_type",
+      "VARCHAR(16) NOT NULL DEFAULT 'string' AFTER config_value",
+    ),
+  // JSON Schema describing the allowed keys of a service
+  `
+    CREATE TABLE IF NOT EXISTS config_schemas (
+      service_name VARCHAR(255) PRIMARY KEY,
+      schema_json TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `,
+  // Secret flag; values of secret keys are stored encrypted
+  (db) =>
+    addColumn(
+      db,
+      "configurations",
+      "is_secret",
+      "TINYINT(1) NOT NULL DEFAULT 0 AFTER value_type",
+    ),
+  (db) =>
+    addColumn(
+      db,
+      "config_revisions",
+      "is_secret",
+      "TINYINT(1) NOT NULL DEFAULT 0 AFTER value_type",
+    ),
+  // API keys; only a hash of each secret is kept. During a rotation grace
+  // period the previous secret stays valid until previous_expires_at.
+  `
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      role ENUM('reader', 'writer', 'admin') NOT NULL,
+      services TEXT NOT NULL,
+      secret_hash CHAR(64) NOT NULL,
+      previous_secret_hash CHAR(64) NULL,
+      previous_expires_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      rotated_at TIMESTAMP NULL,
+      revoked_at TIMESTAMP NULL
+    )
+  `,
+  // Changes scheduled for later (see schedules.js); changes holds a JSON
+  // list of stored values, secret ones encrypted
+  `
+    CREATE TABLE IF NOT EXISTS scheduled_changes (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      service_name VARCHAR(255) NOT NULL,
+      environment VARCHAR(64) NOT NULL,
+      kind ENUM('change', 'revert') NOT NULL,
+      changes MEDIUMTEXT NOT NULL,
+      run_at DATETIME NOT NULL,
+      expires_at DATETIME NULL,
+      revert_of BIGINT NULL,
+      status ENUM('pending', 'applied', 'cancelled', 'failed') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      revision INT NULL,
+      error TEXT NULL,
+      created_by TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      applied_at DATETIME NULL,
+      INDEX idx_due (status, run_at),
+      INDEX idx_service_run (service_name, run_at)
+    )
+  `,
+  // Listing configurations by modification time (see listing.js)
+  (db) =>
+    addIndex(
+      db,
+      "configurations",
+      "idx_updated_at",
+      "INDEX idx_updated_at (updated_at, id)",
+    ),
+  // Immutable releases (see releases.js): a snapshot of the stored rows of a
+  // service and of the global defaults per release, and the release each
+  // service's "current" pointer names
+  `
+    CREATE TABLE IF NOT EXISTS config_releases (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      service_name VARCHAR(255) NOT NULL,
+      name VARCHAR(64) NOT NULL,
+      revision INT NOT NULL,
+      global_revision INT NOT NULL,
+      notes TEXT NULL,
+      created_by TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_service_name (service_name, name)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS config_release_values (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      release_id INT NOT NULL,
+      service_name VARCHAR(255) NOT NULL,
+      environment VARCHAR(64) NOT NULL,
+      config_key VARCHAR(255) NOT NULL,
+      config_value TEXT NOT NULL,
+      value_type VARCHAR(16) NOT NULL,
+      is_secret TINYINT(1) NOT NULL DEFAULT 0,
+      INDEX idx_release (release_id)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS config_release_pointers (
+      service_name VARCHAR(255) PRIMARY KEY,
+      release_id INT NOT NULL,
+      updated_by TEXT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `,
+  // Keys and key prefixes whose changes need approval, and the change
+  // requests waiting for it (see approvals.js); environment is "*" for
+  // protections of every environment
+  `
+    CREATE TABLE IF NOT EXISTS protected_keys (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      service_name VARCHAR(255) NOT NULL,
+      environment VARCHAR(64) NOT NULL,
+      key_pattern VARCHAR(255) NOT NULL,
+      created_by TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_service_env_pattern (service_name, environment, key_pattern)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS change_requests (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      service_name VARCHAR(255) NOT NULL,
+      environment VARCHAR(64) NOT NULL,
+      changes MEDIUMTEXT NOT NULL,
+      status ENUM('pending', 'approved', 'rejected', 'expired') NOT NULL DEFAULT 'pending',
+      requested_by TEXT NULL,
+      reviewed_by TEXT NULL,
+      comment TEXT NULL,
+      revision INT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      reviewed_at DATETIME NULL,
+      INDEX idx_service_status (service_name, status),
+      INDEX idx_expiry (status, expires_at)
+    )
+  `,
+  // Keys deleted through DELETE /config/:serviceName/:key, with the value
+  // they held, until they are restored or purged (see trash.js)
+  `
+    CREATE TABLE IF NOT EXISTS config_trash (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      service_name VARCHAR(255) NOT NULL,
+      environment VARCHAR(64) NOT NULL,
+      config_key VARCHAR(255) NOT NULL,
+      config_value TEXT NOT NULL,
+      value_type VARCHAR(16) NOT NULL,
+      is_secret TINYINT(1) NOT NULL DEFAULT 0,
+      revision INT NOT NULL,
+      deleted_by TEXT NULL,
+      deleted_at DATETIME NOT NULL,
+      INDEX idx_service_deleted (service_name, deleted_at),
+      INDEX idx_deleted (deleted_at)
+    )
+  `,
+  // Instances consuming the configuration of a service and the ETag of the
+  // configuration each one last said it holds (see consumers.js)
+  `
+    CREATE TABLE IF NOT EXISTS config_consumers (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      service_name VARCHAR(255) NOT NULL,
+      environment VARCHAR(64) NOT NULL,
+      instance_id VARCHAR(255) NOT NULL,
+      revision INT NULL,
+      etag VARCHAR(64) NULL,
+      address VARCHAR(64) NULL,
+      last_fetch_at DATETIME NULL,
+      last_seen_at DATETIME NOT NULL,
+      UNIQUE KEY unique_service_env_instance (service_name, environment, instance_id),
+      INDEX idx_last_seen (service_name, last_seen_at)
+    )
+  `,
+  // Webhooks notified of changes, and every delivery to them with the state
+  // of its attempts (see webhooks.js)
+  `
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      service_name VARCHAR(255) NOT NULL,
+      key_prefix VARCHAR(255) NOT NULL DEFAULT '',
+      url VARCHAR(2048) NOT NULL,
+      secret TEXT NOT NULL,
+      created_by TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_service (service_name)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      webhook_id INT NOT NULL,
+      payload MEDIUMTEXT NOT NULL,
+      status ENUM('pending', 'delivered', 'dead') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME NOT NULL,
+      response_status INT NULL,
+      error TEXT NULL,
+      redelivery_of BIGINT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      delivered_at DATETIME NULL,
+      INDEX idx_webhook (webhook_id, id),
+      INDEX idx_due (status, next_attempt_at)
+    )
+  `,
+];
+
+async function hasColumn(db, table, column) {
+  const [rows] = await db.execute(
+    "SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?",
+    [table, column],
+  );
+  return rows.length > 0;
+}
+
+async function hasIndex(db, table, index) {
+  const [rows] = await db.execute(
+    "SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?",
+    [table, index],
+  );
+  return rows.length > 0;
+}
+
+// Add a column to an existing table unless it is already there
+async function addColumn(db, table, column, definition) {
+  if (!(await hasColumn(db, table, column))) {
+    await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Add an index to an existing table unless it is already there
+async function addIndex(db, table, index, definition) {
+  if (!(await hasIndex(db, table, index))) {
+    await db.execute(`ALTER TABLE ${table} ADD ${definition}`);
+  }
+}
+
+// Swap an index for a new definition unless that already happened
+async function replaceIndex(db, table, oldIndex, newIndex, definition) {
+  if (await hasIndex(db, table, newIndex)) {
+    return;
+  }
+  const drop = (await hasIndex(db, table, oldIndex))
+    ? `DROP INDEX ${oldIndex}, `
+    : "";
+  await db.execute(`ALTER TABLE ${table} ${drop}ADD ${definition}`);
+}
+
+// Create tables if not exists and bring existing ones up to date. Steps are
+// append-only and must be safe to run again on every startup.
+async function migrate(db) {
+  for (const step of MIGRATIONS) {
+    if (typeof step === "function") {
+      await step(db);
+    } else {
+      await db.execute(step);
+    }
+  }
+}
+
+module.exports = { migrate };
@@ -0,0 +1,156 @@
+// Differences between two resolved configurations
+//
+// Either side is a { key: { value, type, secret, layer } } resolution (see
+// environments.js) of any service, environment, revision or point in time.
+// Secrets are compared decrypted, so that a changed secret shows up as
+// changed, but their values are reported as MASK. Callers not allowed to see
+// the secrets pass them masked with compareSecrets unset: a key secret on
+// both sides is then unknown, since telling whether it changed would let
+// them test guesses of its value.
+
+const { isDeepStrictEqual } = require("util");
+
+const { MASK } = require("./secrets");
+
+// Lines of unchanged keys shown around every change in unified output
+const CONTEXT = 3;
+
+function shown({ value, type, secret, layer }) {
+  return { value: secret ? MASK : value, type, secret, layer };
+}
+
+// Whether two entries of a key are "same", "changed" or "unknown"
+function compare(a, b, compareSecrets) {
+  if (a.type !== b.type || a.secret !== b.secret) {
+    return "changed";
+  }
+  if (a.secret && !compareSecrets) {
+    return "unknown";
+  }
+  return isDeepStrictEqual(a.value, b.value) ? "same" : "changed";
+}
+
+// Compare two resolutions as { added, removed, changed, unknown, unchanged }:
+// keys only the second has, keys only the first has, keys whose value, type
+// or secret flag differ as { key, from, to }, secrets that could not be
+// compared, also as { key, from, to }, and the number of keys left alone
+function diffConfigs(from, to, { compareSecrets = true } = {}) {
+  const diff = {
+    added: [],
+    removed: [],
+    changed: [],
+    unknown: [],
+    unchanged: 0,
+  };
+  const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+  for (const key of keys) {
+    if (!Object.hasOwn(to, key)) {
+      diff.removed.push({ key, ...shown(from[key]) });
+    } else if (!Object.hasOwn(from, key)) {
+      diff.added.push({ key, ...shown(to[key]) });
+    } else {
+      const outcome = compare(from[key], to[key], compareSecrets);
+      if (outcome === "same") {
+        diff.unchanged++;
+      } else {
+        diff[outcome].push({
+          key,
+          from: shown(from[key]),
+          to: shown(to[key]),
+        });
+      }
+    }
+  }
+  return diff;
+}
+
+function line(key, entry) {
+  return `${key}: ${JSON.stringify(shown(entry).value)}`;
+}
+
+// Both resolutions as lines of "key: value" in key order, merged into
+// [{ op, text }] where op is " " for unchanged keys, "-" for lines only the
+// first has and "+" for lines only the second has. Secrets that could not be
+// compared are left as unchanged lines.
+function editScript(from, to, compareSecrets) {
+  const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+  const script = [];
+  for (const key of keys) {
+    const before = Object.hasOwn(from, key) ? from[key] : null;
+    const after = Object.hasOwn(to, key) ? to[key] : null;
+    if (
+      before &&
+      after &&
+      compare(before, after, compareSecrets) !== "changed"
+    ) {
+      script.push({ op: " ", text: line(key, before) });
+      continue;
+    }
+    if (before) {
+      script.push({ op: "-", text: line(key, before) });
+    }
+    if (after) {
+      script.push({ op: "+", text: line(key, after) });
+    }
+  }
+  return script;
+}
+
+function range(start, count) {
+  // An empty range starts at the line before it, as in diff -u
+  return `${count === 0 ? start - 1 : start},${count}`;
+}
+
+// Render the differences between two resolutions as a unified diff of their
+// "key: value" lines, with fromLabel and toLabel as file names. Identical
+// resolutions render as an empty string. compareSecrets is as for
+// diffConfigs.
+function renderUnified(
+  from,
+  to,
+  { fromLabel, toLabel, compareSecrets = true },
+) {
+  const script = editScript(from, to, compareSecrets);
+  const changes = script
+    .map(({ op }, index) => (op === " " ? -1 : index))
+    .filter((index) => index >= 0);
+  if (changes.length === 0) {
+    return "";
+  }
+
+  // Line numbers every entry of the script starts at on either side
+  let oldLine = 1;
+  let newLine = 1;
+  const positions = script.map(({ op }) => {
+    const position = { oldLine, newLine };
+    oldLine += op === "+" ? 0 : 1;
+    newLine += op === "-" ? 0 : 1;
+    return position;
+  });
+
+  // Changes closer together than twice the context share a hunk
+  const hunks = [];
+  for (const index of changes) {
+    const start = Math.max(index - CONTEXT, 0);
+    const end = Math.min(index + CONTEXT, script.length - 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+
+  let output = `--- ${fromLabel}\n+++ ${toLabel}\n`;
+  for (const { start, end } of hunks) {
+    const lines = script.slice(start, end + 1);
+    const oldCount = lines.filter(({ op }) => op !== "+").length;
+    const newCount = lines.filter(({ op }) => op !== "-").length;
+    output += `@@ -${range(positions[start].oldLine, oldCount)} +${range(positions[start].newLine, newCount)} @@\n`;
+    output += lines.map(({ op, text }) => `${op}${text}\n`).join("");
+  }
+  return output;
+}
+
+module.exports = { diffConfigs, renderUnified };
@@ -0,0 +1,24 @@
+// Where resolved configurations are cached and change events are published,
+// chosen with CACHE_DRIVER
+//
+// Every driver has the interface of a node-redis client, as far as cache.js
+// and watch.js use it.
+//
+// - redis (default): a Redis server, see REDIS_*
+// - memory: kept in the process, for a single replica, tests and local runs
+
+const DRIVERS = {
+  redis: () => require("./redis").createCache(),
+  memory: () => require("./memory").createCache(),
+};
+
+function createCache(driver = process.env.CACHE_DRIVER || "redis") {
+  if (!Object.hasOwn(DRIVERS, driver)) {
+    throw new Error(
+      `Unknown CACHE_DRIVER "${driver}", expected one of ${Object.keys(DRIVERS).join(", ")}`,
+    );
+  }
+  return DRIVERS[driver]();
+}
+
+module.exports = { createCache };
@@ -0,0 +1,116 @@
+// In-process cache driver
+//
+// Implements the part of the Redis client the service uses, over a Map.
+// Clients made with duplicate() share the data and the channels, so changes
+// published through one reach subscribers on another, but nothing leaves the
+// process: with more than one replica, use Redis.
+
+const { EventEmitter } = require("events");
+
+// Regular expression for a Redis glob pattern (*, ? and \ escapes)
+function globPattern(glob) {
+  let source = "";
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+    if (char === "*") {
+      source += ".*";
+    } else if (char === "?") {
+      source += ".";
+    } else {
+      if (char === "\\" && index + 1 < glob.length) {
+        index++;
+      }
+      source += glob[index].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function createClient(store, channels) {
+  const listeners = new Map();
+
+  // Value of a key, dropping it once expired
+  function lookup(key) {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  return {
+    async connect() {},
+    // Nothing to fail: there is no connection
+    on() {
+      return this;
+    },
+    async quit() {
+      for (const [channel, listener] of listeners) {
+        channels.off(channel, listener);
+      }
+      listeners.clear();
+    },
+    async get(key) {
+      const entry = lookup(key);
+      return entry ? entry.value : null;
+    },
+    async set(key, value) {
+      store.set(key, { value: String(value), expiresAt: null });
+      return "OK";
+    },
+    async setEx(key, seconds, value) {
+      store.set(key, {
+        value: String(value),
+        expiresAt: Date.now() + seconds * 1000,
+      });
+      return "OK";
+    },
+    async del(...keys) {
+      let removed = 0;
+      for (const key of keys.flat()) {
+        if (lookup(key)) {
+          store.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+    async *scanIterator({ MATCH = "*" } = {}) {
+      const pattern = globPattern(MATCH);
+      for (const key of [...store.keys()]) {
+        if (pattern.test(key) && lookup(key)) {
+          yield key;
+        }
+      }
+    },
+    async publish(channel, message) {
+      const receivers = channels.listenerCount(channel);
+      channels.emit(channel, message, channel);
+      return receivers;
+    },
+    async subscribe(channel, listener) {
+      listeners.set(channel, listener);
+      channels.on(channel, listener);
+    },
+    async unsubscribe(channel) {
+      const listener = listeners.get(channel);
+      if (listener) {
+        channels.off(channel, listener);
+        listeners.delete(channel);
+      }
+    },
+    duplicate() {
+      return createClient(store, channels);
+    },
+  };
+}
+
+// A cache client with the interface of a node-redis client
+function createCache() {
+  const channels = new EventEmitter();
+  channels.setMaxListeners(0);
+  return createClient(new Map(), channels);
+}
+
+module.exports = { createCache, globPattern };
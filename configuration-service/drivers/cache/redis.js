@@ -0,0 +1,18 @@
+// Redis cache driver, the default
+
+const redis = require("redis");
+
+// node-redis v4 only reads the address from socket options. Commands fail
+// at once while Redis is unreachable rather than waiting for it in a queue,
+// so that the cache can go on without it (see cache.js).
+function createCache() {
+  return redis.createClient({
+    socket: {
+      host: process.env.REDIS_HOST || "localhost",
+      port: parseInt(process.env.REDIS_PORT) || 6379,
+    },
+    disableOfflineQueue: true,
+  });
+}
+
+module.exports = { createCache };
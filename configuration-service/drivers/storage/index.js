@@ -0,0 +1,33 @@
+// Where configuration is stored, chosen with STORAGE_DRIVER
+//
+// Every driver returns the same storage: repository methods grouped by what
+// they store (configurations, revisions, schemas, apiKeys, protections,
+// changeRequests, schedules, releases, trash, consumers, webhooks,
+// deliveries and secrets, see sql.js), transaction(fn) running fn with the
+// methods of one transaction, migrate() creating or updating the schema, and
+// end(). The rest of the service only talks to storage through these.
+//
+// - mysql (default): a MySQL server, see MYSQL_*
+// - sqlite: a SQLite file at SQLITE_PATH, for a single replica
+// - memory: an in-memory SQLite database, lost on exit, for tests and local
+//   runs
+
+const DRIVERS = {
+  mysql: () => require("./mysql").createStorage(),
+  sqlite: () =>
+    require("./sqlite").createStorage({
+      path: process.env.SQLITE_PATH || "config.db",
+    }),
+  memory: () => require("./sqlite").createStorage({ path: ":memory:" }),
+};
+
+function createStorage(driver = process.env.STORAGE_DRIVER || "mysql") {
+  if (!Object.hasOwn(DRIVERS, driver)) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${driver}", expected one of ${Object.keys(DRIVERS).join(", ")}`,
+    );
+  }
+  return DRIVERS[driver]();
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,20 @@
+// First come, first served lock for drivers that serialize transactions
+
+// acquire() resolves to a function that releases the lock again
+function createLock() {
+  let tail = Promise.resolve();
+
+  return {
+    acquire() {
+      let release;
+      const released = new Promise((resolve) => {
+        release = resolve;
+      });
+      const acquired = tail.then(() => release);
+      tail = tail.then(() => released);
+      return acquired;
+    },
+  };
+}
+
+module.exports = { createLock };
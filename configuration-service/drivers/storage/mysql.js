@@ -0,0 +1,51 @@
+// MySQL storage driver, the default
+//
+// Runs the queries of sql.js on a mysql2 pool, timing every one of them (see
+// metrics.js). The schema and its migrations are in database.js.
+
+const mysql = require("mysql2/promise");
+
+const { migrate } = require("../../database");
+const { instrumentPool } = require("../../metrics");
+const { createSqlStorage } = require("./sql");
+
+const DIALECT = {
+  lock: " FOR UPDATE",
+  claim: " FOR UPDATE SKIP LOCKED",
+  // Columns declared ON UPDATE CURRENT_TIMESTAMP bump themselves
+  upsert: (keys, columns) =>
+    `ON DUPLICATE KEY UPDATE ${columns
+      .map((column) => `${column} = VALUES(${column})`)
+      .join(", ")}`,
+  iif: "IF",
+  now: "NOW()",
+  later: (placeholder) => `DATE_ADD(NOW(), INTERVAL ${placeholder} SECOND)`,
+  // Backslash is MySQL's default escape character
+  escape: "",
+  isDuplicate: (error) => error.code === "ER_DUP_ENTRY",
+  // MySQL runs REGEXP with ICU, which rejects some patterns JavaScript
+  // accepts, or gives up on them
+  isBadPattern: (error) =>
+    typeof error.code === "string" && error.code.startsWith("ER_REGEXP_"),
+};
+
+function createStorage() {
+  const pool = instrumentPool(
+    mysql.createPool({
+      host: process.env.MYSQL_HOST || "localhost",
+      port: process.env.MYSQL_PORT || 3306,
+      user: process.env.MYSQL_USER || "root",
+      password: process.env.MYSQL_PASSWORD || "password",
+      database: process.env.MYSQL_DATABASE || "config_db",
+      waitForConnections: true,
+      connectionLimit: parseInt(process.env.MYSQL_POOL_SIZE || "10"),
+    }),
+  );
+
+  return createSqlStorage(pool, DIALECT, {
+    migrate: () => migrate(pool),
+    end: () => pool.end(),
+  });
+}
+
+module.exports = { createStorage };
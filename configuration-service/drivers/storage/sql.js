@@ -0,0 +1,814 @@
+// Storage on a SQL database, shared by the mysql and sqlite drivers
+//
+// Every query the service runs lives here, behind the repository methods
+// listed in index.js, and goes through a pool with the interface of a mysql2
+// pool: execute(sql, params) resolving to [rows] for queries and
+// [{ affectedRows, insertId }] for writes, and getConnection() for
+// transactions. The little SQL that differs between databases (locking
+// reads, upserts, the current time) comes from the driver's dialect:
+//
+// - lock, claim: clauses locking the rows a query reads, the latter skipping
+//   rows others have locked
+// - upsert(keys, columns, { touch }): clause updating columns when an insert
+//   hits the unique key over keys; touch bumps updated_at
+// - iif: name of the conditional function, IF(condition, then, else)
+// - now: the current time; later(placeholder): the time that many seconds
+//   from now
+// - escape: clause naming the backslash as escape character of LIKE patterns
+// - isDuplicate(error): whether a statement failed on a unique key
+// - isBadPattern(error): whether a statement failed on a regular expression
+//   the database cannot run
+//
+// Rows are returned as the database gives them, with snake_case columns.
+
+// Tables holding secret values, for rotation (see secrets.js), and which of
+// their values are encrypted
+const SEALED = {
+  configurations: { column: "config_value", filter: "is_secret = 1" },
+  config_revisions: { column: "config_value", filter: "is_secret = 1" },
+  config_release_values: { column: "config_value", filter: "is_secret = 1" },
+  config_trash: { column: "config_value", filter: "is_secret = 1" },
+  // Secrets stored before a master key was configured stay in plain text
+  webhooks: { column: "secret", filter: "secret LIKE 'enc:v1:%'" },
+};
+
+// Tables of pending JSON change lists, which may hold encrypted values
+const CHANGE_LISTS = ["change_requests", "scheduled_changes"];
+
+// LIKE pattern matching a literal string
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, "\\$&");
+}
+
+// LIKE pattern for a glob where * matches any run of characters and ? one
+function globToLike(glob) {
+  return [...glob]
+    .map((char) => {
+      if (char === "*") {
+        return "%";
+      }
+      return char === "?" ? "_" : escapeLike(char);
+    })
+    .join("");
+}
+
+function sealedTable(table) {
+  if (!Object.hasOwn(SEALED, table)) {
+    throw new Error(`No secrets are stored in ${table}`);
+  }
+  return SEALED[table];
+}
+
+function changeListTable(table) {
+  if (!CHANGE_LISTS.includes(table)) {
+    throw new Error(`No change lists are stored in ${table}`);
+  }
+  return table;
+}
+
+// WHERE conditions and parameters selecting the rows a listing covers (see
+// listing.js)
+function listingFilters(listing, environment, dialect) {
+  const conditions = [];
+  const params = [];
+
+  if (listing.service) {
+    conditions.push(`service_name LIKE ?${dialect.escape}`);
+    params.push(`${escapeLike(listing.service)}%`);
+  }
+  if (environment) {
+    conditions.push("environment = ?");
+    params.push(environment);
+  }
+  if (listing.key) {
+    conditions.push(`config_key LIKE ?${dialect.escape}`);
+    params.push(globToLike(listing.key));
+  }
+  if (listing.keyRegex) {
+    conditions.push("config_key REGEXP ?");
+    params.push(listing.keyRegex);
+  }
+  // Secret values are encrypted and never match
+  if (listing.value) {
+    conditions.push(`is_secret = 0 AND config_value LIKE ?${dialect.escape}`);
+    params.push(`%${escapeLike(listing.value)}%`);
+  }
+  if (listing.updatedSince) {
+    conditions.push("updated_at >= ?");
+    params.push(listing.updatedSince);
+  }
+  return { conditions, params };
+}
+
+// Condition placing rows after the cursor position, in sort order
+function afterCondition({ columns, order }) {
+  const placeholders = columns.map(() => "?").join(", ");
+  return `(${columns.join(", ")}) ${order === "asc" ? ">" : "<"} (${placeholders})`;
+}
+
+function orderBy({ columns, order }) {
+  return columns.map((column) => `${column} ${order.toUpperCase()}`).join(", ");
+}
+
+// Run fn inside a transaction on a dedicated pool connection
+async function withTransaction(pool, fn) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await fn(conn);
+    await conn.commit();
+    return result;
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+// Repository methods running their statements on db, a pool or a
+// connection in a transaction
+function repository(db, dialect) {
+  const query = async (sql, params) => (await db.execute(sql, params))[0];
+  const run = async (sql, params) => {
+    await db.execute(sql, params);
+  };
+  const affected = async (sql, params) =>
+    (await query(sql, params)).affectedRows > 0;
+  const inserted = async (sql, params) => (await query(sql, params)).insertId;
+  const first = async (sql, params) => {
+    const rows = await query(sql, params);
+    return rows.length > 0 ? rows[0] : null;
+  };
+  // Like inserted, but null when a unique key already holds the row
+  const insertedUnique = async (sql, params) => {
+    try {
+      return await inserted(sql, params);
+    } catch (error) {
+      if (dialect.isDuplicate(error)) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  const SELECT_RELEASES =
+    "SELECT r.*, p.release_id IS NOT NULL AS is_current FROM config_releases r LEFT JOIN config_release_pointers p ON p.release_id = r.id";
+
+  return {
+    configurations: {
+      // Stored rows of a service, locked when lock is set
+      forService: (serviceName, { lock = false } = {}) =>
+        query(
+          `SELECT environment, config_key, config_value, value_type, is_secret FROM configurations WHERE service_name = ?${lock ? dialect.lock : ""}`,
+          [serviceName],
+        ),
+      forEnvironment: (serviceName, environment) =>
+        query(
+          "SELECT config_key, config_value, value_type, is_secret FROM configurations WHERE service_name = ? AND environment = ?",
+          [serviceName, environment],
+        ),
+      // Rows of two services in two environments, for layering (see
+      // environments.js)
+      layers: ([firstService, secondService], [firstEnv, secondEnv]) =>
+        query(
+          "SELECT service_name, environment, config_key, config_value, value_type, is_secret FROM configurations WHERE service_name IN (?, ?) AND environment IN (?, ?)",
+          [firstService, secondService, firstEnv, secondEnv],
+        ),
+      exportEnvironment: (environment) =>
+        query(
+          "SELECT service_name, config_key, config_value, value_type, is_secret FROM configurations WHERE environment = ? ORDER BY service_name, config_key",
+          [environment],
+        ),
+      set: ({ serviceName, environment, key, value, type, secret }) =>
+        run(
+          `INSERT INTO configurations (service_name, environment, config_key, config_value, value_type, is_secret) VALUES (?, ?, ?, ?, ?, ?) ${dialect.upsert(["service_name", "environment", "config_key"], ["config_value", "value_type", "is_secret"], { touch: true })}`,
+          [serviceName, environment, key, value, type, secret ? 1 : 0],
+        ),
+      remove: (serviceName, environment, key) =>
+        run(
+          "DELETE FROM configurations WHERE service_name = ? AND environment = ? AND config_key = ?",
+          [serviceName, environment, key],
+        ),
+      // Distinct services holding a plain string value that contains text
+      servicesContaining: async (text) =>
+        (
+          await query(
+            `SELECT DISTINCT service_name FROM configurations WHERE value_type = 'string' AND is_secret = 0 AND config_value LIKE ?${dialect.escape}`,
+            [`%${escapeLike(text)}%`],
+          )
+        ).map((row) => row.service_name),
+      countByService: () =>
+        query(
+          "SELECT service_name, COUNT(*) AS key_count FROM configurations GROUP BY service_name",
+        ),
+      // Up to limit rows of a listing, or of its per-service summary; null
+      // when the database cannot run the listing's keyRegex
+      list: async (listing, { environment, limit }) => {
+        const { conditions, params } = listingFilters(
+          listing,
+          environment,
+          dialect,
+        );
+        let sql;
+        if (listing.summary) {
+          sql =
+            "SELECT service_name, COUNT(*) AS key_count, COUNT(DISTINCT environment) AS environment_count, MAX(updated_at) AS last_modified FROM configurations";
+          if (conditions.length > 0) {
+            sql += ` WHERE ${conditions.join(" AND ")}`;
+          }
+          sql += " GROUP BY service_name";
+          if (listing.after) {
+            sql += ` HAVING ${afterCondition(listing)}`;
+            params.push(...listing.after);
+          }
+        } else {
+          if (listing.after) {
+            conditions.push(afterCondition(listing));
+            params.push(...listing.after);
+          }
+          sql = "SELECT * FROM configurations";
+          if (conditions.length > 0) {
+            sql += ` WHERE ${conditions.join(" AND ")}`;
+          }
+        }
+        sql += ` ORDER BY ${orderBy(listing)} LIMIT ${limit}`;
+        try {
+          return await query(sql, params);
+        } catch (error) {
+          if (listing.keyRegex && dialect.isBadPattern(error)) {
+            return null;
+          }
+          throw error;
+        }
+      },
+    },
+
+    revisions: {
+      // Latest revision number of a service, 0 if it was never written;
+      // lock holds the counter for the rest of the transaction
+      latest: async (serviceName, { lock = false } = {}) => {
+        const row = await first(
+          `SELECT revision FROM service_revisions WHERE service_name = ?${lock ? dialect.lock : ""}`,
+          [serviceName],
+        );
+        return row ? row.revision : 0;
+      },
+      bump: (serviceName, revision) =>
+        run(
+          `INSERT INTO service_revisions (service_name, revision) VALUES (?, ?) ${dialect.upsert(["service_name"], ["revision"], { touch: true })}`,
+          [serviceName, revision],
+        ),
+      record: ({
+        serviceName,
+        revision,
+        environment,
+        key,
+        value,
+        type,
+        secret,
+        operation,
+      }) =>
+        run(
+          "INSERT INTO config_revisions (service_name, revision, environment, config_key, config_value, value_type, is_secret, operation) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+          [
+            serviceName,
+            revision,
+            environment,
+            key,
+            value,
+            type,
+            secret ? 1 : 0,
+            operation,
+          ],
+        ),
+      // Latest recorded row of every key of a service as of a revision,
+      // deletions included
+      snapshot: (serviceName, revision) =>
+        query(
+          `SELECT r.environment, r.config_key, r.config_value, r.value_type, r.is_secret
+     FROM config_revisions r
+     JOIN (
+       SELECT environment, config_key, MAX(revision) AS revision
+       FROM config_revisions
+       WHERE service_name = ? AND revision <= ?
+       GROUP BY environment, config_key
+     ) latest ON latest.environment = r.environment
+       AND latest.config_key = r.config_key
+       AND latest.revision = r.revision
+     WHERE r.service_name = ?`,
+          [serviceName, revision, serviceName],
+        ),
+      // Latest revision recorded at or before a time, 0 if none
+      at: async (serviceName, timestamp) => {
+        const rows = await query(
+          "SELECT MAX(revision) AS revision FROM config_revisions WHERE service_name = ? AND created_at <= ?",
+          [serviceName, timestamp],
+        );
+        return (rows[0] && rows[0].revision) || 0;
+      },
+      timeOf: async (serviceName, revision) => {
+        const rows = await query(
+          "SELECT MAX(created_at) AS created_at FROM config_revisions WHERE service_name = ? AND revision = ?",
+          [serviceName, revision],
+        );
+        return rows[0] && rows[0].created_at;
+      },
+      // Rows of the revisions after lower up to upper, newest first
+      range: (serviceName, lower, upper) =>
+        query(
+          "SELECT revision, environment, config_key, config_value, value_type, is_secret, operation, created_at FROM config_revisions WHERE service_name = ? AND revision > ? AND revision <= ? ORDER BY revision DESC, id ASC",
+          [serviceName, lower, upper],
+        ),
+      ofKey: (serviceName, key, { environment, limit }) => {
+        let sql =
+          "SELECT revision, environment, config_key, config_value, value_type, is_secret, operation, created_at FROM config_revisions WHERE service_name = ? AND config_key = ?";
+        const params = [serviceName, key];
+        if (environment) {
+          sql += " AND environment = ?";
+          params.push(environment);
+        }
+        sql += ` ORDER BY revision DESC, id DESC LIMIT ${limit}`;
+        return query(sql, params);
+      },
+    },
+
+    schemas: {
+      // Schema of a service as JSON text, null if it has none
+      get: async (serviceName) => {
+        const row = await first(
+          "SELECT schema_json FROM config_schemas WHERE service_name = ?",
+          [serviceName],
+        );
+        return row ? row.schema_json : null;
+      },
+      set: (serviceName, json) =>
+        run(
+          `INSERT INTO config_schemas (service_name, schema_json) VALUES (?, ?) ${dialect.upsert(["service_name"], ["schema_json"], { touch: true })}`,
+          [serviceName, json],
+        ),
+      remove: (serviceName) =>
+        affected("DELETE FROM config_schemas WHERE service_name = ?", [
+          serviceName,
+        ]),
+    },
+
+    apiKeys: {
+      insert: ({ id, name, role, services, secretHash }) =>
+        run(
+          "INSERT INTO api_keys (id, name, role, services, secret_hash) VALUES (?, ?, ?, ?, ?)",
+          [id, name, role, services, secretHash],
+        ),
+      list: () =>
+        query(
+          "SELECT id, name, role, services, created_at, rotated_at, revoked_at FROM api_keys ORDER BY created_at, id",
+        ),
+      // A key that is not revoked, with previous_valid telling whether its
+      // previous secret is still in its grace period
+      find: (id) =>
+        first(
+          `SELECT id, name, role, services, secret_hash, previous_secret_hash, previous_expires_at > ${dialect.now} AS previous_valid FROM api_keys WHERE id = ? AND revoked_at IS NULL`,
+          [id],
+        ),
+      // Replace the secret of a key that is not revoked, keeping the
+      // previous one for gracePeriod seconds; returns whether there was one
+      rotate: (id, secretHash, gracePeriod) =>
+        affected(
+          `UPDATE api_keys SET previous_secret_hash = ${dialect.iif}(? > 0, secret_hash, NULL), previous_expires_at = ${dialect.iif}(? > 0, ${dialect.later("?")}, NULL), secret_hash = ?, rotated_at = ${dialect.now} WHERE id = ? AND revoked_at IS NULL`,
+          [gracePeriod, gracePeriod, gracePeriod, secretHash, id],
+        ),
+      revoke: (id) =>
+        affected(
+          `UPDATE api_keys SET revoked_at = ${dialect.now} WHERE id = ? AND revoked_at IS NULL`,
+          [id],
+        ),
+    },
+
+    protections: {
+      list: (serviceName) =>
+        query(
+          "SELECT * FROM protected_keys WHERE service_name = ? ORDER BY id ASC",
+          [serviceName],
+        ),
+      get: (id) => first("SELECT * FROM protected_keys WHERE id = ?", [id]),
+      // Id of the new protection, null if the same one exists
+      insert: ({ serviceName, environment, keyPattern, createdBy }) =>
+        insertedUnique(
+          "INSERT INTO protected_keys (service_name, environment, key_pattern, created_by) VALUES (?, ?, ?, ?)",
+          [serviceName, environment, keyPattern, createdBy],
+        ),
+      remove: (serviceName, id) =>
+        affected(
+          "DELETE FROM protected_keys WHERE id = ? AND service_name = ?",
+          [id, serviceName],
+        ),
+    },
+
+    changeRequests: {
+      // Mark pending requests expiring at or before now as expired
+      expire: (now) =>
+        run(
+          "UPDATE change_requests SET status = 'expired' WHERE status = 'pending' AND expires_at <= ?",
+          [now],
+        ),
+      insert: ({ serviceName, environment, changes, requestedBy, expiresAt }) =>
+        inserted(
+          "INSERT INTO change_requests (service_name, environment, changes, requested_by, expires_at) VALUES (?, ?, ?, ?, ?)",
+          [serviceName, environment, changes, requestedBy, expiresAt],
+        ),
+      get: (serviceName, id, { lock = false } = {}) =>
+        first(
+          `SELECT * FROM change_requests WHERE id = ? AND service_name = ?${lock ? dialect.lock : ""}`,
+          [id, serviceName],
+        ),
+      // Newest first, in one status or all of them
+      list: (serviceName, { status, limit }) => {
+        let sql = "SELECT * FROM change_requests WHERE service_name = ?";
+        const params = [serviceName];
+        if (status) {
+          sql += " AND status = ?";
+          params.push(status);
+        }
+        sql += ` ORDER BY id DESC LIMIT ${limit}`;
+        return query(sql, params);
+      },
+      review: (id, { status, reviewedBy, comment, revision, reviewedAt }) =>
+        run(
+          "UPDATE change_requests SET status = ?, reviewed_by = ?, comment = ?, revision = ?, reviewed_at = ? WHERE id = ?",
+          [status, reviewedBy, comment, revision, reviewedAt, id],
+        ),
+    },
+
+    schedules: {
+      insert: ({
+        serviceName,
+        environment,
+        kind,
+        changes,
+        runAt,
+        expiresAt,
+        revertOf,
+        createdBy,
+      }) =>
+        inserted(
+          "INSERT INTO scheduled_changes (service_name, environment, kind, changes, run_at, expires_at, revert_of, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+          [
+            serviceName,
+            environment,
+            kind,
+            changes,
+            runAt,
+            expiresAt,
+            revertOf,
+            createdBy,
+          ],
+        ),
+      get: (serviceName, id) =>
+        first(
+          "SELECT * FROM scheduled_changes WHERE id = ? AND service_name = ?",
+          [id, serviceName],
+        ),
+      // In run order, in one status or all of them
+      list: (serviceName, { status, limit }) => {
+        let sql = "SELECT * FROM scheduled_changes WHERE service_name = ?";
+        const params = [serviceName];
+        if (status) {
+          sql += " AND status = ?";
+          params.push(status);
+        }
+        sql += ` ORDER BY run_at ASC, id ASC LIMIT ${limit}`;
+        return query(sql, params);
+      },
+      // Returns whether the schedule was still pending
+      cancel: (serviceName, id) =>
+        affected(
+          "UPDATE scheduled_changes SET status = 'cancelled' WHERE id = ? AND service_name = ? AND status = 'pending'",
+          [id, serviceName],
+        ),
+      // Lock the earliest pending schedule due at now, skipping those others
+      // hold; null if there is none
+      claimDue: (now) =>
+        first(
+          `SELECT * FROM scheduled_changes WHERE status = 'pending' AND run_at <= ? ORDER BY run_at ASC, id ASC LIMIT 1${dialect.claim}`,
+          [now],
+        ),
+      markApplied: (id, { revision, appliedAt }) =>
+        run(
+          "UPDATE scheduled_changes SET status = 'applied', revision = ?, applied_at = ? WHERE id = ?",
+          [revision, appliedAt, id],
+        ),
+      // Count a failed attempt, failing the schedule at maxAttempts
+      markAttempt: (id, { error, maxAttempts }) =>
+        run(
+          `UPDATE scheduled_changes SET status = ${dialect.iif}(attempts + 1 >= ?, 'failed', status), attempts = attempts + 1, error = ? WHERE id = ? AND status = 'pending'`,
+          [maxAttempts, error, id],
+        ),
+    },
+
+    releases: {
+      // A release by name with is_current set when the service's pointer
+      // names it, null if there is none
+      get: (serviceName, name) =>
+        first(`${SELECT_RELEASES} WHERE r.service_name = ? AND r.name = ?`, [
+          serviceName,
+          name,
+        ]),
+      getCurrent: (serviceName) =>
+        first(`${SELECT_RELEASES} WHERE p.service_name = ?`, [serviceName]),
+      getById: (id) => first(`${SELECT_RELEASES} WHERE r.id = ?`, [id]),
+      // Newest first
+      list: (serviceName, { limit }) =>
+        query(
+          `${SELECT_RELEASES} WHERE r.service_name = ? ORDER BY r.id DESC LIMIT ${limit}`,
+          [serviceName],
+        ),
+      // Id of the new release, null if the service has one of that name
+      insert: ({
+        serviceName,
+        name,
+        revision,
+        globalRevision,
+        notes,
+        createdBy,
+      }) =>
+        insertedUnique(
+          "INSERT INTO config_releases (service_name, name, revision, global_revision, notes, created_by) VALUES (?, ?, ?, ?, ?, ?)",
+          [serviceName, name, revision, globalRevision, notes, createdBy],
+        ),
+      // Copy the stored rows of a service, and those of one environment of
+      // another ([service, environment]), into a release
+      snapshot: (releaseId, serviceName, [otherService, otherEnvironment]) =>
+        run(
+          "INSERT INTO config_release_values (release_id, service_name, environment, config_key, config_value, value_type, is_secret) SELECT ?, service_name, environment, config_key, config_value, value_type, is_secret FROM configurations WHERE service_name = ? OR (service_name = ? AND environment = ?)",
+          [releaseId, serviceName, otherService, otherEnvironment],
+        ),
+      values: (releaseId) =>
+        query(
+          "SELECT service_name, environment, config_key, config_value, value_type, is_secret FROM config_release_values WHERE release_id = ?",
+          [releaseId],
+        ),
+      // Release the service's pointer names, locked for the rest of the
+      // transaction; null if it has none
+      pointer: async (serviceName) => {
+        const row = await first(
+          `SELECT release_id FROM config_release_pointers WHERE service_name = ?${dialect.lock}`,
+          [serviceName],
+        );
+        return row ? row.release_id : null;
+      },
+      point: (serviceName, releaseId, updatedBy) =>
+        run(
+          `INSERT INTO config_release_pointers (service_name, release_id, updated_by) VALUES (?, ?, ?) ${dialect.upsert(["service_name"], ["release_id", "updated_by"], { touch: true })}`,
+          [serviceName, releaseId, updatedBy],
+        ),
+    },
+
+    trash: {
+      insert: ({
+        serviceName,
+        environment,
+        key,
+        value,
+        type,
+        secret,
+        revision,
+        deletedBy,
+        deletedAt,
+      }) =>
+        run(
+          "INSERT INTO config_trash (service_name, environment, config_key, config_value, value_type, is_secret, revision, deleted_by, deleted_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+          [
+            serviceName,
+            environment,
+            key,
+            value,
+            type,
+            secret ? 1 : 0,
+            revision,
+            deletedBy,
+            deletedAt,
+          ],
+        ),
+      // Entries of a service deleted after a time, most recent first,
+      // optionally by id, deleted between from and to or in one
+      // environment; lock holds them for the rest of the transaction
+      list: (
+        serviceName,
+        { after, id, from, to, environment, limit, lock = false },
+      ) => {
+        let sql =
+          "SELECT * FROM config_trash WHERE service_name = ? AND deleted_at > ?";
+        const params = [serviceName, after];
+        if (id) {
+          sql += " AND id = ?";
+          params.push(id);
+        }
+        if (from) {
+          sql += " AND deleted_at >= ?";
+          params.push(from);
+        }
+        if (to) {
+          sql += " AND deleted_at <= ?";
+          params.push(to);
+        }
+        if (environment) {
+          sql += " AND environment = ?";
+          params.push(environment);
+        }
+        sql += " ORDER BY deleted_at DESC, id DESC";
+        if (limit) {
+          sql += ` LIMIT ${limit}`;
+        }
+        return query(sql + (lock ? dialect.lock : ""), params);
+      },
+      remove: (id) => run("DELETE FROM config_trash WHERE id = ?", [id]),
+      // Remove entries deleted at or before a time; returns how many
+      purge: async (before) =>
+        (
+          await query("DELETE FROM config_trash WHERE deleted_at <= ?", [
+            before,
+          ])
+        ).affectedRows,
+    },
+
+    consumers: {
+      // Insert or update the row of an instance; of an existing row, only
+      // the listed columns are updated
+      record: (
+        {
+          serviceName,
+          environment,
+          instance,
+          revision,
+          etag,
+          address,
+          lastFetchAt,
+          lastSeenAt,
+        },
+        updated,
+      ) =>
+        run(
+          `INSERT INTO config_consumers (service_name, environment, instance_id, revision, etag, address, last_fetch_at, last_seen_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?) ${dialect.upsert(["service_name", "environment", "instance_id"], updated)}`,
+          [
+            serviceName,
+            environment,
+            instance,
+            revision,
+            etag,
+            address,
+            lastFetchAt,
+            lastSeenAt,
+          ],
+        ),
+      // Forget the instances of a service last seen at or before a time
+      forget: (serviceName, before) =>
+        run(
+          "DELETE FROM config_consumers WHERE service_name = ? AND last_seen_at <= ?",
+          [serviceName, before],
+        ),
+      // By environment and instance, optionally in one environment only
+      list: (serviceName, { environment }) => {
+        let sql = "SELECT * FROM config_consumers WHERE service_name = ?";
+        const params = [serviceName];
+        if (environment) {
+          sql += " AND environment = ?";
+          params.push(environment);
+        }
+        sql += " ORDER BY environment ASC, instance_id ASC";
+        return query(sql, params);
+      },
+    },
+
+    webhooks: {
+      // Oldest first
+      list: (serviceName) =>
+        query("SELECT * FROM webhooks WHERE service_name = ? ORDER BY id ASC", [
+          serviceName,
+        ]),
+      // Ids and key prefixes of the webhooks of a service
+      prefixes: (serviceName) =>
+        query("SELECT id, key_prefix FROM webhooks WHERE service_name = ?", [
+          serviceName,
+        ]),
+      get: (serviceName, id) =>
+        first("SELECT * FROM webhooks WHERE id = ? AND service_name = ?", [
+          id,
+          serviceName,
+        ]),
+      getById: (id) => first("SELECT * FROM webhooks WHERE id = ?", [id]),
+      insert: ({ serviceName, keyPrefix, url, secret, createdBy }) =>
+        inserted(
+          "INSERT INTO webhooks (service_name, key_prefix, url, secret, created_by) VALUES (?, ?, ?, ?, ?)",
+          [serviceName, keyPrefix, url, secret, createdBy],
+        ),
+      remove: (serviceName, id) =>
+        affected("DELETE FROM webhooks WHERE id = ? AND service_name = ?", [
+          id,
+          serviceName,
+        ]),
+    },
+
+    deliveries: {
+      insert: ({ webhookId, payload, nextAttemptAt, redeliveryOf }) =>
+        redeliveryOf
+          ? inserted(
+              "INSERT INTO webhook_deliveries (webhook_id, payload, next_attempt_at, redelivery_of) VALUES (?, ?, ?, ?)",
+              [webhookId, payload, nextAttemptAt, redeliveryOf],
+            )
+          : inserted(
+              "INSERT INTO webhook_deliveries (webhook_id, payload, next_attempt_at) VALUES (?, ?, ?)",
+              [webhookId, payload, nextAttemptAt],
+            ),
+      // Newest first, in one status or all of them
+      list: (webhookId, { status, limit }) => {
+        let sql = "SELECT * FROM webhook_deliveries WHERE webhook_id = ?";
+        const params = [webhookId];
+        if (status) {
+          sql += " AND status = ?";
+          params.push(status);
+        }
+        sql += ` ORDER BY id DESC LIMIT ${limit}`;
+        return query(sql, params);
+      },
+      get: (webhookId, id) =>
+        first(
+          "SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?",
+          [id, webhookId],
+        ),
+      removeAll: (webhookId) =>
+        run("DELETE FROM webhook_deliveries WHERE webhook_id = ?", [webhookId]),
+      // Lock the earliest pending delivery due at now, skipping those others
+      // hold; null if there is none
+      claimDue: (now) =>
+        first(
+          `SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at ASC, id ASC LIMIT 1${dialect.claim}`,
+          [now],
+        ),
+      // Count an attempt, leaving the delivery to it until a time
+      lease: (id, until) =>
+        run(
+          "UPDATE webhook_deliveries SET attempts = attempts + 1, next_attempt_at = ? WHERE id = ?",
+          [until, id],
+        ),
+      finish: (
+        id,
+        { status, nextAttemptAt, responseStatus, error, deliveredAt },
+      ) =>
+        run(
+          "UPDATE webhook_deliveries SET status = ?, next_attempt_at = ?, response_status = ?, error = ?, delivered_at = ? WHERE id = ?",
+          [status, nextAttemptAt, responseStatus, error, deliveredAt, id],
+        ),
+    },
+
+    secrets: {
+      // Up to limit { id, stored } encrypted values of a table (see SEALED)
+      // with ids above after, other than those starting with skip
+      sealed: (table, { skip, after, limit }) => {
+        const { column, filter } = sealedTable(table);
+        return query(
+          `SELECT id, ${column} AS stored FROM ${table} WHERE ${filter} AND ${column} IS NOT NULL AND ${column} NOT LIKE ? AND id > ? ORDER BY id LIMIT ${limit}`,
+          [`${skip}%`, after],
+        );
+      },
+      // Replace an encrypted value, unless it changed since it was read;
+      // returns whether it was replaced
+      reseal: (table, id, stored, replacement) => {
+        const { column } = sealedTable(table);
+        const updatedAt =
+          table === "configurations" ? ", updated_at = updated_at" : "";
+        return affected(
+          `UPDATE ${table} SET ${column} = ?${updatedAt} WHERE id = ? AND ${column} = ?`,
+          [replacement, id, stored],
+        );
+      },
+      // Up to limit { id, changes } pending change lists of a table with ids
+      // above after that contain text
+      changeLists: (table, { containing, after, limit }) =>
+        query(
+          `SELECT id, changes FROM ${changeListTable(table)} WHERE status = 'pending' AND changes LIKE ?${dialect.escape} AND id > ? ORDER BY id LIMIT ${limit}`,
+          [`%${escapeLike(containing)}%`, after],
+        ),
+      // Like reseal, for change lists
+      resealChanges: (table, id, changes, replacement) =>
+        affected(
+          `UPDATE ${changeListTable(table)} SET changes = ? WHERE id = ? AND changes = ?`,
+          [replacement, id, changes],
+        ),
+    },
+  };
+}
+
+// Storage over a pool: the repository methods, transaction(fn) running fn
+// with the methods of one transaction, committed when it resolves and
+// rolled back when it throws, and the driver's migrate() and end()
+function createSqlStorage(pool, dialect, { migrate, end }) {
+  return {
+    ...repository(pool, dialect),
+    transaction: (fn) =>
+      withTransaction(pool, (conn) => fn(repository(conn, dialect))),
+    migrate,
+    end,
+  };
+}
+
+module.exports = { createSqlStorage, globToLike };
@@ -0,0 +1,414 @@
+// SQLite storage driver
+//
+// Keeps the configuration in a single SQLite file, for running the service
+// on one machine without a database server, or in an in-memory database for
+// the memory driver. Runs the queries of sql.js with SQLite's dialect on the
+// schema below.
+//
+// Timestamps are stored as UTC text ("2024-01-01 10:00:00.000") so that they
+// compare in order, and the columns in TIMESTAMPS are read back as Dates.
+// SQLite has no ON UPDATE CURRENT_TIMESTAMP, so upserts bump updated_at
+// themselves.
+//
+// SQLite has a single writer, so transactions are serialized: while one is
+// open, other statements wait for it, which also stands in for locking
+// reads. Needs the better-sqlite3 package and SQLite 3.35 or later.
+
+const { createLock } = require("./lock");
+const { createSqlStorage } = require("./sql");
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f', 'now')";
+
+const DIALECT = {
+  lock: "",
+  claim: "",
+  upsert: (keys, columns, { touch = false } = {}) =>
+    `ON CONFLICT (${keys.join(", ")}) DO UPDATE SET ${[
+      ...columns.map((column) => `${column} = excluded.${column}`),
+      ...(touch ? [`updated_at = ${NOW}`] : []),
+    ].join(", ")}`,
+  iif: "IIF",
+  now: NOW,
+  later: (placeholder) =>
+    `strftime('%Y-%m-%d %H:%M:%f', 'now', ${placeholder} || ' seconds')`,
+  escape: " ESCAPE '\\'",
+  isDuplicate: (error) =>
+    error.code === "SQLITE_CONSTRAINT_UNIQUE" ||
+    error.code === "SQLITE_CONSTRAINT_PRIMARYKEY",
+  // REGEXP is the JavaScript one registered below, so listings only run
+  // patterns it accepts
+  isBadPattern: () => false,
+};
+
+// Result columns holding timestamps
+const TIMESTAMPS = new Set([
+  "created_at",
+  "updated_at",
+  "previous_expires_at",
+  "rotated_at",
+  "revoked_at",
+  "run_at",
+  "expires_at",
+  "applied_at",
+  "reviewed_at",
+  "deleted_at",
+  "last_fetch_at",
+  "last_seen_at",
+  "next_attempt_at",
+  "delivered_at",
+  "last_modified",
+]);
+
+// The schema of database.js in SQLite terms. Statements must be safe to run
+// again on every startup; index names are prefixed with their table, since
+// SQLite's are per database.
+const SCHEMA = [
+  `
+    CREATE TABLE IF NOT EXISTS configurations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      service_name TEXT NOT NULL,
+      environment TEXT NOT NULL DEFAULT 'default',
+      config_key TEXT NOT NULL,
+      config_value TEXT NOT NULL,
+      value_type TEXT NOT NULL DEFAULT 'string',
+      is_secret INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT DEFAULT (${NOW}),
+      updated_at TEXT DEFAULT (${NOW}),
+      UNIQUE (service_name, environment, config_key)
+    )
+  `,
+  "CREATE INDEX IF NOT EXISTS configurations__idx_updated_at ON configurations (updated_at, id)",
+  `
+    CREATE TABLE IF NOT EXISTS service_revisions (
+      service_name TEXT PRIMARY KEY,
+      revision INTEGER NOT NULL,
+      updated_at TEXT DEFAULT (${NOW})
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS config_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      service_name TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      environment TEXT NOT NULL DEFAULT 'default',
+      config_key TEXT NOT NULL,
+      config_value TEXT NULL,
+      value_type TEXT NOT NULL DEFAULT 'string',
+      is_secret INTEGER NOT NULL DEFAULT 0,
+      operation TEXT NOT NULL,
+      created_at TEXT DEFAULT (${NOW})
+    )
+  `,
+  "CREATE INDEX IF NOT EXISTS config_revisions__idx_service_revision ON config_revisions (service_name, revision)",
+  "CREATE INDEX IF NOT EXISTS config_revisions__idx_service_key_revision ON config_revisions (service_name, config_key, revision)",
+  `
+    CREATE TABLE IF NOT EXISTS config_schemas (
+      service_name TEXT PRIMARY KEY,
+      schema_json TEXT NOT NULL,
+      created_at TEXT DEFAULT (${NOW}),
+      updated_at TEXT DEFAULT (${NOW})
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL,
+      services TEXT NOT NULL,
+      secret_hash TEXT NOT NULL,
+      previous_secret_hash TEXT NULL,
+      previous_expires_at TEXT NULL,
+      created_at TEXT DEFAULT (${NOW}),
+      rotated_at TEXT NULL,
+      revoked_at TEXT NULL
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS scheduled_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      service_name TEXT NOT NULL,
+      environment TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      changes TEXT NOT NULL,
+      run_at TEXT NOT NULL,
+      expires_at TEXT NULL,
+      revert_of INTEGER NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      revision INTEGER NULL,
+      error TEXT NULL,
+      created_by TEXT NULL,
+      created_at TEXT DEFAULT (${NOW}),
+      applied_at TEXT NULL
+    )
+  `,
+  "CREATE INDEX IF NOT EXISTS scheduled_changes__idx_due ON scheduled_changes (status, run_at)",
+  "CREATE INDEX IF NOT EXISTS scheduled_changes__idx_service_run ON scheduled_changes (service_name, run_at)",
+  `
+    CREATE TABLE IF NOT EXISTS config_releases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      service_name TEXT NOT NULL,
+      name TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      global_revision INTEGER NOT NULL,
+      notes TEXT NULL,
+      created_by TEXT NULL,
+      created_at TEXT DEFAULT (${NOW}),
+      UNIQUE (service_name, name)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS config_release_values (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      release_id INTEGER NOT NULL,
+      service_name TEXT NOT NULL,
+      environment TEXT NOT NULL,
+      config_key TEXT NOT NULL,
+      config_value TEXT NOT NULL,
+      value_type TEXT NOT NULL,
+      is_secret INTEGER NOT NULL DEFAULT 0
+    )
+  `,
+  "CREATE INDEX IF NOT EXISTS config_release_values__idx_release ON config_release_values (release_id)",
+  `
+    CREATE TABLE IF NOT EXISTS config_release_pointers (
+      service_name TEXT PRIMARY KEY,
+      release_id INTEGER NOT NULL,
+      updated_by TEXT NULL,
+      updated_at TEXT DEFAULT (${NOW})
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS protected_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      service_name TEXT NOT NULL,
+      environment TEXT NOT NULL,
+      key_pattern TEXT NOT NULL,
+      created_by TEXT NULL,
+      created_at TEXT DEFAULT (${NOW}),
+      UNIQUE (service_name, environment, key_pattern)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS change_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      service_name TEXT NOT NULL,
+      environment TEXT NOT NULL,
+      changes TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      requested_by TEXT NULL,
+      reviewed_by TEXT NULL,
+      comment TEXT NULL,
+      revision INTEGER NULL,
+      expires_at TEXT NOT NULL,
+      created_at TEXT DEFAULT (${NOW}),
+      reviewed_at TEXT NULL
+    )
+  `,
+  "CREATE INDEX IF NOT EXISTS change_requests__idx_service_status ON change_requests (service_name, status)",
+  "CREATE INDEX IF NOT EXISTS change_requests__idx_expiry ON change_requests (status, expires_at)",
+  `
+    CREATE TABLE IF NOT EXISTS config_trash (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      service_name TEXT NOT NULL,
+      environment TEXT NOT NULL,
+      config_key TEXT NOT NULL,
+      config_value TEXT NOT NULL,
+      value_type TEXT NOT NULL,
+      is_secret INTEGER NOT NULL DEFAULT 0,
+      revision INTEGER NOT NULL,
+      deleted_by TEXT NULL,
+      deleted_at TEXT NOT NULL
+    )
+  `,
+  "CREATE INDEX IF NOT EXISTS config_trash__idx_service_deleted ON config_trash (service_name, deleted_at)",
+  "CREATE INDEX IF NOT EXISTS config_trash__idx_deleted ON config_trash (deleted_at)",
+  `
+    CREATE TABLE IF NOT EXISTS config_consumers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      service_name TEXT NOT NULL,
+      environment TEXT NOT NULL,
+      instance_id TEXT NOT NULL,
+      revision INTEGER NULL,
+      etag TEXT NULL,
+      address TEXT NULL,
+      last_fetch_at TEXT NULL,
+      last_seen_at TEXT NOT NULL,
+      UNIQUE (service_name, environment, instance_id)
+    )
+  `,
+  "CREATE INDEX IF NOT EXISTS config_consumers__idx_last_seen ON config_consumers (service_name, last_seen_at)",
+  `
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      service_name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL DEFAULT '',
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      created_by TEXT NULL,
+      created_at TEXT DEFAULT (${NOW})
+    )
+  `,
+  "CREATE INDEX IF NOT EXISTS webhooks__idx_service ON webhooks (service_name)",
+  `
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL,
+      response_status INTEGER NULL,
+      error TEXT NULL,
+      redelivery_of INTEGER NULL,
+      created_at TEXT DEFAULT (${NOW}),
+      delivered_at TEXT NULL
+    )
+  `,
+  "CREATE INDEX IF NOT EXISTS webhook_deliveries__idx_webhook ON webhook_deliveries (webhook_id, id)",
+  "CREATE INDEX IF NOT EXISTS webhook_deliveries__idx_due ON webhook_deliveries (status, next_attempt_at)",
+];
+
+function formatTimestamp(date) {
+  return date.toISOString().replace("T", " ").replace("Z", "");
+}
+
+function parseTimestamp(value) {
+  return typeof value === "string"
+    ? new Date(`${value.replace(" ", "T")}Z`)
+    : value;
+}
+
+// Parameters as SQLite binds them
+function bindable(value) {
+  if (value instanceof Date) {
+    return formatTimestamp(value);
+  }
+  if (value === undefined) {
+    return null;
+  }
+  return typeof value === "boolean" ? Number(value) : value;
+}
+
+function loadDriver() {
+  try {
+    return require("better-sqlite3");
+  } catch (error) {
+    throw new Error(
+      "The sqlite and memory storage drivers need the better-sqlite3 package (npm install better-sqlite3)",
+    );
+  }
+}
+
+// A storage kept in the SQLite file at path, or in memory at ":memory:"
+function createStorage({ path }) {
+  const Database = loadDriver();
+  const db = new Database(path);
+  db.pragma("journal_mode = WAL");
+  db.function("regexp", { deterministic: true }, (pattern, value) => {
+    if (pattern === null || value === null) {
+      return null;
+    }
+    return new RegExp(pattern).test(value) ? 1 : 0;
+  });
+
+  const lock = createLock();
+  const prepared = new Map();
+
+  // Run a statement the way mysql2 answers: [rows] for queries and
+  // [{ affectedRows, insertId }] for writes
+  function run(sql, params = []) {
+    if (!prepared.has(sql)) {
+      prepared.set(sql, db.prepare(sql));
+    }
+    const statement = prepared.get(sql);
+    const values = params.map(bindable);
+    if (statement.reader) {
+      const rows = statement.all(...values);
+      for (const row of rows) {
+        for (const name of Object.keys(row)) {
+          if (TIMESTAMPS.has(name)) {
+            row[name] = parseTimestamp(row[name]);
+          }
+        }
+      }
+      return [rows];
+    }
+    const info = statement.run(...values);
+    return [
+      { affectedRows: info.changes, insertId: Number(info.lastInsertRowid) },
+    ];
+  }
+
+  async function execute(sql, params) {
+    const release = await lock.acquire();
+    try {
+      return run(sql, params);
+    } finally {
+      release();
+    }
+  }
+
+  function connection() {
+    let release = null;
+
+    function finish(command) {
+      if (release) {
+        try {
+          db.exec(command);
+        } finally {
+          release();
+          release = null;
+        }
+      }
+    }
+
+    return {
+      async execute(sql, params) {
+        return release ? run(sql, params) : execute(sql, params);
+      },
+      async beginTransaction() {
+        if (!release) {
+          release = await lock.acquire();
+          db.exec("BEGIN IMMEDIATE");
+        }
+      },
+      async commit() {
+        finish("COMMIT");
+      },
+      async rollback() {
+        finish("ROLLBACK");
+      },
+      // Giving back a connection in the middle of a transaction rolls it
+      // back, so that the lock is not held forever
+      release() {
+        finish("ROLLBACK");
+      },
+    };
+  }
+
+  const pool = {
+    execute,
+    async getConnection() {
+      return connection();
+    },
+  };
+
+  return createSqlStorage(pool, DIALECT, {
+    async migrate() {
+      const release = await lock.acquire();
+      try {
+        for (const statement of SCHEMA) {
+          db.exec(statement);
+        }
+      } finally {
+        release();
+      }
+    },
+    async end() {
+      db.close();
+    },
+  });
+}
+
+module.exports = { createStorage };
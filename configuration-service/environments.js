@@ -0,0 +1,134 @@
+// Environment-scoped configuration with layered resolution
+//
+// A key for a service in an environment resolves through three layers, the
+// last one that defines it wins:
+//
+//   global       keys of the reserved GLOBAL_SERVICE in the default environment
+//   service      keys of the service in the default environment
+//   environment  keys of the service in the requested environment
+
+const { readValue } = require("./secrets");
+
+const GLOBAL_SERVICE = "_global";
+const DEFAULT_ENVIRONMENT = "default";
+
+const ENVIRONMENT_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Normalize the ?env= parameter; returns null for invalid names
+function parseEnvironment(value) {
+  if (value === undefined || value === "") {
+    return DEFAULT_ENVIRONMENT;
+  }
+  return typeof value === "string" && ENVIRONMENT_PATTERN.test(value)
+    ? value
+    : null;
+}
+
+function layerOf(serviceName, environment) {
+  if (serviceName === GLOBAL_SERVICE) {
+    return "global";
+  }
+  return environment === DEFAULT_ENVIRONMENT ? "service" : "environment";
+}
+
+// Resolve rows of { serviceName, environment, key, value, type, secret } into
+// { key: { value, type, secret, layer } } for the given service and
+// environment
+function resolveLayers(rows, serviceName, environment) {
+  const applicable = rows.filter(
+    (row) =>
+      (row.serviceName === GLOBAL_SERVICE &&
+        row.environment === DEFAULT_ENVIRONMENT) ||
+      (row.serviceName === serviceName &&
+        (row.environment === DEFAULT_ENVIRONMENT ||
+          row.environment === environment)),
+  );
+
+  const order = { global: 0, service: 1, environment: 2 };
+  const resolved = {};
+  for (const row of applicable) {
+    const layer = layerOf(row.serviceName, row.environment);
+    const existing = resolved[row.key];
+    if (!existing || order[layer] >= order[existing.layer]) {
+      resolved[row.key] = {
+        value: row.value,
+        type: row.type,
+        secret: row.secret,
+        layer,
+      };
+    }
+  }
+  return resolved;
+}
+
+// Flatten a resolution into { key: value }
+function flatten(resolved) {
+  return Object.keys(resolved).reduce((acc, key) => {
+    acc[key] = resolved[key].value;
+    return acc;
+  }, {});
+}
+
+// Load and resolve the current configuration of a service. Secrets are
+// masked unless reveal is set.
+async function loadResolved(
+  db,
+  serviceName,
+  environment,
+  { reveal = false } = {},
+) {
+  const rows = await db.configurations.layers(
+    [GLOBAL_SERVICE, serviceName],
+    [DEFAULT_ENVIRONMENT, environment],
+  );
+
+  return resolveLayers(
+    rows.map((row) => ({
+      serviceName: row.service_name,
+      environment: row.environment,
+      key: row.config_key,
+      value: readValue(row.config_value, row.value_type, row.is_secret, reveal),
+      type: row.value_type,
+      secret: Boolean(row.is_secret),
+    })),
+    serviceName,
+    environment,
+  );
+}
+
+// Service name as it appears in Redis keys. Escaping ":" keeps service
+// "foo:bar" apart from service "foo" in environment "bar", escaping glob
+// characters keeps invalidation patterns from matching other services.
+function keySegment(serviceName) {
+  return encodeURIComponent(serviceName).replace(/\*/g, "%2A");
+}
+
+// Redis key holding the resolved configuration of a service in an environment
+function cacheKey(serviceName, environment) {
+  const segment = keySegment(serviceName);
+  return environment === DEFAULT_ENVIRONMENT
+    ? `config:${segment}`
+    : `config:${segment}:${environment}`;
+}
+
+// Redis key patterns to invalidate when a service's configuration changes.
+// Global defaults feed into every service, so they clear the whole cache.
+function invalidationPatterns(serviceName) {
+  return serviceName === GLOBAL_SERVICE
+    ? ["config:*"]
+    : [
+        `config:${keySegment(serviceName)}`,
+        `config:${keySegment(serviceName)}:*`,
+      ];
+}
+
+module.exports = {
+  GLOBAL_SERVICE,
+  DEFAULT_ENVIRONMENT,
+  parseEnvironment,
+  resolveLayers,
+  flatten,
+  loadResolved,
+  cacheKey,
+  invalidationPatterns,
+};
@@ -0,0 +1,96 @@
+// Conditional requests
+//
+// The ETag of a resolved configuration names the revisions it was built
+// from, "<service revision>.<global revision>", since global defaults are
+// layered into every service. Configurations interpolating values of other
+// services (see interpolation.js) add a digest of their content. Reads of
+// another representation than the flat, masked configuration name it last,
+// "12.3-explain-reveal", so that no representation validates another. Reads
+// honor If-None-Match with 304.
+//
+// Writes honor If-Match against the service revision only: a change to the
+// global defaults is not a conflicting edit of the service. If-Match may
+// carry an ETag from a read or a revision number from a write response
+// ("12"), and "*" matches any service that has been written before.
+
+// Representations of a configuration, in the order they appear in ETags
+const REPRESENTATIONS = ["explain", "raw", "reveal"];
+
+function configETag(revision, globalRevision, digest) {
+  return digest === undefined
+    ? `"${revision}.${globalRevision}"`
+    : `"${revision}.${globalRevision}.${digest}"`;
+}
+
+// ETag of a representation ({ explain, raw, reveal } flags) of the
+// configuration with the given ETag
+function representationETag(etag, representation) {
+  const names = REPRESENTATIONS.filter((name) => representation[name]);
+  return names.length === 0
+    ? etag
+    : `"${[parseTags(etag)[0], ...names].join("-")}"`;
+}
+
+// Entity tags listed in an If-Match or If-None-Match header, without quotes
+// or weak markers
+function parseTags(header) {
+  return header
+    .split(",")
+    .map((tag) =>
+      tag
+        .trim()
+        .replace(/^W\//, "")
+        .replace(/^"(.*)"$/, "$1"),
+    )
+    .filter((tag) => tag !== "");
+}
+
+// Whether a client's copy, named by If-None-Match, is still current
+function isNotModified(req, etag) {
+  const header = req.get("If-None-Match");
+  if (!header) {
+    return false;
+  }
+  const tags = parseTags(header);
+  return tags.includes("*") || tags.includes(parseTags(etag)[0]);
+}
+
+// Precondition from If-Match as a test of the current service revision,
+// null when the request is unconditional
+function ifMatch(req) {
+  const header = req.get("If-Match");
+  if (header === undefined) {
+    return null;
+  }
+  const tags = parseTags(header);
+  if (tags.includes("*")) {
+    return (revision) => revision > 0;
+  }
+  const revisions = tags.map((tag) => Number(tag.split(".")[0]));
+  return (revision) => revisions.includes(revision);
+}
+
+// An ETag given by a client, in the quoted form configETag returns whichever
+// representation it was read in, or null unless it names a service and a
+// global revision
+function normalizeETag(etag) {
+  const [tag] = typeof etag === "string" ? parseTags(etag) : [];
+  const match =
+    tag !== undefined &&
+    /^(\d+\.\d+(?:\.[0-9a-f]+)?)(?:-(?:explain|raw|reveal))*$/.exec(tag);
+  return match ? `"${match[1]}"` : null;
+}
+
+// Service revision an ETag was built from
+function etagRevision(etag) {
+  return Number(parseTags(etag)[0].split(".")[0]);
+}
+
+module.exports = {
+  configETag,
+  representationETag,
+  isNotModified,
+  ifMatch,
+  normalizeETag,
+  etagRevision,
+};
@@ -0,0 +1,257 @@
+// Feature flags
+//
+// A flag is a configuration key of type "flag" whose value describes how to
+// pick one of its variants for a given evaluation context:
+//
+//   {
+//     "enabled": true,
+//     "variants": { "control": "blue", "treatment": "green" },
+//     "defaultVariant": "control",
+//     "rules": [
+//       {
+//         "conditions": [{ "attribute": "plan", "operator": "in", "values": ["pro"] }],
+//         "variant": "treatment"
+//       }
+//     ],
+//     "rollout": { "bucketBy": "userId", "weights": { "treatment": 20, "control": 80 } }
+//   }
+//
+// Disabled flags serve offVariant. Enabled flags serve the first rule whose
+// conditions all match, then the rollout, then defaultVariant. Without
+// variants a flag is a boolean toggle with variants "on" (the default) and
+// "off". Rollouts hash the bucketBy attribute, so a context keeps its variant
+// as long as the weights do not change.
+
+const crypto = require("crypto");
+
+const BOOLEAN_VARIANTS = { on: true, off: false };
+
+const OPERATORS = {
+  in: (actual, values) => values.includes(actual),
+  notIn: (actual, values) => actual !== undefined && !values.includes(actual),
+  contains: (actual, values) =>
+    typeof actual === "string" && values.some((v) => actual.includes(v)),
+  startsWith: (actual, values) =>
+    typeof actual === "string" && values.some((v) => actual.startsWith(v)),
+  endsWith: (actual, values) =>
+    typeof actual === "string" && values.some((v) => actual.endsWith(v)),
+  gt: (actual, [value]) => typeof actual === "number" && actual > value,
+  gte: (actual, [value]) => typeof actual === "number" && actual >= value,
+  lt: (actual, [value]) => typeof actual === "number" && actual < value,
+  lte: (actual, [value]) => typeof actual === "number" && actual <= value,
+  exists: (actual) => actual !== undefined && actual !== null,
+};
+
+const NUMERIC_OPERATORS = ["gt", "gte", "lt", "lte"];
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function validateCondition(condition, where) {
+  if (!isObject(condition) || typeof condition.attribute !== "string") {
+    return `${where} must have an attribute`;
+  }
+  if (!Object.hasOwn(OPERATORS, condition.operator)) {
+    return `${where} operator must be one of: ${Object.keys(OPERATORS).join(", ")}`;
+  }
+  if (condition.operator === "exists") {
+    return null;
+  }
+  if (!Array.isArray(condition.values) || condition.values.length === 0) {
+    return `${where} must list values`;
+  }
+  if (
+    NUMERIC_OPERATORS.includes(condition.operator) &&
+    (condition.values.length !== 1 || typeof condition.values[0] !== "number")
+  ) {
+    return `${where} must compare against a single number`;
+  }
+  return null;
+}
+
+function validateRollout(rollout, variants, where) {
+  if (!isObject(rollout) || !isObject(rollout.weights)) {
+    return `${where} must have weights`;
+  }
+  if (rollout.bucketBy !== undefined && typeof rollout.bucketBy !== "string") {
+    return `${where} bucketBy must be an attribute name`;
+  }
+  let total = 0;
+  for (const [variant, weight] of Object.entries(rollout.weights)) {
+    if (!Object.hasOwn(variants, variant)) {
+      return `${where} refers to unknown variant "${variant}"`;
+    }
+    if (typeof weight !== "number" || !(weight >= 0)) {
+      return `${where} weights must be non-negative numbers`;
+    }
+    total += weight;
+  }
+  return Math.abs(total - 100) > 1e-9
+    ? `${where} weights must add up to 100`
+    : null;
+}
+
+// Fill in the defaults of a flag definition and check it. Returns { flag }
+// or { error }.
+function normalizeFlag(definition) {
+  if (!isObject(definition)) {
+    return { error: "must be a flag definition object" };
+  }
+
+  const boolean = definition.variants === undefined;
+  const variants = boolean ? BOOLEAN_VARIANTS : definition.variants;
+  if (!isObject(variants) || Object.keys(variants).length === 0) {
+    return { error: "variants must map variant names to values" };
+  }
+
+  const flag = {
+    enabled: definition.enabled === undefined ? true : definition.enabled,
+    variants,
+    defaultVariant:
+      definition.defaultVariant === undefined && boolean
+        ? "on"
+        : definition.defaultVariant,
+    rules: definition.rules === undefined ? [] : definition.rules,
+  };
+  flag.offVariant =
+    definition.offVariant === undefined
+      ? boolean
+        ? "off"
+        : flag.defaultVariant
+      : definition.offVariant;
+  if (definition.rollout !== undefined) {
+    flag.rollout = definition.rollout;
+  }
+
+  if (typeof flag.enabled !== "boolean") {
+    return { error: "enabled must be a boolean" };
+  }
+  for (const name of ["defaultVariant", "offVariant"]) {
+    if (!Object.hasOwn(variants, flag[name])) {
+      return { error: `${name} must be one of the variants` };
+    }
+  }
+  if (!Array.isArray(flag.rules)) {
+    return { error: "rules must be an array" };
+  }
+
+  for (const [index, rule] of flag.rules.entries()) {
+    const where = `rules[${index}]`;
+    if (!isObject(rule) || !Array.isArray(rule.conditions)) {
+      return { error: `${where} must have conditions` };
+    }
+    for (const [i, condition] of rule.conditions.entries()) {
+      const error = validateCondition(condition, `${where}.conditions[${i}]`);
+      if (error) {
+        return { error };
+      }
+    }
+    if ((rule.variant === undefined) === (rule.rollout === undefined)) {
+      return { error: `${where} must have either a variant or a rollout` };
+    }
+    if (rule.variant !== undefined && !Object.hasOwn(variants, rule.variant)) {
+      return { error: `${where} variant must be one of the variants` };
+    }
+    if (rule.rollout !== undefined) {
+      const error = validateRollout(rule.rollout, variants, `${where}.rollout`);
+      if (error) {
+        return { error };
+      }
+    }
+  }
+
+  if (flag.rollout !== undefined) {
+    const error = validateRollout(flag.rollout, variants, "rollout");
+    if (error) {
+      return { error };
+    }
+  }
+
+  return { flag };
+}
+
+// Context attribute by name; dotted names reach into nested objects
+function attributeOf(context, name) {
+  return name
+    .split(".")
+    .reduce(
+      (value, part) => (isObject(value) ? value[part] : undefined),
+      context,
+    );
+}
+
+function matches(rule, context) {
+  return rule.conditions.every((condition) =>
+    OPERATORS[condition.operator](
+      attributeOf(context, condition.attribute),
+      condition.values || [],
+    ),
+  );
+}
+
+// Position of a context in [0, 100), stable for a flag and attribute value
+function bucketOf(flagKey, value) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${flagKey}:${value}`)
+    .digest();
+  return (hash.readUInt32BE(0) % 10000) / 100;
+}
+
+// Variant picked by a rollout, null when the context lacks the attribute
+function split(flagKey, rollout, context) {
+  const value = attributeOf(context, rollout.bucketBy || "userId");
+  if (value === undefined || value === null || isObject(value)) {
+    return null;
+  }
+  const bucket = bucketOf(flagKey, value);
+  let upper = 0;
+  for (const [variant, weight] of Object.entries(rollout.weights)) {
+    upper += weight;
+    if (bucket < upper) {
+      return variant;
+    }
+  }
+  return null;
+}
+
+// Evaluate a normalized flag for a context. Returns { variant, value,
+// reason } where reason is DISABLED, TARGETING_MATCH (with ruleIndex), SPLIT
+// or DEFAULT.
+function evaluateFlag(flagKey, flag, context) {
+  const serve = (variant, reason, extra) => ({
+    variant,
+    value: flag.variants[variant],
+    reason,
+    ...extra,
+  });
+
+  if (!flag.enabled) {
+    return serve(flag.offVariant, "DISABLED");
+  }
+
+  for (const [ruleIndex, rule] of flag.rules.entries()) {
+    if (!matches(rule, context)) {
+      continue;
+    }
+    if (rule.variant !== undefined) {
+      return serve(rule.variant, "TARGETING_MATCH", { ruleIndex });
+    }
+    const variant = split(flagKey, rule.rollout, context);
+    if (variant !== null) {
+      return serve(variant, "TARGETING_MATCH", { ruleIndex });
+    }
+  }
+
+  if (flag.rollout) {
+    const variant = split(flagKey, flag.rollout, context);
+    if (variant !== null) {
+      return serve(variant, "SPLIT");
+    }
+  }
+
+  return serve(flag.defaultVariant, "DEFAULT");
+}
+
+module.exports = { OPERATORS, normalizeFlag, evaluateFlag };
@@ -1,55 +1,294 @@
 const express = require("express");
-const mysql = require("mysql2/promise");
-const redis = require("redis");
 const cors = require("cors");
+const crypto = require("crypto");
 require("dotenv").config();
 
+const { createStorage } = require("./drivers/storage");
+const { createCache } = require("./drivers/cache");
+const {
+  DEFAULT_ENVIRONMENT,
+  GLOBAL_SERVICE,
+  flatten,
+  loadResolved,
+  parseEnvironment,
+} = require("./environments");
+const {
+  compileSchema,
+  deleteSchema,
+  getSchema,
+  setSchema,
+  validateValues,
+} = require("./schemas");
+const { TYPES, decodeValue, encodeValue } = require("./values");
+const { MASK, isConfigured, rotateSecrets } = require("./secrets");
+const {
+  applyChanges,
+  currentRevision,
+  keyHistory,
+  resolvedAt,
+  rollback,
+  serviceHistory,
+} = require("./revisions");
+const { publishChange, subscribeChanges, watch } = require("./watch");
+const { evaluateFlag } = require("./flags");
+const {
+  ALL_SERVICES,
+  authEnabled,
+  createKey,
+  hasRole,
+  listKeys,
+  presentedKey,
+  revokeKey,
+  rotateKey,
+  validateGrant,
+  verifyKey,
+} = require("./auth");
+const { recordChanges, startAuditShipping } = require("./audit");
+const {
+  configETag,
+  representationETag,
+  ifMatch,
+  isNotModified,
+  normalizeETag,
+} = require("./etags");
+const {
+  checkReferences,
+  contentDigest,
+  dependentServices,
+  interpolate,
+} = require("./interpolation");
+const {
+  FORMATS,
+  exportAll,
+  exportStored,
+  importFormat,
+  importWrites,
+  parseDocument,
+  planImport,
+  renderDocument,
+  storedConfig,
+} = require("./bulk");
+const { listConfigurations, parseListing } = require("./listing");
+const { diffConfigs, renderUnified } = require("./diff");
+const { parseManifestOptions, renderManifests } = require("./manifests");
+const {
+  CURRENT,
+  createRelease,
+  getRelease,
+  listReleases,
+  parseReleaseName,
+  resolveRelease,
+  setCurrent,
+} = require("./releases");
+const {
+  STATUSES: SCHEDULE_STATUSES,
+  applyDueSchedules,
+  cancelSchedule,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  startScheduler,
+} = require("./schedules");
+const {
+  ALL_ENVIRONMENTS,
+  STATUSES: CHANGE_REQUEST_STATUSES,
+  addProtection,
+  createChangeRequest,
+  getChangeRequest,
+  isValidPattern,
+  listChangeRequests,
+  listProtections,
+  protectedKeys,
+  removeProtection,
+  reviewChangeRequest,
+} = require("./approvals");
+const {
+  isValidInstance,
+  listConsumers,
+  recordConsumer,
+} = require("./consumers");
+const {
+  STATUSES: DELIVERY_STATUSES,
+  createWebhook,
+  deliverDueWebhooks,
+  enqueueDeliveries,
+  getWebhook,
+  isValidPrefix,
+  isValidUrl,
+  listDeliveries,
+  listWebhooks,
+  redeliver,
+  removeWebhook,
+  startWebhookDelivery,
+} = require("./webhooks");
+const {
+  listTrash,
+  restoreTrash,
+  startTrashPurge,
+  trashKey,
+} = require("./trash");
+const {
+  connectRedis,
+  dropLocal,
+  invalidateServices,
+  memoryStats,
+  publish,
+  readThrough,
+  trackErrors,
+  useRedis,
+} = require("./cache");
+const {
+  counter,
+  gauge,
+  histogram,
+  renderMetrics,
+  secondsSince,
+} = require("./metrics");
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Cross-origin requests are only allowed from the origins in CORS_ORIGINS,
+// or from anywhere with "*"
+const corsOrigins = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter((origin) => origin !== "");
+
+// Behind a reverse proxy, TRUST_PROXY (e.g. "loopback") makes req.ip the
+// client address from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
+app.use(
+  cors({
+    origin: corsOrigins.includes("*") ? true : corsOrigins,
+    exposedHeaders: [
+      "ETag",
+      "X-Request-ID",
+      "X-Cache-Source",
+      "X-Cache-Stale",
+      "X-Config-Release",
+    ],
+  }),
+);
 app.use(express.json());
 
-// Database connection
-let db;
-let redisClient;
+const httpRequests = counter(
+  "config_http_requests_total",
+  "HTTP requests by method, route and status",
+);
+const httpDuration = histogram(
+  "config_http_request_duration_seconds",
+  "Duration of HTTP requests by method, route and status",
+);
+
+// Count and time every request by the route that handled it; requests no
+// route matched are counted together so that unknown paths cannot blow up
+// the number of series
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : "unmatched",
+      status: res.statusCode,
+    };
+    httpRequests.inc(labels);
+    httpDuration.observe(labels, secondsSince(start));
+  });
+  next();
+});
+
+// Tag every request with an ID for the audit trail, reusing the caller's
+// X-Request-ID when it looks sane
+app.use((req, res, next) => {
+  const requestId = req.get("X-Request-ID");
+  req.requestId =
+    requestId && /^[\w.:-]{1,128}$/.test(requestId)
+      ? requestId
+      : crypto.randomUUID();
+  res.set("X-Request-ID", req.requestId);
+  next();
+});
+
+// Identify the caller of every route but the health check by its API key
+app.use(async (req, res, next) => {
+  if (!authEnabled() || req.path === "/health") {
+    return next();
+  }
+  try {
+    const key = presentedKey(req);
+    if (!key) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    req.principal = await verifyKey(db, key);
+    if (!req.principal) {
+      return res.status(401).json({ error: "Invalid API key" });
+    }
+    next();
+  } catch (error) {
+    console.error("Error authenticating request:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Whether the caller holds a role on a service, answering 403 itself when it
+// does not. Everything is allowed while authentication is disabled.
+function requireRole(req, res, role, serviceName) {
+  if (!authEnabled() || hasRole(req.principal, role, serviceName)) {
+    return true;
+  }
+  res.status(403).json({ error: "Insufficient permissions" });
+  return false;
+}
+
+// Route middleware requiring a role on the route's :serviceName, or with
+// ALL_SERVICES on every service
+function authorize(role, serviceName) {
+  return (req, res, next) => {
+    if (requireRole(req, res, role, serviceName || req.params.serviceName)) {
+      next();
+    }
+  };
+}
 
-// Configuration storage
-const configurations = new Map();
+// Storage and cache connections
+let db;
+let cacheClient;
+let cacheSubscriber;
 
-// Initialize database connections
+// Initialize storage and cache connections
 async function initializeConnections() {
   try {
-    // MySQL connection
-    db = await mysql.createConnection({
-      host: process.env.MYSQL_HOST || "localhost",
-      port: process.env.MYSQL_PORT || 3306,
-      user: process.env.MYSQL_USER || "root",
-      password: process.env.MYSQL_PASSWORD || "password",
-      database: process.env.MYSQL_DATABASE || "config_db",
-    });
+    // Storage (MySQL unless STORAGE_DRIVER says otherwise)
+    db = createStorage();
+
+    // Create tables if not exists
+    await db.migrate();
 
-    // Create configurations table if not exists
-    await db.execute(`
-      CREATE TABLE IF NOT EXISTS configurations (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        service_name VARCHAR(255) NOT NULL,
-        config_key VARCHAR(255) NOT NULL,
-        config_value TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        UNIQUE KEY unique_service_key (service_name, config_key)
-      )
-    `);
-
-    // Redis connection
-    redisClient = redis.createClient({
-      host: process.env.REDIS_HOST || "localhost",
-      port: process.env.REDIS_PORT || 6379,
+    // Cache (Redis unless CACHE_DRIVER says otherwise)
+    cacheClient = createCache();
+    useRedis(cacheClient);
+
+    // Change notifications need their own connection: a subscribed Redis
+    // connection cannot run other commands. Changes made through any replica
+    // also clear what this one cached in memory.
+    cacheSubscriber = cacheClient.duplicate();
+    trackErrors(cacheSubscriber);
+    await connectRedis(async () => {
+      await cacheClient.connect();
+      await cacheSubscriber.connect();
+      await subscribeChanges(cacheSubscriber, (event) =>
+        dropLocal(event.serviceName),
+      );
     });
 
-    await redisClient.connect();
+    if (!authEnabled()) {
+      console.warn("Authentication is disabled (AUTH_ENABLED=false)");
+    }
 
     console.log("Database connections established successfully");
   } catch (error) {
@@ -67,104 +306,2538 @@ app.get("/health", (req, res) => {
   });
 });
 
+gauge("config_keys", "Stored keys per service", async () => {
+  const rows = await db.configurations.countByService();
+  return rows.map((row) => ({
+    labels: { service: row.service_name },
+    value: row.key_count,
+  }));
+});
+gauge(
+  "config_cache_memory_entries",
+  "Configurations cached in this process",
+  () => memoryStats().entries,
+);
+gauge(
+  "config_cache_oldest_entry_age_seconds",
+  "Age of the oldest configuration cached in this process",
+  () => {
+    const { oldestCachedAt } = memoryStats();
+    return oldestCachedAt === null ? 0 : (Date.now() - oldestCachedAt) / 1000;
+  },
+);
+
+// Metrics in the Prometheus text format, for any authenticated caller
+app.get("/metrics", async (req, res) => {
+  try {
+    res.type("text/plain; version=0.0.4").send(await renderMetrics());
+  } catch (error) {
+    console.error("Error rendering metrics:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Parse a positive integer query/body parameter, null if absent or invalid
+function parsePositiveInt(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// Drop every cached resolution that depends on a service's configuration
+async function invalidateCache(serviceName) {
+  // Services interpolating values of this one are stale as well
+  const services =
+    serviceName === GLOBAL_SERVICE
+      ? [serviceName]
+      : [serviceName, ...(await dependentServices(db, serviceName))];
+
+  await invalidateServices(services);
+}
+
+// Tell watchers on every replica about a committed revision and queue it for
+// the service's webhooks. The revision has already been written, so a
+// failure to queue deliveries is logged rather than failing the request.
+async function announceChange(serviceName, result, operation) {
+  await publishChange(publish, serviceName, result, operation);
+  try {
+    await enqueueDeliveries(db, serviceName, result, operation);
+  } catch (error) {
+    console.error("Error queueing webhook deliveries:", error);
+  }
+}
+
+// Resolve the ?env= parameter, answering 400 itself when it is invalid
+function requireEnvironment(req, res) {
+  const environment = parseEnvironment(req.query.env);
+  if (!environment) {
+    res.status(400).json({ error: "env must be a valid environment name" });
+  }
+  return environment;
+}
+
+// Whether the caller may see decrypted secrets of a service: admins of the
+// service may. Without authentication the X-Reveal-Token header has to match
+// SECRETS_REVEAL_TOKEN, and nobody may when it is not set.
+function canRevealSecrets(req, serviceName) {
+  if (authEnabled()) {
+    return hasRole(req.principal, "admin", serviceName);
+  }
+  const expected = process.env.SECRETS_REVEAL_TOKEN;
+  const given = req.get("X-Reveal-Token");
+  if (!expected || typeof given !== "string") {
+    return false;
+  }
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Resolve the current configuration of a service from MySQL as { resolved,
+// config, etag, dependencies }: global, service and environment layers, with
+// references to other keys filled in unless the templates were asked for
+async function resolveConfig(
+  serviceName,
+  environment,
+  { reveal = false, raw = false } = {},
+) {
+  // Revisions are read first, so that a write racing with this read can
+  // only make the ETag older than the configuration, never newer
+  const serviceRevision = await currentRevision(db, serviceName);
+  const globalRevision = await currentRevision(db, GLOBAL_SERVICE);
+
+  let resolved = await loadResolved(db, serviceName, environment, { reveal });
+  let dependencies = [];
+  if (!raw) {
+    ({ resolved, dependencies } = await interpolate(
+      resolved,
+      serviceName,
+      (name) => loadResolved(db, name, environment),
+    ));
+  }
+
+  // Values pulled from other services are not covered by the revisions
+  const config = flatten(resolved);
+  const etag = configETag(
+    serviceRevision,
+    globalRevision,
+    dependencies.length > 0 ? contentDigest(config) : undefined,
+  );
+  return { resolved, config, etag, dependencies };
+}
+
+// Note that the consumer instance named by ?instance= now holds the
+// configuration with the given ETag. The read has already been answered, so
+// a failure to record it is logged rather than failing the request.
+async function recordFetch(req, serviceName, environment, etag) {
+  if (req.query.instance === undefined) {
+    return;
+  }
+  try {
+    await recordConsumer(db, serviceName, environment, req.query.instance, {
+      etag,
+      fetched: true,
+      address: req.ip,
+    });
+  } catch (error) {
+    console.error("Error recording configuration consumer:", error);
+  }
+}
+
 // Get configuration for a service
-app.get("/config/:serviceName", async (req, res) => {
+app.get("/config/:serviceName", authorize("reader"), async (req, res) => {
   try {
     const { serviceName } = req.params;
+    const { revision, at, release, instance } = req.query;
+    const explain = req.query.explain === "true";
+    const reveal = req.query.reveal === "true";
+    const raw = req.query.raw === "true";
 
-    // Try Redis cache first
-    const cached = await redisClient.get(`config:${serviceName}`);
-    if (cached) {
-      return res.json(JSON.parse(cached));
+    const environment = requireEnvironment(req, res);
+    if (!environment) {
+      return;
     }
 
-    // Get from MySQL
-    const [rows] = await db.execute(
-      "SELECT config_key, config_value FROM configurations WHERE service_name = ?",
-      [serviceName],
-    );
+    if (instance !== undefined && !isValidInstance(instance)) {
+      return res.status(400).json({
+        error:
+          "instance must be up to 255 letters, digits, '.', '_', ':' or '-'",
+      });
+    }
 
-    const config = rows.reduce((acc, row) => {
-      acc[row.config_key] = row.config_value;
-      return acc;
-    }, {});
+    // Past configurations carry no ETag an instance could report holding
+    if (
+      instance !== undefined &&
+      (revision !== undefined || at !== undefined)
+    ) {
+      return res.status(400).json({
+        error: "instance cannot be combined with revision or at",
+      });
+    }
+
+    if (reveal && !canRevealSecrets(req, serviceName)) {
+      return res.status(403).json({ error: "Not allowed to reveal secrets" });
+    }
+
+    // Releases are read from their snapshot; references to other services
+    // resolve to the current values of those services
+    if (release !== undefined) {
+      if (revision !== undefined || at !== undefined) {
+        return res.status(400).json({
+          error: "release cannot be combined with revision or at",
+        });
+      }
+      const name = release === CURRENT ? CURRENT : parseReleaseName(release);
+      if (!name) {
+        return res
+          .status(400)
+          .json({ error: "release must be a valid release name" });
+      }
+
+      const snapshot = await resolveRelease(
+        db,
+        serviceName,
+        name,
+        environment,
+        { reveal },
+      );
+      if (!snapshot) {
+        return res.status(404).json({ error: "Release not found" });
+      }
+
+      let { resolved } = snapshot;
+      let dependencies = [];
+      if (!raw) {
+        ({ resolved, dependencies } = await interpolate(
+          resolved,
+          serviceName,
+          (name) => loadResolved(db, name, environment),
+        ));
+      }
+      const config = flatten(resolved);
+      const etag = configETag(
+        snapshot.release.revision,
+        snapshot.release.globalRevision,
+        dependencies.length > 0 ? contentDigest(config) : undefined,
+      );
+      const representation = representationETag(etag, {
+        explain,
+        raw,
+        reveal,
+      });
+      res.set("ETag", representation);
+      res.set("X-Config-Release", snapshot.release.name);
+
+      if (explain) {
+        return res.json({
+          serviceName,
+          environment,
+          release: snapshot.release.name,
+          config: resolved,
+        });
+      }
+      if (isNotModified(req, representation)) {
+        res.status(304).end();
+      } else {
+        res.json(config);
+      }
+      return recordFetch(req, serviceName, environment, etag);
+    }
+
+    // Point-in-time reads come straight from the revision log
+    if (revision !== undefined || at !== undefined) {
+      const pointInTime = { reveal };
+      if (revision !== undefined) {
+        pointInTime.revision = parsePositiveInt(revision);
+        if (!pointInTime.revision) {
+          return res
+            .status(400)
+            .json({ error: "revision must be a positive integer" });
+        }
+      } else {
+        pointInTime.at = new Date(at);
+        if (isNaN(pointInTime.at.getTime())) {
+          return res
+            .status(400)
+            .json({ error: "at must be a valid timestamp" });
+        }
+      }
 
-    // Cache in Redis for 5 minutes
-    await redisClient.setEx(
-      `config:${serviceName}`,
-      300,
-      JSON.stringify(config),
+      const resolved = await resolvedAt(
+        db,
+        serviceName,
+        environment,
+        pointInTime,
+      );
+      if (!resolved) {
+        return res.status(404).json({ error: "Revision not found" });
+      }
+
+      return res.json(
+        explain
+          ? { serviceName, environment, config: resolved }
+          : flatten(resolved),
+      );
+    }
+
+    // Masked configurations are served through the cache, along with their
+    // ETag and which tier answered
+    if (!explain && !reveal && !raw) {
+      const { entry, source, stale } = await readThrough(
+        serviceName,
+        environment,
+        () => resolveConfig(serviceName, environment),
+      );
+      res.set("ETag", entry.etag);
+      res.set("X-Cache-Source", source);
+      if (stale) {
+        res.set("X-Cache-Stale", "true");
+      }
+      if (isNotModified(req, entry.etag)) {
+        res.status(304).end();
+      } else {
+        res.json(entry.config);
+      }
+      return recordFetch(req, serviceName, environment, entry.etag);
+    }
+
+    const { resolved, config, etag } = await resolveConfig(
+      serviceName,
+      environment,
+      { reveal, raw },
     );
+    const representation = representationETag(etag, { explain, raw, reveal });
+    res.set("ETag", representation);
 
-    res.json(config);
+    if (explain) {
+      return res.json({ serviceName, environment, config: resolved });
+    }
+    if (isNotModified(req, representation)) {
+      res.status(304).end();
+    } else {
+      res.json(config);
+    }
+    await recordFetch(req, serviceName, environment, etag);
   } catch (error) {
     console.error("Error fetching configuration:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Encode { key, value, type, secret } writes for storage and check them against the
+// value types, the service's schema and, for references to other keys, what
+// the caller may read. Returns { changes } or { error, errors } with per-key
+// field errors.
+async function encodeWrites(req, serviceName, environment, writes) {
+  const changes = [];
+  const errors = [];
+
+  for (const { key, value, type, secret } of writes) {
+    if (type !== undefined && !TYPES.includes(type)) {
+      errors.push({
+        key,
+        path: "",
+        message: `type must be one of: ${TYPES.join(", ")}`,
+      });
+      continue;
+    }
+    const encoded = encodeValue(value, type);
+    if (encoded.error) {
+      errors.push({ key, path: "", message: encoded.error });
+    } else {
+      changes.push({ key, value: encoded.text, type: encoded.type, secret });
+    }
+  }
+
+  if (errors.length > 0) {
+    return { error: "Invalid configuration value", errors };
+  }
+
+  const schema = await getSchema(db, serviceName);
+  if (schema) {
+    const { validate, error } = compileSchema(schema);
+    if (error) {
+      return { error };
+    }
+    const values = changes.reduce((acc, change) => {
+      acc[change.key] = decodeValue(change.value, change.type);
+      return acc;
+    }, {});
+
+    const violations = validateValues(validate, values);
+    if (violations.length > 0) {
+      return {
+        error: "Configuration does not match schema",
+        errors: violations,
+      };
+    }
+  }
+
+  const invalid = await checkReferences(serviceName, changes, {
+    load: (name) => loadResolved(db, name, environment),
+    canRead: (name) => !authEnabled() || hasRole(req.principal, "reader", name),
+  });
+  if (invalid.length > 0) {
+    return { error: "Invalid reference", errors: invalid };
+  }
+
+  return { changes };
+}
+
+// Keys among changes to an environment of a service that need approval
+async function protectedChanges(serviceName, environment, changes) {
+  const protections = await listProtections(db, serviceName);
+  return protectedKeys(
+    protections,
+    changes.map(({ key }) => ({ environment, key })),
+  );
+}
+
+// Keep changes touching protected keys as a change request instead of
+// applying them, answering 202, or 412 when If-Match no longer holds.
+// Returns whether it answered.
+async function requestApproval(req, res, serviceName, environment, changes) {
+  if (
+    (await protectedChanges(serviceName, environment, changes)).length === 0
+  ) {
+    return false;
+  }
+  const precondition = ifMatch(req);
+  if (precondition && !precondition(await currentRevision(db, serviceName))) {
+    res
+      .status(412)
+      .json({ error: "Configuration has changed since it was read" });
+    return true;
+  }
+  const changeRequest = await createChangeRequest(
+    db,
+    serviceName,
+    environment,
+    changes,
+    {
+      actor: req.principal
+        ? { id: req.principal.id, name: req.principal.name }
+        : null,
+      compareSecrets: canRevealSecrets(req, serviceName),
+    },
+  );
+  res.status(202).json({
+    message: "Change request created, waiting for approval",
+    changeRequest,
+  });
+  return true;
+}
+
+// Field errors for changes touching protected keys, for writes that cannot
+// wait for approval
+async function refuseProtected(serviceName, environment, changes) {
+  const keys = await protectedChanges(serviceName, environment, changes);
+  return keys.map((key) => ({
+    key,
+    path: "",
+    message: "is protected and can only be changed through a change request",
+  }));
+}
+
 // Set configuration for a service
-app.post("/config/:serviceName", async (req, res) => {
+app.post("/config/:serviceName", authorize("writer"), async (req, res) => {
   try {
     const { serviceName } = req.params;
-    const { key, value } = req.body;
+    const { key, value, type, secret } = req.body;
+
+    const environment = requireEnvironment(req, res);
+    if (!environment) {
+      return;
+    }
 
-    if (!key || !value) {
+    // Falsy values such as 0, false and "" are legitimate
+    if (typeof key !== "string" || key === "" || value === undefined) {
       return res.status(400).json({ error: "Key and value are required" });
     }
 
-    // Insert or update configuration
-    await db.execute(
-      "INSERT INTO configurations (service_name, config_key, config_value) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)",
-      [serviceName, key, value],
+    if (serviceName === GLOBAL_SERVICE && environment !== DEFAULT_ENVIRONMENT) {
+      return res
+        .status(400)
+        .json({ error: "Global defaults cannot be environment-specific" });
+    }
+
+    if (secret !== undefined && typeof secret !== "boolean") {
+      return res.status(400).json({ error: "secret must be a boolean" });
+    }
+
+    if (secret && !isConfigured()) {
+      return res.status(400).json({
+        error: "Secret values require CONFIG_MASTER_KEY to be configured",
+      });
+    }
+
+    const { changes, error, errors } = await encodeWrites(
+      req,
+      serviceName,
+      environment,
+      [{ key, value, type, secret }],
+    );
+    if (error) {
+      return res.status(400).json({ error, errors });
+    }
+
+    // Protected keys wait for someone else's approval
+    if (await requestApproval(req, res, serviceName, environment, changes)) {
+      return;
+    }
+
+    // Insert or update configuration as a new revision
+    const result = await applyChanges(
+      db,
+      serviceName,
+      changes.map((change) => ({ environment, ...change })),
+      { precondition: ifMatch(req) },
     );
+    if (!result) {
+      return res
+        .status(412)
+        .json({ error: "Configuration has changed since it was read" });
+    }
 
-    // Invalidate cache
-    await redisClient.del(`config:${serviceName}`);
+    // Invalidate cache, then tell watchers
+    await invalidateCache(serviceName);
+    await announceChange(serviceName, result, "set");
+    recordChanges(req, serviceName, result, "set");
 
-    res.json({ message: "Configuration updated successfully" });
+    res.json({
+      message: "Configuration updated successfully",
+      revision: result.revision,
+    });
   } catch (error) {
     console.error("Error updating configuration:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get all configurations
-app.get("/config", async (req, res) => {
-  try {
-    const [rows] = await db.execute(
-      "SELECT * FROM configurations ORDER BY service_name, config_key",
-    );
-    res.json(rows);
-  } catch (error) {
-    console.error("Error fetching all configurations:", error);
-    res.status(500).json({ error: "Internal server error" });
+// Most keys a single batch update may touch
+const MAX_BATCH_SIZE = 500;
+
+// Check the { set, delete } body of a batch of changes, answering 400 itself
+// when its shape is wrong. Returns { set, deletes } or null.
+function requireBatch(req, res) {
+  const { set = [], delete: deletes = [] } = req.body;
+
+  if (
+    !Array.isArray(set) ||
+    !Array.isArray(deletes) ||
+    set.length + deletes.length === 0
+  ) {
+    res
+      .status(400)
+      .json({ error: "set or delete must list the keys to change" });
+    return null;
   }
-});
 
-// Delete configuration
-app.delete("/config/:serviceName/:key", async (req, res) => {
+  if (set.length + deletes.length > MAX_BATCH_SIZE) {
+    res.status(400).json({
+      error: `A batch can change at most ${MAX_BATCH_SIZE} keys`,
+    });
+    return null;
+  }
+
+  // Check the shape of every entry before looking at any value
+  const errors = [];
+  const seen = new Set();
+  const claim = (key) => {
+    if (typeof key !== "string" || key === "") {
+      errors.push({ key: null, path: "", message: "key is required" });
+      return;
+    }
+    if (seen.has(key)) {
+      errors.push({ key, path: "", message: "is changed more than once" });
+    }
+    seen.add(key);
+  };
+
+  for (const write of set) {
+    if (!write || typeof write !== "object") {
+      errors.push({
+        key: null,
+        path: "",
+        message: "must be an object with key and value",
+      });
+      continue;
+    }
+    claim(write.key);
+    if (write.value === undefined) {
+      errors.push({ key: write.key, path: "", message: "value is required" });
+    }
+    if (write.secret !== undefined && typeof write.secret !== "boolean") {
+      errors.push({
+        key: write.key,
+        path: "",
+        message: "secret must be a boolean",
+      });
+    } else if (write.secret && !isConfigured()) {
+      errors.push({
+        key: write.key,
+        path: "",
+        message: "secret values require CONFIG_MASTER_KEY to be configured",
+      });
+    }
+  }
+  deletes.forEach(claim);
+
+  if (errors.length > 0) {
+    res.status(400).json({ error: "Invalid batch update", errors });
+    return null;
+  }
+  return { set, deletes };
+}
+
+// Set and delete several keys of a service as one revision. Either every
+// change is applied or, with a report of each offending key, none is.
+app.patch("/config/:serviceName", authorize("writer"), async (req, res) => {
   try {
-    const { serviceName, key } = req.params;
+    const { serviceName } = req.params;
+
+    const environment = requireEnvironment(req, res);
+    if (!environment) {
+      return;
+    }
+
+    if (serviceName === GLOBAL_SERVICE && environment !== DEFAULT_ENVIRONMENT) {
+      return res
+        .status(400)
+        .json({ error: "Global defaults cannot be environment-specific" });
+    }
+
+    const batch = requireBatch(req, res);
+    if (!batch) {
+      return;
+    }
+    const { set, deletes } = batch;
 
-    await db.execute(
-      "DELETE FROM configurations WHERE service_name = ? AND config_key = ?",
-      [serviceName, key],
+    const encoded = await encodeWrites(
+      req,
+      serviceName,
+      environment,
+      set.map(({ key, value, type, secret }) => ({ key, value, type, secret })),
     );
+    if (encoded.error) {
+      return res
+        .status(400)
+        .json({ error: encoded.error, errors: encoded.errors });
+    }
+    const changes = [
+      ...encoded.changes,
+      ...deletes.map((key) => ({ key, value: null })),
+    ];
+
+    // A batch touching any protected key waits for approval as a whole
+    if (await requestApproval(req, res, serviceName, environment, changes)) {
+      return;
+    }
+
+    // One transaction and one revision for the whole batch
+    const result = await applyChanges(
+      db,
+      serviceName,
+      changes.map((change) => ({ environment, ...change })),
+      { precondition: ifMatch(req) },
+    );
+    if (!result) {
+      return res
+        .status(412)
+        .json({ error: "Configuration has changed since it was read" });
+    }
 
-    // Invalidate cache
-    await redisClient.del(`config:${serviceName}`);
+    // Invalidate cache once, then tell watchers
+    await invalidateCache(serviceName);
+    await announceChange(serviceName, result, "batch");
+    recordChanges(req, serviceName, result, "batch");
 
-    res.json({ message: "Configuration deleted successfully" });
+    res.json({
+      message: "Configuration updated successfully",
+      revision: result.revision,
+      changes: result.changes.map(({ key, value }) => ({
+        key,
+        operation: value === null ? "delete" : "set",
+      })),
+    });
   } catch (error) {
-    console.error("Error deleting configuration:", error);
+    console.error("Error updating configuration batch:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Get revision history of a service
+app.get(
+  "/config/:serviceName/history",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const limit = Math.min(parsePositiveInt(req.query.limit) || 20, 100);
+      const before = parsePositiveInt(req.query.before);
+
+      const { revisions, nextBefore } = await serviceHistory(db, serviceName, {
+        before,
+        limit,
+      });
+
+      res.json({ serviceName, revisions, nextBefore });
+    } catch (error) {
+      console.error("Error fetching configuration history:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Get revision history of a single key
+app.get(
+  "/config/:serviceName/history/:key",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName, key } = req.params;
+      const limit = Math.min(parsePositiveInt(req.query.limit) || 50, 500);
+
+      let environment = null;
+      if (req.query.env) {
+        environment = requireEnvironment(req, res);
+        if (!environment) {
+          return;
+        }
+      }
+
+      const history = await keyHistory(db, serviceName, key, {
+        environment,
+        limit,
+      });
+
+      res.json({ serviceName, key, history });
+    } catch (error) {
+      console.error("Error fetching key history:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Roll a service back to an earlier revision
+app.post(
+  "/config/:serviceName/rollback",
+  authorize("writer"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const target = parsePositiveInt(req.body.revision);
+
+      if (!target) {
+        return res
+          .status(400)
+          .json({ error: "revision must be a positive integer" });
+      }
+
+      // A rollback is applied at once, so it may not touch protected keys
+      const protections = await listProtections(db, serviceName);
+      const result = await rollback(db, serviceName, target, {
+        guard: (changes) => protectedKeys(protections, changes),
+      });
+      if (!result) {
+        return res.status(404).json({ error: "Revision not found" });
+      }
+      if (result.refused) {
+        return res.status(409).json({
+          error: "Rollback would change protected keys",
+          keys: result.refused,
+        });
+      }
+
+      // Invalidate cache, then tell watchers
+      await invalidateCache(serviceName);
+      await announceChange(serviceName, result, "rollback");
+      recordChanges(req, serviceName, result, "rollback");
+
+      res.json({
+        message: "Configuration rolled back successfully",
+        revision: result.revision,
+        rolledBackTo: target,
+        changes: result.changes.map(
+          ({ environment, key, value, type, secret }) => ({
+            environment,
+            key,
+            value: secret ? MASK : decodeValue(value, type),
+          }),
+        ),
+      });
+    } catch (error) {
+      console.error("Error rolling back configuration:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Snapshot the current configuration of a service as a named release
+app.post(
+  "/config/:serviceName/releases",
+  authorize("writer"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const name = parseReleaseName(req.body.name);
+      const { notes } = req.body;
+
+      if (!name) {
+        return res
+          .status(400)
+          .json({ error: "name must be a valid release name" });
+      }
+      if (notes !== undefined && notes !== null && typeof notes !== "string") {
+        return res.status(400).json({ error: "notes must be a string" });
+      }
+
+      const release = await createRelease(db, serviceName, {
+        name,
+        notes,
+        actor: req.principal
+          ? { id: req.principal.id, name: req.principal.name }
+          : null,
+      });
+      if (!release) {
+        return res
+          .status(409)
+          .json({ error: `Release ${name} already exists` });
+      }
+
+      res.status(201).json(release);
+    } catch (error) {
+      console.error("Error creating release:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// List the releases of a service, newest first
+app.get(
+  "/config/:serviceName/releases",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const limit = Math.min(parsePositiveInt(req.query.limit) || 50, 500);
+
+      const current = await getRelease(db, serviceName, CURRENT);
+      const releases = await listReleases(db, serviceName, { limit });
+
+      res.json({
+        serviceName,
+        current: current ? current.name : null,
+        releases,
+      });
+    } catch (error) {
+      console.error("Error listing releases:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Get a release, or the one "current" points at
+app.get(
+  "/config/:serviceName/releases/:name",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName, name } = req.params;
+
+      const release =
+        name === CURRENT || parseReleaseName(name)
+          ? await getRelease(db, serviceName, name)
+          : null;
+      if (!release) {
+        return res.status(404).json({ error: "Release not found" });
+      }
+
+      res.json(release);
+    } catch (error) {
+      console.error("Error fetching release:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Promote a release, or roll back to an earlier one, by pointing "current"
+// at it
+app.put(
+  `/config/:serviceName/releases/${CURRENT}`,
+  authorize("writer"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const name = parseReleaseName(req.body.release);
+
+      if (!name) {
+        return res
+          .status(400)
+          .json({ error: "release must be a valid release name" });
+      }
+
+      const moved = await setCurrent(
+        db,
+        serviceName,
+        name,
+        req.principal
+          ? { id: req.principal.id, name: req.principal.name }
+          : null,
+      );
+      if (!moved) {
+        return res.status(404).json({ error: "Release not found" });
+      }
+
+      // Consumers following the pointer re-read on the change event
+      await announceChange(
+        serviceName,
+        {
+          revision: await currentRevision(db, serviceName),
+          changes: moved.changes,
+        },
+        "release",
+      );
+
+      res.json({
+        message: "Current release updated",
+        current: moved.release,
+        previous: moved.previous,
+      });
+    } catch (error) {
+      console.error("Error updating current release:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Parse an optional timestamp body parameter, answering 400 itself when it
+// is invalid. Returns the Date, undefined when absent, or null after a 400.
+function requireTimestamp(req, res, name) {
+  const value = req.body[name];
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const date = typeof value === "string" ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) {
+    res.status(400).json({ error: `${name} must be a valid timestamp` });
+    return null;
+  }
+  return date;
+}
+
+// Schedule a batch of changes for later, optionally reverting it at an
+// expiry
+app.post(
+  "/config/:serviceName/schedules",
+  authorize("writer"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+
+      const environment = requireEnvironment(req, res);
+      if (!environment) {
+        return;
+      }
+
+      if (
+        serviceName === GLOBAL_SERVICE &&
+        environment !== DEFAULT_ENVIRONMENT
+      ) {
+        return res
+          .status(400)
+          .json({ error: "Global defaults cannot be environment-specific" });
+      }
+
+      const runAt = requireTimestamp(req, res, "runAt");
+      const expiresAt = requireTimestamp(req, res, "expiresAt");
+      if (runAt === null || expiresAt === null) {
+        return;
+      }
+      const now = new Date();
+      if (runAt === undefined && expiresAt === undefined) {
+        return res
+          .status(400)
+          .json({ error: "runAt or expiresAt is required" });
+      }
+      if (runAt !== undefined && runAt < now) {
+        return res.status(400).json({ error: "runAt must be in the future" });
+      }
+      if (expiresAt !== undefined && expiresAt <= (runAt || now)) {
+        return res
+          .status(400)
+          .json({ error: "expiresAt must be later than runAt" });
+      }
+
+      const batch = requireBatch(req, res);
+      if (!batch) {
+        return;
+      }
+      const { set, deletes } = batch;
+
+      const encoded = await encodeWrites(
+        req,
+        serviceName,
+        environment,
+        set.map(({ key, value, type, secret }) => ({
+          key,
+          value,
+          type,
+          secret,
+        })),
+      );
+      if (encoded.error) {
+        return res
+          .status(400)
+          .json({ error: encoded.error, errors: encoded.errors });
+      }
+      const changes = [
+        ...encoded.changes,
+        ...deletes.map((key) => ({ key, value: null })),
+      ];
+
+      const refused = await refuseProtected(serviceName, environment, changes);
+      if (refused.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Protected keys need approval", errors: refused });
+      }
+
+      const schedule = await createSchedule(
+        db,
+        serviceName,
+        environment,
+        changes,
+        {
+          runAt: runAt || now,
+          expiresAt,
+          actor: req.principal
+            ? { id: req.principal.id, name: req.principal.name }
+            : null,
+        },
+      );
+
+      res.status(201).json(schedule);
+    } catch (error) {
+      console.error("Error scheduling configuration change:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// List the schedules of a service, pending ones by default
+app.get(
+  "/config/:serviceName/schedules",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const status = req.query.status || "pending";
+      if (status !== "all" && !SCHEDULE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${[...SCHEDULE_STATUSES, "all"].join(", ")}`,
+        });
+      }
+      const limit = Math.min(parsePositiveInt(req.query.limit) || 100, 500);
+
+      const schedules = await listSchedules(db, serviceName, {
+        status: status === "all" ? null : status,
+        limit,
+      });
+
+      res.json({ serviceName, schedules });
+    } catch (error) {
+      console.error("Error listing scheduled changes:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Get a single schedule
+app.get(
+  "/config/:serviceName/schedules/:id",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const id = parsePositiveInt(req.params.id);
+
+      const schedule = id ? await getSchedule(db, serviceName, id) : null;
+      if (!schedule) {
+        return res.status(404).json({ error: "Schedule not found" });
+      }
+
+      res.json(schedule);
+    } catch (error) {
+      console.error("Error fetching scheduled change:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Cancel a pending schedule; cancelling the revert of a temporary override
+// makes the override permanent
+app.delete(
+  "/config/:serviceName/schedules/:id",
+  authorize("writer"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const id = parsePositiveInt(req.params.id);
+
+      const outcome = id ? await cancelSchedule(db, serviceName, id) : null;
+      if (!outcome) {
+        return res.status(404).json({ error: "Schedule not found" });
+      }
+      if (!outcome.cancelled) {
+        return res.status(409).json({
+          error: `Schedule is already ${outcome.schedule.status}`,
+        });
+      }
+
+      res.json(outcome.schedule);
+    } catch (error) {
+      console.error("Error cancelling scheduled change:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Invalidate, announce and audit a revision written by the scheduler
+async function announceSchedule(schedule, result) {
+  if (result.changes.length === 0) {
+    return;
+  }
+  const operation = schedule.type === "revert" ? "revert" : "scheduled";
+  await invalidateCache(schedule.serviceName);
+  await announceChange(schedule.serviceName, result, operation);
+  recordChanges(
+    {
+      principal: schedule.createdBy,
+      ip: null,
+      requestId: `schedule-${schedule.id}`,
+    },
+    schedule.serviceName,
+    result,
+    operation,
+  );
+}
+
+// Apply the schedules that are due now
+function runSchedules() {
+  return applyDueSchedules(db, announceSchedule);
+}
+
+// List the protected keys of a service
+app.get(
+  "/config/:serviceName/protected-keys",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const protectedKeys = await listProtections(db, serviceName);
+      res.json({ serviceName, protectedKeys });
+    } catch (error) {
+      console.error("Error listing protected keys:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Protect a key, or key prefix ending in "*", of a service in one
+// environment or in all of them
+app.post(
+  "/config/:serviceName/protected-keys",
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const { key, environment = ALL_ENVIRONMENTS } = req.body;
+
+      if (!isValidPattern(key)) {
+        return res.status(400).json({
+          error: 'key must be a key name or a prefix ending in "*"',
+        });
+      }
+      if (
+        environment !== ALL_ENVIRONMENTS &&
+        parseEnvironment(environment) !== environment
+      ) {
+        return res.status(400).json({
+          error: 'environment must be a valid environment name or "*"',
+        });
+      }
+
+      const protection = await addProtection(db, serviceName, {
+        key,
+        environment,
+        actor: req.principal
+          ? { id: req.principal.id, name: req.principal.name }
+          : null,
+      });
+      if (!protection) {
+        return res.status(409).json({ error: "Key is already protected" });
+      }
+
+      res.status(201).json(protection);
+    } catch (error) {
+      console.error("Error protecting key:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Lift a protection; pending change requests stay pending
+app.delete(
+  "/config/:serviceName/protected-keys/:id",
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const id = parsePositiveInt(req.params.id);
+
+      if (!id || !(await removeProtection(db, serviceName, id))) {
+        return res.status(404).json({ error: "Protected key not found" });
+      }
+
+      res.json({ message: "Protection removed successfully" });
+    } catch (error) {
+      console.error("Error removing protected key:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// List the change requests of a service, pending ones by default
+app.get(
+  "/config/:serviceName/change-requests",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const status = req.query.status || "pending";
+      if (status !== "all" && !CHANGE_REQUEST_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${[...CHANGE_REQUEST_STATUSES, "all"].join(", ")}`,
+        });
+      }
+      const limit = Math.min(parsePositiveInt(req.query.limit) || 100, 500);
+
+      const changeRequests = await listChangeRequests(db, serviceName, {
+        status: status === "all" ? null : status,
+        limit,
+        compareSecrets: canRevealSecrets(req, serviceName),
+      });
+
+      res.json({ serviceName, changeRequests });
+    } catch (error) {
+      console.error("Error listing change requests:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Get a single change request
+app.get(
+  "/config/:serviceName/change-requests/:id",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const id = parsePositiveInt(req.params.id);
+
+      const changeRequest = id
+        ? await getChangeRequest(db, serviceName, id, {
+            compareSecrets: canRevealSecrets(req, serviceName),
+          })
+        : null;
+      if (!changeRequest) {
+        return res.status(404).json({ error: "Change request not found" });
+      }
+
+      res.json(changeRequest);
+    } catch (error) {
+      console.error("Error fetching change request:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Approve or reject a pending change request; approving applies it
+function reviewRoute(approve) {
+  return async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const id = parsePositiveInt(req.params.id);
+      const { comment } = req.body;
+
+      if (comment !== undefined && typeof comment !== "string") {
+        return res.status(400).json({ error: "comment must be a string" });
+      }
+
+      const outcome = id
+        ? await reviewChangeRequest(db, serviceName, id, {
+            approve,
+            reviewer: req.principal
+              ? { id: req.principal.id, name: req.principal.name }
+              : null,
+            comment,
+          })
+        : null;
+      if (!outcome) {
+        return res.status(404).json({ error: "Change request not found" });
+      }
+      if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+
+      const { changeRequest, result } = outcome;
+      if (result) {
+        // Invalidate cache, then tell watchers
+        await invalidateCache(serviceName);
+        await announceChange(serviceName, result, "approval");
+        recordChanges(req, serviceName, result, "approval");
+      }
+
+      res.json(changeRequest);
+    } catch (error) {
+      console.error("Error reviewing change request:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
+
+app.post(
+  "/config/:serviceName/change-requests/:id/approve",
+  authorize("writer"),
+  reviewRoute(true),
+);
+
+app.post(
+  "/config/:serviceName/change-requests/:id/reject",
+  authorize("writer"),
+  reviewRoute(false),
+);
+
+// List the deleted keys of a service that can still be restored, most
+// recently deleted first
+app.get("/config/:serviceName/trash", authorize("reader"), async (req, res) => {
+  try {
+    const { serviceName } = req.params;
+    const limit = Math.min(parsePositiveInt(req.query.limit) || 100, 500);
+
+    let environment = null;
+    if (req.query.env) {
+      environment = requireEnvironment(req, res);
+      if (!environment) {
+        return;
+      }
+    }
+
+    const trash = await listTrash(db, serviceName, { environment, limit });
+
+    res.json({ serviceName, trash });
+  } catch (error) {
+    console.error("Error listing trash:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Restore trashed keys picked by restoreTrash options, answering the
+// outcome itself
+async function restoreRoute(req, res, options) {
+  const { serviceName } = req.params;
+
+  // A restore is applied at once, so it may not touch protected keys
+  const protections = await listProtections(db, serviceName);
+  const outcome = await restoreTrash(db, serviceName, {
+    ...options,
+    guard: (changes) => protectedKeys(protections, changes),
+  });
+  if (!outcome) {
+    return res.status(404).json({ error: "Trashed key not found" });
+  }
+  if (outcome.refused) {
+    return res.status(409).json({
+      error: "Restore would change protected keys",
+      keys: outcome.refused,
+    });
+  }
+  if (options.id && outcome.restored.length === 0) {
+    return res
+      .status(409)
+      .json({ error: "Key has been set again since it was deleted" });
+  }
+
+  const { result, restored, skipped } = outcome;
+
+  // Invalidate cache, then tell watchers
+  if (result.changes.length > 0) {
+    await invalidateCache(serviceName);
+  }
+  await announceChange(serviceName, result, "restore");
+  recordChanges(req, serviceName, result, "restore");
+
+  const summary = ({ id, environment, key }) => ({ id, environment, key });
+  res.json({
+    message: "Configuration restored successfully",
+    revision: result.revision,
+    restored: restored.map(summary),
+    skipped: skipped.map(summary),
+  });
+}
+
+// Restore a single trashed key
+app.post(
+  "/config/:serviceName/trash/:id/restore",
+  authorize("writer"),
+  async (req, res) => {
+    try {
+      const id = parsePositiveInt(req.params.id);
+      if (!id) {
+        return res.status(404).json({ error: "Trashed key not found" });
+      }
+      await restoreRoute(req, res, { id });
+    } catch (error) {
+      console.error("Error restoring configuration:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Restore every key deleted between from and to (now by default), optionally
+// in one environment only
+app.post(
+  "/config/:serviceName/trash/restore",
+  authorize("writer"),
+  async (req, res) => {
+    try {
+      const from = new Date(req.body.from);
+      const to = req.body.to === undefined ? new Date() : new Date(req.body.to);
+
+      if (req.body.from === undefined || isNaN(from.getTime())) {
+        return res
+          .status(400)
+          .json({ error: "from must be a valid timestamp" });
+      }
+      if (isNaN(to.getTime())) {
+        return res.status(400).json({ error: "to must be a valid timestamp" });
+      }
+      if (from > to) {
+        return res.status(400).json({ error: "from must not be after to" });
+      }
+
+      let environment = null;
+      if (req.query.env) {
+        environment = requireEnvironment(req, res);
+        if (!environment) {
+          return;
+        }
+      }
+
+      await restoreRoute(req, res, { from, to, environment });
+    } catch (error) {
+      console.error("Error restoring configuration:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Check in a consumer instance between reads, with the ETag of the
+// configuration it holds if it knows it
+app.post(
+  "/config/:serviceName/consumers/heartbeat",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const { instance } = req.body;
+
+      const environment = requireEnvironment(req, res);
+      if (!environment) {
+        return;
+      }
+      if (!isValidInstance(instance)) {
+        return res.status(400).json({
+          error:
+            "instance must be up to 255 letters, digits, '.', '_', ':' or '-'",
+        });
+      }
+      let etag;
+      if (req.body.etag !== undefined) {
+        etag = normalizeETag(req.body.etag);
+        if (!etag) {
+          return res
+            .status(400)
+            .json({ error: "etag must be an ETag of the configuration" });
+        }
+      }
+
+      await recordConsumer(db, serviceName, environment, instance, {
+        etag,
+        address: req.ip,
+      });
+
+      res.json({ message: "Heartbeat recorded" });
+    } catch (error) {
+      console.error("Error recording heartbeat:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// List the instances consuming a service's configuration, flagging those
+// holding an outdated configuration and those that stopped checking in
+app.get(
+  "/config/:serviceName/consumers",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+
+      let environment = null;
+      if (req.query.env) {
+        environment = requireEnvironment(req, res);
+        if (!environment) {
+          return;
+        }
+      }
+
+      // What consumers would get if they read the configuration now
+      const currentETag = async (name) =>
+        (
+          await readThrough(serviceName, name, () =>
+            resolveConfig(serviceName, name),
+          )
+        ).entry.etag;
+
+      const consumers = await listConsumers(db, serviceName, {
+        environment,
+        currentETag,
+      });
+
+      res.json({
+        serviceName,
+        consumers,
+        stale: consumers.filter(({ stale }) => stale).length,
+        inactive: consumers.filter(({ inactive }) => inactive).length,
+      });
+    } catch (error) {
+      console.error("Error listing consumers:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// List the webhooks of a service
+app.get(
+  "/config/:serviceName/webhooks",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const webhooks = await listWebhooks(db, serviceName);
+      res.json({ serviceName, webhooks });
+    } catch (error) {
+      console.error("Error listing webhooks:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Register a webhook for changes to a service, or to its keys starting with
+// keyPrefix. The signing secret is only returned here.
+app.post(
+  "/config/:serviceName/webhooks",
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const { url, keyPrefix = "" } = req.body;
+
+      if (!isValidUrl(url)) {
+        return res
+          .status(400)
+          .json({ error: "url must be an http or https URL" });
+      }
+      if (!isValidPrefix(keyPrefix)) {
+        return res.status(400).json({
+          error: "keyPrefix must be a string of up to 255 characters",
+        });
+      }
+
+      const webhook = await createWebhook(db, serviceName, {
+        url,
+        keyPrefix,
+        actor: req.principal
+          ? { id: req.principal.id, name: req.principal.name }
+          : null,
+      });
+
+      res.status(201).json(webhook);
+    } catch (error) {
+      console.error("Error creating webhook:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Remove a webhook and its delivery history
+app.delete(
+  "/config/:serviceName/webhooks/:id",
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const id = parsePositiveInt(req.params.id);
+
+      if (!id || !(await removeWebhook(db, serviceName, id))) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      res.json({ message: "Webhook removed successfully" });
+    } catch (error) {
+      console.error("Error removing webhook:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// The webhook named by :serviceName and :id, answering 404 itself when there
+// is none
+async function requireWebhook(req, res) {
+  const id = parsePositiveInt(req.params.id);
+  const webhook = id ? await getWebhook(db, req.params.serviceName, id) : null;
+  if (!webhook) {
+    res.status(404).json({ error: "Webhook not found" });
+  }
+  return webhook;
+}
+
+// List the deliveries to a webhook, newest first; status=dead lists those
+// given up on
+app.get(
+  "/config/:serviceName/webhooks/:id/deliveries",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const status = req.query.status || "all";
+      if (status !== "all" && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${[...DELIVERY_STATUSES, "all"].join(", ")}`,
+        });
+      }
+      const limit = Math.min(parsePositiveInt(req.query.limit) || 50, 500);
+
+      const webhook = await requireWebhook(req, res);
+      if (!webhook) {
+        return;
+      }
+
+      const deliveries = await listDeliveries(db, webhook.id, {
+        status: status === "all" ? null : status,
+        limit,
+      });
+
+      res.json({ webhookId: webhook.id, deliveries });
+    } catch (error) {
+      console.error("Error listing webhook deliveries:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Send a delivered or dead delivery again, on the next poll
+app.post(
+  "/config/:serviceName/webhooks/:id/deliveries/:deliveryId/redeliver",
+  authorize("writer"),
+  async (req, res) => {
+    try {
+      const webhook = await requireWebhook(req, res);
+      if (!webhook) {
+        return;
+      }
+      const deliveryId = parsePositiveInt(req.params.deliveryId);
+
+      const outcome = deliveryId
+        ? await redeliver(db, webhook.id, deliveryId)
+        : null;
+      if (!outcome) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+      if (!outcome.redelivered) {
+        return res.status(409).json({ error: "Delivery is still pending" });
+      }
+
+      res.status(202).json(outcome.delivery);
+    } catch (error) {
+      console.error("Error redelivering webhook:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Attempt the webhook deliveries that are due now
+function runWebhooks() {
+  return deliverDueWebhooks(db);
+}
+
+// Resolve one side of a diff from ?from=, ?fromEnv=, ?fromRevision= and
+// ?fromAt= (or the "to" equivalents) as { serviceName, environment,
+// revision, at }, answering 400 itself when it is invalid. The "to" side
+// defaults to the service of the "from" side, and both to ?env=.
+function requireDiffSource(req, res, side) {
+  const query = (name) => req.query[`${side}${name}`];
+
+  const serviceName = query("") || (side === "to" ? req.query.from : undefined);
+  if (typeof serviceName !== "string" || serviceName === "") {
+    res.status(400).json({ error: `${side} must name a service` });
+    return null;
+  }
+
+  const environment = parseEnvironment(
+    query("Env") !== undefined ? query("Env") : req.query.env,
+  );
+  if (!environment) {
+    res
+      .status(400)
+      .json({ error: `${side}Env must be a valid environment name` });
+    return null;
+  }
+
+  const source = { serviceName, environment, revision: null, at: null };
+  if (query("Revision") !== undefined && query("At") !== undefined) {
+    res
+      .status(400)
+      .json({ error: `${side}Revision and ${side}At cannot be combined` });
+    return null;
+  }
+  if (query("Revision") !== undefined) {
+    source.revision = parsePositiveInt(query("Revision"));
+    if (!source.revision) {
+      res
+        .status(400)
+        .json({ error: `${side}Revision must be a positive integer` });
+      return null;
+    }
+  }
+  if (query("At") !== undefined) {
+    source.at = new Date(query("At"));
+    if (isNaN(source.at.getTime())) {
+      res.status(400).json({ error: `${side}At must be a valid timestamp` });
+      return null;
+    }
+  }
+  return source;
+}
+
+// The stored configuration a diff source resolves to, with references left
+// unresolved and secrets decrypted when reveal is set, or null for revisions
+// that do not exist
+function loadDiffSource(
+  { serviceName, environment, revision, at },
+  { reveal },
+) {
+  if (revision || at) {
+    return resolvedAt(db, serviceName, environment, {
+      ...(revision ? { revision } : { at }),
+      reveal,
+    });
+  }
+  return loadResolved(db, serviceName, environment, { reveal });
+}
+
+function diffLabel({ serviceName, environment, revision, at }) {
+  let label = `${serviceName} [${environment}]`;
+  if (revision) {
+    label += ` revision ${revision}`;
+  } else if (at) {
+    label += ` at ${at.toISOString()}`;
+  }
+  return label;
+}
+
+// Compare two configurations: services, environments, revisions or points
+// in time
+app.get("/diff", async (req, res) => {
+  try {
+    const format = req.query.format || "json";
+    if (format !== "json" && format !== "text") {
+      return res.status(400).json({ error: "format must be json or text" });
+    }
+
+    const from = requireDiffSource(req, res, "from");
+    if (!from) {
+      return;
+    }
+    const to = requireDiffSource(req, res, "to");
+    if (!to) {
+      return;
+    }
+
+    if (
+      !requireRole(req, res, "reader", from.serviceName) ||
+      !requireRole(req, res, "reader", to.serviceName)
+    ) {
+      return;
+    }
+
+    // Whether a secret changed is only told to those who may read it
+    const compareSecrets =
+      canRevealSecrets(req, from.serviceName) &&
+      canRevealSecrets(req, to.serviceName);
+    const before = await loadDiffSource(from, { reveal: compareSecrets });
+    const after = await loadDiffSource(to, { reveal: compareSecrets });
+    if (!before || !after) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    if (format === "text") {
+      return res.type("text/plain").send(
+        renderUnified(before, after, {
+          fromLabel: diffLabel(from),
+          toLabel: diffLabel(to),
+          compareSecrets,
+        }),
+      );
+    }
+    res.json({ from, to, ...diffConfigs(before, after, { compareSecrets }) });
+  } catch (error) {
+    console.error("Error comparing configurations:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Stream changes to one or more services as Server-Sent Events
+app.get("/watch", async (req, res) => {
+  try {
+    const services =
+      typeof req.query.services === "string"
+        ? [
+            ...new Set(
+              req.query.services
+                .split(",")
+                .map((name) => name.trim())
+                .filter((name) => name !== ""),
+            ),
+          ]
+        : [];
+
+    if (services.length === 0 || services.length > 50) {
+      return res.status(400).json({
+        error: "services must list between 1 and 50 service names",
+      });
+    }
+
+    let environment = null;
+    if (req.query.env) {
+      environment = requireEnvironment(req, res);
+      if (!environment) {
+        return;
+      }
+    }
+
+    for (const serviceName of services) {
+      if (!requireRole(req, res, "reader", serviceName)) {
+        return;
+      }
+    }
+
+    const revisions = {};
+    for (const serviceName of services) {
+      revisions[serviceName] = await currentRevision(db, serviceName);
+    }
+
+    watch(req, res, { services, environment, revisions });
+  } catch (error) {
+    console.error("Error starting configuration watch:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Resolve the ?format= parameter of an export, answering 400 itself when it
+// is invalid
+function requireExportFormat(req, res) {
+  const format = req.query.format || "json";
+  if (!Object.hasOwn(FORMATS, format)) {
+    res.status(400).json({
+      error: `format must be one of: ${Object.keys(FORMATS).join(", ")}`,
+    });
+    return null;
+  }
+  return format;
+}
+
+// Export the stored configuration of every service in one environment
+app.get("/export", authorize("admin", ALL_SERVICES), async (req, res) => {
+  try {
+    const format = requireExportFormat(req, res);
+    if (!format) {
+      return;
+    }
+    if (format === "env") {
+      return res
+        .status(400)
+        .json({ error: "env exports cover a single service" });
+    }
+
+    const environment = requireEnvironment(req, res);
+    if (!environment) {
+      return;
+    }
+
+    const document = await exportAll(db, environment);
+
+    res.type(FORMATS[format]).send(renderDocument(format, document));
+  } catch (error) {
+    console.error("Error exporting configurations:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Export the stored configuration of a service in one environment
+app.get("/export/:serviceName", authorize("reader"), async (req, res) => {
+  try {
+    const format = requireExportFormat(req, res);
+    if (!format) {
+      return;
+    }
+
+    const environment = requireEnvironment(req, res);
+    if (!environment) {
+      return;
+    }
+
+    const stored = await storedConfig(db, req.params.serviceName, environment);
+
+    res
+      .type(FORMATS[format])
+      .send(renderDocument(format, exportStored(stored)));
+  } catch (error) {
+    console.error("Error exporting configuration:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Render the resolved configuration of a service as a Kubernetes ConfigMap
+// and Secret
+app.get(
+  "/config/:serviceName/manifests",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+
+      const environment = requireEnvironment(req, res);
+      if (!environment) {
+        return;
+      }
+      const options = parseManifestOptions(serviceName, req.query);
+      if (options.error) {
+        return res.status(400).json({ error: options.error });
+      }
+
+      // Secrets have to be revealed to go into the Secret
+      const reveal = canRevealSecrets(req, serviceName);
+      const { resolved } = await resolveConfig(serviceName, environment, {
+        reveal,
+      });
+      if (!reveal && Object.values(resolved).some(({ secret }) => secret)) {
+        return res.status(403).json({ error: "Not allowed to reveal secrets" });
+      }
+
+      const rendered = renderManifests(resolved, options);
+      if (rendered.error) {
+        return res
+          .status(400)
+          .json({ error: rendered.error, errors: rendered.errors });
+      }
+
+      res.type("application/yaml").send(rendered.yaml);
+    } catch (error) {
+      console.error("Error rendering manifests:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Work out what importing a document into a service would change. Returns
+// { changes, report } or { error, errors } with per-key field errors.
+async function planServiceImport(
+  req,
+  serviceName,
+  environment,
+  document,
+  replace,
+) {
+  const stored = await storedConfig(db, serviceName, environment);
+  const { changes, error, errors } = await encodeWrites(
+    req,
+    serviceName,
+    environment,
+    importWrites(stored, document),
+  );
+  if (error) {
+    return { error, errors };
+  }
+  const plan = planImport(stored, document, changes, { replace });
+  const refused = await refuseProtected(serviceName, environment, plan.changes);
+  if (refused.length > 0) {
+    return { error: "Protected keys need approval", errors: refused };
+  }
+  return plan;
+}
+
+// Apply a planned import as one revision of the service
+async function applyServiceImport(req, serviceName, environment, changes) {
+  const result = await applyChanges(
+    db,
+    serviceName,
+    changes.map((change) => ({ environment, ...change })),
+  );
+  await invalidateCache(serviceName);
+  await announceChange(serviceName, result, "import");
+  recordChanges(req, serviceName, result, "import");
+  return result.changes.length > 0 ? result.revision : null;
+}
+
+// Parse the body and options shared by both import endpoints, answering 400
+// itself when they are invalid
+function parseImport(req, res) {
+  const format = importFormat(req);
+  if (!format) {
+    res.status(400).json({
+      error: `format must be one of: ${Object.keys(FORMATS).join(", ")}`,
+    });
+    return null;
+  }
+
+  const mode = req.query.mode || "merge";
+  if (mode !== "merge" && mode !== "replace") {
+    res.status(400).json({ error: "mode must be merge or replace" });
+    return null;
+  }
+
+  const environment = requireEnvironment(req, res);
+  if (!environment) {
+    return null;
+  }
+
+  const { document, error } = parseDocument(format, req.body);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+
+  return {
+    format,
+    mode,
+    environment,
+    document,
+    dryRun: req.query.dryRun === "true",
+  };
+}
+
+// Import bodies come as JSON or as raw YAML/dotenv text
+const importBody = express.text({ type: () => true, limit: "1mb" });
+
+// Import a service's configuration from a JSON, YAML or dotenv document
+app.post(
+  "/import/:serviceName",
+  authorize("writer"),
+  importBody,
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const options = parseImport(req, res);
+      if (!options) {
+        return;
+      }
+      const { mode, environment, document, dryRun } = options;
+
+      if (
+        serviceName === GLOBAL_SERVICE &&
+        environment !== DEFAULT_ENVIRONMENT
+      ) {
+        return res
+          .status(400)
+          .json({ error: "Global defaults cannot be environment-specific" });
+      }
+
+      const plan = await planServiceImport(
+        req,
+        serviceName,
+        environment,
+        document,
+        mode === "replace",
+      );
+      if (plan.error) {
+        return res.status(400).json({ error: plan.error, errors: plan.errors });
+      }
+
+      const revision = dryRun
+        ? null
+        : await applyServiceImport(req, serviceName, environment, plan.changes);
+
+      res.json({
+        serviceName,
+        environment,
+        mode,
+        dryRun,
+        ...plan.report,
+        revision,
+      });
+    } catch (error) {
+      console.error("Error importing configuration:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Import several services from a document keyed by service name. Every
+// service is checked before any is written; each gets its own revision.
+app.post("/import", importBody, async (req, res) => {
+  try {
+    const options = parseImport(req, res);
+    if (!options) {
+      return;
+    }
+    const { format, mode, environment, document, dryRun } = options;
+
+    if (format === "env") {
+      return res
+        .status(400)
+        .json({ error: "env imports cover a single service" });
+    }
+
+    const serviceNames = Object.keys(document);
+    const invalid = serviceNames.find(
+      (serviceName) =>
+        !document[serviceName] ||
+        typeof document[serviceName] !== "object" ||
+        Array.isArray(document[serviceName]),
+    );
+    if (invalid !== undefined) {
+      return res.status(400).json({
+        error: "Import document must map service names to configurations",
+      });
+    }
+
+    for (const serviceName of serviceNames) {
+      if (!requireRole(req, res, "writer", serviceName)) {
+        return;
+      }
+    }
+
+    if (
+      serviceNames.includes(GLOBAL_SERVICE) &&
+      environment !== DEFAULT_ENVIRONMENT
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Global defaults cannot be environment-specific" });
+    }
+
+    const plans = {};
+    const errors = [];
+    for (const serviceName of serviceNames) {
+      const plan = await planServiceImport(
+        req,
+        serviceName,
+        environment,
+        document[serviceName],
+        mode === "replace",
+      );
+      if (plan.error) {
+        errors.push(
+          ...plan.errors.map((fieldError) => ({
+            service: serviceName,
+            ...fieldError,
+          })),
+        );
+      }
+      plans[serviceName] = plan;
+    }
+
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid configuration import", errors });
+    }
+
+    const services = {};
+    for (const serviceName of serviceNames) {
+      const { changes, report } = plans[serviceName];
+      const revision = dryRun
+        ? null
+        : await applyServiceImport(req, serviceName, environment, changes);
+      services[serviceName] = { ...report, revision };
+    }
+
+    res.json({ environment, mode, dryRun, services });
+  } catch (error) {
+    console.error("Error importing configurations:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Resolved flags of a service in an environment as { key: flag }. Flags
+// cannot be evaluated without revealing them, so secret flags are skipped.
+async function loadFlags(serviceName, environment) {
+  const resolved = await loadResolved(db, serviceName, environment);
+  return Object.keys(resolved)
+    .filter((key) => resolved[key].type === "flag" && !resolved[key].secret)
+    .reduce((acc, key) => {
+      acc[key] = resolved[key].value;
+      return acc;
+    }, {});
+}
+
+// Parse the evaluation context of a request, answering 400 itself when it is
+// invalid
+function requireContext(req, res) {
+  const { context = {} } = req.body;
+  if (!context || typeof context !== "object" || Array.isArray(context)) {
+    res.status(400).json({ error: "context must be an object" });
+    return null;
+  }
+  return context;
+}
+
+// Evaluate every flag of a service, or the listed ones, for a context
+app.post(
+  "/flags/:serviceName/evaluate",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName } = req.params;
+      const { flags: keys } = req.body;
+
+      const environment = requireEnvironment(req, res);
+      if (!environment) {
+        return;
+      }
+
+      const context = requireContext(req, res);
+      if (!context) {
+        return;
+      }
+
+      if (
+        keys !== undefined &&
+        (!Array.isArray(keys) || keys.some((key) => typeof key !== "string"))
+      ) {
+        return res
+          .status(400)
+          .json({ error: "flags must be a list of flag keys" });
+      }
+
+      const flags = await loadFlags(serviceName, environment);
+      const evaluated = {};
+      for (const key of keys || Object.keys(flags)) {
+        if (flags[key]) {
+          evaluated[key] = evaluateFlag(key, flags[key], context);
+        }
+      }
+
+      res.json({ serviceName, environment, flags: evaluated });
+    } catch (error) {
+      console.error("Error evaluating flags:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Evaluate a single flag for a context
+app.post(
+  "/flags/:serviceName/:key/evaluate",
+  authorize("reader"),
+  async (req, res) => {
+    try {
+      const { serviceName, key } = req.params;
+
+      const environment = requireEnvironment(req, res);
+      if (!environment) {
+        return;
+      }
+
+      const context = requireContext(req, res);
+      if (!context) {
+        return;
+      }
+
+      const flags = await loadFlags(serviceName, environment);
+      if (!flags[key]) {
+        return res.status(404).json({ error: "Flag not found" });
+      }
+
+      res.json({ key, ...evaluateFlag(key, flags[key], context) });
+    } catch (error) {
+      console.error("Error evaluating flag:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// List and search configurations across services, a page at a time
+app.get("/config", authorize("admin", ALL_SERVICES), async (req, res) => {
+  try {
+    const listing = parseListing(req.query);
+    if (listing.error) {
+      return res.status(400).json({ error: listing.error });
+    }
+    const limit = Math.min(parsePositiveInt(req.query.limit) || 100, 1000);
+
+    let environment = null;
+    if (req.query.env) {
+      environment = requireEnvironment(req, res);
+      if (!environment) {
+        return;
+      }
+    }
+
+    const { rows, next, error } = await listConfigurations(db, listing, {
+      environment,
+      limit,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (listing.summary) {
+      return res.json({
+        services: rows.map((row) => ({
+          serviceName: row.service_name,
+          keys: row.key_count,
+          environments: row.environment_count,
+          lastModified: row.last_modified,
+        })),
+        nextCursor: next,
+      });
+    }
+    res.json({
+      configurations: rows.map((row) =>
+        row.is_secret ? { ...row, config_value: MASK } : row,
+      ),
+      nextCursor: next,
+    });
+  } catch (error) {
+    console.error("Error fetching all configurations:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Re-encrypt every secret under the current CONFIG_MASTER_KEY
+app.post(
+  "/secrets/rotate",
+  authorize("admin", ALL_SERVICES),
+  async (req, res) => {
+    try {
+      if (!isConfigured()) {
+        return res
+          .status(400)
+          .json({ error: "CONFIG_MASTER_KEY is not configured" });
+      }
+
+      const { keyId, rotated, failed } = await rotateSecrets(db);
+
+      res.json({
+        message: "Secrets re-encrypted successfully",
+        keyId,
+        rotated,
+        failed,
+      });
+    } catch (error) {
+      console.error("Error rotating secrets:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Create an API key; the key itself is only ever returned here
+app.post("/auth/keys", authorize("admin", ALL_SERVICES), async (req, res) => {
+  try {
+    const { name, role, services } = req.body;
+
+    if (typeof name !== "string" || name.trim() === "") {
+      return res.status(400).json({ error: "name is required" });
+    }
+
+    const error = validateGrant(role, services);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const key = await createKey(db, { name: name.trim(), role, services });
+
+    res.status(201).json(key);
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// List API keys, without their secrets
+app.get("/auth/keys", authorize("admin", ALL_SERVICES), async (req, res) => {
+  try {
+    res.json(await listKeys(db));
+  } catch (error) {
+    console.error("Error listing API keys:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Give an API key a new secret, optionally keeping the old one valid for a
+// grace period in seconds
+app.post(
+  "/auth/keys/:id/rotate",
+  authorize("admin", ALL_SERVICES),
+  async (req, res) => {
+    try {
+      const { gracePeriod = 0 } = req.body;
+
+      if (
+        !Number.isInteger(gracePeriod) ||
+        gracePeriod < 0 ||
+        gracePeriod > 7 * 24 * 60 * 60
+      ) {
+        return res.status(400).json({
+          error: "gracePeriod must be a number of seconds up to 7 days",
+        });
+      }
+
+      const key = await rotateKey(db, req.params.id, gracePeriod);
+      if (!key) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      res.json({ id: req.params.id, key });
+    } catch (error) {
+      console.error("Error rotating API key:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Revoke an API key
+app.delete(
+  "/auth/keys/:id",
+  authorize("admin", ALL_SERVICES),
+  async (req, res) => {
+    try {
+      if (!(await revokeKey(db, req.params.id))) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+      res.json({ message: "API key revoked successfully" });
+    } catch (error) {
+      console.error("Error revoking API key:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Get the JSON Schema registered for a service
+app.get("/schemas/:serviceName", authorize("reader"), async (req, res) => {
+  try {
+    const schema = await getSchema(db, req.params.serviceName);
+    if (!schema) {
+      return res.status(404).json({ error: "Schema not found" });
+    }
+    res.json(schema);
+  } catch (error) {
+    console.error("Error fetching schema:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Register or replace the JSON Schema of a service
+app.put("/schemas/:serviceName", authorize("admin"), async (req, res) => {
+  try {
+    const { serviceName } = req.params;
+
+    const { error } = compileSchema(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await setSchema(db, serviceName, req.body);
+
+    res.json({ message: "Schema updated successfully" });
+  } catch (error) {
+    console.error("Error updating schema:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Remove the JSON Schema of a service
+app.delete("/schemas/:serviceName", authorize("admin"), async (req, res) => {
+  try {
+    if (!(await deleteSchema(db, req.params.serviceName))) {
+      return res.status(404).json({ error: "Schema not found" });
+    }
+    res.json({ message: "Schema deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting schema:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete configuration
+app.delete(
+  "/config/:serviceName/:key",
+  authorize("writer"),
+  async (req, res) => {
+    try {
+      const { serviceName, key } = req.params;
+
+      const environment = requireEnvironment(req, res);
+      if (!environment) {
+        return;
+      }
+
+      if (
+        await requestApproval(req, res, serviceName, environment, [
+          { key, value: null, trash: true },
+        ])
+      ) {
+        return;
+      }
+
+      // The deleted value goes to the trash, from where it can be restored
+      const result = await trashKey(db, serviceName, environment, key, {
+        actor: req.principal
+          ? { id: req.principal.id, name: req.principal.name }
+          : null,
+        precondition: ifMatch(req),
+      });
+      if (!result) {
+        return res
+          .status(412)
+          .json({ error: "Configuration has changed since it was read" });
+      }
+
+      // Invalidate cache, then tell watchers
+      await invalidateCache(serviceName);
+      await announceChange(serviceName, result, "delete");
+      recordChanges(req, serviceName, result, "delete");
+
+      res.json({
+        message: "Configuration deleted successfully",
+        revision: result.revision,
+      });
+    } catch (error) {
+      console.error("Error deleting configuration:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
 // Start server
 async function startServer() {
   await initializeConnections();
+  startAuditShipping();
+  startScheduler(db, announceSchedule);
+  startTrashPurge(db);
+  startWebhookDelivery(db);
 
   const server = app.listen(PORT, () => {
     console.log(`Configuration Service running on port ${PORT}`);
@@ -174,7 +2847,13 @@ async function startServer() {
 }
 
 // Export app for testing
-module.exports = { app, startServer, initializeConnections };
+module.exports = {
+  app,
+  startServer,
+  initializeConnections,
+  runSchedules,
+  runWebhooks,
+};
 
 // Start server if not in test mode
 if (process.env.NODE_ENV !== "test") {
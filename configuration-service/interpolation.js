@@ -0,0 +1,266 @@
+// Value interpolation
+//
+// String values may embed references that are resolved when a configuration
+// is read:
+//
+//   ${service.key}  a key of another service (or of the same one), resolved
+//                   through that service's layers in the environment being
+//                   read; the service name ends at the first "."
+//   ${env:NAME}     an environment variable of the configuration service,
+//                   one of those listed in INTERPOLATION_ENV_VARS
+//   $${...}         a literal "${...}"
+//
+// Referenced values may contain references themselves. Writes are refused
+// when a reference is malformed, points at a missing or secret key, or closes
+// a cycle; references that break later (e.g. because the key they point at
+// was deleted) are left in the value as written. Secret values are never
+// interpolated.
+
+const crypto = require("crypto");
+
+const { GLOBAL_SERVICE } = require("./environments");
+
+const REFERENCE_PATTERN = /\$(\$?)\{([^}]*)\}/g;
+const KEY_REFERENCE_PATTERN = /^([^.\s]+)\.(\S+)$/;
+const ENV_REFERENCE_PATTERN = /^env:([A-Za-z_][A-Za-z0-9_]*)$/;
+
+// How many references deep a value may pull in other values
+const MAX_DEPTH = 10;
+
+function isTemplate(entry) {
+  return (
+    entry !== undefined &&
+    (entry.type || "string") === "string" &&
+    !entry.secret &&
+    typeof entry.value === "string" &&
+    entry.value.includes("${")
+  );
+}
+
+// Environment variables values may refer to
+function allowedEnvVars() {
+  return (process.env.INTERPOLATION_ENV_VARS || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name !== "");
+}
+
+// References in a template as [{ text, serviceName, key }] or
+// [{ text, env }]; malformed ones come back as { text, error }
+function parseReferences(template) {
+  const references = [];
+  for (const [text, escaped, body] of template.matchAll(REFERENCE_PATTERN)) {
+    if (escaped) {
+      continue;
+    }
+    const env = ENV_REFERENCE_PATTERN.exec(body);
+    const key = KEY_REFERENCE_PATTERN.exec(body);
+    if (env) {
+      references.push({ text, env: env[1] });
+    } else if (key) {
+      references.push({ text, serviceName: key[1], key: key[2] });
+    } else {
+      references.push({ text, error: `${text} is not a valid reference` });
+    }
+  }
+  return references;
+}
+
+function substitute(template, replace) {
+  return template.replace(REFERENCE_PATTERN, (text, escaped, body) =>
+    escaped ? `\${${body}}` : replace(text),
+  );
+}
+
+function asText(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function nodeOf(serviceName, key) {
+  return `${serviceName}.${key}`;
+}
+
+// Interpolate the templates of a resolved configuration (see
+// environments.js). load(serviceName) must return the resolved configuration
+// of another service in the same environment. Returns { resolved,
+// dependencies } where dependencies lists the other services and "env" when
+// values were pulled from them.
+async function interpolate(resolved, serviceName, load) {
+  const loaded = new Map([[serviceName, resolved]]);
+  const dependencies = new Set();
+
+  async function configOf(name) {
+    if (!loaded.has(name)) {
+      loaded.set(name, await load(name));
+    }
+    return loaded.get(name);
+  }
+
+  // Value of a key with its templates expanded, undefined if it cannot be
+  // resolved
+  async function expand(name, key, path) {
+    const entry = (await configOf(name))[key];
+    if (!entry || entry.secret || path.includes(nodeOf(name, key))) {
+      return undefined;
+    }
+    if (!isTemplate(entry)) {
+      return entry.value;
+    }
+    if (path.length > MAX_DEPTH) {
+      return undefined;
+    }
+
+    const values = new Map();
+    for (const reference of parseReferences(entry.value)) {
+      if (reference.env !== undefined) {
+        if (allowedEnvVars().includes(reference.env)) {
+          dependencies.add("env");
+          values.set(reference.text, process.env[reference.env]);
+        }
+      } else if (!reference.error) {
+        if (reference.serviceName !== serviceName) {
+          dependencies.add(reference.serviceName);
+        }
+        const value = await expand(reference.serviceName, reference.key, [
+          ...path,
+          nodeOf(name, key),
+        ]);
+        if (value !== undefined) {
+          values.set(reference.text, asText(value));
+        }
+      }
+    }
+    return substitute(entry.value, (text) =>
+      values.get(text) !== undefined ? values.get(text) : text,
+    );
+  }
+
+  const interpolated = {};
+  for (const [key, entry] of Object.entries(resolved)) {
+    interpolated[key] = isTemplate(entry)
+      ? {
+          ...entry,
+          value: await expand(serviceName, key, []),
+          template: entry.value,
+        }
+      : entry;
+  }
+  dependencies.delete(GLOBAL_SERVICE);
+  return { resolved: interpolated, dependencies: [...dependencies] };
+}
+
+// Check the references of values about to be written to a service.
+// changes are { key, value, type, secret } with encoded values. load works
+// as for interpolate, in the environment written to, and sees the service
+// before the write; canRead(serviceName) tells whether the writer may read
+// a service it refers to. Returns a list of { key, path, message } errors.
+async function checkReferences(serviceName, changes, { load, canRead }) {
+  const loaded = new Map();
+
+  async function configOf(name) {
+    if (!loaded.has(name)) {
+      const config = { ...(await load(name)) };
+      if (name === serviceName) {
+        for (const change of changes) {
+          config[change.key] = change;
+        }
+      }
+      loaded.set(name, config);
+    }
+    return loaded.get(name);
+  }
+
+  // First problem found following the references of a key, or null
+  async function problemOf(name, key, path) {
+    const entry = (await configOf(name))[key];
+    if (!isTemplate(entry)) {
+      return null;
+    }
+    if (path.length > MAX_DEPTH) {
+      return `references nest more than ${MAX_DEPTH} levels deep`;
+    }
+
+    for (const reference of parseReferences(entry.value)) {
+      if (reference.error) {
+        return reference.error;
+      }
+      if (reference.env !== undefined) {
+        if (
+          !allowedEnvVars().includes(reference.env) ||
+          process.env[reference.env] === undefined
+        ) {
+          return `${reference.text} refers to an environment variable that is not available`;
+        }
+        continue;
+      }
+
+      if (!canRead(reference.serviceName)) {
+        return `${reference.text} refers to a service you cannot read`;
+      }
+      const target = nodeOf(reference.serviceName, reference.key);
+      if (path.includes(target)) {
+        return `${reference.text} forms a reference cycle: ${[...path, target].join(" -> ")}`;
+      }
+      const referenced = (await configOf(reference.serviceName))[reference.key];
+      if (!referenced) {
+        return `${reference.text} refers to a key that does not exist`;
+      }
+      if (referenced.secret) {
+        return `${reference.text} refers to a secret`;
+      }
+      const problem = await problemOf(reference.serviceName, reference.key, [
+        ...path,
+        target,
+      ]);
+      if (problem) {
+        return problem;
+      }
+    }
+    return null;
+  }
+
+  const errors = [];
+  for (const { key } of changes) {
+    const problem = await problemOf(serviceName, key, [
+      nodeOf(serviceName, key),
+    ]);
+    if (problem) {
+      errors.push({ key, path: "", message: problem });
+    }
+  }
+  return errors;
+}
+
+// Services whose values refer to a service, directly or through others
+async function dependentServices(db, serviceName) {
+  const found = new Set();
+  const queue = [serviceName];
+  while (queue.length > 0) {
+    const name = queue.shift();
+    const services = await db.configurations.servicesContaining(`\${${name}.`);
+    for (const service of services) {
+      if (service !== serviceName && !found.has(service)) {
+        found.add(service);
+        queue.push(service);
+      }
+    }
+  }
+  return [...found];
+}
+
+// Short digest of interpolated content, for ETags
+function contentDigest(config) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(config))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+module.exports = {
+  parseReferences,
+  interpolate,
+  checkReferences,
+  dependentServices,
+  contentDigest,
+};
@@ -0,0 +1,167 @@
+// Listing and searching stored configuration across services
+//
+// GET /config lists raw configuration rows, filtered by service name prefix,
+// key (glob or regular expression), value substring and modification time,
+// a page at a time. Pages are cut with keyset pagination: the cursor handed
+// out with a page holds the sort values of its last row, so later pages cost
+// the same as the first and do not skip or repeat rows when others are
+// written in between. In summary mode the same filters select the rows that
+// are counted per service.
+
+const SORTS = {
+  service_name: ["service_name", "config_key", "id"],
+  config_key: ["config_key", "service_name", "id"],
+  updated_at: ["updated_at", "id"],
+};
+
+const SUMMARY_SORTS = {
+  service_name: ["service_name"],
+  updated_at: ["last_modified", "service_name"],
+};
+
+const TIMESTAMP_COLUMNS = ["updated_at", "last_modified"];
+
+const MAX_PATTERN_LENGTH = 255;
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+// Position encoded in a cursor, null unless it was handed out for the same
+// sort
+function decodeCursor(cursor, { summary, sort, order, columns }) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (error) {
+    return null;
+  }
+  if (
+    typeof position !== "object" ||
+    position === null ||
+    position.summary !== summary ||
+    position.sort !== sort ||
+    position.order !== order ||
+    !Array.isArray(position.after) ||
+    position.after.length !== columns.length
+  ) {
+    return null;
+  }
+
+  const after = [];
+  for (const [index, column] of columns.entries()) {
+    const value = position.after[index];
+    if (TIMESTAMP_COLUMNS.includes(column)) {
+      const date = new Date(value);
+      if (typeof value !== "string" || isNaN(date.getTime())) {
+        return null;
+      }
+      after.push(date);
+    } else if (typeof value === "string" || typeof value === "number") {
+      after.push(value);
+    } else {
+      return null;
+    }
+  }
+  return after;
+}
+
+// Listing options from the query string of GET /config, or { error } when
+// they are invalid. The environment and page size are parsed by the caller.
+function parseListing(query) {
+  const summary = query.summary === "true";
+  const sorts = summary ? SUMMARY_SORTS : SORTS;
+
+  const sort = query.sort || "service_name";
+  if (!Object.hasOwn(sorts, sort)) {
+    return {
+      error: `sort must be one of: ${Object.keys(sorts).join(", ")}`,
+    };
+  }
+  const order = query.order || "asc";
+  if (order !== "asc" && order !== "desc") {
+    return { error: "order must be asc or desc" };
+  }
+
+  for (const name of ["service", "key", "keyRegex", "value"]) {
+    if (query[name] !== undefined && typeof query[name] !== "string") {
+      return { error: `${name} must be a string` };
+    }
+    if (query[name] && query[name].length > MAX_PATTERN_LENGTH) {
+      return {
+        error: `${name} must be at most ${MAX_PATTERN_LENGTH} characters`,
+      };
+    }
+  }
+
+  if (query.keyRegex) {
+    try {
+      new RegExp(query.keyRegex);
+    } catch (error) {
+      return { error: "keyRegex must be a valid regular expression" };
+    }
+  }
+
+  let updatedSince = null;
+  if (query.updatedSince !== undefined) {
+    updatedSince = new Date(query.updatedSince);
+    if (isNaN(updatedSince.getTime())) {
+      return { error: "updatedSince must be a valid timestamp" };
+    }
+  }
+
+  const columns = sorts[sort];
+  let after = null;
+  if (query.cursor !== undefined) {
+    after =
+      typeof query.cursor === "string"
+        ? decodeCursor(query.cursor, { summary, sort, order, columns })
+        : null;
+    if (!after) {
+      return { error: "Invalid cursor" };
+    }
+  }
+
+  return {
+    summary,
+    sort,
+    order,
+    columns,
+    after,
+    service: query.service || null,
+    key: query.key || null,
+    keyRegex: query.keyRegex || null,
+    value: query.value || null,
+    updatedSince,
+  };
+}
+
+// One page of a listing as { rows, next } where next is the cursor of the
+// following page, null on the last one, or { error } when the storage cannot
+// run its keyRegex
+async function listConfigurations(db, listing, { environment, limit }) {
+  const rows = await db.configurations.list(listing, {
+    environment,
+    limit: limit + 1,
+  });
+  if (!rows) {
+    return { error: "keyRegex is not supported by the storage" };
+  }
+  if (rows.length <= limit) {
+    return { rows, next: null };
+  }
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    rows: page,
+    next: encodeCursor({
+      summary: listing.summary,
+      sort: listing.sort,
+      order: listing.order,
+      after: listing.columns.map((column) => last[column]),
+    }),
+  };
+}
+
+module.exports = { parseListing, listConfigurations };
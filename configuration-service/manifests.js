@@ -0,0 +1,172 @@
+// Kubernetes manifests of service configuration
+//
+// A resolved configuration renders as a ConfigMap holding its plain keys and,
+// when it has any, a Secret holding its secret keys, named "<name>-config"
+// and "<name>-secret" after the convention of k8s-manifests/. Values become
+// strings as in dotenv exports: strings as they are, everything else as JSON.
+
+const yaml = require("js-yaml");
+
+// Object names are DNS subdomains, namespaces DNS labels
+const NAME_PATTERN = /^[a-z0-9]([-a-z0-9.]*[a-z0-9])?$/;
+const MAX_NAME_LENGTH = 253 - "-secret".length;
+const NAMESPACE_PATTERN = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+const MAX_NAMESPACE_LENGTH = 63;
+
+// Label keys are an optional DNS subdomain prefix and a name; label values
+// are names or empty
+const LABEL_NAME_PATTERN = /^[a-z0-9]([-a-z0-9_.]*[a-z0-9])?$/i;
+const MAX_LABEL_NAME_LENGTH = 63;
+
+// Keys allowed in ConfigMap and Secret data
+const DATA_KEY_PATTERN = /^[-._a-zA-Z0-9]+$/;
+const MAX_DATA_KEY_LENGTH = 253;
+
+const MANAGED_BY = { "app.kubernetes.io/managed-by": "configuration-service" };
+
+function isLabelName(text) {
+  return text.length <= MAX_LABEL_NAME_LENGTH && LABEL_NAME_PATTERN.test(text);
+}
+
+function isLabelKey(key) {
+  const slash = key.lastIndexOf("/");
+  if (slash === -1) {
+    return isLabelName(key);
+  }
+  const prefix = key.slice(0, slash);
+  return (
+    prefix.length <= 253 &&
+    NAME_PATTERN.test(prefix) &&
+    isLabelName(key.slice(slash + 1))
+  );
+}
+
+// Labels from ?labels=key=value,key=value, or { error }
+function parseLabels(text) {
+  const labels = {};
+  for (const pair of text.split(",")) {
+    if (pair.trim() === "") {
+      continue;
+    }
+    const equals = pair.indexOf("=");
+    const key = (equals === -1 ? pair : pair.slice(0, equals)).trim();
+    const value = equals === -1 ? "" : pair.slice(equals + 1).trim();
+    if (!isLabelKey(key)) {
+      return { error: `Invalid label key: ${key}` };
+    }
+    if (value !== "" && !isLabelName(value)) {
+      return { error: `Invalid label value for ${key}: ${value}` };
+    }
+    labels[key] = value;
+  }
+  return { labels };
+}
+
+// Manifest options from the query string as { name, namespace, labels },
+// or { error } when they are invalid. name defaults to the service name.
+function parseManifestOptions(serviceName, query) {
+  const name = query.name === undefined ? serviceName : query.name;
+  if (
+    typeof name !== "string" ||
+    name.length > MAX_NAME_LENGTH ||
+    !NAME_PATTERN.test(name)
+  ) {
+    return { error: "name must be a lowercase DNS subdomain" };
+  }
+
+  const { namespace } = query;
+  if (
+    namespace !== undefined &&
+    (typeof namespace !== "string" ||
+      namespace.length > MAX_NAMESPACE_LENGTH ||
+      !NAMESPACE_PATTERN.test(namespace))
+  ) {
+    return { error: "namespace must be a lowercase DNS label" };
+  }
+
+  let labels = {};
+  if (query.labels !== undefined) {
+    if (typeof query.labels !== "string") {
+      return { error: "labels must be a string" };
+    }
+    const parsed = parseLabels(query.labels);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    labels = parsed.labels;
+  }
+
+  return { name, namespace: namespace || null, labels };
+}
+
+function dataValue(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function metadata(name, { namespace, labels }) {
+  const meta = { name };
+  if (namespace) {
+    meta.namespace = namespace;
+  }
+  meta.labels = { ...MANAGED_BY, ...labels };
+  return meta;
+}
+
+// Render a resolved configuration (see environments.js), secrets revealed,
+// as a YAML stream of a ConfigMap and, for configurations with secrets, a
+// Secret. Returns { yaml }, or { error, errors } listing keys Kubernetes
+// does not accept.
+function renderManifests(resolved, options) {
+  const errors = Object.keys(resolved)
+    .filter(
+      (key) => key.length > MAX_DATA_KEY_LENGTH || !DATA_KEY_PATTERN.test(key),
+    )
+    .map((key) => ({
+      key,
+      message:
+        "Kubernetes keys may only contain letters, digits, '-', '_' and '.'",
+    }));
+  if (errors.length > 0) {
+    return {
+      error: "Configuration has keys Kubernetes does not accept",
+      errors,
+    };
+  }
+
+  const plain = {};
+  const secret = {};
+  for (const key of Object.keys(resolved).sort()) {
+    const { value, secret: isSecret } = resolved[key];
+    if (isSecret) {
+      secret[key] = Buffer.from(dataValue(value)).toString("base64");
+    } else {
+      plain[key] = dataValue(value);
+    }
+  }
+
+  const documents = [
+    {
+      apiVersion: "v1",
+      kind: "ConfigMap",
+      metadata: metadata(`${options.name}-config`, options),
+      data: plain,
+    },
+  ];
+  if (Object.keys(secret).length > 0) {
+    documents.push({
+      apiVersion: "v1",
+      kind: "Secret",
+      metadata: metadata(`${options.name}-secret`, options),
+      type: "Opaque",
+      data: secret,
+    });
+  }
+
+  return {
+    yaml: documents
+      .map((document) => yaml.dump(document, { lineWidth: -1 }))
+      .join("---\n"),
+  };
+}
+
+module.exports = { parseManifestOptions, renderManifests };
@@ -0,0 +1,214 @@
+// Prometheus metrics
+//
+// A small registry of counters, histograms and gauges rendered in the
+// Prometheus text exposition format. Counters and histograms are updated as
+// things happen; gauges are collected when the metrics are scraped. Metrics
+// are registered once per process by name, so registering one again returns
+// the existing metric.
+
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+const registry = new Map();
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`,
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatNumber(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+function register(name, create) {
+  if (!registry.has(name)) {
+    registry.set(name, create());
+  }
+  return registry.get(name);
+}
+
+// Series of a metric by their labels
+function seriesOf(series, labels) {
+  const id = labelText(labels);
+  if (!series.has(id)) {
+    series.set(id, { labels, value: null });
+  }
+  return series.get(id);
+}
+
+// Counter with inc(labels, amount)
+function counter(name, help) {
+  return register(name, () => {
+    const series = new Map();
+    return {
+      type: "counter",
+      help,
+      inc(labels = {}, amount = 1) {
+        const entry = seriesOf(series, labels);
+        entry.value = (entry.value || 0) + amount;
+      },
+      samples: () =>
+        [...series.values()].map(({ labels, value }) => ({
+          name,
+          labels,
+          value,
+        })),
+    };
+  });
+}
+
+// Histogram with observe(labels, value), value usually in seconds
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  return register(name, () => {
+    const series = new Map();
+    return {
+      type: "histogram",
+      help,
+      observe(labels, value) {
+        const entry = seriesOf(series, labels);
+        if (!entry.value) {
+          entry.value = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        }
+        for (const [index, bound] of buckets.entries()) {
+          if (value <= bound) {
+            entry.value.counts[index]++;
+          }
+        }
+        entry.value.sum += value;
+        entry.value.count++;
+      },
+      samples: () =>
+        [...series.values()].flatMap(({ labels, value }) => [
+          ...buckets.map((bound, index) => ({
+            name: `${name}_bucket`,
+            labels: { ...labels, le: formatNumber(bound) },
+            value: value.counts[index],
+          })),
+          {
+            name: `${name}_bucket`,
+            labels: { ...labels, le: "+Inf" },
+            value: value.count,
+          },
+          { name: `${name}_sum`, labels, value: value.sum },
+          { name: `${name}_count`, labels, value: value.count },
+        ]),
+    };
+  });
+}
+
+// Gauge whose values are collected on every scrape: collect() returns, or
+// resolves to, a number or a list of { labels, value }
+function gauge(name, help, collect) {
+  return register(name, () => ({
+    type: "gauge",
+    help,
+    collect,
+  }));
+}
+
+async function samplesOf(name, metric) {
+  if (metric.type !== "gauge") {
+    return metric.samples();
+  }
+  const collected = await metric.collect();
+  if (typeof collected === "number") {
+    return [{ name, labels: {}, value: collected }];
+  }
+  return collected.map(({ labels, value }) => ({ name, labels, value }));
+}
+
+// Every registered metric in the Prometheus text format. Gauges that fail to
+// collect are left out.
+async function renderMetrics() {
+  let output = "";
+  for (const [name, metric] of registry) {
+    let samples;
+    try {
+      samples = await samplesOf(name, metric);
+    } catch (error) {
+      console.error(`Error collecting metric ${name}:`, error);
+      continue;
+    }
+    output += `# HELP ${name} ${metric.help}\n# TYPE ${name} ${metric.type}\n`;
+    for (const sample of samples) {
+      output += `${sample.name}${labelText(sample.labels)} ${formatNumber(sample.value)}\n`;
+    }
+  }
+  return output;
+}
+
+// Seconds elapsed since a process.hrtime.bigint() reading
+function secondsSince(start) {
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+const queryDuration = histogram(
+  "config_mysql_query_duration_seconds",
+  "Duration of MySQL queries",
+);
+const queryErrors = counter(
+  "config_mysql_query_errors_total",
+  "MySQL queries that failed",
+);
+
+// Statement and table of a query, for labels
+function describeQuery(sql) {
+  const statement = (sql.trim().match(/^\w+/) || ["other"])[0].toLowerCase();
+  const table = sql.match(/\b(?:FROM|INTO|UPDATE|TABLE)\s+`?(\w+)/i);
+  return { operation: statement, table: table ? table[1] : "none" };
+}
+
+async function timedExecute(target, args) {
+  const labels = describeQuery(args[0]);
+  const start = process.hrtime.bigint();
+  try {
+    return await target.execute(...args);
+  } catch (error) {
+    queryErrors.inc(labels);
+    throw error;
+  } finally {
+    queryDuration.observe(labels, secondsSince(start));
+  }
+}
+
+function instrument(target, wrapConnections) {
+  return new Proxy(target, {
+    get(object, property) {
+      if (property === "execute") {
+        return (...args) => timedExecute(object, args);
+      }
+      if (property === "getConnection" && wrapConnections) {
+        return async () => instrument(await object.getConnection(), false);
+      }
+      return Reflect.get(object, property);
+    },
+  });
+}
+
+// Time every query run through a mysql2 pool and the connections it hands
+// out
+function instrumentPool(pool) {
+  return instrument(pool, true);
+}
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  renderMetrics,
+  secondsSince,
+  instrumentPool,
+};
@@ -0,0 +1,215 @@
+// Immutable releases of service configuration
+//
+// A release is a named snapshot of a service's stored configuration in every
+// environment, along with the global defaults it resolves through, taken at
+// one revision. Snapshots are copied into config_release_values and never
+// change afterwards, except for secrets being re-encrypted under a new master
+// key (see secrets.js).
+//
+// Every service has a movable "current" pointer naming one of its releases,
+// so that promoting a release, or rolling back to an earlier one, is a
+// matter of moving the pointer.
+
+const {
+  DEFAULT_ENVIRONMENT,
+  GLOBAL_SERVICE,
+  resolveLayers,
+} = require("./environments");
+const { currentRevision, lockRevision } = require("./revisions");
+const { readValue } = require("./secrets");
+
+const CURRENT = "current";
+
+const NAME_PATTERN = /^[a-z0-9][\w.-]{0,63}$/i;
+
+// Validate a release name; returns null for invalid names and for the
+// reserved "current"
+function parseReleaseName(value) {
+  return typeof value === "string" &&
+    NAME_PATTERN.test(value) &&
+    value !== CURRENT
+    ? value
+    : null;
+}
+
+function toRelease(row) {
+  return {
+    name: row.name,
+    serviceName: row.service_name,
+    revision: row.revision,
+    globalRevision: row.global_revision,
+    notes: row.notes,
+    createdBy: row.created_by ? JSON.parse(row.created_by) : null,
+    createdAt: row.created_at,
+    current: Boolean(row.is_current),
+  };
+}
+
+// Release row by name, following "current" to the release it points at
+async function findRelease(db, serviceName, name) {
+  return name === CURRENT
+    ? db.releases.getCurrent(serviceName)
+    : db.releases.get(serviceName, name);
+}
+
+// Snapshot the current configuration of a service as a release. actor is the
+// { id, name } of the API key creating it, if any. Returns the release, or
+// null when the service already has a release of that name.
+async function createRelease(db, serviceName, { name, notes, actor }) {
+  const created = await db.transaction(async (tx) => {
+    // Holding the revision lock keeps writes out while rows are copied, so
+    // the snapshot is exactly the recorded revision
+    const revision = await lockRevision(tx, serviceName);
+    const globalRevision = await currentRevision(tx, GLOBAL_SERVICE);
+
+    const id = await tx.releases.insert({
+      serviceName,
+      name,
+      revision,
+      globalRevision,
+      notes: notes || null,
+      createdBy: actor ? JSON.stringify(actor) : null,
+    });
+    if (id === null) {
+      return false;
+    }
+    await tx.releases.snapshot(id, serviceName, [
+      GLOBAL_SERVICE,
+      DEFAULT_ENVIRONMENT,
+    ]);
+    return true;
+  });
+  return created ? getRelease(db, serviceName, name) : null;
+}
+
+// A release by name, or the one "current" points at; null if there is none
+async function getRelease(db, serviceName, name) {
+  const row = await findRelease(db, serviceName, name);
+  return row ? toRelease(row) : null;
+}
+
+// Releases of a service, newest first
+async function listReleases(db, serviceName, { limit }) {
+  const rows = await db.releases.list(serviceName, { limit });
+  return rows.map(toRelease);
+}
+
+async function releaseRows(db, releaseId) {
+  return db.releases.values(releaseId);
+}
+
+// A release resolved for one environment as { release, resolved } (see
+// environments.js), or null if there is no such release. Secrets are masked
+// unless reveal is set.
+async function resolveRelease(
+  db,
+  serviceName,
+  name,
+  environment,
+  { reveal = false } = {},
+) {
+  const row = await findRelease(db, serviceName, name);
+  if (!row) {
+    return null;
+  }
+  const rows = (await releaseRows(db, row.id)).map((value) => ({
+    serviceName: value.service_name,
+    environment: value.environment,
+    key: value.config_key,
+    value: readValue(
+      value.config_value,
+      value.value_type,
+      value.is_secret,
+      reveal,
+    ),
+    type: value.value_type,
+    secret: Boolean(value.is_secret),
+  }));
+  return {
+    release: toRelease(row),
+    resolved: resolveLayers(rows, serviceName, environment),
+  };
+}
+
+// Stored rows of a release by service, environment and key
+async function indexedRows(db, releaseId) {
+  const index = new Map();
+  if (releaseId) {
+    for (const row of await releaseRows(db, releaseId)) {
+      index.set(
+        JSON.stringify([row.service_name, row.environment, row.config_key]),
+        row,
+      );
+    }
+  }
+  return index;
+}
+
+// { environment, key } of every key that differs between two releases, keys
+// of the global defaults counting as keys of the default environment
+async function changedKeys(db, fromId, toId) {
+  const before = await indexedRows(db, fromId);
+  const after = await indexedRows(db, toId);
+  const changes = new Map();
+  for (const id of new Set([...before.keys(), ...after.keys()])) {
+    const was = before.get(id);
+    const is = after.get(id);
+    if (
+      was &&
+      is &&
+      was.config_value === is.config_value &&
+      was.value_type === is.value_type &&
+      was.is_secret === is.is_secret
+    ) {
+      continue;
+    }
+    const { environment, config_key: key } = was || is;
+    changes.set(JSON.stringify([environment, key]), { environment, key });
+  }
+  return [...changes.values()];
+}
+
+// Point the "current" pointer of a service at one of its releases. Returns
+// null if there is no such release, otherwise { release, previous, changes }
+// with the release pointed at before, if any, and the { environment, key }
+// of every key the move changes.
+async function setCurrent(db, serviceName, name, actor) {
+  const row = await findRelease(db, serviceName, name);
+  if (!row) {
+    return null;
+  }
+
+  const previousId = await db.transaction(async (tx) => {
+    const pointed = await tx.releases.pointer(serviceName);
+    await tx.releases.point(
+      serviceName,
+      row.id,
+      actor ? JSON.stringify(actor) : null,
+    );
+    return pointed;
+  });
+
+  const changes = await changedKeys(db, previousId, row.id);
+
+  let previous = null;
+  if (previousId && previousId !== row.id) {
+    const previousRow = await db.releases.getById(previousId);
+    previous = previousRow ? toRelease(previousRow) : null;
+  }
+
+  return {
+    release: { ...toRelease(row), current: true },
+    previous: previous && { ...previous, current: false },
+    changes,
+  };
+}
+
+module.exports = {
+  CURRENT,
+  parseReleaseName,
+  createRelease,
+  getRelease,
+  listReleases,
+  resolveRelease,
+  setCurrent,
+};
@@ -0,0 +1,342 @@
+// Revision tracking for service configurations
+//
+// Every change to a service's configuration is recorded in config_revisions
+// under a per-service revision number, across all of the service's
+// environments. A revision may touch several keys (e.g. a rollback); a NULL
+// value marks a key deleted in that revision.
+//
+// Changes are passed in and returned with plaintext values; values of secret
+// keys are encrypted on their way into both tables (see secrets.js).
+
+const {
+  DEFAULT_ENVIRONMENT,
+  GLOBAL_SERVICE,
+  resolveLayers,
+} = require("./environments");
+const { decrypt, encrypt, readValue } = require("./secrets");
+
+// Latest revision number for a service, 0 if it was never written
+async function currentRevision(db, serviceName) {
+  return db.revisions.latest(serviceName);
+}
+
+// Lock the service's revision counter for the rest of the transaction
+async function lockRevision(tx, serviceName) {
+  return tx.revisions.latest(serviceName, { lock: true });
+}
+
+// Index rows as { environment: { key: { value, type, secret } } }
+function byEnvironment(rows) {
+  return rows.reduce((acc, row) => {
+    acc[row.environment] = acc[row.environment] || {};
+    acc[row.environment][row.config_key] = {
+      value: row.config_value,
+      type: row.value_type,
+      secret: Boolean(row.is_secret),
+    };
+    return acc;
+  }, {});
+}
+
+function storedValue(state, environment, key) {
+  const values = state[environment] || {};
+  return key in values ? values[key] : null;
+}
+
+// Secrets are only decrypted when type and flag leave any doubt
+function isUnchanged(previous, { value, type, secret }) {
+  if (previous === null || value === null) {
+    return previous === value;
+  }
+  if (previous.type !== type || previous.secret !== secret) {
+    return false;
+  }
+  return (previous.secret ? decrypt(previous.value) : previous.value) === value;
+}
+
+async function readCurrent(tx, serviceName) {
+  return byEnvironment(
+    await tx.configurations.forService(serviceName, { lock: true }),
+  );
+}
+
+// Write the changes that differ from the current state as a new revision
+async function writeRevision(
+  tx,
+  serviceName,
+  latest,
+  current,
+  changes,
+  operation,
+) {
+  const effective = changes
+    .filter(
+      ({ environment = DEFAULT_ENVIRONMENT, key, expected }) =>
+        expected === undefined ||
+        isUnchanged(
+          storedValue(current, environment, key),
+          expected ?? {
+            value: null,
+          },
+        ),
+    )
+    .map(({ environment = DEFAULT_ENVIRONMENT, key, value, type, secret }) => {
+      const previous = storedValue(current, environment, key);
+      return {
+        environment,
+        key,
+        previous,
+        value,
+        type: value === null ? null : type || "string",
+        // Keys stay secret until a write explicitly says otherwise
+        secret:
+          value !== null &&
+          (secret !== undefined
+            ? Boolean(secret)
+            : Boolean(previous && previous.secret)),
+      };
+    })
+    .filter((change) => !isUnchanged(change.previous, change));
+
+  if (effective.length === 0) {
+    return { revision: latest, changes: [] };
+  }
+
+  const revision = latest + 1;
+  await tx.revisions.bump(serviceName, revision);
+
+  for (const { environment, key, value, type, secret } of effective) {
+    const stored = secret ? encrypt(value) : value;
+    if (value === null) {
+      await tx.configurations.remove(serviceName, environment, key);
+    } else {
+      await tx.configurations.set({
+        serviceName,
+        environment,
+        key,
+        value: stored,
+        type,
+        secret,
+      });
+    }
+
+    await tx.revisions.record({
+      serviceName,
+      revision,
+      environment,
+      key,
+      value: stored,
+      type: type || "string",
+      secret,
+      operation: operation || (value === null ? "delete" : "set"),
+    });
+  }
+
+  return { revision, changes: effective };
+}
+
+// Apply a list of { environment, key, value, type, secret } changes as a
+// single revision. Values are stored text (see values.js); a null value
+// deletes the key and the environment defaults to the service default. A
+// missing secret flag keeps the key's current one. Changes that would not
+// alter the stored value are dropped, as are changes carrying an expected
+// { value, type, secret } (null for a missing key) the key no longer holds;
+// if nothing is left no revision is created. A precondition is checked
+// against the latest revision while it is locked; if it fails nothing is
+// written and null is returned.
+async function applyChanges(db, serviceName, changes, options = {}) {
+  return db.transaction((tx) =>
+    applyChangesWithin(tx, serviceName, changes, options),
+  );
+}
+
+// applyChanges inside a transaction the caller holds as tx
+async function applyChangesWithin(
+  tx,
+  serviceName,
+  changes,
+  { operation, precondition } = {},
+) {
+  const latest = await lockRevision(tx, serviceName);
+  if (precondition && !precondition(latest)) {
+    return null;
+  }
+  const current = await readCurrent(tx, serviceName);
+  return writeRevision(tx, serviceName, latest, current, changes, operation);
+}
+
+// Stored rows of a service as they were right after the given revision,
+// as [{ environment, key, value, type, secret }] with values still encoded
+// and secrets still encrypted
+async function configAt(db, serviceName, revision) {
+  const rows = await db.revisions.snapshot(serviceName, revision);
+  return rows
+    .filter((row) => row.config_value !== null)
+    .map((row) => ({
+      environment: row.environment,
+      key: row.config_key,
+      value: row.config_value,
+      type: row.value_type,
+      secret: Boolean(row.is_secret),
+    }));
+}
+
+// Latest revision recorded at or before the given time, 0 if none
+async function revisionAt(db, serviceName, timestamp) {
+  return db.revisions.at(serviceName, timestamp);
+}
+
+async function revisionTime(db, serviceName, revision) {
+  return db.revisions.timeOf(serviceName, revision);
+}
+
+// Resolved configuration of a service in an environment at a past revision
+// or time. Global defaults are taken as they were at that same moment.
+// Returns null for revisions that do not exist yet. Secrets are masked unless
+// reveal is set.
+async function resolvedAt(
+  db,
+  serviceName,
+  environment,
+  { revision, at, reveal = false },
+) {
+  let timestamp = at;
+  if (revision !== undefined) {
+    if (revision > (await currentRevision(db, serviceName))) {
+      return null;
+    }
+    timestamp = await revisionTime(db, serviceName, revision);
+  } else {
+    revision = await revisionAt(db, serviceName, at);
+  }
+
+  const decoded = (name) => (row) => ({
+    ...row,
+    serviceName: name,
+    value: readValue(row.value, row.type, row.secret, reveal),
+  });
+
+  const rows = (await configAt(db, serviceName, revision)).map(
+    decoded(serviceName),
+  );
+
+  if (serviceName !== GLOBAL_SERVICE && timestamp) {
+    const globalRevision = await revisionAt(db, GLOBAL_SERVICE, timestamp);
+    const globalRows = await configAt(db, GLOBAL_SERVICE, globalRevision);
+    rows.push(...globalRows.map(decoded(GLOBAL_SERVICE)));
+  }
+
+  return resolveLayers(rows, serviceName, environment);
+}
+
+// History never reveals secrets
+function toEntry(row) {
+  const deleted = row.config_value === null;
+  return {
+    revision: row.revision,
+    environment: row.environment,
+    key: row.config_key,
+    value: readValue(row.config_value, row.value_type, row.is_secret),
+    type: deleted ? null : row.value_type,
+    secret: !deleted && Boolean(row.is_secret),
+    operation: row.operation,
+    createdAt: row.created_at,
+  };
+}
+
+// Revisions of a service, newest first, paginated by revision number
+async function serviceHistory(db, serviceName, { before, limit }) {
+  const upper = before ? before - 1 : await currentRevision(db, serviceName);
+  const lower = Math.max(upper - limit, 0);
+
+  const rows = await db.revisions.range(serviceName, lower, upper);
+
+  const revisions = [];
+  for (const row of rows) {
+    let entry = revisions[revisions.length - 1];
+    if (!entry || entry.revision !== row.revision) {
+      entry = {
+        revision: row.revision,
+        createdAt: row.created_at,
+        changes: [],
+      };
+      revisions.push(entry);
+    }
+    const { environment, key, value, type, secret, operation } = toEntry(row);
+    entry.changes.push({ environment, key, value, type, secret, operation });
+  }
+
+  return { revisions, nextBefore: lower > 0 ? lower + 1 : null };
+}
+
+// Changes to a single key, newest first, optionally in one environment only
+async function keyHistory(db, serviceName, key, { environment, limit }) {
+  const rows = await db.revisions.ofKey(serviceName, key, {
+    environment,
+    limit,
+  });
+  return rows.map(toEntry);
+}
+
+// Restore the whole service to the state it had at the given revision. The
+// restore is recorded as a new revision; returns null for unknown revisions.
+// guard, if given, sees the { environment, key } changes the restore would
+// make and returns the keys among them it may not touch; if there are any,
+// nothing is written and { refused } lists them.
+async function rollback(db, serviceName, revision, { guard } = {}) {
+  return db.transaction(async (tx) => {
+    const latest = await lockRevision(tx, serviceName);
+    if (revision < 1 || revision > latest) {
+      return null;
+    }
+
+    const current = await readCurrent(tx, serviceName);
+    const target = (await configAt(tx, serviceName, revision)).map((row) =>
+      row.secret ? { ...row, value: decrypt(row.value) } : row,
+    );
+
+    // Environment names cannot contain ":" so this is unambiguous
+    const restored = new Set(
+      target.map(({ environment, key }) => `${environment}:${key}`),
+    );
+
+    const changes = [
+      ...target,
+      ...Object.keys(current).flatMap((environment) =>
+        Object.keys(current[environment])
+          .filter((key) => !restored.has(`${environment}:${key}`))
+          .map((key) => ({ environment, key, value: null })),
+      ),
+    ];
+
+    if (guard) {
+      const refused = guard(
+        changes.filter(
+          (change) =>
+            !isUnchanged(
+              storedValue(current, change.environment, change.key),
+              change,
+            ),
+        ),
+      );
+      if (refused.length > 0) {
+        return { refused };
+      }
+    }
+
+    return writeRevision(tx, serviceName, latest, current, changes, "rollback");
+  });
+}
+
+module.exports = {
+  currentRevision,
+  lockRevision,
+  applyChanges,
+  applyChangesWithin,
+  configAt,
+  revisionAt,
+  resolvedAt,
+  serviceHistory,
+  keyHistory,
+  rollback,
+};
@@ -0,0 +1,286 @@
+// Scheduled and time-bound configuration changes
+//
+// A schedule holds a batch of changes to one environment of a service,
+// applied as a single revision once its run time has come. A schedule with
+// an expiry is a temporary override: applying it creates a revert schedule
+// for the expiry that puts back the values it replaced. Keys changed again
+// in the meantime are left as they are by the revert.
+//
+// Every replica runs the scheduler. A due schedule is claimed with SELECT ...
+// FOR UPDATE SKIP LOCKED in the same transaction that writes its revision,
+// so exactly one replica applies it, and a replica failing half-way leaves
+// it pending for the next attempt.
+//
+// Changes are kept as stored (see values.js), with values of secret keys
+// encrypted under CONFIG_MASTER_KEY.
+
+const { applyChangesWithin } = require("./revisions");
+const { decrypt, encrypt, readValue } = require("./secrets");
+
+const STATUSES = ["pending", "applied", "cancelled", "failed"];
+
+// Failed attempts after which a schedule is given up on
+const MAX_ATTEMPTS = 3;
+const POLL_INTERVAL = 1000;
+
+let timer = null;
+let running = null;
+
+function sealValue(value, secret) {
+  return secret && value !== null ? encrypt(value) : value;
+}
+
+function openValue(value, secret) {
+  return secret && value !== null ? decrypt(value) : value;
+}
+
+// Changes as kept in a schedule, with secret values encrypted
+function seal(changes) {
+  return changes.map(({ key, value, type, secret, expected }) => {
+    const sealed = { key, value: sealValue(value, secret), type, secret };
+    if (expected !== undefined) {
+      sealed.expected =
+        expected === null
+          ? null
+          : { ...expected, value: sealValue(expected.value, expected.secret) };
+    }
+    return sealed;
+  });
+}
+
+function open(changes, environment) {
+  return changes.map(({ key, value, type, secret, expected }) => {
+    const opened = {
+      environment,
+      key,
+      value: openValue(value, secret),
+      type,
+      secret,
+    };
+    if (expected !== undefined) {
+      opened.expected =
+        expected === null
+          ? null
+          : { ...expected, value: openValue(expected.value, expected.secret) };
+    }
+    return opened;
+  });
+}
+
+function toSchedule(row) {
+  const changes = JSON.parse(row.changes);
+  return {
+    id: row.id,
+    serviceName: row.service_name,
+    environment: row.environment,
+    type: row.kind,
+    runAt: row.run_at,
+    expiresAt: row.expires_at,
+    revertOf: row.revert_of,
+    set: changes
+      .filter(({ value }) => value !== null)
+      .map(({ key, value, type, secret }) => ({
+        key,
+        value: readValue(value, type, secret),
+        type,
+        secret,
+      })),
+    delete: changes.filter(({ value }) => value === null).map(({ key }) => key),
+    status: row.status,
+    revision: row.revision,
+    error: row.error,
+    createdBy: row.created_by ? JSON.parse(row.created_by) : null,
+    createdAt: row.created_at,
+    appliedAt: row.applied_at,
+  };
+}
+
+async function insertSchedule(
+  db,
+  {
+    serviceName,
+    environment,
+    kind,
+    changes,
+    runAt,
+    expiresAt,
+    revertOf,
+    actor,
+  },
+) {
+  return db.schedules.insert({
+    serviceName,
+    environment,
+    kind,
+    changes: JSON.stringify(seal(changes)),
+    runAt,
+    expiresAt: expiresAt || null,
+    revertOf: revertOf || null,
+    createdBy: actor ? JSON.stringify(actor) : null,
+  });
+}
+
+// Schedule { key, value, type, secret } changes (stored values, null to
+// delete) to an environment of a service. actor is the { id, name } of the
+// API key scheduling them, if any. Returns the new schedule.
+async function createSchedule(
+  db,
+  serviceName,
+  environment,
+  changes,
+  { runAt, expiresAt, actor },
+) {
+  const id = await insertSchedule(db, {
+    serviceName,
+    environment,
+    kind: "change",
+    changes,
+    runAt,
+    expiresAt,
+    actor,
+  });
+  return getSchedule(db, serviceName, id);
+}
+
+async function getSchedule(db, serviceName, id) {
+  const row = await db.schedules.get(serviceName, id);
+  return row ? toSchedule(row) : null;
+}
+
+// Schedules of a service in run order, in one status or all of them
+async function listSchedules(db, serviceName, { status, limit }) {
+  const rows = await db.schedules.list(serviceName, { status, limit });
+  return rows.map(toSchedule);
+}
+
+// Cancel a pending schedule. Returns null for unknown schedules, otherwise
+// { cancelled, schedule } where cancelled tells whether it was still pending.
+async function cancelSchedule(db, serviceName, id) {
+  const cancelled = await db.schedules.cancel(serviceName, id);
+  const schedule = await getSchedule(db, serviceName, id);
+  if (!schedule) {
+    return null;
+  }
+  return { cancelled, schedule };
+}
+
+// Changes putting back what an applied revision replaced, for keys still
+// holding the value it wrote
+function revertChanges(result) {
+  return result.changes.map(({ key, value, type, secret, previous }) => ({
+    key,
+    value:
+      previous === null ? null : openValue(previous.value, previous.secret),
+    type: previous === null ? null : previous.type,
+    secret: previous === null ? false : previous.secret,
+    expected: value === null ? null : { value, type, secret },
+  }));
+}
+
+// Claim and apply the earliest due schedule. Returns { schedule, result }
+// with the revision written (see applyChanges), or null when nothing is due.
+async function applyDueSchedule(db, now = new Date()) {
+  let claimed = null;
+  try {
+    return await db.transaction(async (tx) => {
+      claimed = await tx.schedules.claimDue(now);
+      if (!claimed) {
+        return null;
+      }
+
+      const result = await applyChangesWithin(
+        tx,
+        claimed.service_name,
+        open(JSON.parse(claimed.changes), claimed.environment),
+      );
+
+      let revertId = null;
+      if (claimed.expires_at && result.changes.length > 0) {
+        revertId = await insertSchedule(tx, {
+          serviceName: claimed.service_name,
+          environment: claimed.environment,
+          kind: "revert",
+          changes: revertChanges(result),
+          runAt: claimed.expires_at,
+          revertOf: claimed.id,
+          actor: claimed.created_by ? JSON.parse(claimed.created_by) : null,
+        });
+      }
+
+      await tx.schedules.markApplied(claimed.id, {
+        revision: result.changes.length > 0 ? result.revision : null,
+        appliedAt: now,
+      });
+
+      return {
+        schedule: {
+          ...toSchedule(claimed),
+          status: "applied",
+          revision: result.changes.length > 0 ? result.revision : null,
+          appliedAt: now,
+          revertId,
+        },
+        result,
+      };
+    });
+  } catch (error) {
+    if (!claimed) {
+      throw error;
+    }
+    // The claim was rolled back with everything else; count the attempt so
+    // that a schedule that can never be applied stops being retried
+    await db.schedules.markAttempt(claimed.id, {
+      error: error.message,
+      maxAttempts: MAX_ATTEMPTS,
+    });
+    throw error;
+  }
+}
+
+// Apply every due schedule, one revision each, calling onApplied(schedule,
+// result) after each commit. Concurrent calls share one run.
+function applyDueSchedules(db, onApplied) {
+  if (!running) {
+    running = (async () => {
+      for (;;) {
+        let applied;
+        try {
+          applied = await applyDueSchedule(db);
+        } catch (error) {
+          console.error("Error applying scheduled change:", error);
+          return;
+        }
+        if (!applied) {
+          return;
+        }
+        try {
+          await onApplied(applied.schedule, applied.result);
+        } catch (error) {
+          console.error("Error announcing scheduled change:", error);
+        }
+      }
+    })().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+function startScheduler(db, onApplied) {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(() => applyDueSchedules(db, onApplied), POLL_INTERVAL);
+  timer.unref();
+}
+
+module.exports = {
+  STATUSES,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  cancelSchedule,
+  applyDueSchedule,
+  applyDueSchedules,
+  startScheduler,
+};
@@ -0,0 +1,88 @@
+// Per-service JSON Schema validation of configuration writes
+//
+// A service's schema describes its configuration as one object, e.g.
+//
+//   {
+//     "type": "object",
+//     "properties": { "max_connections": { "type": "integer", "minimum": 1 } },
+//     "additionalProperties": false
+//   }
+//
+// Keys are written one at a time, so each write is validated as an object
+// holding only the written keys and the top-level "required" list is not
+// enforced.
+
+const Ajv = require("ajv");
+
+// Compiled validators by schema text, so writes reuse them. Every schema is
+// compiled by its own Ajv instance: a shared one would keep every schema it
+// ever compiled and refuse a second schema with the same $id.
+const MAX_COMPILED = 100;
+const compiled = new Map();
+
+async function getSchema(db, serviceName) {
+  const json = await db.schemas.get(serviceName);
+  return json === null ? null : JSON.parse(json);
+}
+
+async function setSchema(db, serviceName, schema) {
+  await db.schemas.set(serviceName, JSON.stringify(schema));
+}
+
+// Returns true if a schema was removed
+async function deleteSchema(db, serviceName) {
+  return db.schemas.remove(serviceName);
+}
+
+// Compile a schema for validating writes; returns { validate } or { error }
+function compileSchema(schema) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    return { error: "Schema must be a JSON object" };
+  }
+  const writeSchema = { ...schema };
+  delete writeSchema.required;
+
+  const text = JSON.stringify(writeSchema);
+  if (compiled.has(text)) {
+    return { validate: compiled.get(text) };
+  }
+  let validate;
+  try {
+    validate = new Ajv({ allErrors: true, strict: false }).compile(writeSchema);
+  } catch (error) {
+    return { error: `Invalid schema: ${error.message}` };
+  }
+  if (compiled.size >= MAX_COMPILED) {
+    compiled.delete(compiled.keys().next().value);
+  }
+  compiled.set(text, validate);
+  return { validate };
+}
+
+// Validate { key: value } against a compiled schema, returning field errors
+// as [{ key, path, message }]
+function validateValues(validate, values) {
+  if (validate(values)) {
+    return [];
+  }
+  return validate.errors.map((error) => {
+    const [, key, ...rest] = error.instancePath.split("/");
+    const field = key || error.params.additionalProperty;
+    return {
+      key: field,
+      path: rest.length > 0 ? `/${rest.join("/")}` : "",
+      message:
+        error.keyword === "additionalProperties"
+          ? "is not an allowed key"
+          : error.message,
+    };
+  });
+}
+
+module.exports = {
+  getSchema,
+  setSchema,
+  deleteSchema,
+  compileSchema,
+  validateValues,
+};
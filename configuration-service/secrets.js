@@ -0,0 +1,250 @@
+// Encryption of secret configuration values
+//
+// Secret values are encrypted at rest with AES-256-GCM under a master key
+// supplied through the environment:
+//
+//   CONFIG_MASTER_KEY             active key, used to encrypt new values
+//   CONFIG_PREVIOUS_MASTER_KEYS   comma-separated keys only used to decrypt
+//
+// Keys are 32 bytes given as base64 or hex. Every ciphertext names the key it
+// was encrypted with, so values under old keys keep working until
+// rotateSecrets() has re-encrypted them under the active key.
+
+const crypto = require("crypto");
+
+const { decodeValue } = require("./values");
+
+const MASK = "********";
+const PREFIX = "enc:v1:";
+const BATCH_SIZE = 100;
+
+function parseKey(text) {
+  const trimmed = text.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, "hex")
+    : Buffer.from(trimmed, "base64");
+  if (key.length !== 32) {
+    throw new Error("Master keys must be 32 bytes encoded as base64 or hex");
+  }
+  return key;
+}
+
+function keyId(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+}
+
+// Active key and every key that can decrypt, by id
+function loadKeyring() {
+  const active = process.env.CONFIG_MASTER_KEY
+    ? parseKey(process.env.CONFIG_MASTER_KEY)
+    : null;
+  const previous = (process.env.CONFIG_PREVIOUS_MASTER_KEYS || "")
+    .split(",")
+    .filter((text) => text.trim() !== "")
+    .map(parseKey);
+
+  const keys = {};
+  for (const key of [...previous, active].filter(Boolean)) {
+    keys[keyId(key)] = key;
+  }
+  return { activeId: active && keyId(active), active, keys };
+}
+
+function isConfigured() {
+  return Boolean(process.env.CONFIG_MASTER_KEY);
+}
+
+function isEncrypted(text) {
+  return typeof text === "string" && text.startsWith(PREFIX);
+}
+
+function encrypt(plaintext, keyring = loadKeyring()) {
+  if (!keyring.active) {
+    throw new Error("CONFIG_MASTER_KEY is not configured");
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", keyring.active, iv);
+  const data = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+  return [
+    `${PREFIX}${keyring.activeId}`,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    data.toString("base64"),
+  ].join(":");
+}
+
+function decrypt(stored, keyring = loadKeyring()) {
+  if (!isEncrypted(stored)) {
+    throw new Error("Value is not encrypted");
+  }
+  const [id, iv, tag, data] = stored.slice(PREFIX.length).split(":");
+  const key = keyring.keys[id];
+  if (!key) {
+    throw new Error(`No master key available for secret encrypted with ${id}`);
+  }
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(iv, "base64"),
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+// Decoded value of a stored row. Secrets are masked unless reveal is set.
+function readValue(text, type, secret, reveal = false) {
+  if (!secret || text === null || text === undefined) {
+    return decodeValue(text, type);
+  }
+  return reveal ? decodeValue(decrypt(text), type) : MASK;
+}
+
+// Re-encrypt a table's secrets that are not under the active key yet. Rows
+// are updated one at a time and only if unchanged since they were read, so
+// rotation can run while the service keeps serving reads and writes.
+async function rotateTable(db, table, keyring) {
+  const current = `${PREFIX}${keyring.activeId}:`;
+  let lastId = 0;
+  let rotated = 0;
+  let failed = 0;
+
+  for (;;) {
+    const rows = await db.secrets.sealed(table, {
+      skip: current,
+      after: lastId,
+      limit: BATCH_SIZE,
+    });
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      lastId = row.id;
+      let reencrypted;
+      try {
+        reencrypted = encrypt(decrypt(row.stored, keyring), keyring);
+      } catch (error) {
+        console.error(
+          `Cannot rotate secret ${table}#${row.id}:`,
+          error.message,
+        );
+        failed++;
+        continue;
+      }
+
+      if (await db.secrets.reseal(table, row.id, row.stored, reencrypted)) {
+        rotated++;
+      }
+    }
+  }
+
+  return { rotated, failed };
+}
+
+// Re-encrypt the secret values in the JSON change lists of a table's pending
+// rows, including the values changes expect to replace. Rows are updated
+// like in rotateTable.
+async function rotateChangeLists(db, table, keyring) {
+  const current = `${PREFIX}${keyring.activeId}:`;
+  const rotateValue = (value) =>
+    isEncrypted(value) && !value.startsWith(current)
+      ? encrypt(decrypt(value, keyring), keyring)
+      : value;
+  let lastId = 0;
+  let rotated = 0;
+  let failed = 0;
+
+  for (;;) {
+    const rows = await db.secrets.changeLists(table, {
+      containing: PREFIX,
+      after: lastId,
+      limit: BATCH_SIZE,
+    });
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      lastId = row.id;
+      let changes;
+      try {
+        changes = JSON.parse(row.changes).map((change) => ({
+          ...change,
+          value: rotateValue(change.value),
+          expected: change.expected && {
+            ...change.expected,
+            value: rotateValue(change.expected.value),
+          },
+        }));
+      } catch (error) {
+        console.error(
+          `Cannot rotate secrets of ${table}#${row.id}:`,
+          error.message,
+        );
+        failed++;
+        continue;
+      }
+
+      const text = JSON.stringify(changes);
+      if (text === row.changes) {
+        continue;
+      }
+      if (await db.secrets.resealChanges(table, row.id, row.changes, text)) {
+        rotated++;
+      }
+    }
+  }
+
+  return { rotated, failed };
+}
+
+// Re-encrypt every stored secret, current, historical, released and trashed,
+// those of pending change requests and schedules and every webhook signing
+// secret under the active key
+async function rotateSecrets(db) {
+  const keyring = loadKeyring();
+  if (!keyring.active) {
+    throw new Error("CONFIG_MASTER_KEY is not configured");
+  }
+
+  const configurations = await rotateTable(db, "configurations", keyring);
+  const revisions = await rotateTable(db, "config_revisions", keyring);
+  const releases = await rotateTable(db, "config_release_values", keyring);
+  const trash = await rotateTable(db, "config_trash", keyring);
+  const requests = await rotateChangeLists(db, "change_requests", keyring);
+  const schedules = await rotateChangeLists(db, "scheduled_changes", keyring);
+  // Only webhook secrets stored since a master key was configured are
+  // encrypted
+  const webhooks = await rotateTable(db, "webhooks", keyring);
+
+  const results = [
+    configurations,
+    revisions,
+    releases,
+    trash,
+    requests,
+    schedules,
+    webhooks,
+  ];
+  return {
+    keyId: keyring.activeId,
+    rotated: results.reduce((sum, { rotated }) => sum + rotated, 0),
+    failed: results.reduce((sum, { failed }) => sum + failed, 0),
+  };
+}
+
+module.exports = {
+  MASK,
+  isConfigured,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  readValue,
+  rotateSecrets,
+};
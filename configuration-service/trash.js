@@ -0,0 +1,223 @@
+// Trash for deleted configuration keys
+//
+// Deleting a key through DELETE /config/:serviceName/:key, directly or once
+// the change request it made for a protected key is approved, keeps the
+// value it held in config_trash, written in the transaction that deletes the
+// key. A
+// trashed key can be restored, as a new revision, until TRASH_RETENTION
+// seconds after it was deleted; after that the purge every replica runs
+// removes it for good.
+//
+// Values are kept as stored (see values.js), with values of secret keys
+// encrypted under CONFIG_MASTER_KEY.
+
+const { applyChangesWithin } = require("./revisions");
+const { decrypt, readValue } = require("./secrets");
+
+const PURGE_INTERVAL = 60 * 1000;
+
+let timer = null;
+
+function retention() {
+  return (parseInt(process.env.TRASH_RETENTION) || 30 * 86400) * 1000;
+}
+
+// Entries deleted at or before this time can no longer be restored
+function cutoff(now) {
+  return new Date(now.getTime() - retention());
+}
+
+// Trashed values are masked like history
+function toEntry(row) {
+  return {
+    id: row.id,
+    environment: row.environment,
+    key: row.config_key,
+    value: readValue(row.config_value, row.value_type, row.is_secret),
+    type: row.value_type,
+    secret: Boolean(row.is_secret),
+    revision: row.revision,
+    deletedBy: row.deleted_by ? JSON.parse(row.deleted_by) : null,
+    deletedAt: row.deleted_at,
+    purgeAt: new Date(new Date(row.deleted_at).getTime() + retention()),
+  };
+}
+
+// Delete a key of an environment as a new revision, keeping the value it
+// held in the trash. actor is the { id, name } of the API key deleting it.
+// Returns the revision written, or null when the precondition failed (see
+// applyChanges).
+async function trashKey(
+  db,
+  serviceName,
+  environment,
+  key,
+  { actor, precondition, now = new Date() },
+) {
+  return db.transaction(async (tx) => {
+    const result = await applyChangesWithin(
+      tx,
+      serviceName,
+      [{ environment, key, value: null }],
+      { precondition },
+    );
+    if (!result) {
+      return null;
+    }
+
+    await trashDeletions(tx, serviceName, result, {
+      deletedBy: actor ? JSON.stringify(actor) : null,
+      now,
+    });
+    return result;
+  });
+}
+
+// Keep the values of the keys a written revision (see applyChanges) deleted,
+// inside the transaction tx that wrote it. deletedBy is the JSON of the
+// { id, name } of the API key deleting them, or null.
+async function trashDeletions(tx, serviceName, result, { deletedBy, now }) {
+  for (const { environment, key, value, previous } of result.changes) {
+    if (value !== null) {
+      continue;
+    }
+    await tx.trash.insert({
+      serviceName,
+      environment,
+      key,
+      value: previous.value,
+      type: previous.type,
+      secret: previous.secret,
+      revision: result.revision,
+      deletedBy,
+      deletedAt: now,
+    });
+  }
+}
+
+// Restorable entries of a service, most recently deleted first, optionally
+// in one environment only
+async function listTrash(
+  db,
+  serviceName,
+  { environment, limit, now = new Date() },
+) {
+  const rows = await db.trash.list(serviceName, {
+    after: cutoff(now),
+    environment,
+    limit,
+  });
+  return rows.map(toEntry);
+}
+
+// Put trashed keys back as a single revision and take them out of the
+// trash. The entries are picked by id, or by deletion time between from and
+// to, optionally in one environment only; of several entries for the same
+// key the latest deletion wins. Keys that have been set again since are
+// left as they are, and their entries stay in the trash. guard, if given,
+// sees the { environment, key } of the picked entries and returns the keys
+// among them that may not be restored (see rollback).
+//
+// Returns null when no restorable entry matched, { refused } when guard
+// refused keys, otherwise { result, restored, skipped } with the revision
+// written (see applyChanges) and the entries restored and left alone.
+async function restoreTrash(
+  db,
+  serviceName,
+  { id, from, to, environment, guard, now = new Date() },
+) {
+  return db.transaction(async (tx) => {
+    const rows = await tx.trash.list(serviceName, {
+      after: cutoff(now),
+      id,
+      from,
+      to,
+      environment,
+      lock: true,
+    });
+    if (rows.length === 0) {
+      return null;
+    }
+
+    // Environment names cannot contain ":" so this is unambiguous
+    const seen = new Set();
+    const picked = rows.filter((row) => {
+      const name = `${row.environment}:${row.config_key}`;
+      if (seen.has(name)) {
+        return false;
+      }
+      seen.add(name);
+      return true;
+    });
+
+    if (guard) {
+      const refused = guard(
+        picked.map((row) => ({
+          environment: row.environment,
+          key: row.config_key,
+        })),
+      );
+      if (refused.length > 0) {
+        return { refused };
+      }
+    }
+
+    // Only keys that are still missing are restored
+    const result = await applyChangesWithin(
+      tx,
+      serviceName,
+      picked.map((row) => ({
+        environment: row.environment,
+        key: row.config_key,
+        value: row.is_secret ? decrypt(row.config_value) : row.config_value,
+        type: row.value_type,
+        secret: Boolean(row.is_secret),
+        expected: null,
+      })),
+    );
+
+    const written = new Set(
+      result.changes.map(({ environment, key }) => `${environment}:${key}`),
+    );
+    const restored = picked.filter((row) =>
+      written.has(`${row.environment}:${row.config_key}`),
+    );
+    for (const row of restored) {
+      await tx.trash.remove(row.id);
+    }
+
+    return {
+      result,
+      restored: restored.map(toEntry),
+      skipped: picked.filter((row) => !restored.includes(row)).map(toEntry),
+    };
+  });
+}
+
+// Remove entries past the retention window for good; returns how many
+async function purgeTrash(db, now = new Date()) {
+  return db.trash.purge(cutoff(now));
+}
+
+function startTrashPurge(db) {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(async () => {
+    try {
+      await purgeTrash(db);
+    } catch (error) {
+      console.error("Error purging trash:", error);
+    }
+  }, PURGE_INTERVAL);
+  timer.unref();
+}
+
+module.exports = {
+  trashKey,
+  trashDeletions,
+  listTrash,
+  restoreTrash,
+  purgeTrash,
+  startTrashPurge,
+};
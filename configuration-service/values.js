@@ -0,0 +1,135 @@
+// Typed configuration values
+//
+// Values are stored as text next to their type and decoded back to native
+// JSON types on read. Durations are written as "500ms", "30s", "1h30m", ...
+// and read as a number of milliseconds. Flags are JSON documents checked
+// against the flag format of flags.js.
+
+const { normalizeFlag } = require("./flags");
+
+const TYPES = ["string", "number", "boolean", "json", "duration", "flag"];
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?(ms|s|m|h|d))+$/;
+const DURATION_PART = /(\d+(?:\.\d+)?)(ms|s|m|h|d)/g;
+
+// Milliseconds in a duration string, null if it is not one
+function parseDuration(text) {
+  const compact = String(text).replace(/\s+/g, "");
+  if (!DURATION_PATTERN.test(compact)) {
+    return null;
+  }
+  let total = 0;
+  for (const [, amount, unit] of compact.matchAll(DURATION_PART)) {
+    total += parseFloat(amount) * DURATION_UNITS[unit];
+  }
+  return total;
+}
+
+// Type of a JSON request value when none is given explicitly
+function inferType(value) {
+  switch (typeof value) {
+    case "number":
+      return "number";
+    case "boolean":
+      return "boolean";
+    case "string":
+      return "string";
+    default:
+      return "json";
+  }
+}
+
+// Validate a request value against a type and serialize it for storage.
+// Returns { text, type } or { error } when the value does not fit the type.
+function encodeValue(value, type = inferType(value)) {
+  switch (type) {
+    case "string":
+      return typeof value === "string"
+        ? { text: value, type }
+        : { error: "must be a string" };
+
+    case "number": {
+      const number = typeof value === "string" ? Number(value) : value;
+      return typeof number === "number" &&
+        Number.isFinite(number) &&
+        String(value).trim() !== ""
+        ? { text: String(number), type }
+        : { error: "must be a number" };
+    }
+
+    case "boolean":
+      if (value === true || value === "true") {
+        return { text: "true", type };
+      }
+      if (value === false || value === "false") {
+        return { text: "false", type };
+      }
+      return { error: "must be a boolean" };
+
+    case "json":
+      // Strings are taken as JSON text so that objects can be posted as-is
+      // or as a serialized document
+      if (typeof value === "string") {
+        try {
+          return { text: JSON.stringify(JSON.parse(value)), type };
+        } catch (error) {
+          return { error: "must be valid JSON" };
+        }
+      }
+      return { text: JSON.stringify(value), type };
+
+    case "duration":
+      if (typeof value === "number" && Number.isFinite(value) && value >= 0) {
+        return { text: `${value}ms`, type };
+      }
+      return typeof value === "string" && parseDuration(value) !== null
+        ? { text: value.replace(/\s+/g, ""), type }
+        : { error: 'must be a duration such as "500ms", "30s" or "1h30m"' };
+
+    case "flag": {
+      let definition = value;
+      if (typeof value === "string") {
+        try {
+          definition = JSON.parse(value);
+        } catch (error) {
+          return { error: "must be valid JSON" };
+        }
+      }
+      const { flag, error } = normalizeFlag(definition);
+      return error ? { error } : { text: JSON.stringify(flag), type };
+    }
+
+    default:
+      return { error: `type must be one of: ${TYPES.join(", ")}` };
+  }
+}
+
+// Decode stored text back into its native JSON value
+function decodeValue(text, type) {
+  if (text === null || text === undefined) {
+    return null;
+  }
+  switch (type) {
+    case "number":
+      return Number(text);
+    case "boolean":
+      return text === "true";
+    case "json":
+    case "flag":
+      return JSON.parse(text);
+    case "duration":
+      return parseDuration(text);
+    default:
+      return text;
+  }
+}
+
+module.exports = { TYPES, parseDuration, inferType, encodeValue, decodeValue };
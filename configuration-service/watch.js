@@ -0,0 +1,119 @@
+// Real-time change notifications over Server-Sent Events
+//
+// Every committed write is published on a Redis channel. Each replica
+// subscribes to that channel and forwards the events to the watchers
+// connected to it, so a watcher hears about changes made through any replica.
+// Events name the changed keys and the new revision but carry no values;
+// watchers re-read the configuration they care about.
+
+const { DEFAULT_ENVIRONMENT, GLOBAL_SERVICE } = require("./environments");
+
+const CHANNEL = "config:changes";
+
+// Below the proxy read timeout so idle streams are not cut off
+const HEARTBEAT_INTERVAL = 15000;
+
+// Watchers connected to this replica
+const watchers = new Set();
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Global defaults feed into every service, so their changes go to everyone.
+// Watchers of one environment also hear about the service defaults.
+function isWatching(watcher, event) {
+  if (
+    event.serviceName !== GLOBAL_SERVICE &&
+    !watcher.services.has(event.serviceName)
+  ) {
+    return false;
+  }
+  return (
+    !watcher.environment ||
+    event.changes.some(
+      ({ environment }) =>
+        environment === DEFAULT_ENVIRONMENT ||
+        environment === watcher.environment,
+    )
+  );
+}
+
+function dispatch(event) {
+  for (const watcher of watchers) {
+    if (isWatching(watcher, event)) {
+      send(watcher.res, "change", event);
+    }
+  }
+}
+
+// Forward events published by any replica to the local watchers. The
+// subscriber must be a dedicated Redis connection. onChange, if given, sees
+// every event before the watchers do, so that caches it clears are clear by
+// the time watchers re-read.
+async function subscribeChanges(subscriber, onChange) {
+  await subscriber.subscribe(CHANNEL, (message) => {
+    try {
+      const event = JSON.parse(message);
+      if (onChange) {
+        onChange(event);
+      }
+      dispatch(event);
+    } catch (error) {
+      console.error("Error dispatching configuration change:", error);
+    }
+  });
+}
+
+// Announce a committed revision through publish(channel, message). The write
+// has already happened, so a failure to publish is logged rather than
+// failing the request.
+async function publishChange(publish, serviceName, result, operation) {
+  if (result.changes.length === 0) {
+    return;
+  }
+  const event = {
+    serviceName,
+    revision: result.revision,
+    operation,
+    changes: result.changes.map(({ environment, key }) => ({
+      environment,
+      key,
+    })),
+    timestamp: new Date().toISOString(),
+  };
+  try {
+    await publish(CHANNEL, JSON.stringify(event));
+  } catch (error) {
+    console.error("Error publishing configuration change:", error);
+  }
+}
+
+// Turn the response into an event stream of changes to the given services,
+// optionally limited to one environment. The stream opens with a "ready"
+// event holding the current revision of each service so that watchers can
+// tell whether they missed anything while they were away.
+function watch(req, res, { services, environment, revisions }) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  const watcher = { res, services: new Set(services), environment };
+  watchers.add(watcher);
+  send(res, "ready", { services: revisions, environment });
+
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    HEARTBEAT_INTERVAL,
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    watchers.delete(watcher);
+  });
+}
+
+module.exports = { CHANNEL, subscribeChanges, publishChange, watch };
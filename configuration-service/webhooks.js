@@ -0,0 +1,343 @@
+// Webhook notifications of configuration changes
+//
+// A webhook receives a POST for every revision changing keys of its service,
+// or only keys starting with its key prefix. Every revision is queued in
+// webhook_deliveries, one delivery per matching hook, and sent by whichever
+// replica claims it first. A claim leases the delivery for one attempt, so a
+// replica dying half-way only delays it. Failed attempts are retried with
+// exponential backoff; deliveries still failing after MAX_ATTEMPTS are dead
+// and stay listed, with their last error, until someone redelivers them.
+//
+// Bodies are signed with HMAC-SHA256 under the hook's secret, over
+// "<timestamp>.<body>":
+//
+//   X-Config-Timestamp   Unix time of the attempt, in seconds
+//   X-Config-Signature   sha256=<hex digest>
+//
+// Secrets are encrypted under CONFIG_MASTER_KEY when it is set, and rotated
+// with secret values.
+
+const crypto = require("crypto");
+
+const { counter } = require("./metrics");
+const { decrypt, encrypt, isConfigured, isEncrypted } = require("./secrets");
+
+const STATUSES = ["pending", "delivered", "dead"];
+
+// Attempts after which a delivery is dead
+const MAX_ATTEMPTS = 8;
+// Milliseconds before the first retry, doubling with every further one
+const RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+const REQUEST_TIMEOUT = 10000;
+// Milliseconds a claimed delivery is left to the replica attempting it
+const LEASE = REQUEST_TIMEOUT + 5000;
+const POLL_INTERVAL = 1000;
+
+const attempts = counter(
+  "config_webhook_attempts_total",
+  "Webhook delivery attempts by outcome (delivered, failed or dead)",
+);
+
+let timer = null;
+let running = null;
+
+function isValidUrl(url) {
+  if (typeof url !== "string" || url.length > 2048) {
+    return false;
+  }
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function isValidPrefix(prefix) {
+  return typeof prefix === "string" && prefix.length <= 255;
+}
+
+function sign(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+function toWebhook(row) {
+  return {
+    id: row.id,
+    serviceName: row.service_name,
+    url: row.url,
+    keyPrefix: row.key_prefix,
+    createdBy: row.created_by ? JSON.parse(row.created_by) : null,
+    createdAt: row.created_at,
+  };
+}
+
+function toDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === "pending" ? row.next_attempt_at : null,
+    responseStatus: row.response_status,
+    error: row.error,
+    redeliveryOf: row.redelivery_of,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+  };
+}
+
+// Webhooks of a service, oldest first
+async function listWebhooks(db, serviceName) {
+  const rows = await db.webhooks.list(serviceName);
+  return rows.map(toWebhook);
+}
+
+async function getWebhook(db, serviceName, id) {
+  const row = await db.webhooks.get(serviceName, id);
+  return row ? toWebhook(row) : null;
+}
+
+// Register a webhook for the keys of a service starting with keyPrefix ("" for
+// every key). Returns the new webhook with its signing secret, which is not
+// shown again.
+async function createWebhook(db, serviceName, { url, keyPrefix, actor }) {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const id = await db.webhooks.insert({
+    serviceName,
+    keyPrefix,
+    url,
+    secret: isConfigured() ? encrypt(secret) : secret,
+    createdBy: actor ? JSON.stringify(actor) : null,
+  });
+  return { ...(await getWebhook(db, serviceName, id)), secret };
+}
+
+// Remove a webhook along with its deliveries; returns whether there was one
+async function removeWebhook(db, serviceName, id) {
+  return db.transaction(async (tx) => {
+    if (!(await tx.webhooks.remove(serviceName, id))) {
+      return false;
+    }
+    await tx.deliveries.removeAll(id);
+    return true;
+  });
+}
+
+// Queue a delivery of a committed revision (as returned by applyChanges) to
+// every webhook of the service with a key prefix matching a changed key; the
+// payload of each lists the changes it matched. Returns how many were queued.
+async function enqueueDeliveries(
+  db,
+  serviceName,
+  result,
+  operation,
+  now = new Date(),
+) {
+  if (result.changes.length === 0) {
+    return 0;
+  }
+  const hooks = await db.webhooks.prefixes(serviceName);
+
+  let queued = 0;
+  for (const hook of hooks) {
+    const changes = result.changes
+      .filter(({ key }) => key.startsWith(hook.key_prefix))
+      .map(({ environment, key }) => ({ environment, key }));
+    if (changes.length === 0) {
+      continue;
+    }
+    const payload = {
+      event: "configuration.changed",
+      serviceName,
+      revision: result.revision,
+      operation,
+      changes,
+      timestamp: now.toISOString(),
+    };
+    await db.deliveries.insert({
+      webhookId: hook.id,
+      payload: JSON.stringify(payload),
+      nextAttemptAt: now,
+    });
+    queued++;
+  }
+  return queued;
+}
+
+// Deliveries to a webhook, newest first, in one status or all of them
+async function listDeliveries(db, webhookId, { status, limit }) {
+  const rows = await db.deliveries.list(webhookId, { status, limit });
+  return rows.map(toDelivery);
+}
+
+async function getDelivery(db, webhookId, id) {
+  const row = await db.deliveries.get(webhookId, id);
+  return row ? toDelivery(row) : null;
+}
+
+// Queue a delivered or dead delivery again, with the same payload, as a new
+// delivery. Returns null for unknown deliveries, otherwise { redelivered,
+// delivery } where redelivered tells whether the delivery was done with and
+// delivery is the new one if so, the pending one otherwise.
+async function redeliver(db, webhookId, id, now = new Date()) {
+  const row = await db.deliveries.get(webhookId, id);
+  if (!row) {
+    return null;
+  }
+  if (row.status === "pending") {
+    return { redelivered: false, delivery: toDelivery(row) };
+  }
+
+  const redeliveryId = await db.deliveries.insert({
+    webhookId,
+    payload: row.payload,
+    nextAttemptAt: now,
+    redeliveryOf: id,
+  });
+  return {
+    redelivered: true,
+    delivery: await getDelivery(db, webhookId, redeliveryId),
+  };
+}
+
+// Milliseconds to wait after a failed attempt before the next one
+function retryDelay(attempt) {
+  return Math.min(MAX_RETRY_DELAY, RETRY_DELAY * 2 ** (attempt - 1));
+}
+
+// Claim the earliest due delivery for one attempt, counting the attempt
+async function claimDelivery(db, now) {
+  return db.transaction(async (tx) => {
+    const row = await tx.deliveries.claimDue(now);
+    if (!row) {
+      return null;
+    }
+    await tx.deliveries.lease(row.id, new Date(now.getTime() + LEASE));
+    return { ...row, attempts: row.attempts + 1 };
+  });
+}
+
+// POST a claimed delivery to its webhook. Returns { responseStatus, error }
+// with error null on success.
+async function post(delivery, hook, now) {
+  const timestamp = Math.floor(now.getTime() / 1000);
+  try {
+    const secret = isEncrypted(hook.secret)
+      ? decrypt(hook.secret)
+      : hook.secret;
+    const response = await fetch(hook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "configuration-service",
+        "X-Config-Delivery": String(delivery.id),
+        "X-Config-Timestamp": String(timestamp),
+        "X-Config-Signature": `sha256=${sign(secret, timestamp, delivery.payload)}`,
+      },
+      body: delivery.payload,
+      redirect: "manual",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    return {
+      responseStatus: response.status,
+      error: response.ok ? null : `Webhook responded with ${response.status}`,
+    };
+  } catch (error) {
+    return { responseStatus: null, error: error.message };
+  }
+}
+
+// Claim the earliest due delivery and attempt it. Returns the delivery as it
+// stands after the attempt, or null when nothing is due.
+async function deliverDue(db, now = new Date()) {
+  const delivery = await claimDelivery(db, now);
+  if (!delivery) {
+    return null;
+  }
+  const hook = await db.webhooks.getById(delivery.webhook_id);
+  if (!hook) {
+    // Removed since, deliveries and all
+    return toDelivery(delivery);
+  }
+
+  const { responseStatus, error } = await post(delivery, hook, now);
+  let status = "delivered";
+  if (error) {
+    status = delivery.attempts >= MAX_ATTEMPTS ? "dead" : "pending";
+  }
+  const nextAttemptAt =
+    status === "pending"
+      ? new Date(now.getTime() + retryDelay(delivery.attempts))
+      : delivery.next_attempt_at;
+
+  await db.deliveries.finish(delivery.id, {
+    status,
+    nextAttemptAt,
+    responseStatus,
+    error,
+    deliveredAt: error ? null : now,
+  });
+  attempts.inc({ outcome: status === "pending" ? "failed" : status });
+
+  return toDelivery({
+    ...delivery,
+    status,
+    next_attempt_at: nextAttemptAt,
+    response_status: responseStatus,
+    error,
+    delivered_at: error ? null : now,
+  });
+}
+
+// Attempt every due delivery, one at a time. Concurrent calls share one run.
+function deliverDueWebhooks(db) {
+  if (!running) {
+    running = (async () => {
+      for (;;) {
+        try {
+          if (!(await deliverDue(db))) {
+            return;
+          }
+        } catch (error) {
+          console.error("Error delivering webhook:", error);
+          return;
+        }
+      }
+    })().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+function startWebhookDelivery(db) {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(() => deliverDueWebhooks(db), POLL_INTERVAL);
+  timer.unref();
+}
+
+module.exports = {
+  STATUSES,
+  MAX_ATTEMPTS,
+  isValidUrl,
+  isValidPrefix,
+  sign,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  removeWebhook,
+  enqueueDeliveries,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  deliverDue,
+  deliverDueWebhooks,
+  startWebhookDelivery,
+};
@@ -14,6 +14,8 @@ NC='\033[0m' # No Color
 # Configuration
 CONFIG_SERVICE_URL="http://localhost:3001"
 LOG_SERVICE_URL="http://localhost:3002"
+# API key for the configuration service, the CONFIG_ADMIN_API_KEY it runs with
+CONFIG_API_KEY="${CONFIG_ADMIN_API_KEY:?set CONFIG_ADMIN_API_KEY to the bootstrap admin key}"
 CONCURRENT_USERS=10
 REQUESTS_PER_USER=100
 TOTAL_REQUESTS=$((CONCURRENT_USERS * REQUESTS_PER_USER))
@@ -64,23 +66,26 @@ echo -e "\n${BLUE}🔧 Benchmarking Configuration Service...${NC}"
 case $BENCHMARK_TOOL in
     "ab")
         echo -e "\n${YELLOW}Testing Configuration Retrieval (GET /config)...${NC}"
-        ab -n $TOTAL_REQUESTS -c $CONCURRENT_USERS -q "$CONFIG_SERVICE_URL/config" | \
+        ab -n $TOTAL_REQUESTS -c $CONCURRENT_USERS -q \
+           -H "X-API-Key: $CONFIG_API_KEY" "$CONFIG_SERVICE_URL/config" | \
         grep -E "(Requests per second|Time per request|Transfer rate)" || true
 
         echo -e "\n${YELLOW}Testing Configuration Setting (POST /config/benchmark)...${NC}"
         ab -n $((TOTAL_REQUESTS/2)) -c $((CONCURRENT_USERS/2)) -q \
            -p <(echo '{"key": "benchmark", "value": "test"}') \
-           -T "application/json" \
+           -T "application/json" -H "X-API-Key: $CONFIG_API_KEY" \
            "$CONFIG_SERVICE_URL/config/benchmark-service" | \
         grep -E "(Requests per second|Time per request|Transfer rate)" || true
         ;;
     
     "wrk")
         echo -e "\n${YELLOW}Testing Configuration Retrieval (GET /config)...${NC}"
-        wrk -t4 -c$CONCURRENT_USERS -d30s --latency "$CONFIG_SERVICE_URL/config"
+        wrk -t4 -c$CONCURRENT_USERS -d30s --latency \
+            -H "X-API-Key: $CONFIG_API_KEY" "$CONFIG_SERVICE_URL/config"
 
         echo -e "\n${YELLOW}Testing Configuration Setting (POST /config/benchmark)...${NC}"
         wrk -t4 -c$((CONCURRENT_USERS/2)) -d30s --latency \
+            -H "X-API-Key: $CONFIG_API_KEY" \
             -s <(cat << 'EOF'
 wrk.method = "POST"
 wrk.body   = '{"key": "benchmark", "value": "test"}'
@@ -100,7 +105,7 @@ EOF
         # Measure response time
         start_time=$(date +%s.%N)
         for i in $(seq 1 50); do
-            curl -s "$CONFIG_SERVICE_URL/config" > /dev/null &
+            curl -s -H "X-API-Key: $CONFIG_API_KEY" "$CONFIG_SERVICE_URL/config" > /dev/null &
             if (( i % 10 == 0 )); then
                 wait  # Wait for batch completion
             fi
@@ -240,7 +245,7 @@ fi
 
 # Cleanup benchmark data
 echo -e "\n${YELLOW}Cleaning up benchmark data...${NC}"
-curl -s -X DELETE "$CONFIG_SERVICE_URL/config/benchmark-service/benchmark" > /dev/null || true
+curl -s -X DELETE -H "X-API-Key: $CONFIG_API_KEY" "$CONFIG_SERVICE_URL/config/benchmark-service/benchmark" > /dev/null || true
 
 echo -e "\n${GREEN}🎉 Benchmark completed successfully!${NC}"
 echo -e "${BLUE}📊 Summary: Check the results above for performance metrics${NC}"
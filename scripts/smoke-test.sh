@@ -14,6 +14,8 @@ NC='\033[0m' # No Color
 # Configuration
 CONFIG_SERVICE_URL="http://localhost:3001"
 LOG_SERVICE_URL="http://localhost:3002"
+# API key for the configuration service, the CONFIG_ADMIN_API_KEY it runs with
+CONFIG_API_KEY="${CONFIG_ADMIN_API_KEY:?set CONFIG_ADMIN_API_KEY to the bootstrap admin key}"
 MYSQL_HOST="localhost"
 MYSQL_PORT="3306"
 REDIS_HOST="localhost"
@@ -69,13 +71,13 @@ echo -e "\n${YELLOW}Testing basic functionality...${NC}"
 
 # Test Configuration Service basic operation
 echo -n "Configuration CRUD... "
-if curl -f -s -m $TIMEOUT -X POST "$CONFIG_SERVICE_URL/config/smoke-test" \
+if curl -H "X-API-Key: $CONFIG_API_KEY" -f -s -m $TIMEOUT -X POST "$CONFIG_SERVICE_URL/config/smoke-test" \
     -H "Content-Type: application/json" \
     -d '{"key": "smoke", "value": "test"}' > /dev/null 2>&1 && \
-   curl -f -s -m $TIMEOUT "$CONFIG_SERVICE_URL/config/smoke-test" | grep -q "smoke" 2>/dev/null; then
+   curl -H "X-API-Key: $CONFIG_API_KEY" -f -s -m $TIMEOUT "$CONFIG_SERVICE_URL/config/smoke-test" | grep -q "smoke" 2>/dev/null; then
     echo -e "${GREEN}✅ WORKING${NC}"
     # Cleanup
-    curl -f -s -m $TIMEOUT -X DELETE "$CONFIG_SERVICE_URL/config/smoke-test/smoke" > /dev/null 2>&1
+    curl -H "X-API-Key: $CONFIG_API_KEY" -f -s -m $TIMEOUT -X DELETE "$CONFIG_SERVICE_URL/config/smoke-test/smoke" > /dev/null 2>&1
 else
     echo -e "${RED}❌ FAILED${NC}"
     exit 1
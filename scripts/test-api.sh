@@ -14,6 +14,8 @@ NC='\033[0m' # No Color
 # Configuration
 CONFIG_SERVICE_URL="http://localhost:3001"
 LOG_SERVICE_URL="http://localhost:3002"
+# API key for the configuration service, the CONFIG_ADMIN_API_KEY it runs with
+CONFIG_API_KEY="${CONFIG_ADMIN_API_KEY:?set CONFIG_ADMIN_API_KEY to the bootstrap admin key}"
 TIMEOUT=10
 
 echo -e "${BLUE}🌐 Starting API Tests...${NC}"
@@ -32,7 +34,7 @@ echo "Testing Configuration Service API endpoints..."
 
 # Test setting a configuration
 echo "Setting test configuration..."
-if curl -f -s -m $TIMEOUT -X POST "$CONFIG_SERVICE_URL/config/test-service" \
+if curl -H "X-API-Key: $CONFIG_API_KEY" -f -s -m $TIMEOUT -X POST "$CONFIG_SERVICE_URL/config/test-service" \
     -H "Content-Type: application/json" \
     -d '{"key": "test-key", "value": "test-value"}' > /dev/null; then
     echo -e "${GREEN}✅ Configuration setting works${NC}"
@@ -43,7 +45,7 @@ fi
 
 # Test getting a configuration
 echo "Getting test configuration..."
-RESPONSE=$(curl -s -m $TIMEOUT "$CONFIG_SERVICE_URL/config/test-service")
+RESPONSE=$(curl -H "X-API-Key: $CONFIG_API_KEY" -s -m $TIMEOUT "$CONFIG_SERVICE_URL/config/test-service")
 if echo "$RESPONSE" | grep -q "test-key"; then
     echo -e "${GREEN}✅ Configuration retrieval works${NC}"
 else
@@ -53,7 +55,7 @@ fi
 
 # Test getting all configurations
 echo "Getting all configurations..."
-if curl -f -s -m $TIMEOUT "$CONFIG_SERVICE_URL/config" > /dev/null; then
+if curl -H "X-API-Key: $CONFIG_API_KEY" -f -s -m $TIMEOUT "$CONFIG_SERVICE_URL/config" > /dev/null; then
     echo -e "${GREEN}✅ Get all configurations works${NC}"
 else
     echo -e "${RED}❌ Get all configurations failed${NC}"
@@ -62,7 +64,7 @@ fi
 
 # Test deleting a configuration
 echo "Deleting test configuration..."
-if curl -f -s -m $TIMEOUT -X DELETE "$CONFIG_SERVICE_URL/config/test-service/test-key" > /dev/null; then
+if curl -H "X-API-Key: $CONFIG_API_KEY" -f -s -m $TIMEOUT -X DELETE "$CONFIG_SERVICE_URL/config/test-service/test-key" > /dev/null; then
     echo -e "${GREEN}✅ Configuration deletion works${NC}"
 else
     echo -e "${RED}❌ Configuration deletion failed${NC}"
@@ -139,7 +141,7 @@ fi
 echo -e "\n${YELLOW}Testing error handling...${NC}"
 
 # Test invalid configuration request
-if curl -s -m $TIMEOUT -X POST "$CONFIG_SERVICE_URL/config/test-service" \
+if curl -H "X-API-Key: $CONFIG_API_KEY" -s -m $TIMEOUT -X POST "$CONFIG_SERVICE_URL/config/test-service" \
     -H "Content-Type: application/json" \
     -d '{"invalid": "data"}' | grep -q "error"; then
     echo -e "${GREEN}✅ Configuration service error handling works${NC}"
@@ -13,6 +13,10 @@ NC='\033[0m' # No Color
 
 RESULTS_DIR="test-results"
 DEV_REPORT="$RESULTS_DIR/dev-test-report.json"
+# API key for the configuration service started below; a throwaway one unless
+# set, exported for docker-compose.yml
+export CONFIG_ADMIN_API_KEY="${CONFIG_ADMIN_API_KEY:-$(openssl rand -hex 24)}"
+CONFIG_API_KEY="$CONFIG_ADMIN_API_KEY"
 
 echo -e "${BLUE}🔧 Comprehensive Development Environment Testing${NC}"
 echo -e "${BLUE}===============================================${NC}"
@@ -131,7 +135,7 @@ echo -e "\n${BLUE}🚀 Step 5: Development Services${NC}"
 echo -e "${YELLOW}Starting services in development mode...${NC}"
 
 # Start services in background
-(cd configuration-service && npm run dev > ../test-results/config-dev.log 2>&1) &
+(cd configuration-service && CONFIG_ADMIN_API_KEY="$CONFIG_API_KEY" npm run dev > ../test-results/config-dev.log 2>&1) &
 CONFIG_PID=$!
 (cd log-aggregator-service && npm run dev > ../test-results/logs-dev.log 2>&1) &
 LOGS_PID=$!
@@ -171,18 +175,18 @@ run_test "API Health Checks" "curl -f http://localhost:3001/health && curl -f ht
 # Comprehensive API tests
 run_test "Configuration Service API Tests" '
     # Set configuration
-    curl -f -X POST http://localhost:3001/config/dev-test \
+    curl -H "X-API-Key: $CONFIG_API_KEY" -f -X POST http://localhost:3001/config/dev-test \
         -H "Content-Type: application/json" \
         -d "{\"key\": \"test-key\", \"value\": \"test-value\"}" &&
     
     # Get configuration
-    curl -f http://localhost:3001/config/dev-test | grep -q "test-key" &&
+    curl -H "X-API-Key: $CONFIG_API_KEY" -f http://localhost:3001/config/dev-test | grep -q "test-key" &&
     
     # List all configurations
-    curl -f http://localhost:3001/config > /dev/null &&
+    curl -H "X-API-Key: $CONFIG_API_KEY" -f http://localhost:3001/config > /dev/null &&
     
     # Delete configuration
-    curl -f -X DELETE http://localhost:3001/config/dev-test/test-key
+    curl -H "X-API-Key: $CONFIG_API_KEY" -f -X DELETE http://localhost:3001/config/dev-test/test-key
 '
 
 run_test "Log Aggregator Service API Tests" '
@@ -14,6 +14,9 @@ NC='\033[0m' # No Color
 RESULTS_DIR="test-results"
 K8S_REPORT="$RESULTS_DIR/k8s-test-report.json"
 NAMESPACE="microservices-dev"
+# API key for the configuration service, put in its Secret below; a throwaway
+# one unless set
+CONFIG_API_KEY="${CONFIG_ADMIN_API_KEY:-$(openssl rand -hex 24)}"
 
 echo -e "${BLUE}☸️  Comprehensive Kubernetes Local Testing${NC}"
 echo -e "${BLUE}===========================================${NC}"
@@ -159,7 +162,8 @@ run_k8s_test "Redis Deployment" "kubectl get deployment redis -n $NAMESPACE -o j
 echo -e "\n${BLUE}🚀 Step 5: Deploy Services${NC}"
 
 # Update image names in manifests for local testing
-sed -i.bak 's|image: ghcr.io/microservices/configuration-service:latest|image: microservices/configuration-service:k8s-test|g' k8s-manifests/configuration-service.yaml
+sed -i.bak -e 's|image: ghcr.io/microservices/configuration-service:latest|image: microservices/configuration-service:k8s-test|g' \
+    -e "s|REPLACE_WITH_BASE64_ADMIN_API_KEY|$(printf '%s' "$CONFIG_API_KEY" | base64)|" k8s-manifests/configuration-service.yaml
 sed -i.bak 's|image: ghcr.io/microservices/log-aggregator-service:latest|image: microservices/log-aggregator-service:k8s-test|g' k8s-manifests/log-aggregator-service.yaml
 
 # Deploy configuration service
@@ -238,18 +242,18 @@ run_k8s_test "K8s Health Checks" "curl -f http://localhost:3001/health && curl -
 # Comprehensive API tests in Kubernetes
 run_k8s_test "K8s Configuration Service API Tests" '
     # Set configuration
-    curl -f -X POST http://localhost:3001/config/k8s-test \
+    curl -H "X-API-Key: $CONFIG_API_KEY" -f -X POST http://localhost:3001/config/k8s-test \
         -H "Content-Type: application/json" \
         -d "{\"key\": \"k8s-test-key\", \"value\": \"k8s-test-value\"}" &&
     
     # Get configuration
-    curl -f http://localhost:3001/config/k8s-test | grep -q "k8s-test-key" &&
+    curl -H "X-API-Key: $CONFIG_API_KEY" -f http://localhost:3001/config/k8s-test | grep -q "k8s-test-key" &&
     
     # List all configurations
-    curl -f http://localhost:3001/config > /dev/null &&
+    curl -H "X-API-Key: $CONFIG_API_KEY" -f http://localhost:3001/config > /dev/null &&
     
     # Delete configuration
-    curl -f -X DELETE http://localhost:3001/config/k8s-test/k8s-test-key
+    curl -H "X-API-Key: $CONFIG_API_KEY" -f -X DELETE http://localhost:3001/config/k8s-test/k8s-test-key
 '
 
 run_k8s_test "K8s Log Aggregator Service API Tests" '
@@ -300,7 +304,7 @@ echo -e "\n${BLUE}💾 Step 11: Persistence Tests${NC}"
 echo -e "${YELLOW}Testing data persistence...${NC}"
 
 # Store test data
-curl -f -X POST http://localhost:3001/config/persistence-test \
+curl -H "X-API-Key: $CONFIG_API_KEY" -f -X POST http://localhost:3001/config/persistence-test \
     -H "Content-Type: application/json" \
     -d '{"key": "persistence-key", "value": "persistence-value"}' > /dev/null 2>&1
 
@@ -312,7 +316,7 @@ kubectl wait --for=condition=ready pod -l app=mysql --timeout=180s -n $NAMESPACE
 sleep 15
 
 # Verify data persisted
-run_k8s_test "Data Persistence Test" "curl -f http://localhost:3001/config/persistence-test | grep -q 'persistence-key'"
+run_k8s_test "Data Persistence Test" "curl -H \"X-API-Key: $CONFIG_API_KEY\" -f http://localhost:3001/config/persistence-test | grep -q 'persistence-key'"
 
 # Step 12: Performance Tests in Kubernetes
 echo -e "\n${BLUE}⚡ Step 12: Performance Tests${NC}"